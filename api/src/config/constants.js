@@ -6,7 +6,7 @@
  * Cascade order (highest to lowest priority):
  *   1. Page settings (if set)
  *   2. Site settings (if set)
- *   3. User settings (if set)
+ *   3. Organization settings (if set)
  *   4. System defaults (this file)
  */
 
@@ -16,6 +16,33 @@ const DEFAULT_INTERVAL_MINUTES = 1440;
 // Default viewport widths for screenshot capture [desktop, tablet, mobile]
 const DEFAULT_VIEWPORTS = [1920, 768, 375];
 
+// Time zone for cron schedules and blackout windows when none is set
+const DEFAULT_SCHEDULE_TIMEZONE = 'UTC';
+
+// Default diff percentage above which a capture is flagged as "changed"
+const DEFAULT_CHANGE_THRESHOLD_PERCENT = 1;
+
+// Per-site capture limits (sites can override them)
+const DEFAULT_SITE_CAPTURE_LIMITS = {
+  max_concurrent_captures: 2,        // Pages of one site captured at the same time (across all workers)
+  capture_delay_seconds: 0           // Pause between page loads in each of a site's capture slots
+};
+const MAX_SITE_CONCURRENT_CAPTURES = 20;
+const MAX_SITE_CAPTURE_DELAY_SECONDS = 600;
+
+// Page priorities: higher-priority pages are captured first when workers are busy
+const PAGE_PRIORITY = { MIN: -2, MAX: 2 };
+
+// Retry backoff for failed captures (mirrors the worker's RETRY_SETTINGS)
+const RETRY_SETTINGS = {
+  BASE_RETRY_DELAY_MINUTES: 5,       // Initial retry delay after first failure
+  MAX_RETRY_DELAY_MINUTES: 1440,     // Backoff doubles per failure up to this
+  MAX_CONSECUTIVE_FAILURES: 5        // Stop retrying after this many consecutive failures
+};
+
+// Upper bound for the auto-resume cooldown of suspended pages (30 days)
+const MAX_SUSPENSION_AUTO_RESUME_HOURS = 720;
+
 // Default retention settings (GFS-style backup rotation)
 const DEFAULT_RETENTION = {
   retention_enabled: false,
@@ -27,8 +54,74 @@ const DEFAULT_RETENTION = {
   max_age_days: null                 // Delete after X days (null = unlimited)
 };
 
+// Email digest defaults
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_DIGEST = {
+  digest_frequency: 'off',
+  digest_email: null,                // null = account email
+  digest_hour: 8                     // Hour of day (server time) to send
+};
+
+// Webhook event types (users subscribe to a subset per webhook)
+const WEBHOOK_EVENTS = [
+  'capture.failed',       // Capture job ended with status 'failed'
+  'test.failed',          // A test result was recorded with passed = 0
+  'screenshot.errors',    // JS/network errors were captured for a screenshot
+  'visual.changed',       // Visual diff exceeded the change threshold
+  'page.suspended',       // Scheduled captures stopped after too many consecutive failures
+  'page.down',            // An uptime probe failed after the page was up (triggers a capture)
+  'page.up',              // An uptime probe succeeded after the page was down
+  'watch.triggered'       // A text watch saw its text change or its keyword appear/disappear
+];
+
+// Uptime probe intervals a page can use, and the longest period uptime is reported for
+const PROBE_INTERVAL_MINUTES = { MIN: 1, MAX: 1440 };
+const MAX_UPTIME_PERIOD_DAYS = 90;
+
+// Share links: what they can give access to and how long they can last at most
+const SHARE_LINK_SCOPES = ['screenshot', 'comparison', 'page'];
+const MAX_SHARE_LINK_EXPIRY_DAYS = 365;
+
+// API keys: "read" allows GET requests, "capture" triggering captures, "manage" every other change.
+// Keys start with the prefix so authenticateToken can tell them from JWTs.
+const API_KEY_SCOPES = ['read', 'capture', 'manage'];
+const API_KEY_PREFIX = 'vs_';
+
+// Organization roles, from least to most access: viewers can see everything, editors can also
+// change it, owners can also manage members and invites
+const ORGANIZATION_ROLES = ['viewer', 'editor', 'owner'];
+const ORGANIZATION_INVITE_EXPIRY_DAYS = 7;
+
+// Longest user-supplied regex (text watches, logged-out URL patterns of login profiles);
+// the worker also stops a regex that takes too long to match
+const MAX_REGEX_LENGTH = 200;
+
+// Workers without a heartbeat for this long are shown as offline (they send one every 15s)
+const WORKER_OFFLINE_AFTER_SECONDS = 60;
+
 module.exports = {
   DEFAULT_INTERVAL_MINUTES,
   DEFAULT_VIEWPORTS,
-  DEFAULT_RETENTION
+  DEFAULT_SCHEDULE_TIMEZONE,
+  DEFAULT_CHANGE_THRESHOLD_PERCENT,
+  DEFAULT_SITE_CAPTURE_LIMITS,
+  MAX_SITE_CONCURRENT_CAPTURES,
+  MAX_SITE_CAPTURE_DELAY_SECONDS,
+  PAGE_PRIORITY,
+  RETRY_SETTINGS,
+  MAX_SUSPENSION_AUTO_RESUME_HOURS,
+  DEFAULT_RETENTION,
+  DIGEST_FREQUENCIES,
+  DEFAULT_DIGEST,
+  WEBHOOK_EVENTS,
+  PROBE_INTERVAL_MINUTES,
+  MAX_UPTIME_PERIOD_DAYS,
+  SHARE_LINK_SCOPES,
+  MAX_SHARE_LINK_EXPIRY_DAYS,
+  API_KEY_SCOPES,
+  API_KEY_PREFIX,
+  ORGANIZATION_ROLES,
+  ORGANIZATION_INVITE_EXPIRY_DAYS,
+  MAX_REGEX_LENGTH,
+  WORKER_OFFLINE_AFTER_SECONDS
 };
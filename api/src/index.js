@@ -7,8 +7,17 @@ const authRoutes = require('./routes/auth');
 const sitesRoutes = require('./routes/sites');
 const pagesRoutes = require('./routes/pages');
 const screenshotsRoutes = require('./routes/screenshots');
+const componentScreenshotsRoutes = require('./routes/component-screenshots');
 const settingsRoutes = require('./routes/settings');
 const aiSessionsRoutes = require('./routes/ai-sessions');
+const webhooksRoutes = require('./routes/webhooks');
+const deviceProfilesRoutes = require('./routes/device-profiles');
+const workersRoutes = require('./routes/workers');
+const shareLinksRoutes = require('./routes/share-links');
+const apiKeysRoutes = require('./routes/api-keys');
+const organizationsRoutes = require('./routes/organizations');
+const publicRoutes = require('./routes/public');
+const { startDigestScheduler } = require('./services/digest');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,11 +38,37 @@ app.use('/api/auth', authRoutes);
 app.use('/api/sites', sitesRoutes);
 app.use('/api/pages', pagesRoutes);
 app.use('/api/screenshots', screenshotsRoutes);
+app.use('/api/component-screenshots', componentScreenshotsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/ai-sessions', aiSessionsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/device-profiles', deviceProfilesRoutes);
+app.use('/api/workers', workersRoutes);
+app.use('/api/share-links', shareLinksRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/organizations', organizationsRoutes);
+
+// Public share links (no login; scoped to the token in the URL)
+app.use('/api/public', publicRoutes);
+
+// Network logs and DOM snapshots stored next to the screenshots can carry session data
+// of pages behind a login: only the authenticated /api/screenshots/:id/har and /snapshot routes serve them
+const PRIVATE_CAPTURE_FILES = ['.har', '.html', '.dom.json', '.mhtml'];
 
 // Serve screenshots
-app.use('/screenshots', express.static(path.join(__dirname, '../screenshots')));
+app.use('/screenshots', (req, res, next) => {
+  let filePath = req.path;
+  try {
+    filePath = decodeURIComponent(filePath);
+  } catch (e) {
+    // Malformed paths are answered by express.static
+  }
+  const lowerPath = filePath.toLowerCase();
+  if (PRIVATE_CAPTURE_FILES.some(extension => lowerPath.endsWith(extension))) {
+    return res.status(404).end();
+  }
+  next();
+}, express.static(path.join(__dirname, '../screenshots')));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -53,4 +88,5 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`API server running on port ${PORT}`);
+  startDigestScheduler();
 });
@@ -1,7 +1,15 @@
 const jwt = require('jsonwebtoken');
+const { API_KEY_PREFIX } = require('../config/constants');
+const { findApiKey, recordApiKeyUse } = require('../services/api-keys');
+const { hasRole, getRequiredRole, getMemberships } = require('../services/organizations');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
 
+// Writes an API key with the "capture" scope may make (every other write needs "manage")
+const CAPTURE_ROUTES = [
+  /^\/api\/pages\/\d+\/capture$/
+];
+
 function authenticateToken(req, res, next) {
   // Check Authorization header first, then query parameter (for image requests)
   const authHeader = req.headers['authorization'];
@@ -16,15 +24,100 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
     req.user = user;
-    next();
+    loadOrganizations(req, res, next);
   });
 }
 
+// Load the user's memberships and the organization picked with X-Organization-Id
+async function loadOrganizations(req, res, next) {
+  try {
+    req.memberships = await getMemberships(req.user.id);
+
+    // An organization the user is no longer a member of is only rejected by routes that act on it,
+    // so the client can still list its organizations and switch
+    const requestedId = parseInt(req.headers['x-organization-id']);
+    req.organization = requestedId
+      ? req.memberships.find(membership => membership.id === requestedId) || null
+      : req.memberships[0] || null;
+
+    next();
+  } catch (error) {
+    console.error('Load organizations error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+}
+
+// For routes acting on the current organization (settings, webhooks, device profiles):
+// reads need any role in it and changes the editor role, unless a minimum role is given
+function requireOrganizationRole(minimumRole = null) {
+  return (req, res, next) => {
+    if (!req.organization) {
+      return res.status(403).json({ error: 'You are not a member of this organization' });
+    }
+    const role = minimumRole || getRequiredRole(req);
+    if (!hasRole(req.organization.role, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role in the organization` });
+    }
+    next();
+  };
+}
+
+const requireOrganization = requireOrganizationRole();
+
+// Scope an API key needs for a request
+function getRequiredScope(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return 'read';
+  }
+  const route = req.baseUrl + req.path;
+  return CAPTURE_ROUTES.some(pattern => pattern.test(route)) ? 'capture' : 'manage';
+}
+
+// Whether an API key's scopes cover a scope ("manage" includes "capture")
+function hasScope(scopes, scope) {
+  return scopes.includes(scope) || (scope === 'capture' && scopes.includes('manage'));
+}
+
+async function authenticateApiKey(key, req, res, next) {
+  try {
+    const apiKey = await findApiKey(key);
+    if (!apiKey) {
+      return res.status(403).json({ error: 'Invalid or revoked API key' });
+    }
+
+    const scope = getRequiredScope(req);
+    if (!hasScope(apiKey.scopes, scope)) {
+      return res.status(403).json({ error: `This API key does not have the "${scope}" scope` });
+    }
+
+    await recordApiKeyUse(apiKey.id);
+
+    req.user = { id: apiKey.user_id, email: apiKey.email };
+    req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+    loadOrganizations(req, res, next);
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+}
+
+// For routes that need a logged-in user rather than an API key (e.g. managing API keys)
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'API keys cannot be used for this request' });
+  }
+  next();
+}
+
 function generateToken(user) {
   return jwt.sign(
     { id: user.id, email: user.email },
@@ -33,4 +126,13 @@ function generateToken(user) {
   );
 }
 
-module.exports = { authenticateToken, generateToken, JWT_SECRET };
+module.exports = {
+  authenticateToken,
+  requireOrganization,
+  requireOrganizationRole,
+  requireSession,
+  generateToken,
+  getRequiredScope,
+  hasScope,
+  JWT_SECRET
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getOrganizationIds } = require('../services/organizations');
 
 const router = express.Router();
 
@@ -9,9 +10,9 @@ router.use(authenticateToken);
 
 /**
  * Helper function to verify session ownership via instruction or test
- * Returns the session if found and owned by the user, null otherwise
+ * Returns the session if found in an organization the request may touch, null otherwise
  */
-async function verifySessionOwnership(sessionId, userId) {
+async function verifySessionOwnership(sessionId, req) {
   const [sessions] = await db.query(
     `SELECT s.* FROM ai_sessions s
      LEFT JOIN instructions i ON s.type = 'instruction' AND s.target_id = i.id
@@ -20,8 +21,8 @@ async function verifySessionOwnership(sessionId, userId) {
      LEFT JOIN pages pt ON t.page_id = pt.id
      LEFT JOIN sites si ON pi.site_id = si.id
      LEFT JOIN sites st ON pt.site_id = st.id
-     WHERE s.id = ? AND (si.user_id = ? OR st.user_id = ?)`,
-    [sessionId, userId, userId]
+     WHERE s.id = ? AND (si.organization_id IN (?) OR st.organization_id IN (?))`,
+    [sessionId, getOrganizationIds(req), getOrganizationIds(req)]
   );
   return sessions[0] || null;
 }
@@ -44,10 +45,10 @@ router.get('/latest/:type/:targetId', async (req, res) => {
        LEFT JOIN pages pt ON t.page_id = pt.id
        LEFT JOIN sites si ON pi.site_id = si.id
        LEFT JOIN sites st ON pt.site_id = st.id
-       WHERE s.type = ? AND s.target_id = ? AND (si.user_id = ? OR st.user_id = ?)
+       WHERE s.type = ? AND s.target_id = ? AND (si.organization_id IN (?) OR st.organization_id IN (?))
        ORDER BY s.created_at DESC
        LIMIT 1`,
-      [type, targetId, req.user.id, req.user.id]
+      [type, targetId, getOrganizationIds(req), getOrganizationIds(req)]
     );
 
     if (sessions.length === 0) {
@@ -64,7 +65,7 @@ router.get('/latest/:type/:targetId', async (req, res) => {
 // Get AI session by ID
 router.get('/:id', async (req, res) => {
   try {
-    const session = await verifySessionOwnership(req.params.id, req.user.id);
+    const session = await verifySessionOwnership(req.params.id, req);
     
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
@@ -80,7 +81,7 @@ router.get('/:id', async (req, res) => {
 // Get messages for an AI session (supports polling with ?after=lastId)
 router.get('/:id/messages', async (req, res) => {
   try {
-    const session = await verifySessionOwnership(req.params.id, req.user.id);
+    const session = await verifySessionOwnership(req.params.id, req);
     
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
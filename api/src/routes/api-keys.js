@@ -0,0 +1,79 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { generateApiKey, validateApiKey, formatApiKey } = require('../services/api-keys');
+
+const router = express.Router();
+
+// All routes require a logged-in user (an API key cannot create or revoke keys)
+router.use(authenticateToken);
+router.use(requireSession);
+
+// Get API keys of the user (the keys themselves are never returned again)
+router.get('/', async (req, res) => {
+  try {
+    const [keys] = await db.query(
+      `SELECT id, name, key_prefix, scopes, last_used_at, created_at
+       FROM api_keys
+       WHERE user_id = ?
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json(keys.map(formatApiKey));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to get API keys' });
+  }
+});
+
+// Create API key (the response is the only time the full key is shown)
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const validationError = validateApiKey(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const uniqueScopes = [...new Set(scopes)];
+
+    const [result] = await db.query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [req.user.id, name.trim(), prefix, hash, JSON.stringify(uniqueScopes)]
+    );
+
+    const [keys] = await db.query(
+      'SELECT id, name, key_prefix, scopes, last_used_at, created_at FROM api_keys WHERE id = ?',
+      [result.insertId]
+    );
+    res.status(201).json({ ...formatApiKey(keys[0]), key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke API key (requests with it fail immediately)
+router.delete('/:id', async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'DELETE FROM api_keys WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const db = require('../config/database');
 const { generateToken, authenticateToken } = require('../middleware/auth');
+const { createOrganization } = require('../services/organizations');
 
 const router = express.Router();
 
@@ -31,6 +32,9 @@ router.post('/register', async (req, res) => {
       [email, passwordHash]
     );
 
+    // Every user starts with a personal organization for their sites
+    await createOrganization('Personal', result.insertId);
+
     const user = { id: result.insertId, email };
     const token = generateToken(user);
 
@@ -0,0 +1,59 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getOrganizationIds } = require('../services/organizations');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper function to get a component screenshot in an organization the request may touch
+async function getOwnedComponentScreenshot(componentScreenshotId, req) {
+  const [rows] = await db.query(
+    `SELECT cs.* FROM component_screenshots cs
+     JOIN page_components pc ON cs.component_id = pc.id
+     JOIN pages p ON pc.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE cs.id = ? AND s.organization_id IN (?)`,
+    [componentScreenshotId, getOrganizationIds(req)]
+  );
+  return rows[0] || null;
+}
+
+// Helper to serve one of the stored files (file_path, thumbnail_path or diff_path)
+function serveFile(column, label) {
+  return async (req, res) => {
+    try {
+      const componentScreenshot = await getOwnedComponentScreenshot(req.params.id, req);
+      if (!componentScreenshot) {
+        return res.status(404).json({ error: 'Component screenshot not found' });
+      }
+
+      if (!componentScreenshot[column]) {
+        return res.status(404).json({ error: `${label} not available` });
+      }
+
+      const filePath = path.join(__dirname, '../../screenshots', componentScreenshot[column]);
+
+      try {
+        await fs.access(filePath);
+        res.sendFile(filePath);
+      } catch {
+        res.status(404).json({ error: `${label} file not found` });
+      }
+    } catch (error) {
+      console.error(`Get component ${label.toLowerCase()} error:`, error);
+      res.status(500).json({ error: `Failed to get component ${label.toLowerCase()}` });
+    }
+  };
+}
+
+// Serve element screenshot, thumbnail and stored diff against the previous capture
+router.get('/:id/image', serveFile('file_path', 'Image'));
+router.get('/:id/thumbnail', serveFile('thumbnail_path', 'Thumbnail'));
+router.get('/:id/diff', serveFile('diff_path', 'Diff'));
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, requireOrganization } = require('../middleware/auth');
+const { formatDeviceProfile, validateDeviceProfile } = require('../services/device-profiles');
+
+const router = express.Router();
+
+// All routes require authentication and act on the current organization's profiles
+router.use(authenticateToken);
+router.use(requireOrganization);
+
+// Helper function to verify profile ownership (built-in profiles are read-only)
+async function getOwnedDeviceProfile(profileId, organizationId) {
+  const [profiles] = await db.query(
+    'SELECT * FROM device_profiles WHERE id = ? AND organization_id = ?',
+    [profileId, organizationId]
+  );
+  return profiles[0] || null;
+}
+
+// Get built-in and custom device profiles (widest first)
+router.get('/', async (req, res) => {
+  try {
+    const [profiles] = await db.query(
+      `SELECT * FROM device_profiles
+       WHERE organization_id IS NULL OR organization_id = ?
+       ORDER BY organization_id IS NULL DESC, width DESC, name ASC`,
+      [req.organization.id]
+    );
+
+    res.json(profiles.map(formatDeviceProfile));
+  } catch (error) {
+    console.error('Get device profiles error:', error);
+    res.status(500).json({ error: 'Failed to get device profiles' });
+  }
+});
+
+// Create custom device profile
+router.post('/', async (req, res) => {
+  try {
+    const {
+      name, width, height, device_scale_factor = 1,
+      is_mobile = false, has_touch = false, is_landscape = false, user_agent
+    } = req.body;
+
+    const validationError = validateDeviceProfile(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO device_profiles
+         (organization_id, name, width, height, device_scale_factor, is_mobile, has_touch, is_landscape, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.organization.id, name.trim(), width, height, device_scale_factor,
+        is_mobile ? 1 : 0, has_touch ? 1 : 0, is_landscape ? 1 : 0, user_agent || null
+      ]
+    );
+
+    const profile = await getOwnedDeviceProfile(result.insertId, req.organization.id);
+    res.status(201).json(formatDeviceProfile(profile));
+  } catch (error) {
+    console.error('Create device profile error:', error);
+    res.status(500).json({ error: 'Failed to create device profile' });
+  }
+});
+
+// Update custom device profile
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, width, height, device_scale_factor, is_mobile, has_touch, is_landscape, user_agent } = req.body;
+
+    const existing = await getOwnedDeviceProfile(req.params.id, req.organization.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Device profile not found' });
+    }
+
+    const validationError = validateDeviceProfile(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name.trim());
+    }
+    if (width !== undefined) {
+      updates.push('width = ?');
+      values.push(width);
+    }
+    if (height !== undefined) {
+      updates.push('height = ?');
+      values.push(height);
+    }
+    if (device_scale_factor !== undefined) {
+      updates.push('device_scale_factor = ?');
+      values.push(device_scale_factor);
+    }
+    if (is_mobile !== undefined) {
+      updates.push('is_mobile = ?');
+      values.push(is_mobile ? 1 : 0);
+    }
+    if (has_touch !== undefined) {
+      updates.push('has_touch = ?');
+      values.push(has_touch ? 1 : 0);
+    }
+    if (is_landscape !== undefined) {
+      updates.push('is_landscape = ?');
+      values.push(is_landscape ? 1 : 0);
+    }
+    if (user_agent !== undefined) {
+      updates.push('user_agent = ?');
+      values.push(user_agent || null);
+    }
+
+    if (updates.length > 0) {
+      values.push(req.params.id);
+      await db.query(`UPDATE device_profiles SET ${updates.join(', ')} WHERE id = ?`, values);
+    }
+
+    const profile = await getOwnedDeviceProfile(req.params.id, req.organization.id);
+    res.json(formatDeviceProfile(profile));
+  } catch (error) {
+    console.error('Update device profile error:', error);
+    res.status(500).json({ error: 'Failed to update device profile' });
+  }
+});
+
+// Delete custom device profile (screenshots keep the recorded device name)
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await getOwnedDeviceProfile(req.params.id, req.organization.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Device profile not found' });
+    }
+
+    await db.query('DELETE FROM device_profiles WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Device profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete device profile error:', error);
+    res.status(500).json({ error: 'Failed to delete device profile' });
+  }
+});
+
+module.exports = router;
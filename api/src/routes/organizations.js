@@ -0,0 +1,376 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { ORGANIZATION_ROLES, ORGANIZATION_INVITE_EXPIRY_DAYS } = require('../config/constants');
+const {
+  hasRole,
+  createOrganization,
+  countOwners,
+  generateInviteToken,
+  validateInvite
+} = require('../services/organizations');
+const { isMailConfigured, sendMail } = require('../services/mailer');
+
+const router = express.Router();
+
+// All routes require authentication; changing memberships needs a logged-in user (not an API key)
+router.use(authenticateToken);
+
+// Helper to get the request user's membership of an organization
+function getMembership(req, organizationId) {
+  return req.memberships.find(membership => membership.id === parseInt(organizationId)) || null;
+}
+
+// Helper for routes that need a role in the organization of the URL (404 for non-members)
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    const membership = getMembership(req, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    if (!hasRole(membership.role, minimumRole)) {
+      return res.status(403).json({ error: `This needs the ${minimumRole} role in the organization` });
+    }
+    req.membership = membership;
+    next();
+  };
+}
+
+function validateName(name) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  if (name.length > 255) {
+    return 'Name must be at most 255 characters';
+  }
+  return null;
+}
+
+function inviteLink(token) {
+  const appUrl = process.env.APP_URL;
+  return appUrl ? `${appUrl.replace(/\/$/, '')}/invite/${token}` : null;
+}
+
+// Get an invite (shown on the accept page)
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const [invites] = await db.query(
+      `SELECT i.email, i.role, i.expires_at, o.name as organization_name, u.email as invited_by_email,
+              (i.expires_at <= NOW()) as is_expired
+       FROM organization_invites i
+       JOIN organizations o ON i.organization_id = o.id
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.token = ?`,
+      [req.params.token]
+    );
+
+    if (invites.length === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ ...invites[0], is_expired: Boolean(invites[0].is_expired) });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: 'Failed to get invite' });
+  }
+});
+
+// Accept an invite (only the invited email can accept it)
+router.post('/invites/:token/accept', requireSession, async (req, res) => {
+  try {
+    const [invites] = await db.query(
+      'SELECT * FROM organization_invites WHERE token = ? AND expires_at > NOW()',
+      [req.params.token]
+    );
+
+    if (invites.length === 0) {
+      return res.status(404).json({ error: 'Invite not found or expired' });
+    }
+
+    const invite = invites[0];
+    if (invite.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ error: `This invite is for ${invite.email}` });
+    }
+
+    // Existing members keep their current role
+    await db.query(
+      'INSERT IGNORE INTO organization_members (organization_id, user_id, role) VALUES (?, ?, ?)',
+      [invite.organization_id, req.user.id, invite.role]
+    );
+    await db.query('DELETE FROM organization_invites WHERE id = ?', [invite.id]);
+
+    const [organizations] = await db.query(
+      `SELECT o.id, o.name, om.role
+       FROM organizations o
+       JOIN organization_members om ON om.organization_id = o.id
+       WHERE o.id = ? AND om.user_id = ?`,
+      [invite.organization_id, req.user.id]
+    );
+    res.json(organizations[0]);
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// Get organizations of the user with their role and member count
+router.get('/', async (req, res) => {
+  try {
+    const [organizations] = await db.query(
+      `SELECT o.id, o.name, o.created_at, om.role,
+        (SELECT COUNT(*) FROM organization_members m WHERE m.organization_id = o.id) as member_count
+       FROM organization_members om
+       JOIN organizations o ON om.organization_id = o.id
+       WHERE om.user_id = ?
+       ORDER BY om.created_at ASC, om.id ASC`,
+      [req.user.id]
+    );
+
+    res.json(organizations);
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Failed to get organizations' });
+  }
+});
+
+// Create organization (the user becomes its owner)
+router.post('/', requireSession, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const nameError = validateName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const organizationId = await createOrganization(name.trim(), req.user.id);
+
+    const [organizations] = await db.query('SELECT * FROM organizations WHERE id = ?', [organizationId]);
+    res.status(201).json({ ...organizations[0], role: 'owner', member_count: 1 });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Rename organization
+router.put('/:id', requireSession, requireRole('owner'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const nameError = validateName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    await db.query('UPDATE organizations SET name = ? WHERE id = ?', [name.trim(), req.membership.id]);
+
+    const [organizations] = await db.query('SELECT * FROM organizations WHERE id = ?', [req.membership.id]);
+    res.json({ ...organizations[0], role: req.membership.role });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// Delete organization (only once it has no sites, so nothing is removed by accident)
+router.delete('/:id', requireSession, requireRole('owner'), async (req, res) => {
+  try {
+    const [sites] = await db.query(
+      'SELECT COUNT(*) as total FROM sites WHERE organization_id = ?',
+      [req.membership.id]
+    );
+    if (sites[0].total > 0) {
+      return res.status(409).json({ error: 'Delete the sites of this organization first' });
+    }
+
+    await db.query('DELETE FROM organizations WHERE id = ?', [req.membership.id]);
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ error: 'Failed to delete organization' });
+  }
+});
+
+// Get members of an organization
+router.get('/:id/members', requireRole('viewer'), async (req, res) => {
+  try {
+    const [members] = await db.query(
+      `SELECT u.id as user_id, u.email, om.role, om.created_at
+       FROM organization_members om
+       JOIN users u ON om.user_id = u.id
+       WHERE om.organization_id = ?
+       ORDER BY om.created_at ASC, om.id ASC`,
+      [req.membership.id]
+    );
+
+    res.json(members);
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to get members' });
+  }
+});
+
+// Change a member's role (an organization always keeps at least one owner)
+router.put('/:id/members/:userId', requireSession, requireRole('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+    }
+
+    const [members] = await db.query(
+      'SELECT role FROM organization_members WHERE organization_id = ? AND user_id = ?',
+      [req.membership.id, req.params.userId]
+    );
+    if (members.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (members[0].role === 'owner' && role !== 'owner' && await countOwners(req.membership.id) <= 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner' });
+    }
+
+    await db.query(
+      'UPDATE organization_members SET role = ? WHERE organization_id = ? AND user_id = ?',
+      [role, req.membership.id, req.params.userId]
+    );
+
+    res.json({ message: 'Member updated successfully' });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member (owners can remove anyone, everyone can leave)
+router.delete('/:id/members/:userId', requireSession, requireRole('viewer'), async (req, res) => {
+  try {
+    const isSelf = parseInt(req.params.userId) === req.user.id;
+    if (!isSelf && req.membership.role !== 'owner') {
+      return res.status(403).json({ error: 'This needs the owner role in the organization' });
+    }
+
+    const [members] = await db.query(
+      'SELECT role FROM organization_members WHERE organization_id = ? AND user_id = ?',
+      [req.membership.id, req.params.userId]
+    );
+    if (members.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (members[0].role === 'owner' && await countOwners(req.membership.id) <= 1) {
+      return res.status(400).json({ error: 'An organization needs at least one owner' });
+    }
+
+    await db.query(
+      'DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?',
+      [req.membership.id, req.params.userId]
+    );
+
+    res.json({ message: isSelf ? 'Left organization successfully' : 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Get pending invites of an organization
+router.get('/:id/invites', requireRole('owner'), async (req, res) => {
+  try {
+    const [invites] = await db.query(
+      `SELECT i.id, i.email, i.role, i.token, i.expires_at, i.created_at, u.email as invited_by_email,
+              (i.expires_at <= NOW()) as is_expired
+       FROM organization_invites i
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.organization_id = ?
+       ORDER BY i.created_at DESC`,
+      [req.membership.id]
+    );
+
+    res.json(invites.map(invite => ({ ...invite, is_expired: Boolean(invite.is_expired) })));
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to get invites' });
+  }
+});
+
+// Invite someone by email (inviting the same email again renews the invite)
+router.post('/:id/invites', requireSession, requireRole('owner'), async (req, res) => {
+  try {
+    const validationError = validateInvite(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const email = req.body.email.trim();
+    const { role } = req.body;
+
+    const [members] = await db.query(
+      `SELECT om.id FROM organization_members om
+       JOIN users u ON om.user_id = u.id
+       WHERE om.organization_id = ? AND u.email = ?`,
+      [req.membership.id, email]
+    );
+    if (members.length > 0) {
+      return res.status(409).json({ error: 'This user is already a member' });
+    }
+
+    const token = generateInviteToken();
+    await db.query(
+      `INSERT INTO organization_invites (organization_id, email, role, token, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+       ON DUPLICATE KEY UPDATE role = VALUES(role), token = VALUES(token),
+         invited_by = VALUES(invited_by), expires_at = VALUES(expires_at)`,
+      [req.membership.id, email, role, token, req.user.id, ORGANIZATION_INVITE_EXPIRY_DAYS]
+    );
+
+    // Best effort: the invite link can also be copied from the response
+    const link = inviteLink(token);
+    let emailSent = false;
+    if (link && isMailConfigured()) {
+      try {
+        await sendMail({
+          to: email,
+          subject: `You're invited to ${req.membership.name} on VibeShot`,
+          text: `${req.user.email} invited you to join ${req.membership.name} as ${role}.\n\n` +
+            `Accept the invite: ${link}\n\nThe invite expires in ${ORGANIZATION_INVITE_EXPIRY_DAYS} days.`
+        });
+        emailSent = true;
+      } catch (mailError) {
+        console.error('Invite email error:', mailError);
+      }
+    }
+
+    const [invites] = await db.query(
+      `SELECT id, email, role, token, expires_at, created_at FROM organization_invites WHERE token = ?`,
+      [token]
+    );
+    res.status(201).json({ ...invites[0], invited_by_email: req.user.email, is_expired: false, email_sent: emailSent });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Revoke a pending invite
+router.delete('/:id/invites/:inviteId', requireSession, requireRole('owner'), async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'DELETE FROM organization_invites WHERE id = ? AND organization_id = ?',
+      [req.params.inviteId, req.membership.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+module.exports = router;
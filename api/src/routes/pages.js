@@ -1,6 +1,17 @@
 const express = require('express');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getOrganizationIds } = require('../services/organizations');
+const { validateSchedule } = require('../services/schedule');
+const { getPageSchedule } = require('../services/dashboard');
+const { formatRequestSettings, validateRequestSettings, getRequestSettingsRow, saveRequestSettings } = require('../services/request-settings');
+const { validateDeviceProfileIds } = require('../services/device-profiles');
+const { validateComponent, deleteComponentScreenshotFiles } = require('../services/components');
+const { validateTextWatch, normalizeOptional, formatWatchResult } = require('../services/text-watches');
+const { PAGE_PRIORITY, PROBE_INTERVAL_MINUTES } = require('../config/constants');
+const { CAPTURE_JOB_STATUSES, getCaptureJobs, getRetryStates, getViewportResults } = require('../services/capture-jobs');
+const { getPageMetrics, validateBudget } = require('../services/metrics');
+const { parsePeriodDays, getPageUptime } = require('../services/uptime');
 
 const router = express.Router();
 
@@ -10,13 +21,13 @@ const WORKER_API_URL = process.env.WORKER_API_URL || 'http://worker:3001';
 // All routes require authentication
 router.use(authenticateToken);
 
-// Helper function to verify page ownership
-async function verifyPageOwnership(pageId, userId) {
+// Helper function to verify the page belongs to an organization the request may touch
+async function verifyPageOwnership(pageId, req) {
   const [pages] = await db.query(
     `SELECT p.* FROM pages p
      JOIN sites s ON p.site_id = s.id
-     WHERE p.id = ? AND s.user_id = ?`,
-    [pageId, userId]
+     WHERE p.id = ? AND s.organization_id IN (?)`,
+    [pageId, getOrganizationIds(req)]
   );
   return pages[0] || null;
 }
@@ -116,8 +127,8 @@ router.delete('/batch', async (req, res) => {
     const [pages] = await db.query(
       `SELECT p.* FROM pages p
        JOIN sites s ON p.site_id = s.id
-       WHERE p.id IN (${placeholders}) AND s.user_id = ?`,
-      [...ids, req.user.id]
+       WHERE p.id IN (${placeholders}) AND s.organization_id IN (?)`,
+      [...ids, getOrganizationIds(req)]
     );
 
     if (pages.length === 0) {
@@ -139,14 +150,71 @@ router.delete('/batch', async (req, res) => {
   }
 });
 
+const MAX_CAPTURE_VARIANTS = 10;
+
+/**
+ * Validate capture variants (extra captures per viewport with emulated
+ * color scheme, reduced motion, locale or time zone)
+ * @param {Array|null} variants - Variants, or null for the default capture only
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCaptureVariants(variants) {
+  if (variants === null) {
+    return null;
+  }
+  if (!Array.isArray(variants)) {
+    return 'Capture variants must be an array';
+  }
+  if (variants.length > MAX_CAPTURE_VARIANTS) {
+    return `Add at most ${MAX_CAPTURE_VARIANTS} capture variants`;
+  }
+
+  const names = new Set();
+  for (const variant of variants) {
+    if (!variant || typeof variant.name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(variant.name)) {
+      return 'Variant names must be lowercase letters, digits and dashes (max 50 characters)';
+    }
+    if (variant.name === 'default') {
+      return 'Variant name "default" is reserved';
+    }
+    if (names.has(variant.name)) {
+      return `Duplicate variant name: ${variant.name}`;
+    }
+    names.add(variant.name);
+
+    if (variant.color_scheme !== undefined && variant.color_scheme !== null && !['light', 'dark'].includes(variant.color_scheme)) {
+      return 'Color scheme must be light or dark';
+    }
+    if (variant.reduced_motion !== undefined && typeof variant.reduced_motion !== 'boolean') {
+      return 'Reduced motion must be true or false';
+    }
+    if (variant.locale !== undefined && variant.locale !== null &&
+        (typeof variant.locale !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(variant.locale))) {
+      return `Invalid locale: ${variant.locale}`;
+    }
+    if (variant.timezone !== undefined && variant.timezone !== null) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: variant.timezone });
+      } catch {
+        return `Unknown time zone: ${variant.timezone}`;
+      }
+    }
+    if (!variant.color_scheme && !variant.reduced_motion && !variant.locale && !variant.timezone) {
+      return `Variant ${variant.name} does not change anything`;
+    }
+  }
+
+  return null;
+}
+
 // Get single page
 router.get('/:id', async (req, res) => {
   try {
     const [pages] = await db.query(
       `SELECT p.* FROM pages p
        JOIN sites s ON p.site_id = s.id
-       WHERE p.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (pages.length === 0) {
@@ -154,10 +222,22 @@ router.get('/:id', async (req, res) => {
     }
 
     const page = pages[0];
-    // Parse viewports if it's a string
+    // Parse viewports, device profiles, capture variants and blackout windows if they're strings
     if (page.viewports && typeof page.viewports === 'string') {
       page.viewports = JSON.parse(page.viewports);
     }
+    if (page.blackout_windows && typeof page.blackout_windows === 'string') {
+      page.blackout_windows = JSON.parse(page.blackout_windows);
+    }
+    if (page.device_profiles && typeof page.device_profiles === 'string') {
+      page.device_profiles = JSON.parse(page.device_profiles);
+    }
+    if (page.capture_variants && typeof page.capture_variants === 'string') {
+      page.capture_variants = JSON.parse(page.capture_variants);
+    }
+
+    // Effective schedule after cascade and next planned capture
+    Object.assign(page, await getPageSchedule(page.id));
 
     res.json(page);
   } catch (error) {
@@ -169,20 +249,67 @@ router.get('/:id', async (req, res) => {
 // Update page
 router.put('/:id', async (req, res) => {
   try {
-    const { url, name, interval_minutes, viewports, is_active } = req.body;
+    const {
+      url, name, interval_minutes, viewports, device_profiles, capture_variants, is_active,
+      schedule_cron, schedule_timezone, blackout_windows, login_profile_id, priority, record_har,
+      archive_mhtml, probe_interval_minutes
+    } = req.body;
 
     // Verify ownership
     const [existing] = await db.query(
-      `SELECT p.* FROM pages p
+      `SELECT p.*, s.organization_id FROM pages p
        JOIN sites s ON p.site_id = s.id
-       WHERE p.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (existing.length === 0) {
       return res.status(404).json({ error: 'Page not found' });
     }
 
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // Login profile must belong to the page's site
+    if (login_profile_id !== undefined && login_profile_id !== null) {
+      const [profiles] = await db.query(
+        'SELECT id FROM login_profiles WHERE id = ? AND site_id = ?',
+        [login_profile_id, existing[0].site_id]
+      );
+      if (profiles.length === 0) {
+        return res.status(400).json({ error: 'Login profile not found for this site' });
+      }
+    }
+
+    if (device_profiles !== undefined) {
+      const deviceProfilesError = await validateDeviceProfileIds(device_profiles, existing[0].organization_id);
+      if (deviceProfilesError) {
+        return res.status(400).json({ error: deviceProfilesError });
+      }
+    }
+
+    if (capture_variants !== undefined) {
+      const variantsError = validateCaptureVariants(capture_variants);
+      if (variantsError) {
+        return res.status(400).json({ error: variantsError });
+      }
+    }
+
+    if (priority !== undefined &&
+        (!Number.isInteger(priority) || priority < PAGE_PRIORITY.MIN || priority > PAGE_PRIORITY.MAX)) {
+      return res.status(400).json({ error: `Priority must be between ${PAGE_PRIORITY.MIN} and ${PAGE_PRIORITY.MAX}` });
+    }
+
+    if (probe_interval_minutes !== undefined && probe_interval_minutes !== null &&
+        (!Number.isInteger(probe_interval_minutes) ||
+         probe_interval_minutes < PROBE_INTERVAL_MINUTES.MIN || probe_interval_minutes > PROBE_INTERVAL_MINUTES.MAX)) {
+      return res.status(400).json({
+        error: `Probe interval must be between ${PROBE_INTERVAL_MINUTES.MIN} and ${PROBE_INTERVAL_MINUTES.MAX} minutes`
+      });
+    }
+
     // Build dynamic update query to handle null values explicitly
     const updates = [];
     const values = [];
@@ -200,15 +327,60 @@ router.put('/:id', async (req, res) => {
       updates.push('interval_minutes = ?');
       values.push(interval_minutes);
     }
+    // Schedule fields can be null (inherit) or a value
+    if (schedule_cron !== undefined) {
+      updates.push('schedule_cron = ?');
+      values.push(schedule_cron ? schedule_cron.trim() : null);
+    }
+    if (schedule_timezone !== undefined) {
+      updates.push('schedule_timezone = ?');
+      values.push(schedule_timezone || null);
+    }
+    if (blackout_windows !== undefined) {
+      updates.push('blackout_windows = ?');
+      values.push(blackout_windows ? JSON.stringify(blackout_windows) : null);
+    }
     // viewports can be null (use defaults) or an array
     if (viewports !== undefined) {
       updates.push('viewports = ?');
       values.push(viewports ? JSON.stringify(viewports) : null);
     }
+    // device_profiles can be null (use site/organization defaults), [] (use viewports) or an array of profile IDs
+    if (device_profiles !== undefined) {
+      updates.push('device_profiles = ?');
+      values.push(device_profiles ? JSON.stringify(device_profiles) : null);
+    }
+    // capture_variants can be null or [] (default capture only) or an array of variants
+    if (capture_variants !== undefined) {
+      updates.push('capture_variants = ?');
+      values.push(capture_variants && capture_variants.length > 0 ? JSON.stringify(capture_variants) : null);
+    }
     if (is_active !== undefined) {
       updates.push('is_active = ?');
       values.push(is_active);
     }
+    // login_profile_id can be null (use the site's default profile) or a profile ID
+    if (login_profile_id !== undefined) {
+      updates.push('login_profile_id = ?');
+      values.push(login_profile_id);
+    }
+    if (priority !== undefined) {
+      updates.push('priority = ?');
+      values.push(priority);
+    }
+    if (record_har !== undefined) {
+      updates.push('record_har = ?');
+      values.push(!!record_har);
+    }
+    if (archive_mhtml !== undefined) {
+      updates.push('archive_mhtml = ?');
+      values.push(!!archive_mhtml);
+    }
+    // probe_interval_minutes can be null (no uptime probes) or a number
+    if (probe_interval_minutes !== undefined) {
+      updates.push('probe_interval_minutes = ?');
+      values.push(probe_interval_minutes);
+    }
 
     if (updates.length > 0) {
       values.push(req.params.id);
@@ -220,11 +392,20 @@ router.put('/:id', async (req, res) => {
 
     const [pages] = await db.query('SELECT * FROM pages WHERE id = ?', [req.params.id]);
     
-    // Parse viewports if it's a string
+    // Parse viewports, device profiles, capture variants and blackout windows if they're strings
     const page = pages[0];
     if (page.viewports && typeof page.viewports === 'string') {
       page.viewports = JSON.parse(page.viewports);
     }
+    if (page.blackout_windows && typeof page.blackout_windows === 'string') {
+      page.blackout_windows = JSON.parse(page.blackout_windows);
+    }
+    if (page.device_profiles && typeof page.device_profiles === 'string') {
+      page.device_profiles = JSON.parse(page.device_profiles);
+    }
+    if (page.capture_variants && typeof page.capture_variants === 'string') {
+      page.capture_variants = JSON.parse(page.capture_variants);
+    }
     
     res.json(page);
   } catch (error) {
@@ -236,7 +417,7 @@ router.put('/:id', async (req, res) => {
 // Resolve page title from URL
 router.post('/:id/resolve-title', async (req, res) => {
   try {
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -254,10 +435,19 @@ router.post('/:id/resolve-title', async (req, res) => {
     const [pages] = await db.query('SELECT * FROM pages WHERE id = ?', [page.id]);
     const updatedPage = pages[0];
     
-    // Parse viewports if it's a string
+    // Parse viewports, device profiles, capture variants and blackout windows if they're strings
     if (updatedPage.viewports && typeof updatedPage.viewports === 'string') {
       updatedPage.viewports = JSON.parse(updatedPage.viewports);
     }
+    if (updatedPage.blackout_windows && typeof updatedPage.blackout_windows === 'string') {
+      updatedPage.blackout_windows = JSON.parse(updatedPage.blackout_windows);
+    }
+    if (updatedPage.device_profiles && typeof updatedPage.device_profiles === 'string') {
+      updatedPage.device_profiles = JSON.parse(updatedPage.device_profiles);
+    }
+    if (updatedPage.capture_variants && typeof updatedPage.capture_variants === 'string') {
+      updatedPage.capture_variants = JSON.parse(updatedPage.capture_variants);
+    }
 
     res.json(updatedPage);
   } catch (error) {
@@ -273,8 +463,8 @@ router.delete('/:id', async (req, res) => {
     const [existing] = await db.query(
       `SELECT p.* FROM pages p
        JOIN sites s ON p.site_id = s.id
-       WHERE p.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (existing.length === 0) {
@@ -295,27 +485,30 @@ router.get('/:id/screenshots', async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
     const viewport = req.query.viewport; // Optional viewport filter
+    const variant = req.query.variant; // Optional variant filter ('default' = no variant)
 
     // Verify ownership
     const [pages] = await db.query(
       `SELECT p.* FROM pages p
        JOIN sites s ON p.site_id = s.id
-       WHERE p.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (pages.length === 0) {
       return res.status(404).json({ error: 'Page not found' });
     }
 
-    // Build query with optional viewport filter (includes error counts and test results)
+    // Build query with optional viewport and variant filters (includes error counts and test results)
     let screenshotsQuery = `
       SELECT s.*, 
              COALESCE(error_counts.js_error_count, 0) as js_error_count,
              COALESCE(error_counts.network_error_count, 0) as network_error_count,
              COALESCE(test_counts.tests_passed, 0) as tests_passed,
-             COALESCE(test_counts.tests_failed, 0) as tests_failed
+             COALESCE(test_counts.tests_failed, 0) as tests_failed,
+             (pb.id IS NOT NULL) as is_baseline
       FROM screenshots s
+      LEFT JOIN page_baselines pb ON pb.screenshot_id = s.id
       LEFT JOIN (
         SELECT screenshot_id,
                SUM(CASE WHEN error_type = 'js' THEN 1 ELSE 0 END) as js_error_count,
@@ -341,6 +534,15 @@ router.get('/:id/screenshots', async (req, res) => {
       queryParams.push(viewport);
       countParams.push(viewport);
     }
+    if (variant === 'default') {
+      screenshotsQuery += ` AND s.variant IS NULL`;
+      countQuery += ` AND variant IS NULL`;
+    } else if (variant) {
+      screenshotsQuery += ` AND s.variant = ?`;
+      countQuery += ` AND variant = ?`;
+      queryParams.push(variant);
+      countParams.push(variant);
+    }
 
     screenshotsQuery += ` ORDER BY s.created_at DESC, s.viewport ASC LIMIT ? OFFSET ?`;
     queryParams.push(limit, offset);
@@ -348,6 +550,13 @@ router.get('/:id/screenshots', async (req, res) => {
     const [screenshots] = await db.query(screenshotsQuery, queryParams);
     const [countResult] = await db.query(countQuery, countParams);
 
+    // Parse ignore rects JSON (MariaDB returns JSON columns as strings)
+    for (const screenshot of screenshots) {
+      if (screenshot.ignore_rects && typeof screenshot.ignore_rects === 'string') {
+        screenshot.ignore_rects = JSON.parse(screenshot.ignore_rects);
+      }
+    }
+
     res.json({
       screenshots,
       total: countResult[0].total,
@@ -360,6 +569,75 @@ router.get('/:id/screenshots', async (req, res) => {
   }
 });
 
+// Get performance metrics of a page's screenshots over time (oldest first)
+router.get('/:id/metrics', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const viewport = req.query.viewport || null; // Optional viewport filter
+    const variant = req.query.variant || null; // Optional variant filter ('default' = no variant)
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const metrics = await getPageMetrics(page.id, { viewport, variant }, limit);
+
+    res.json({ metrics });
+  } catch (error) {
+    console.error('Get page metrics error:', error);
+    res.status(500).json({ error: 'Failed to get metrics' });
+  }
+});
+
+// Get the uptime of a page from its HTTP probes (?days=, default 30)
+router.get('/:id/uptime', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const uptime = await getPageUptime(page, parsePeriodDays(req.query.days));
+
+    res.json(uptime);
+  } catch (error) {
+    console.error('Get page uptime error:', error);
+    res.status(500).json({ error: 'Failed to get uptime' });
+  }
+});
+
+// Get approved baselines for a page (one per viewport, device profile and variant)
+router.get('/:id/baselines', async (req, res) => {
+  try {
+    // Verify ownership
+    const [pages] = await db.query(
+      `SELECT p.id FROM pages p
+       JOIN sites s ON p.site_id = s.id
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (pages.length === 0) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [baselines] = await db.query(
+      `SELECT pb.*, sc.created_at as screenshot_created_at, sc.viewport_width, sc.device_name
+       FROM page_baselines pb
+       JOIN screenshots sc ON pb.screenshot_id = sc.id
+       WHERE pb.page_id = ?
+       ORDER BY FIELD(pb.viewport, 'desktop', 'tablet', 'mobile'), sc.viewport_width DESC, pb.device_profile_id, pb.variant`,
+      [req.params.id]
+    );
+
+    res.json(baselines);
+  } catch (error) {
+    console.error('Get baselines error:', error);
+    res.status(500).json({ error: 'Failed to get baselines' });
+  }
+});
+
 // Trigger immediate capture
 router.post('/:id/capture', async (req, res) => {
   try {
@@ -367,8 +645,8 @@ router.post('/:id/capture', async (req, res) => {
     const [pages] = await db.query(
       `SELECT p.* FROM pages p
        JOIN sites s ON p.site_id = s.id
-       WHERE p.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (pages.length === 0) {
@@ -389,11 +667,26 @@ router.post('/:id/capture', async (req, res) => {
       });
     }
 
-    // Create a pending capture job
-    const [jobResult] = await db.query(
-      `INSERT INTO capture_jobs (page_id, status) VALUES (?, 'pending')`,
-      [req.params.id]
-    );
+    // Create a pending capture job (a worker may have started a scheduled
+    // capture since the check above; a page has at most one active job)
+    let jobResult;
+    try {
+      [jobResult] = await db.query(
+        `INSERT INTO capture_jobs (page_id, status) VALUES (?, 'pending')`,
+        [req.params.id]
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+
+      const [activeJobs] = await db.query(
+        `SELECT id FROM capture_jobs WHERE active_page_id = ?`,
+        [req.params.id]
+      );
+      return res.json({
+        message: 'Capture already in progress',
+        jobId: activeJobs[0]?.id ?? null
+      });
+    }
 
     // Set last_screenshot_at to null to trigger immediate capture by worker
     await db.query(
@@ -411,11 +704,36 @@ router.post('/:id/capture', async (req, res) => {
   }
 });
 
+// Resume scheduled captures of a page suspended after too many consecutive failures
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    if (!page.suspended_at) {
+      return res.status(400).json({ error: 'Page is not suspended' });
+    }
+
+    // resumed_at resets the failure count, so the page gets a full set of retries again
+    await db.query(
+      `UPDATE pages SET suspended_at = NULL, suspended_reason = NULL, resumed_at = NOW() WHERE id = ?`,
+      [page.id]
+    );
+
+    res.json({ message: 'Monitoring resumed' });
+  } catch (error) {
+    console.error('Resume page error:', error);
+    res.status(500).json({ error: 'Failed to resume page' });
+  }
+});
+
 // Get capture status for a page
 router.get('/:id/capture-status', async (req, res) => {
   try {
     // Verify ownership
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -423,7 +741,7 @@ router.get('/:id/capture-status', async (req, res) => {
     // Get the latest capture job for this page
     const [jobs] = await db.query(
       `SELECT id, status, current_viewport, viewports_completed, viewports_total, 
-              error_message, started_at, completed_at, created_at
+              error_message, worker_id, started_at, completed_at, created_at
        FROM capture_jobs 
        WHERE page_id = ? 
        ORDER BY created_at DESC 
@@ -435,13 +753,700 @@ router.get('/:id/capture-status', async (req, res) => {
       return res.json({ job: null });
     }
 
-    res.json({ job: jobs[0] });
+    // Which viewports failed and at which stage (empty until the job has finished)
+    const job = jobs[0];
+    const viewportResults = await getViewportResults([job.id]);
+    job.viewports = viewportResults.get(job.id) || [];
+
+    res.json({ job });
   } catch (error) {
     console.error('Get capture status error:', error);
     res.status(500).json({ error: 'Failed to get capture status' });
   }
 });
 
+// Get capture job history for a page (newest first) with its retry state
+router.get('/:id/capture-jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const status = req.query.status || null;
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    if (status && !CAPTURE_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${CAPTURE_JOB_STATUSES.join(', ')}` });
+    }
+
+    const { jobs, total } = await getCaptureJobs({ pageId: page.id, status }, limit, offset);
+    const retryStates = await getRetryStates([page.id]);
+    const retryState = retryStates.get(page.id);
+
+    res.json({
+      jobs,
+      total,
+      limit,
+      offset,
+      retry: {
+        consecutive_failures: retryState ? retryState.consecutive_failures : 0,
+        next_retry_at: retryState ? retryState.next_retry_at : null,
+        retries_exhausted: retryState ? retryState.retries_exhausted : false
+      }
+    });
+  } catch (error) {
+    console.error('Get capture jobs error:', error);
+    res.status(500).json({ error: 'Failed to get capture jobs' });
+  }
+});
+
+// ============================================
+// REQUEST SETTINGS ROUTES
+// ============================================
+
+// Get extra headers, cookies and basic auth for a page (with the site's values it inherits)
+router.get('/:id/request-settings', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    res.json({
+      ...formatRequestSettings(await getRequestSettingsRow({ pageId: page.id })),
+      site: formatRequestSettings(await getRequestSettingsRow({ siteId: page.site_id }))
+    });
+  } catch (error) {
+    console.error('Get page request settings error:', error);
+    res.status(500).json({ error: 'Failed to get request settings' });
+  }
+});
+
+// Update extra headers, cookies and basic auth for a page (null fields inherit from the site)
+router.put('/:id/request-settings', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const validationError = validateRequestSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const settings = await saveRequestSettings({ pageId: page.id }, req.body);
+    res.json({
+      ...settings,
+      site: formatRequestSettings(await getRequestSettingsRow({ siteId: page.site_id }))
+    });
+  } catch (error) {
+    console.error('Update page request settings error:', error);
+    res.status(500).json({ error: 'Failed to update request settings' });
+  }
+});
+
+// ============================================
+// IGNORE REGIONS ROUTES
+// ============================================
+
+// Helper to validate an ignore region payload
+function validateIgnoreRegion({ type, selector, x, y, width, height, viewport }) {
+  if (type !== 'selector' && type !== 'rect') {
+    return 'Type must be "selector" or "rect"';
+  }
+  if (type === 'selector' && (!selector || typeof selector !== 'string' || !selector.trim())) {
+    return 'Selector is required for selector regions';
+  }
+  if (type === 'rect') {
+    for (const value of [x, y]) {
+      if (!Number.isInteger(value) || value < 0) {
+        return 'Rectangle position must be non-negative integers';
+      }
+    }
+    for (const value of [width, height]) {
+      if (!Number.isInteger(value) || value < 1) {
+        return 'Rectangle size must be positive integers';
+      }
+    }
+  }
+  if (viewport !== undefined && viewport !== null && !['desktop', 'tablet', 'mobile'].includes(viewport)) {
+    return 'Viewport must be desktop, tablet or mobile';
+  }
+  return null;
+}
+
+// Get ignore regions for a page
+router.get('/:id/ignore-regions', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [regions] = await db.query(
+      'SELECT * FROM ignore_regions WHERE page_id = ? ORDER BY created_at ASC',
+      [req.params.id]
+    );
+
+    res.json(regions);
+  } catch (error) {
+    console.error('Get ignore regions error:', error);
+    res.status(500).json({ error: 'Failed to get ignore regions' });
+  }
+});
+
+// Create ignore region for a page
+router.post('/:id/ignore-regions', async (req, res) => {
+  try {
+    const { type, name, selector, x, y, width, height, viewport } = req.body;
+
+    const validationError = validateIgnoreRegion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const isRect = type === 'rect';
+    const [result] = await db.query(
+      `INSERT INTO ignore_regions (page_id, type, name, selector, x, y, width, height, viewport)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.params.id,
+        type,
+        name || null,
+        isRect ? null : selector.trim(),
+        isRect ? x : null,
+        isRect ? y : null,
+        isRect ? width : null,
+        isRect ? height : null,
+        viewport || null
+      ]
+    );
+
+    const [regions] = await db.query('SELECT * FROM ignore_regions WHERE id = ?', [result.insertId]);
+    res.status(201).json(regions[0]);
+  } catch (error) {
+    console.error('Create ignore region error:', error);
+    res.status(500).json({ error: 'Failed to create ignore region' });
+  }
+});
+
+// Delete ignore region
+router.delete('/:id/ignore-regions/:regionId', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [existing] = await db.query(
+      'SELECT id FROM ignore_regions WHERE id = ? AND page_id = ?',
+      [req.params.regionId, req.params.id]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Ignore region not found' });
+    }
+
+    await db.query('DELETE FROM ignore_regions WHERE id = ?', [req.params.regionId]);
+    res.json({ message: 'Ignore region deleted successfully' });
+  } catch (error) {
+    console.error('Delete ignore region error:', error);
+    res.status(500).json({ error: 'Failed to delete ignore region' });
+  }
+});
+
+// ============================================
+// COMPONENTS ROUTES
+// ============================================
+
+// Get components for a page (with capture counts)
+router.get('/:id/components', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [components] = await db.query(
+      `SELECT pc.*,
+              COUNT(cs.id) as screenshot_count,
+              MAX(cs.created_at) as last_captured_at
+       FROM page_components pc
+       LEFT JOIN component_screenshots cs ON cs.component_id = pc.id
+       WHERE pc.page_id = ?
+       GROUP BY pc.id
+       ORDER BY pc.name ASC`,
+      [req.params.id]
+    );
+
+    res.json(components);
+  } catch (error) {
+    console.error('Get components error:', error);
+    res.status(500).json({ error: 'Failed to get components' });
+  }
+});
+
+// Create component for a page
+router.post('/:id/components', async (req, res) => {
+  try {
+    const { name, selector, padding = 0 } = req.body;
+
+    const validationError = validateComponent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [duplicates] = await db.query(
+      'SELECT id FROM page_components WHERE page_id = ? AND name = ?',
+      [req.params.id, name.trim()]
+    );
+    if (duplicates.length > 0) {
+      return res.status(409).json({ error: 'A component with this name already exists' });
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO page_components (page_id, name, selector, padding) VALUES (?, ?, ?, ?)',
+      [req.params.id, name.trim(), selector.trim(), padding || 0]
+    );
+
+    const [components] = await db.query('SELECT * FROM page_components WHERE id = ?', [result.insertId]);
+    res.status(201).json(components[0]);
+  } catch (error) {
+    console.error('Create component error:', error);
+    res.status(500).json({ error: 'Failed to create component' });
+  }
+});
+
+// Update component
+router.put('/:id/components/:componentId', async (req, res) => {
+  try {
+    const { name, selector, padding, is_active } = req.body;
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [existing] = await db.query(
+      'SELECT id FROM page_components WHERE id = ? AND page_id = ?',
+      [req.params.componentId, req.params.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Component not found' });
+    }
+
+    const validationError = validateComponent(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (name !== undefined) {
+      const [duplicates] = await db.query(
+        'SELECT id FROM page_components WHERE page_id = ? AND name = ? AND id != ?',
+        [req.params.id, name.trim(), req.params.componentId]
+      );
+      if (duplicates.length > 0) {
+        return res.status(409).json({ error: 'A component with this name already exists' });
+      }
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name.trim());
+    }
+    if (selector !== undefined) {
+      updates.push('selector = ?');
+      values.push(selector.trim());
+    }
+    if (padding !== undefined) {
+      updates.push('padding = ?');
+      values.push(padding || 0);
+    }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(is_active);
+    }
+
+    if (updates.length > 0) {
+      values.push(req.params.componentId);
+      await db.query(`UPDATE page_components SET ${updates.join(', ')} WHERE id = ?`, values);
+    }
+
+    const [components] = await db.query('SELECT * FROM page_components WHERE id = ?', [req.params.componentId]);
+    res.json(components[0]);
+  } catch (error) {
+    console.error('Update component error:', error);
+    res.status(500).json({ error: 'Failed to update component' });
+  }
+});
+
+// Delete component (and its element screenshots)
+router.delete('/:id/components/:componentId', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [existing] = await db.query(
+      'SELECT id FROM page_components WHERE id = ? AND page_id = ?',
+      [req.params.componentId, req.params.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Component not found' });
+    }
+
+    const [componentScreenshots] = await db.query(
+      'SELECT file_path, thumbnail_path, diff_path FROM component_screenshots WHERE component_id = ?',
+      [req.params.componentId]
+    );
+    await deleteComponentScreenshotFiles(componentScreenshots);
+
+    await db.query('DELETE FROM page_components WHERE id = ?', [req.params.componentId]);
+    res.json({ message: 'Component deleted successfully' });
+  } catch (error) {
+    console.error('Delete component error:', error);
+    res.status(500).json({ error: 'Failed to delete component' });
+  }
+});
+
+// Get the screenshot timeline of a component (newest first, same filters as page screenshots)
+router.get('/:id/components/:componentId/screenshots', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const { viewport, variant } = req.query;
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [existing] = await db.query(
+      'SELECT id FROM page_components WHERE id = ? AND page_id = ?',
+      [req.params.componentId, req.params.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Component not found' });
+    }
+
+    let where = 'WHERE cs.component_id = ?';
+    const params = [req.params.componentId];
+
+    if (viewport) {
+      where += ' AND s.viewport = ?';
+      params.push(viewport);
+    }
+    if (variant === 'default') {
+      where += ' AND s.variant IS NULL';
+    } else if (variant) {
+      where += ' AND s.variant = ?';
+      params.push(variant);
+    }
+
+    const [screenshots] = await db.query(
+      `SELECT cs.id, cs.component_id, cs.screenshot_id, cs.width, cs.height, cs.file_size,
+              cs.error_message, cs.compared_to_id, cs.diff_pixels, cs.diff_percentage, cs.has_changes,
+              (cs.diff_path IS NOT NULL) as has_diff, cs.created_at,
+              s.viewport, s.viewport_width, s.device_name, s.variant
+       FROM component_screenshots cs
+       JOIN screenshots s ON cs.screenshot_id = s.id
+       ${where}
+       ORDER BY cs.created_at DESC, s.viewport ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [countResult] = await db.query(
+      `SELECT COUNT(*) as total FROM component_screenshots cs
+       JOIN screenshots s ON cs.screenshot_id = s.id
+       ${where}`,
+      params
+    );
+
+    res.json({
+      screenshots,
+      total: countResult[0].total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get component screenshots error:', error);
+    res.status(500).json({ error: 'Failed to get component screenshots' });
+  }
+});
+
+// ============================================
+// TEXT WATCHES ROUTES
+// ============================================
+
+// Get text watches for a page (with check and trigger counts)
+router.get('/:id/watches', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [watches] = await db.query(
+      `SELECT tw.*,
+              COUNT(twr.id) as check_count,
+              COALESCE(SUM(twr.triggered), 0) as trigger_count,
+              MAX(twr.created_at) as last_checked_at,
+              MAX(CASE WHEN twr.triggered THEN twr.created_at END) as last_triggered_at
+       FROM text_watches tw
+       LEFT JOIN text_watch_results twr ON twr.watch_id = tw.id
+       WHERE tw.page_id = ?
+       GROUP BY tw.id
+       ORDER BY tw.name ASC`,
+      [req.params.id]
+    );
+
+    res.json(watches.map(watch => ({
+      ...watch,
+      check_count: Number(watch.check_count),
+      trigger_count: Number(watch.trigger_count)
+    })));
+  } catch (error) {
+    console.error('Get text watches error:', error);
+    res.status(500).json({ error: 'Failed to get text watches' });
+  }
+});
+
+// Create text watch for a page
+router.post('/:id/watches', async (req, res) => {
+  try {
+    const { name, selector, watch_condition = 'changed', pattern, is_regex = false, viewport } = req.body;
+
+    const validationError = validateTextWatch(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [duplicates] = await db.query(
+      'SELECT id FROM text_watches WHERE page_id = ? AND name = ?',
+      [req.params.id, name.trim()]
+    );
+    if (duplicates.length > 0) {
+      return res.status(409).json({ error: 'A text watch with this name already exists' });
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO text_watches (page_id, name, selector, watch_condition, pattern, is_regex, viewport)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.params.id, name.trim(), normalizeOptional(selector), watch_condition, normalizeOptional(pattern), is_regex, viewport || null]
+    );
+
+    const [watches] = await db.query('SELECT * FROM text_watches WHERE id = ?', [result.insertId]);
+    res.status(201).json(watches[0]);
+  } catch (error) {
+    console.error('Create text watch error:', error);
+    res.status(500).json({ error: 'Failed to create text watch' });
+  }
+});
+
+// Update text watch
+router.put('/:id/watches/:watchId', async (req, res) => {
+  try {
+    const { name, selector, watch_condition, pattern, is_regex, viewport, is_active } = req.body;
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [existing] = await db.query(
+      'SELECT * FROM text_watches WHERE id = ? AND page_id = ?',
+      [req.params.watchId, req.params.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Text watch not found' });
+    }
+
+    const validationError = validateTextWatch(req.body, existing[0]);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (name !== undefined) {
+      const [duplicates] = await db.query(
+        'SELECT id FROM text_watches WHERE page_id = ? AND name = ? AND id != ?',
+        [req.params.id, name.trim(), req.params.watchId]
+      );
+      if (duplicates.length > 0) {
+        return res.status(409).json({ error: 'A text watch with this name already exists' });
+      }
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name.trim());
+    }
+    if (selector !== undefined) {
+      updates.push('selector = ?');
+      values.push(normalizeOptional(selector));
+    }
+    if (watch_condition !== undefined) {
+      updates.push('watch_condition = ?');
+      values.push(watch_condition);
+    }
+    if (pattern !== undefined) {
+      updates.push('pattern = ?');
+      values.push(normalizeOptional(pattern));
+    }
+    if (is_regex !== undefined) {
+      updates.push('is_regex = ?');
+      values.push(is_regex);
+    }
+    if (viewport !== undefined) {
+      updates.push('viewport = ?');
+      values.push(viewport || null);
+    }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(is_active);
+    }
+
+    if (updates.length > 0) {
+      values.push(req.params.watchId);
+      await db.query(`UPDATE text_watches SET ${updates.join(', ')} WHERE id = ?`, values);
+    }
+
+    const [watches] = await db.query('SELECT * FROM text_watches WHERE id = ?', [req.params.watchId]);
+    res.json(watches[0]);
+  } catch (error) {
+    console.error('Update text watch error:', error);
+    res.status(500).json({ error: 'Failed to update text watch' });
+  }
+});
+
+// Delete text watch (and its results)
+router.delete('/:id/watches/:watchId', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [result] = await db.query(
+      'DELETE FROM text_watches WHERE id = ? AND page_id = ?',
+      [req.params.watchId, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Text watch not found' });
+    }
+
+    res.json({ message: 'Text watch deleted successfully' });
+  } catch (error) {
+    console.error('Delete text watch error:', error);
+    res.status(500).json({ error: 'Failed to delete text watch' });
+  }
+});
+
+// Get the results of a text watch (newest first; ?triggered=true for triggers only)
+router.get('/:id/watches/:watchId/results', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [existing] = await db.query(
+      'SELECT id FROM text_watches WHERE id = ? AND page_id = ?',
+      [req.params.watchId, req.params.id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Text watch not found' });
+    }
+
+    let where = 'WHERE twr.watch_id = ?';
+    const params = [req.params.watchId];
+
+    if (req.query.triggered === 'true') {
+      where += ' AND twr.triggered = TRUE';
+    }
+
+    const [results] = await db.query(
+      `SELECT twr.id, twr.watch_id, twr.screenshot_id, twr.text_content, twr.matched, twr.triggered,
+              twr.compared_to_id, twr.diff, twr.error_message, twr.created_at,
+              s.viewport, s.viewport_width, s.device_name, s.variant
+       FROM text_watch_results twr
+       JOIN screenshots s ON twr.screenshot_id = s.id
+       ${where}
+       ORDER BY twr.created_at DESC, twr.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [countResult] = await db.query(
+      `SELECT COUNT(*) as total FROM text_watch_results twr ${where}`,
+      params
+    );
+
+    res.json({
+      results: results.map(result => formatWatchResult(result)),
+      total: countResult[0].total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get text watch results error:', error);
+    res.status(500).json({ error: 'Failed to get text watch results' });
+  }
+});
+
+// Get a single text watch result with its full text
+router.get('/:id/watches/:watchId/results/:resultId', async (req, res) => {
+  try {
+    const page = await verifyPageOwnership(req.params.id, req);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [results] = await db.query(
+      `SELECT twr.*, s.viewport, s.viewport_width, s.device_name, s.variant
+       FROM text_watch_results twr
+       JOIN text_watches tw ON twr.watch_id = tw.id
+       JOIN screenshots s ON twr.screenshot_id = s.id
+       WHERE twr.id = ? AND twr.watch_id = ? AND tw.page_id = ?`,
+      [req.params.resultId, req.params.watchId, req.params.id]
+    );
+    if (results.length === 0) {
+      return res.status(404).json({ error: 'Text watch result not found' });
+    }
+
+    res.json(formatWatchResult(results[0], true));
+  } catch (error) {
+    console.error('Get text watch result error:', error);
+    res.status(500).json({ error: 'Failed to get text watch result' });
+  }
+});
+
 // ============================================
 // INSTRUCTIONS ROUTES
 // ============================================
@@ -449,7 +1454,7 @@ router.get('/:id/capture-status', async (req, res) => {
 // Get instructions for a page
 router.get('/:id/instructions', async (req, res) => {
   try {
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -475,7 +1480,7 @@ router.post('/:id/instructions', async (req, res) => {
       return res.status(400).json({ error: 'Name and prompt are required' });
     }
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -515,6 +1520,7 @@ router.post('/:id/instructions', async (req, res) => {
       try {
         const result = await callWorkerApi(endpoint, {
           pageUrl: page.url,
+          pageId: page.id,
           prompt,
           viewport: viewport || 'desktop',
           sessionId
@@ -574,7 +1580,7 @@ router.put('/:id/instructions/reorder', async (req, res) => {
       return res.status(400).json({ error: 'instructionIds must be an array' });
     }
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -604,7 +1610,7 @@ router.put('/:id/instructions/:instructionId', async (req, res) => {
   try {
     const { name, prompt, is_active, script, script_type } = req.body;
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -667,7 +1673,7 @@ router.put('/:id/instructions/:instructionId', async (req, res) => {
 // Delete instruction
 router.delete('/:id/instructions/:instructionId', async (req, res) => {
   try {
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -695,7 +1701,7 @@ router.post('/:id/instructions/:instructionId/regenerate', async (req, res) => {
   try {
     const { viewport, useActions } = req.body;
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -735,6 +1741,7 @@ router.post('/:id/instructions/:instructionId/regenerate', async (req, res) => {
       try {
         const result = await callWorkerApi(endpoint, {
           pageUrl: page.url,
+          pageId: page.id,
           prompt: instruction.prompt,
           viewport: viewport || 'desktop',
           sessionId
@@ -775,10 +1782,60 @@ router.post('/:id/instructions/:instructionId/regenerate', async (req, res) => {
 // TESTS ROUTES
 // ============================================
 
-// Get tests for a page
+// Parse the viewports and budget JSON of a test row
+function formatTest(test) {
+  if (test.viewports && typeof test.viewports === 'string') {
+    test.viewports = JSON.parse(test.viewports);
+  }
+  if (test.budget && typeof test.budget === 'string') {
+    test.budget = JSON.parse(test.budget);
+  }
+  return test;
+}
+
+// Latest result of each test per viewport, device and variant (a test can pass
+// on desktop and fail on mobile)
+async function getLatestTestResults(testIds) {
+  const results = new Map();
+  if (testIds.length === 0) return results;
+
+  const [rows] = await db.query(
+    `SELECT tr.test_id, tr.passed, tr.message, tr.created_at, tr.screenshot_id,
+            s.viewport, s.device_name, s.variant
+     FROM test_results tr
+     JOIN screenshots s ON tr.screenshot_id = s.id
+     WHERE tr.id IN (
+       SELECT MAX(tr2.id) FROM test_results tr2
+       JOIN screenshots s2 ON tr2.screenshot_id = s2.id
+       WHERE tr2.test_id IN (?)
+       GROUP BY tr2.test_id, s2.viewport, s2.device_profile_id, s2.variant
+     )
+     ORDER BY tr.test_id, s.viewport, s.device_name, s.variant`,
+    [testIds]
+  );
+
+  for (const row of rows) {
+    if (!results.has(row.test_id)) {
+      results.set(row.test_id, []);
+    }
+    results.get(row.test_id).push({
+      passed: row.passed === 1,
+      message: row.message,
+      created_at: row.created_at,
+      screenshot_id: row.screenshot_id,
+      viewport: row.viewport,
+      device_name: row.device_name,
+      variant: row.variant
+    });
+  }
+
+  return results;
+}
+
+// Get tests for a page (with their latest results)
 router.get('/:id/tests', async (req, res) => {
   try {
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -788,11 +1845,10 @@ router.get('/:id/tests', async (req, res) => {
       [req.params.id]
     );
 
-    // Parse viewports JSON for each test
+    const latestResults = await getLatestTestResults(tests.map(test => test.id));
     for (const test of tests) {
-      if (test.viewports && typeof test.viewports === 'string') {
-        test.viewports = JSON.parse(test.viewports);
-      }
+      formatTest(test);
+      test.last_results = latestResults.get(test.id) || [];
     }
 
     res.json(tests);
@@ -802,16 +1858,24 @@ router.get('/:id/tests', async (req, res) => {
   }
 });
 
-// Create test for a page
+// Create test for a page (or a performance budget when budget is set)
 router.post('/:id/tests', async (req, res) => {
   try {
-    const { name, prompt, viewport, viewports, useActions } = req.body;
+    const { name, prompt, viewport, viewports, useActions, budget } = req.body;
 
-    if (!name || !prompt) {
+    if (budget !== undefined) {
+      if (!name) {
+        return res.status(400).json({ error: 'Name is required' });
+      }
+      const budgetError = validateBudget(budget);
+      if (budgetError) {
+        return res.status(400).json({ error: budgetError });
+      }
+    } else if (!name || !prompt) {
       return res.status(400).json({ error: 'Name and prompt are required' });
     }
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -822,9 +1886,20 @@ router.post('/:id/tests', async (req, res) => {
       [req.params.id]
     );
     const nextOrder = (maxOrder[0].max_order || 0) + 1;
+    const viewportsJson = viewports && viewports.length > 0 ? JSON.stringify(viewports) : null;
+
+    // Budgets are checked by the worker after each capture, no script to generate
+    if (budget !== undefined) {
+      const [budgetResult] = await db.query(
+        `INSERT INTO tests (page_id, name, prompt, script, script_type, execution_order, viewports, budget)
+         VALUES (?, ?, '', NULL, 'budget', ?, ?, ?)`,
+        [req.params.id, name, nextOrder, viewportsJson, JSON.stringify({ metric: budget.metric, max: budget.max })]
+      );
+      const [created] = await db.query('SELECT * FROM tests WHERE id = ?', [budgetResult.insertId]);
+      return res.status(201).json(formatTest(created[0]));
+    }
 
     // Insert test first (so we have an ID for the AI session)
-    const viewportsJson = viewports && viewports.length > 0 ? JSON.stringify(viewports) : null;
     const [insertResult] = await db.query(
       `INSERT INTO tests (page_id, name, prompt, script, script_type, execution_order, viewports)
        VALUES (?, ?, ?, NULL, 'eval', ?, ?)`,
@@ -852,6 +1927,7 @@ router.post('/:id/tests', async (req, res) => {
       try {
         const result = await callWorkerApi(endpoint, {
           pageUrl: page.url,
+          pageId: page.id,
           prompt,
           viewport: viewport || 'desktop',
           sessionId
@@ -915,7 +1991,7 @@ router.put('/:id/tests/reorder', async (req, res) => {
       return res.status(400).json({ error: 'testIds must be an array' });
     }
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -933,7 +2009,7 @@ router.put('/:id/tests/reorder', async (req, res) => {
       [req.params.id]
     );
 
-    res.json(tests);
+    res.json(tests.map(formatTest));
   } catch (error) {
     console.error('Reorder tests error:', error);
     res.status(500).json({ error: 'Failed to reorder tests' });
@@ -943,9 +2019,9 @@ router.put('/:id/tests/reorder', async (req, res) => {
 // Update test
 router.put('/:id/tests/:testId', async (req, res) => {
   try {
-    const { name, prompt, is_active, script, script_type, viewports } = req.body;
+    const { name, prompt, is_active, script, script_type, viewports, budget } = req.body;
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -960,6 +2036,20 @@ router.put('/:id/tests/:testId', async (req, res) => {
       return res.status(404).json({ error: 'Test not found' });
     }
 
+    const isBudget = existing[0].script_type === 'budget';
+    if (budget !== undefined) {
+      if (!isBudget) {
+        return res.status(400).json({ error: 'Only performance budgets have a budget' });
+      }
+      const budgetError = validateBudget(budget);
+      if (budgetError) {
+        return res.status(400).json({ error: budgetError });
+      }
+    }
+    if (isBudget && (script !== undefined || script_type !== undefined)) {
+      return res.status(400).json({ error: 'Performance budgets have no script' });
+    }
+
     // Build dynamic update query to handle viewports (which can be null for "all viewports")
     const updates = [];
     const values = [];
@@ -989,6 +2079,10 @@ router.put('/:id/tests/:testId', async (req, res) => {
       updates.push('viewports = ?');
       values.push(viewports && viewports.length > 0 ? JSON.stringify(viewports) : null);
     }
+    if (budget !== undefined) {
+      updates.push('budget = ?');
+      values.push(JSON.stringify({ metric: budget.metric, max: budget.max }));
+    }
 
     if (updates.length > 0) {
       values.push(req.params.testId);
@@ -1003,13 +2097,7 @@ router.put('/:id/tests/:testId', async (req, res) => {
       [req.params.testId]
     );
 
-    const test = tests[0];
-    // Parse viewports JSON
-    if (test.viewports && typeof test.viewports === 'string') {
-      test.viewports = JSON.parse(test.viewports);
-    }
-
-    res.json(test);
+    res.json(formatTest(tests[0]));
   } catch (error) {
     console.error('Update test error:', error);
     res.status(500).json({ error: 'Failed to update test' });
@@ -1019,7 +2107,7 @@ router.put('/:id/tests/:testId', async (req, res) => {
 // Delete test
 router.delete('/:id/tests/:testId', async (req, res) => {
   try {
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -1047,7 +2135,7 @@ router.post('/:id/tests/:testId/regenerate', async (req, res) => {
   try {
     const { viewport, useActions } = req.body;
 
-    const page = await verifyPageOwnership(req.params.id, req.user.id);
+    const page = await verifyPageOwnership(req.params.id, req);
     if (!page) {
       return res.status(404).json({ error: 'Page not found' });
     }
@@ -1064,6 +2152,10 @@ router.post('/:id/tests/:testId/regenerate', async (req, res) => {
 
     const test = tests[0];
     const testId = parseInt(req.params.testId);
+
+    if (test.script_type === 'budget') {
+      return res.status(400).json({ error: 'Performance budgets have no script to regenerate' });
+    }
     
     // Create AI session for tracking the regeneration
     const [sessionResult] = await db.query(
@@ -1087,6 +2179,7 @@ router.post('/:id/tests/:testId/regenerate', async (req, res) => {
       try {
         const result = await callWorkerApi(endpoint, {
           pageUrl: page.url,
+          pageId: page.id,
           prompt: test.prompt,
           viewport: viewport || 'desktop',
           sessionId
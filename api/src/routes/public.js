@@ -0,0 +1,162 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../config/database');
+const {
+  PUBLIC_SCREENSHOT_COLUMNS,
+  getActiveShareLink,
+  getSharedScreenshot,
+  recordShareView
+} = require('../services/share-links');
+const { compareScreenshots, sendDiffImage } = require('../services/comparison');
+
+const router = express.Router();
+
+// No authentication: every route is scoped to the share link in the URL.
+// Revoked, expired and unknown links all answer 404.
+
+const SHARED_FILES = {
+  image: 'file_path',
+  thumbnail: 'thumbnail_path',
+  diff: 'diff_path'
+};
+
+// Get what a share link covers: page, site and the shared screenshots
+// (page timelines list their screenshots via /screenshots)
+router.get('/shares/:token', async (req, res) => {
+  try {
+    const link = await getActiveShareLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    let screenshots = [];
+    if (link.scope !== 'page') {
+      [screenshots] = await db.query(
+        `SELECT ${PUBLIC_SCREENSHOT_COLUMNS} FROM screenshots sc
+         WHERE sc.id IN (?) AND sc.page_id = ?
+         ORDER BY sc.created_at ASC, sc.id ASC`,
+        [[link.screenshot_id, link.other_screenshot_id].filter(Boolean), link.page_id]
+      );
+    }
+
+    await recordShareView(link.id);
+
+    res.json({
+      scope: link.scope,
+      name: link.name,
+      expires_at: link.expires_at,
+      created_at: link.created_at,
+      page: { name: link.page_name, url: link.page_url },
+      site: { name: link.site_name },
+      screenshots
+    });
+  } catch (error) {
+    console.error('Get share link error:', error);
+    res.status(500).json({ error: 'Failed to get shared content' });
+  }
+});
+
+// Get the screenshot timeline of a shared page (newest first)
+router.get('/shares/:token/screenshots', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const { viewport } = req.query;
+
+    const link = await getActiveShareLink(req.params.token);
+    if (!link || link.scope !== 'page') {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    let where = 'WHERE sc.page_id = ?';
+    const params = [link.page_id];
+
+    if (viewport) {
+      where += ' AND sc.viewport = ?';
+      params.push(viewport);
+    }
+
+    const [screenshots] = await db.query(
+      `SELECT ${PUBLIC_SCREENSHOT_COLUMNS} FROM screenshots sc
+       ${where}
+       ORDER BY sc.created_at DESC, sc.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [countResult] = await db.query(
+      `SELECT COUNT(*) as total FROM screenshots sc ${where}`,
+      params
+    );
+
+    res.json({
+      screenshots,
+      total: countResult[0].total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get shared screenshots error:', error);
+    res.status(500).json({ error: 'Failed to get shared screenshots' });
+  }
+});
+
+// Serve the image, thumbnail or stored diff of a shared screenshot
+router.get('/shares/:token/screenshots/:screenshotId/:file(image|thumbnail|diff)', async (req, res) => {
+  try {
+    const link = await getActiveShareLink(req.params.token);
+    const screenshot = link ? await getSharedScreenshot(link, req.params.screenshotId) : null;
+    if (!screenshot) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const file = screenshot[SHARED_FILES[req.params.file]];
+    if (!file) {
+      return res.status(404).json({ error: 'File not available' });
+    }
+
+    const filePath = path.join(__dirname, '../../screenshots', file);
+
+    try {
+      await fs.access(filePath);
+      res.sendFile(filePath);
+    } catch {
+      res.status(404).json({ error: 'File not found' });
+    }
+  } catch (error) {
+    console.error('Get shared screenshot file error:', error);
+    res.status(500).json({ error: 'Failed to get shared screenshot' });
+  }
+});
+
+// Diff image of a shared comparison (older vs newer screenshot)
+router.get('/shares/:token/compare', async (req, res) => {
+  try {
+    const link = await getActiveShareLink(req.params.token);
+    if (!link || link.scope !== 'comparison') {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+
+    const [screenshots] = await db.query(
+      `SELECT * FROM screenshots
+       WHERE id IN (?, ?) AND page_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [link.screenshot_id, link.other_screenshot_id, link.page_id]
+    );
+    if (screenshots.length !== 2) {
+      return res.status(404).json({ error: 'One or both screenshots not found' });
+    }
+
+    const comparison = await compareScreenshots(screenshots[0], screenshots[1], { withImage: true });
+    if (!comparison) {
+      return res.status(404).json({ error: 'Screenshot files not found' });
+    }
+
+    sendDiffImage(res, comparison);
+  } catch (error) {
+    console.error('Compare shared screenshots error:', error);
+    res.status(500).json({ error: 'Failed to compare screenshots' });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,27 @@ const path = require('path');
 const fs = require('fs').promises;
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const pixelmatch = require('pixelmatch');
-const { PNG } = require('pngjs');
-const sharp = require('sharp');
+const { getOrganizationIds } = require('../services/organizations');
+const { deleteComponentScreenshotFiles } = require('../services/components');
+const { getScreenshotMetrics } = require('../services/metrics');
+const { DIFF_MODES, readDomSnapshot, diffDomSnapshots } = require('../services/dom-snapshots');
+const { compareScreenshots, sendDiffImage } = require('../services/comparison');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// Helper to delete the files of component screenshots taken with the given screenshots
+// (their rows are removed with the screenshots by the FK cascade)
+async function deleteScreenshotComponentFiles(screenshotIds) {
+  const [componentScreenshots] = await db.query(
+    'SELECT file_path, thumbnail_path, diff_path FROM component_screenshots WHERE screenshot_id IN (?)',
+    [screenshotIds]
+  );
+  await deleteComponentScreenshotFiles(componentScreenshots);
+}
+
 // Delete multiple screenshots (screenshot set) - must be before /:id routes
 router.delete('/batch', async (req, res) => {
   try {
@@ -27,8 +39,8 @@ router.delete('/batch', async (req, res) => {
       `SELECT sc.* FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id IN (${placeholders}) AND s.user_id = ?`,
-      [...ids, req.user.id]
+       WHERE sc.id IN (${placeholders}) AND s.organization_id IN (?)`,
+      [...ids, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
@@ -52,10 +64,38 @@ router.delete('/batch', async (req, res) => {
           console.warn('Could not delete thumbnail file:', err.message);
         }
       }
+
+      if (screenshot.diff_path) {
+        const diffPath = path.join(__dirname, '../../screenshots', screenshot.diff_path);
+        try {
+          await fs.unlink(diffPath);
+        } catch (err) {
+          console.warn('Could not delete diff file:', err.message);
+        }
+      }
+
+      if (screenshot.har_path) {
+        const harPath = path.join(__dirname, '../../screenshots', screenshot.har_path);
+        try {
+          await fs.unlink(harPath);
+        } catch (err) {
+          console.warn('Could not delete HAR file:', err.message);
+        }
+      }
+
+      for (const snapshotPath of [screenshot.html_path, screenshot.dom_path, screenshot.mhtml_path]) {
+        if (!snapshotPath) continue;
+        try {
+          await fs.unlink(path.join(__dirname, '../../screenshots', snapshotPath));
+        } catch (err) {
+          console.warn('Could not delete DOM snapshot file:', err.message);
+        }
+      }
     }
 
     // Delete database records
     const deletedIds = screenshots.map(s => s.id);
+    await deleteScreenshotComponentFiles(deletedIds);
     const deletePlaceholders = deletedIds.map(() => '?').join(',');
     await db.query(`DELETE FROM screenshots WHERE id IN (${deletePlaceholders})`, deletedIds);
 
@@ -77,10 +117,12 @@ router.get('/:id', async (req, res) => {
               COALESCE(error_counts.js_error_count, 0) as js_error_count,
               COALESCE(error_counts.network_error_count, 0) as network_error_count,
               COALESCE(test_counts.tests_passed, 0) as tests_passed,
-              COALESCE(test_counts.tests_failed, 0) as tests_failed
+              COALESCE(test_counts.tests_failed, 0) as tests_failed,
+              (pb.id IS NOT NULL) as is_baseline
        FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
+       LEFT JOIN page_baselines pb ON pb.screenshot_id = sc.id
        LEFT JOIN (
          SELECT screenshot_id,
                 SUM(CASE WHEN error_type = 'js' THEN 1 ELSE 0 END) as js_error_count,
@@ -95,21 +137,91 @@ router.get('/:id', async (req, res) => {
          FROM test_results
          GROUP BY screenshot_id
        ) test_counts ON sc.id = test_counts.screenshot_id
-       WHERE sc.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
       return res.status(404).json({ error: 'Screenshot not found' });
     }
 
-    res.json(screenshots[0]);
+    const screenshot = screenshots[0];
+    if (screenshot.ignore_rects && typeof screenshot.ignore_rects === 'string') {
+      screenshot.ignore_rects = JSON.parse(screenshot.ignore_rects);
+    }
+
+    // Navigation timing, web vitals, network traffic and capture stage timings
+    screenshot.metrics = await getScreenshotMetrics(screenshot.id);
+
+    res.json(screenshot);
   } catch (error) {
     console.error('Get screenshot error:', error);
     res.status(500).json({ error: 'Failed to get screenshot' });
   }
 });
 
+// Accept a screenshot as the approved baseline for its page + viewport (+ device profile and variant)
+router.post('/:id/baseline', async (req, res) => {
+  try {
+    const [screenshots] = await db.query(
+      `SELECT sc.id, sc.page_id, sc.viewport, sc.device_profile_id, sc.variant FROM screenshots sc
+       JOIN pages p ON sc.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (screenshots.length === 0) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const screenshot = screenshots[0];
+
+    // Replaces any previous baseline for this page + viewport + device profile + variant
+    const deviceProfileId = screenshot.device_profile_id || 0;
+    const variant = screenshot.variant || '';
+    await db.query(
+      `INSERT INTO page_baselines (page_id, viewport, device_profile_id, variant, screenshot_id, approved_by)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE screenshot_id = VALUES(screenshot_id), approved_by = VALUES(approved_by)`,
+      [screenshot.page_id, screenshot.viewport, deviceProfileId, variant, screenshot.id, req.user.id]
+    );
+
+    const [baselines] = await db.query(
+      'SELECT * FROM page_baselines WHERE page_id = ? AND viewport = ? AND device_profile_id = ? AND variant = ?',
+      [screenshot.page_id, screenshot.viewport, deviceProfileId, variant]
+    );
+
+    res.json(baselines[0]);
+  } catch (error) {
+    console.error('Set baseline error:', error);
+    res.status(500).json({ error: 'Failed to set baseline' });
+  }
+});
+
+// Remove a screenshot as baseline (later captures fall back to comparing against the previous one)
+router.delete('/:id/baseline', async (req, res) => {
+  try {
+    const [baselines] = await db.query(
+      `SELECT pb.id FROM page_baselines pb
+       JOIN pages p ON pb.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE pb.screenshot_id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (baselines.length === 0) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    await db.query('DELETE FROM page_baselines WHERE id = ?', [baselines[0].id]);
+    res.json({ message: 'Baseline removed successfully' });
+  } catch (error) {
+    console.error('Remove baseline error:', error);
+    res.status(500).json({ error: 'Failed to remove baseline' });
+  }
+});
+
 // Get errors for a screenshot
 router.get('/:id/errors', async (req, res) => {
   try {
@@ -118,8 +230,8 @@ router.get('/:id/errors', async (req, res) => {
       `SELECT sc.id FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
@@ -176,8 +288,8 @@ router.get('/:id/test-results', async (req, res) => {
       `SELECT sc.id FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
@@ -231,8 +343,8 @@ router.get('/:id/image', async (req, res) => {
       `SELECT sc.* FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
@@ -261,8 +373,8 @@ router.get('/:id/thumbnail', async (req, res) => {
       `SELECT sc.* FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
@@ -289,6 +401,190 @@ router.get('/:id/thumbnail', async (req, res) => {
   }
 });
 
+// Serve stored diff image (generated by the worker's automatic change detection)
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const [screenshots] = await db.query(
+      `SELECT sc.* FROM screenshots sc
+       JOIN pages p ON sc.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (screenshots.length === 0) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const screenshot = screenshots[0];
+
+    if (!screenshot.diff_path) {
+      return res.status(404).json({ error: 'Diff not available' });
+    }
+
+    const filePath = path.join(__dirname, '../../screenshots', screenshot.diff_path);
+
+    try {
+      await fs.access(filePath);
+      res.sendFile(filePath);
+    } catch {
+      res.status(404).json({ error: 'Diff file not found' });
+    }
+  } catch (error) {
+    console.error('Get diff error:', error);
+    res.status(500).json({ error: 'Failed to get diff image' });
+  }
+});
+
+// Download the HAR network log recorded with the screenshot (pages with record_har)
+router.get('/:id/har', async (req, res) => {
+  try {
+    const [screenshots] = await db.query(
+      `SELECT sc.* FROM screenshots sc
+       JOIN pages p ON sc.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (screenshots.length === 0) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const screenshot = screenshots[0];
+
+    if (!screenshot.har_path) {
+      return res.status(404).json({ error: 'HAR not available' });
+    }
+
+    const filePath = path.join(__dirname, '../../screenshots', screenshot.har_path);
+
+    try {
+      await fs.access(filePath);
+      res.download(filePath, `screenshot-${screenshot.id}.har`);
+    } catch {
+      res.status(404).json({ error: 'HAR file not found' });
+    }
+  } catch (error) {
+    console.error('Get HAR error:', error);
+    res.status(500).json({ error: 'Failed to get HAR file' });
+  }
+});
+
+// Get the text and element outline of the DOM snapshot taken with the screenshot
+router.get('/:id/snapshot', async (req, res) => {
+  try {
+    const [screenshots] = await db.query(
+      `SELECT sc.* FROM screenshots sc
+       JOIN pages p ON sc.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (screenshots.length === 0) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const screenshot = screenshots[0];
+    const snapshot = await readDomSnapshot(screenshot);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'DOM snapshot not available' });
+    }
+
+    res.json({
+      ...snapshot,
+      has_html: !!screenshot.html_path,
+      has_mhtml: !!screenshot.mhtml_path
+    });
+  } catch (error) {
+    console.error('Get DOM snapshot error:', error);
+    res.status(500).json({ error: 'Failed to get DOM snapshot' });
+  }
+});
+
+// Download the serialized HTML or MHTML archive of the DOM snapshot
+// (sent as an attachment: captured pages must not run scripts on the app's origin)
+router.get('/:id/snapshot/:format(html|mhtml)', async (req, res) => {
+  try {
+    const [screenshots] = await db.query(
+      `SELECT sc.* FROM screenshots sc
+       JOIN pages p ON sc.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (screenshots.length === 0) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const screenshot = screenshots[0];
+    const { format } = req.params;
+    const snapshotPath = format === 'mhtml' ? screenshot.mhtml_path : screenshot.html_path;
+
+    if (!snapshotPath) {
+      return res.status(404).json({ error: `${format.toUpperCase()} snapshot not available` });
+    }
+
+    const filePath = path.join(__dirname, '../../screenshots', snapshotPath);
+
+    try {
+      await fs.access(filePath);
+      res.download(filePath, `screenshot-${screenshot.id}.${format}`);
+    } catch {
+      res.status(404).json({ error: 'Snapshot file not found' });
+    }
+  } catch (error) {
+    console.error('Get snapshot file error:', error);
+    res.status(500).json({ error: 'Failed to get snapshot file' });
+  }
+});
+
+// Diff the visible text (mode=text) or element outline (mode=dom) of two screenshots
+router.get('/:id/snapshot-diff/:otherId', async (req, res) => {
+  try {
+    const { id, otherId } = req.params;
+    const mode = req.query.mode || 'text';
+
+    if (!DIFF_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${DIFF_MODES.join(', ')}` });
+    }
+
+    // Fetch both screenshots, ensuring they belong to the same page and user
+    const [screenshots] = await db.query(
+      `SELECT sc.*, p.id as page_id FROM screenshots sc
+       JOIN pages p ON sc.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sc.id IN (?, ?) AND s.organization_id IN (?)`,
+      [id, otherId, getOrganizationIds(req)]
+    );
+
+    if (screenshots.length !== 2) {
+      return res.status(404).json({ error: 'One or both screenshots not found' });
+    }
+
+    const before = screenshots.find(s => s.id === parseInt(id));
+    const after = screenshots.find(s => s.id === parseInt(otherId));
+
+    if (before.page_id !== after.page_id) {
+      return res.status(400).json({ error: 'Screenshots must belong to the same page' });
+    }
+
+    const [beforeSnapshot, afterSnapshot] = await Promise.all([readDomSnapshot(before), readDomSnapshot(after)]);
+
+    if (!beforeSnapshot || !afterSnapshot) {
+      return res.status(404).json({ error: 'DOM snapshot not available for one or both screenshots' });
+    }
+
+    res.json(diffDomSnapshots(beforeSnapshot, afterSnapshot, mode));
+  } catch (error) {
+    console.error('DOM snapshot diff error:', error);
+    res.status(500).json({ error: 'Failed to diff DOM snapshots' });
+  }
+});
+
 // Compare two screenshots and generate diff image
 router.get('/:id/compare/:otherId', async (req, res) => {
   try {
@@ -299,8 +595,8 @@ router.get('/:id/compare/:otherId', async (req, res) => {
       `SELECT sc.*, p.id as page_id FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id IN (?, ?) AND s.user_id = ?`,
-      [id, otherId, req.user.id]
+       WHERE sc.id IN (?, ?) AND s.organization_id IN (?)`,
+      [id, otherId, getOrganizationIds(req)]
     );
 
     if (screenshots.length !== 2) {
@@ -315,86 +611,12 @@ router.get('/:id/compare/:otherId', async (req, res) => {
       return res.status(400).json({ error: 'Screenshots must belong to the same page' });
     }
 
-    // Load both images
-    const filePath1 = path.join(__dirname, '../../screenshots', screenshot1.file_path);
-    const filePath2 = path.join(__dirname, '../../screenshots', screenshot2.file_path);
-
-    try {
-      await fs.access(filePath1);
-      await fs.access(filePath2);
-    } catch {
+    const comparison = await compareScreenshots(screenshot1, screenshot2, { withImage: true });
+    if (!comparison) {
       return res.status(404).json({ error: 'Screenshot files not found' });
     }
 
-    // Read and decode PNG images using sharp for consistent handling
-    // Then convert to raw pixel data for pixelmatch
-    const img1Buffer = await fs.readFile(filePath1);
-    const img2Buffer = await fs.readFile(filePath2);
-
-    // Get image metadata
-    const img1Meta = await sharp(img1Buffer).metadata();
-    const img2Meta = await sharp(img2Buffer).metadata();
-
-    // Determine target dimensions (use the smaller of each dimension)
-    const targetWidth = Math.min(img1Meta.width, img2Meta.width);
-    const targetHeight = Math.min(img1Meta.height, img2Meta.height);
-
-    // Resize images to match dimensions and get raw RGBA pixel data
-    const img1Raw = await sharp(img1Buffer)
-      .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
-      .ensureAlpha()
-      .raw()
-      .toBuffer();
-
-    const img2Raw = await sharp(img2Buffer)
-      .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
-      .ensureAlpha()
-      .raw()
-      .toBuffer();
-
-    // Create output buffer for diff
-    const diffBuffer = Buffer.alloc(targetWidth * targetHeight * 4);
-
-    // Run pixelmatch comparison
-    const numDiffPixels = pixelmatch(
-      img1Raw,
-      img2Raw,
-      diffBuffer,
-      targetWidth,
-      targetHeight,
-      { 
-        threshold: 0.1,
-        includeAA: true,
-        alpha: 0.1,
-        diffColor: [255, 0, 128], // Magenta for differences
-        diffColorAlt: [0, 255, 128] // Cyan for anti-aliased
-      }
-    );
-
-    // Calculate diff percentage
-    const totalPixels = targetWidth * targetHeight;
-    const diffPercentage = ((numDiffPixels / totalPixels) * 100).toFixed(2);
-
-    // Convert raw buffer back to PNG using sharp
-    const diffPng = await sharp(diffBuffer, {
-      raw: {
-        width: targetWidth,
-        height: targetHeight,
-        channels: 4
-      }
-    }).png().toBuffer();
-
-    // Set headers with diff statistics
-    res.set({
-      'Content-Type': 'image/png',
-      'X-Diff-Pixels': numDiffPixels.toString(),
-      'X-Diff-Percentage': diffPercentage,
-      'X-Diff-Width': targetWidth.toString(),
-      'X-Diff-Height': targetHeight.toString(),
-      'Access-Control-Expose-Headers': 'X-Diff-Pixels, X-Diff-Percentage, X-Diff-Width, X-Diff-Height'
-    });
-
-    res.send(diffPng);
+    sendDiffImage(res, comparison);
   } catch (error) {
     console.error('Compare screenshots error:', error);
     res.status(500).json({ error: 'Failed to compare screenshots' });
@@ -411,8 +633,8 @@ router.get('/:id/compare/:otherId/stats', async (req, res) => {
       `SELECT sc.*, p.id as page_id FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id IN (?, ?) AND s.user_id = ?`,
-      [id, otherId, req.user.id]
+       WHERE sc.id IN (?, ?) AND s.organization_id IN (?)`,
+      [id, otherId, getOrganizationIds(req)]
     );
 
     if (screenshots.length !== 2) {
@@ -426,51 +648,18 @@ router.get('/:id/compare/:otherId/stats', async (req, res) => {
       return res.status(400).json({ error: 'Screenshots must belong to the same page' });
     }
 
-    // Load and compare images
-    const filePath1 = path.join(__dirname, '../../screenshots', screenshot1.file_path);
-    const filePath2 = path.join(__dirname, '../../screenshots', screenshot2.file_path);
-
-    const img1Buffer = await fs.readFile(filePath1);
-    const img2Buffer = await fs.readFile(filePath2);
-
-    const img1Meta = await sharp(img1Buffer).metadata();
-    const img2Meta = await sharp(img2Buffer).metadata();
-
-    const targetWidth = Math.min(img1Meta.width, img2Meta.width);
-    const targetHeight = Math.min(img1Meta.height, img2Meta.height);
-
-    const img1Raw = await sharp(img1Buffer)
-      .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
-      .ensureAlpha()
-      .raw()
-      .toBuffer();
-
-    const img2Raw = await sharp(img2Buffer)
-      .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
-      .ensureAlpha()
-      .raw()
-      .toBuffer();
-
-    const diffBuffer = Buffer.alloc(targetWidth * targetHeight * 4);
-
-    const numDiffPixels = pixelmatch(
-      img1Raw,
-      img2Raw,
-      diffBuffer,
-      targetWidth,
-      targetHeight,
-      { threshold: 0.1, includeAA: true }
-    );
-
-    const totalPixels = targetWidth * targetHeight;
-    const diffPercentage = ((numDiffPixels / totalPixels) * 100).toFixed(2);
+    const comparison = await compareScreenshots(screenshot1, screenshot2);
+    if (!comparison) {
+      return res.status(404).json({ error: 'Screenshot files not found' });
+    }
 
     res.json({
-      diffPixels: numDiffPixels,
-      diffPercentage: parseFloat(diffPercentage),
-      totalPixels,
-      width: targetWidth,
-      height: targetHeight,
+      diffPixels: comparison.diffPixels,
+      diffPercentage: parseFloat(comparison.diffPercentage),
+      totalPixels: comparison.totalPixels,
+      width: comparison.width,
+      height: comparison.height,
+      ignoredRegions: comparison.ignoredRegions,
       screenshot1: {
         id: screenshot1.id,
         created_at: screenshot1.created_at,
@@ -495,8 +684,8 @@ router.delete('/:id', async (req, res) => {
       `SELECT sc.* FROM screenshots sc
        JOIN pages p ON sc.page_id = p.id
        JOIN sites s ON p.site_id = s.id
-       WHERE sc.id = ? AND s.user_id = ?`,
-      [req.params.id, req.user.id]
+       WHERE sc.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (screenshots.length === 0) {
@@ -522,6 +711,35 @@ router.delete('/:id', async (req, res) => {
       }
     }
 
+    if (screenshot.diff_path) {
+      const diffPath = path.join(__dirname, '../../screenshots', screenshot.diff_path);
+      try {
+        await fs.unlink(diffPath);
+      } catch (err) {
+        console.warn('Could not delete diff file:', err.message);
+      }
+    }
+
+    if (screenshot.har_path) {
+      const harPath = path.join(__dirname, '../../screenshots', screenshot.har_path);
+      try {
+        await fs.unlink(harPath);
+      } catch (err) {
+        console.warn('Could not delete HAR file:', err.message);
+      }
+    }
+
+    for (const snapshotPath of [screenshot.html_path, screenshot.dom_path, screenshot.mhtml_path]) {
+      if (!snapshotPath) continue;
+      try {
+        await fs.unlink(path.join(__dirname, '../../screenshots', snapshotPath));
+      } catch (err) {
+        console.warn('Could not delete DOM snapshot file:', err.message);
+      }
+    }
+
+    await deleteScreenshotComponentFiles([screenshot.id]);
+
     // Delete database record
     await db.query('DELETE FROM screenshots WHERE id = ?', [req.params.id]);
 
@@ -1,59 +1,103 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireOrganization, requireOrganizationRole } = require('../middleware/auth');
 const { 
   DEFAULT_INTERVAL_MINUTES, 
   DEFAULT_VIEWPORTS, 
-  DEFAULT_RETENTION 
+  DEFAULT_RETENTION,
+  DEFAULT_CHANGE_THRESHOLD_PERCENT,
+  DEFAULT_SCHEDULE_TIMEZONE,
+  DIGEST_FREQUENCIES,
+  DEFAULT_DIGEST,
+  MAX_SUSPENSION_AUTO_RESUME_HOURS
 } = require('../config/constants');
+const { sendDigest } = require('../services/digest');
+const { isMailConfigured } = require('../services/mailer');
+const { getNextCaptureTime, validateSchedule } = require('../services/schedule');
+const { validateDeviceProfileIds } = require('../services/device-profiles');
+const { hasRole } = require('../services/organizations');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Get user settings (creates defaults if not exists)
-router.get('/', async (req, res) => {
+// Fields stored per user rather than per organization (any member may change their own)
+const DIGEST_FIELDS = ['digest_frequency', 'digest_email', 'digest_hour'];
+
+// Helper to get the user's personal settings (digest opt-in), or {} when never saved
+async function getUserSettings(userId) {
+  const [rows] = await db.query('SELECT * FROM user_settings WHERE user_id = ?', [userId]);
+  return rows[0] || {};
+}
+
+// Get settings of the current organization (creates defaults if not exists) and the user's digest settings
+router.get('/', requireOrganization, async (req, res) => {
   try {
     // Try to get existing settings
     let [settings] = await db.query(
-      'SELECT * FROM user_settings WHERE user_id = ?',
-      [req.user.id]
+      'SELECT * FROM organization_settings WHERE organization_id = ?',
+      [req.organization.id]
     );
 
     // If no settings exist, create defaults
     if (settings.length === 0) {
       await db.query(
-        `INSERT INTO user_settings (user_id, default_interval_minutes, default_viewports) 
+        `INSERT INTO organization_settings (organization_id, default_interval_minutes, default_viewports) 
          VALUES (?, ?, ?)`,
-        [req.user.id, DEFAULT_INTERVAL_MINUTES, JSON.stringify(DEFAULT_VIEWPORTS)]
+        [req.organization.id, DEFAULT_INTERVAL_MINUTES, JSON.stringify(DEFAULT_VIEWPORTS)]
       );
 
       [settings] = await db.query(
-        'SELECT * FROM user_settings WHERE user_id = ?',
-        [req.user.id]
+        'SELECT * FROM organization_settings WHERE organization_id = ?',
+        [req.organization.id]
       );
     }
 
-    const userSettings = settings[0];
+    const organizationSettings = settings[0];
+    const userSettings = await getUserSettings(req.user.id);
     
     // Parse viewports JSON if it's a string
-    let viewports = userSettings.default_viewports;
+    let viewports = organizationSettings.default_viewports;
     if (typeof viewports === 'string') {
       viewports = JSON.parse(viewports);
     }
+    let deviceProfiles = organizationSettings.default_device_profiles;
+    if (typeof deviceProfiles === 'string') {
+      deviceProfiles = JSON.parse(deviceProfiles);
+    }
+    let blackoutWindows = organizationSettings.default_blackout_windows;
+    if (typeof blackoutWindows === 'string') {
+      blackoutWindows = JSON.parse(blackoutWindows);
+    }
 
     res.json({
-      default_interval_minutes: userSettings.default_interval_minutes,
+      default_interval_minutes: organizationSettings.default_interval_minutes,
       default_viewports: viewports,
+      default_device_profiles: deviceProfiles,
+      // Schedule
+      default_schedule_cron: organizationSettings.default_schedule_cron,
+      default_schedule_timezone: organizationSettings.default_schedule_timezone,
+      default_blackout_windows: blackoutWindows,
       // Retention settings
-      retention_enabled: Boolean(userSettings.retention_enabled),
-      max_screenshots_per_page: userSettings.max_screenshots_per_page,
-      keep_per_day: userSettings.keep_per_day ?? DEFAULT_RETENTION.keep_per_day,
-      keep_per_week: userSettings.keep_per_week ?? DEFAULT_RETENTION.keep_per_week,
-      keep_per_month: userSettings.keep_per_month ?? DEFAULT_RETENTION.keep_per_month,
-      keep_per_year: userSettings.keep_per_year ?? DEFAULT_RETENTION.keep_per_year,
-      max_age_days: userSettings.max_age_days
+      retention_enabled: Boolean(organizationSettings.retention_enabled),
+      max_screenshots_per_page: organizationSettings.max_screenshots_per_page,
+      keep_per_day: organizationSettings.keep_per_day ?? DEFAULT_RETENTION.keep_per_day,
+      keep_per_week: organizationSettings.keep_per_week ?? DEFAULT_RETENTION.keep_per_week,
+      keep_per_month: organizationSettings.keep_per_month ?? DEFAULT_RETENTION.keep_per_month,
+      keep_per_year: organizationSettings.keep_per_year ?? DEFAULT_RETENTION.keep_per_year,
+      max_age_days: organizationSettings.max_age_days,
+      // Change detection
+      change_threshold_percent: organizationSettings.change_threshold_percent !== null && organizationSettings.change_threshold_percent !== undefined
+        ? parseFloat(organizationSettings.change_threshold_percent)
+        : DEFAULT_CHANGE_THRESHOLD_PERCENT,
+      // Email digest (personal)
+      digest_frequency: userSettings.digest_frequency ?? DEFAULT_DIGEST.digest_frequency,
+      digest_email: userSettings.digest_email ?? DEFAULT_DIGEST.digest_email,
+      digest_hour: userSettings.digest_hour ?? DEFAULT_DIGEST.digest_hour,
+      digest_last_sent_at: userSettings.digest_last_sent_at ?? null,
+      // Suspended pages
+      suspension_auto_resume_hours: organizationSettings.suspension_auto_resume_hours
     });
   } catch (error) {
     console.error('Get settings error:', error);
@@ -61,12 +105,17 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Update user settings
-router.put('/', async (req, res) => {
+// Update settings of the current organization (editor) and the user's digest settings (any member)
+router.put('/', requireOrganizationRole('viewer'), async (req, res) => {
   try {
     const { 
       default_interval_minutes, 
       default_viewports,
+      default_device_profiles,
+      // Schedule
+      default_schedule_cron,
+      default_schedule_timezone,
+      default_blackout_windows,
       // Retention settings
       retention_enabled,
       max_screenshots_per_page,
@@ -74,9 +123,22 @@ router.put('/', async (req, res) => {
       keep_per_week,
       keep_per_month,
       keep_per_year,
-      max_age_days
+      max_age_days,
+      // Change detection
+      change_threshold_percent,
+      // Email digest
+      digest_frequency,
+      digest_email,
+      digest_hour,
+      // Suspended pages
+      suspension_auto_resume_hours
     } = req.body;
 
+    const changesOrganization = Object.keys(req.body).some(field => !DIGEST_FIELDS.includes(field));
+    if (changesOrganization && !hasRole(req.organization.role, 'editor')) {
+      return res.status(403).json({ error: 'Changing the organization defaults needs the editor role' });
+    }
+
     // Validate interval
     if (default_interval_minutes !== undefined) {
       if (!Number.isInteger(default_interval_minutes) || default_interval_minutes < 5) {
@@ -96,6 +158,24 @@ router.put('/', async (req, res) => {
       }
     }
 
+    // Validate device profiles
+    if (default_device_profiles !== undefined) {
+      const deviceProfilesError = await validateDeviceProfileIds(default_device_profiles, req.organization.id);
+      if (deviceProfilesError) {
+        return res.status(400).json({ error: deviceProfilesError });
+      }
+    }
+
+    // Validate schedule
+    const scheduleError = validateSchedule({
+      schedule_cron: default_schedule_cron,
+      schedule_timezone: default_schedule_timezone,
+      blackout_windows: default_blackout_windows
+    });
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
     // Validate retention settings
     if (max_screenshots_per_page !== undefined && max_screenshots_per_page !== null) {
       if (!Number.isInteger(max_screenshots_per_page) || max_screenshots_per_page < 1) {
@@ -133,19 +213,48 @@ router.put('/', async (req, res) => {
       }
     }
 
+    if (change_threshold_percent !== undefined) {
+      if (typeof change_threshold_percent !== 'number' || change_threshold_percent < 0 || change_threshold_percent > 100) {
+        return res.status(400).json({ error: 'Change threshold must be between 0 and 100 percent' });
+      }
+    }
+
+    if (digest_frequency !== undefined && !DIGEST_FREQUENCIES.includes(digest_frequency)) {
+      return res.status(400).json({ error: `Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+    }
+
+    if (digest_email !== undefined && digest_email !== null && digest_email !== '') {
+      if (typeof digest_email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(digest_email)) {
+        return res.status(400).json({ error: 'Digest email must be a valid email address' });
+      }
+    }
+
+    if (digest_hour !== undefined) {
+      if (!Number.isInteger(digest_hour) || digest_hour < 0 || digest_hour > 23) {
+        return res.status(400).json({ error: 'Digest hour must be between 0 and 23' });
+      }
+    }
+
+    if (suspension_auto_resume_hours !== undefined && suspension_auto_resume_hours !== null) {
+      if (!Number.isInteger(suspension_auto_resume_hours) || suspension_auto_resume_hours < 1 ||
+          suspension_auto_resume_hours > MAX_SUSPENSION_AUTO_RESUME_HOURS) {
+        return res.status(400).json({ error: `Auto-resume must be between 1 and ${MAX_SUSPENSION_AUTO_RESUME_HOURS} hours` });
+      }
+    }
+
     // Check if settings exist
     const [existing] = await db.query(
-      'SELECT id FROM user_settings WHERE user_id = ?',
-      [req.user.id]
+      'SELECT id FROM organization_settings WHERE organization_id = ?',
+      [req.organization.id]
     );
 
     if (existing.length === 0) {
       // Create new settings
       await db.query(
-        `INSERT INTO user_settings (user_id, default_interval_minutes, default_viewports) 
+        `INSERT INTO organization_settings (organization_id, default_interval_minutes, default_viewports) 
          VALUES (?, ?, ?)`,
         [
-          req.user.id,
+          req.organization.id,
           default_interval_minutes || DEFAULT_INTERVAL_MINUTES,
           JSON.stringify(default_viewports || DEFAULT_VIEWPORTS)
         ]
@@ -166,6 +275,28 @@ router.put('/', async (req, res) => {
       values.push(JSON.stringify(default_viewports));
     }
 
+    // Device profiles replace the viewports when set (null or [] = use viewports)
+    if (default_device_profiles !== undefined) {
+      updates.push('default_device_profiles = ?');
+      values.push(default_device_profiles && default_device_profiles.length > 0 ? JSON.stringify(default_device_profiles) : null);
+    }
+
+    // Schedule
+    if (default_schedule_cron !== undefined) {
+      updates.push('default_schedule_cron = ?');
+      values.push(default_schedule_cron ? default_schedule_cron.trim() : null);
+    }
+
+    if (default_schedule_timezone !== undefined) {
+      updates.push('default_schedule_timezone = ?');
+      values.push(default_schedule_timezone || null);
+    }
+
+    if (default_blackout_windows !== undefined) {
+      updates.push('default_blackout_windows = ?');
+      values.push(default_blackout_windows ? JSON.stringify(default_blackout_windows) : null);
+    }
+
     // Retention settings
     if (retention_enabled !== undefined) {
       updates.push('retention_enabled = ?');
@@ -202,37 +333,102 @@ router.put('/', async (req, res) => {
       values.push(max_age_days);
     }
 
+    // Change detection
+    if (change_threshold_percent !== undefined) {
+      updates.push('change_threshold_percent = ?');
+      values.push(change_threshold_percent);
+    }
+
+    // Suspended pages
+    if (suspension_auto_resume_hours !== undefined) {
+      updates.push('suspension_auto_resume_hours = ?');
+      values.push(suspension_auto_resume_hours);
+    }
+
     if (updates.length > 0) {
-      values.push(req.user.id);
+      values.push(req.organization.id);
       await db.query(
-        `UPDATE user_settings SET ${updates.join(', ')} WHERE user_id = ?`,
+        `UPDATE organization_settings SET ${updates.join(', ')} WHERE organization_id = ?`,
         values
       );
     }
 
+    // Email digest (personal)
+    const digestUpdates = [];
+    const digestValues = [];
+
+    if (digest_frequency !== undefined) {
+      digestUpdates.push('digest_frequency = ?');
+      digestValues.push(digest_frequency);
+    }
+
+    if (digest_email !== undefined) {
+      digestUpdates.push('digest_email = ?');
+      digestValues.push(digest_email || null);
+    }
+
+    if (digest_hour !== undefined) {
+      digestUpdates.push('digest_hour = ?');
+      digestValues.push(digest_hour);
+    }
+
+    if (digestUpdates.length > 0) {
+      await db.query('INSERT IGNORE INTO user_settings (user_id) VALUES (?)', [req.user.id]);
+      digestValues.push(req.user.id);
+      await db.query(
+        `UPDATE user_settings SET ${digestUpdates.join(', ')} WHERE user_id = ?`,
+        digestValues
+      );
+    }
+
     // Return updated settings
     const [settings] = await db.query(
-      'SELECT * FROM user_settings WHERE user_id = ?',
-      [req.user.id]
+      'SELECT * FROM organization_settings WHERE organization_id = ?',
+      [req.organization.id]
     );
 
-    const userSettings = settings[0];
-    let viewports = userSettings.default_viewports;
+    const organizationSettings = settings[0];
+    const userSettings = await getUserSettings(req.user.id);
+    let viewports = organizationSettings.default_viewports;
     if (typeof viewports === 'string') {
       viewports = JSON.parse(viewports);
     }
+    let deviceProfiles = organizationSettings.default_device_profiles;
+    if (typeof deviceProfiles === 'string') {
+      deviceProfiles = JSON.parse(deviceProfiles);
+    }
+    let blackoutWindows = organizationSettings.default_blackout_windows;
+    if (typeof blackoutWindows === 'string') {
+      blackoutWindows = JSON.parse(blackoutWindows);
+    }
 
     res.json({
-      default_interval_minutes: userSettings.default_interval_minutes,
+      default_interval_minutes: organizationSettings.default_interval_minutes,
       default_viewports: viewports,
+      default_device_profiles: deviceProfiles,
+      // Schedule
+      default_schedule_cron: organizationSettings.default_schedule_cron,
+      default_schedule_timezone: organizationSettings.default_schedule_timezone,
+      default_blackout_windows: blackoutWindows,
       // Retention settings
-      retention_enabled: Boolean(userSettings.retention_enabled),
-      max_screenshots_per_page: userSettings.max_screenshots_per_page,
-      keep_per_day: userSettings.keep_per_day ?? DEFAULT_RETENTION.keep_per_day,
-      keep_per_week: userSettings.keep_per_week ?? DEFAULT_RETENTION.keep_per_week,
-      keep_per_month: userSettings.keep_per_month ?? DEFAULT_RETENTION.keep_per_month,
-      keep_per_year: userSettings.keep_per_year ?? DEFAULT_RETENTION.keep_per_year,
-      max_age_days: userSettings.max_age_days
+      retention_enabled: Boolean(organizationSettings.retention_enabled),
+      max_screenshots_per_page: organizationSettings.max_screenshots_per_page,
+      keep_per_day: organizationSettings.keep_per_day ?? DEFAULT_RETENTION.keep_per_day,
+      keep_per_week: organizationSettings.keep_per_week ?? DEFAULT_RETENTION.keep_per_week,
+      keep_per_month: organizationSettings.keep_per_month ?? DEFAULT_RETENTION.keep_per_month,
+      keep_per_year: organizationSettings.keep_per_year ?? DEFAULT_RETENTION.keep_per_year,
+      max_age_days: organizationSettings.max_age_days,
+      // Change detection
+      change_threshold_percent: organizationSettings.change_threshold_percent !== null && organizationSettings.change_threshold_percent !== undefined
+        ? parseFloat(organizationSettings.change_threshold_percent)
+        : DEFAULT_CHANGE_THRESHOLD_PERCENT,
+      // Email digest (personal)
+      digest_frequency: userSettings.digest_frequency ?? DEFAULT_DIGEST.digest_frequency,
+      digest_email: userSettings.digest_email ?? DEFAULT_DIGEST.digest_email,
+      digest_hour: userSettings.digest_hour ?? DEFAULT_DIGEST.digest_hour,
+      digest_last_sent_at: userSettings.digest_last_sent_at ?? null,
+      // Suspended pages
+      suspension_auto_resume_hours: organizationSettings.suspension_auto_resume_hours
     });
   } catch (error) {
     console.error('Update settings error:', error);
@@ -240,4 +436,62 @@ router.put('/', async (req, res) => {
   }
 });
 
+// Preview upcoming capture times for a schedule (used while editing schedules)
+router.post('/schedule/preview', async (req, res) => {
+  try {
+    const { interval_minutes, schedule_cron, schedule_timezone, blackout_windows, last_capture_at } = req.body;
+
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    if (!schedule_cron && (!Number.isInteger(interval_minutes) || interval_minutes < 5)) {
+      return res.status(400).json({ error: 'Interval must be at least 5 minutes' });
+    }
+
+    const schedule = {
+      cron: schedule_cron || null,
+      intervalMinutes: interval_minutes,
+      timezone: schedule_timezone || DEFAULT_SCHEDULE_TIMEZONE,
+      blackoutWindows: blackout_windows || null
+    };
+
+    // Simulate the next few captures, each one becoming the "last capture" for the next
+    const upcoming = [];
+    let lastCaptureAt = last_capture_at ? new Date(last_capture_at) : null;
+    let now = new Date();
+    for (let i = 0; i < 3; i++) {
+      const next = getNextCaptureTime(schedule, lastCaptureAt, now);
+      upcoming.push(next);
+      lastCaptureAt = next;
+      now = new Date(next.getTime() + 1000);
+    }
+
+    res.json({
+      next_capture_at: upcoming[0],
+      upcoming,
+      timezone: schedule.timezone
+    });
+  } catch (error) {
+    console.error('Schedule preview error:', error);
+    res.status(500).json({ error: 'Failed to preview schedule' });
+  }
+});
+
+// Send the user's digest right away (covers the last day, or week for weekly digests)
+router.post('/digest/test', async (req, res) => {
+  try {
+    if (!isMailConfigured()) {
+      return res.status(400).json({ error: 'Email is not configured on this server (set SMTP_HOST)' });
+    }
+
+    const result = await sendDigest(req.user.id);
+    res.json({ message: `Digest sent to ${result.to}` });
+  } catch (error) {
+    console.error('Send test digest error:', error);
+    res.status(500).json({ error: `Failed to send digest: ${error.message}` });
+  }
+});
+
 module.exports = router;
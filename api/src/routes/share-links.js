@@ -0,0 +1,104 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getOrganizationIds } = require('../services/organizations');
+const { generateShareToken, validateShareLink, resolveShareTarget } = require('../services/share-links');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get share links on pages the user can see (optionally of one page, one screenshot or one comparison)
+router.get('/', async (req, res) => {
+  try {
+    const { page_id, screenshot_id, other_screenshot_id } = req.query;
+
+    let where = 'WHERE s.organization_id IN (?)';
+    const params = [getOrganizationIds(req)];
+
+    if (page_id) {
+      where += ' AND sl.page_id = ?';
+      params.push(page_id);
+    }
+    if (screenshot_id) {
+      where += ' AND sl.screenshot_id = ?';
+      params.push(screenshot_id);
+      where += other_screenshot_id ? ' AND sl.other_screenshot_id = ?' : ' AND sl.other_screenshot_id IS NULL';
+      if (other_screenshot_id) {
+        params.push(other_screenshot_id);
+      }
+    }
+
+    const [links] = await db.query(
+      `SELECT sl.*, p.name as page_name, (sl.expires_at IS NOT NULL AND sl.expires_at <= NOW()) as is_expired
+       FROM share_links sl
+       JOIN pages p ON sl.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       ${where}
+       ORDER BY sl.created_at DESC`,
+      params
+    );
+
+    res.json(links.map(link => ({ ...link, is_expired: Boolean(link.is_expired) })));
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({ error: 'Failed to get share links' });
+  }
+});
+
+// Create share link
+router.post('/', async (req, res) => {
+  try {
+    const { scope, name, expires_in_days } = req.body;
+
+    const validationError = validateShareLink(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const target = await resolveShareTarget(req.body, getOrganizationIds(req));
+    if (!target) {
+      return res.status(404).json({ error: scope === 'page' ? 'Page not found' : 'Screenshot not found' });
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO share_links (user_id, token, scope, page_id, screenshot_id, other_screenshot_id, name, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))`,
+      [
+        req.user.id, generateShareToken(), scope, target.pageId, target.screenshotId, target.otherScreenshotId,
+        name ? name.trim() : null, expires_in_days || null, expires_in_days || null
+      ]
+    );
+
+    const [links] = await db.query('SELECT * FROM share_links WHERE id = ?', [result.insertId]);
+    res.status(201).json({ ...links[0], is_expired: false });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// Revoke share link (the link stops working immediately)
+router.delete('/:id', async (req, res) => {
+  try {
+    const [result] = await db.query(
+      `DELETE sl FROM share_links sl
+       JOIN pages p ON sl.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE sl.id = ? AND s.organization_id IN (?)`,
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+module.exports = router;
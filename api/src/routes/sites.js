@@ -1,7 +1,15 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-const { DEFAULT_INTERVAL_MINUTES } = require('../config/constants');
+const { authenticateToken, requireOrganization } = require('../middleware/auth');
+const { getOrganizationIds } = require('../services/organizations');
+const { getSitesWithStats, getPagesWithStats } = require('../services/dashboard');
+const { validateSchedule } = require('../services/schedule');
+const { isEncryptionConfigured, encryptSecret, decryptSecret } = require('../services/credentials');
+const { formatRequestSettings, validateRequestSettings, getRequestSettingsRow, saveRequestSettings } = require('../services/request-settings');
+const { validateDeviceProfileIds } = require('../services/device-profiles');
+const { MAX_SITE_CONCURRENT_CAPTURES, MAX_SITE_CAPTURE_DELAY_SECONDS, MAX_REGEX_LENGTH } = require('../config/constants');
+const { CAPTURE_JOB_STATUSES, getCaptureJobs } = require('../services/capture-jobs');
+const { parsePeriodDays, getSiteUptime } = require('../services/uptime');
 
 const router = express.Router();
 
@@ -11,28 +19,10 @@ const WORKER_URL = process.env.WORKER_URL || 'http://worker:3001';
 // All routes require authentication
 router.use(authenticateToken);
 
-// Get all sites for user
-router.get('/', async (req, res) => {
+// Get all sites of the current organization
+router.get('/', requireOrganization, async (req, res) => {
   try {
-    const [sites] = await db.query(
-      `SELECT s.*, 
-        (SELECT COUNT(*) FROM pages WHERE site_id = s.id) as page_count,
-        (SELECT COUNT(*) FROM screenshots sc 
-         JOIN pages p ON sc.page_id = p.id 
-         WHERE p.site_id = s.id) as screenshot_count
-       FROM sites s 
-       WHERE s.user_id = ? 
-       ORDER BY s.created_at DESC`,
-      [req.user.id]
-    );
-    
-    // Parse viewports JSON for each site
-    for (const site of sites) {
-      if (site.viewports && typeof site.viewports === 'string') {
-        site.viewports = JSON.parse(site.viewports);
-      }
-    }
-    
+    const sites = await getSitesWithStats(req.organization.id);
     res.json(sites);
   } catch (error) {
     console.error('Get sites error:', error);
@@ -44,8 +34,8 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const [sites] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (sites.length === 0) {
@@ -53,10 +43,16 @@ router.get('/:id', async (req, res) => {
     }
 
     const site = sites[0];
-    // Parse viewports if it's a string
+    // Parse viewports, device profiles and blackout windows if they're strings
     if (site.viewports && typeof site.viewports === 'string') {
       site.viewports = JSON.parse(site.viewports);
     }
+    if (site.blackout_windows && typeof site.blackout_windows === 'string') {
+      site.blackout_windows = JSON.parse(site.blackout_windows);
+    }
+    if (site.device_profiles && typeof site.device_profiles === 'string') {
+      site.device_profiles = JSON.parse(site.device_profiles);
+    }
 
     res.json(site);
   } catch (error) {
@@ -65,8 +61,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new site
-router.post('/', async (req, res) => {
+// Create new site (in the current organization)
+router.post('/', requireOrganization, async (req, res) => {
   try {
     const { name, domain } = req.body;
 
@@ -75,8 +71,8 @@ router.post('/', async (req, res) => {
     }
 
     const [result] = await db.query(
-      'INSERT INTO sites (user_id, name, domain) VALUES (?, ?, ?)',
-      [req.user.id, name, domain]
+      'INSERT INTO sites (organization_id, name, domain) VALUES (?, ?, ?)',
+      [req.organization.id, name, domain]
     );
 
     const [sites] = await db.query('SELECT * FROM sites WHERE id = ?', [result.insertId]);
@@ -90,18 +86,45 @@ router.post('/', async (req, res) => {
 // Update site
 router.put('/:id', async (req, res) => {
   try {
-    const { name, domain, interval_minutes, viewports } = req.body;
+    const {
+      name, domain, interval_minutes, viewports, device_profiles,
+      schedule_cron, schedule_timezone, blackout_windows,
+      max_concurrent_captures, capture_delay_seconds
+    } = req.body;
 
     // Verify ownership
     const [existing] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (existing.length === 0) {
       return res.status(404).json({ error: 'Site not found' });
     }
 
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    if (device_profiles !== undefined) {
+      const deviceProfilesError = await validateDeviceProfileIds(device_profiles, existing[0].organization_id);
+      if (deviceProfilesError) {
+        return res.status(400).json({ error: deviceProfilesError });
+      }
+    }
+
+    if (max_concurrent_captures !== undefined && max_concurrent_captures !== null &&
+        (!Number.isInteger(max_concurrent_captures) || max_concurrent_captures < 1 ||
+         max_concurrent_captures > MAX_SITE_CONCURRENT_CAPTURES)) {
+      return res.status(400).json({ error: `Max concurrent captures must be between 1 and ${MAX_SITE_CONCURRENT_CAPTURES}` });
+    }
+    if (capture_delay_seconds !== undefined && capture_delay_seconds !== null &&
+        (!Number.isInteger(capture_delay_seconds) || capture_delay_seconds < 0 ||
+         capture_delay_seconds > MAX_SITE_CAPTURE_DELAY_SECONDS)) {
+      return res.status(400).json({ error: `Capture delay must be between 0 and ${MAX_SITE_CAPTURE_DELAY_SECONDS} seconds` });
+    }
+
     // Build dynamic update query to handle null values explicitly
     const updates = [];
     const values = [];
@@ -114,16 +137,43 @@ router.put('/:id', async (req, res) => {
       updates.push('domain = ?');
       values.push(domain);
     }
-    // interval_minutes can be null (use user defaults) or a number
+    // interval_minutes can be null (use organization defaults) or a number
     if (interval_minutes !== undefined) {
       updates.push('interval_minutes = ?');
       values.push(interval_minutes);
     }
-    // viewports can be null (use user defaults) or an array
+    // viewports can be null (use organization defaults) or an array
     if (viewports !== undefined) {
       updates.push('viewports = ?');
       values.push(viewports ? JSON.stringify(viewports) : null);
     }
+    // device_profiles can be null (use organization defaults), [] (use viewports) or an array of profile IDs
+    if (device_profiles !== undefined) {
+      updates.push('device_profiles = ?');
+      values.push(device_profiles ? JSON.stringify(device_profiles) : null);
+    }
+    // Schedule fields can be null (inherit) or a value
+    if (schedule_cron !== undefined) {
+      updates.push('schedule_cron = ?');
+      values.push(schedule_cron ? schedule_cron.trim() : null);
+    }
+    if (schedule_timezone !== undefined) {
+      updates.push('schedule_timezone = ?');
+      values.push(schedule_timezone || null);
+    }
+    if (blackout_windows !== undefined) {
+      updates.push('blackout_windows = ?');
+      values.push(blackout_windows ? JSON.stringify(blackout_windows) : null);
+    }
+    // Capture limits can be null (system default) or a number
+    if (max_concurrent_captures !== undefined) {
+      updates.push('max_concurrent_captures = ?');
+      values.push(max_concurrent_captures);
+    }
+    if (capture_delay_seconds !== undefined) {
+      updates.push('capture_delay_seconds = ?');
+      values.push(capture_delay_seconds);
+    }
 
     if (updates.length > 0) {
       values.push(req.params.id);
@@ -135,11 +185,17 @@ router.put('/:id', async (req, res) => {
 
     const [sites] = await db.query('SELECT * FROM sites WHERE id = ?', [req.params.id]);
     
-    // Parse viewports if it's a string
+    // Parse viewports, device profiles and blackout windows if they're strings
     const site = sites[0];
     if (site.viewports && typeof site.viewports === 'string') {
       site.viewports = JSON.parse(site.viewports);
     }
+    if (site.blackout_windows && typeof site.blackout_windows === 'string') {
+      site.blackout_windows = JSON.parse(site.blackout_windows);
+    }
+    if (site.device_profiles && typeof site.device_profiles === 'string') {
+      site.device_profiles = JSON.parse(site.device_profiles);
+    }
     
     res.json(site);
   } catch (error) {
@@ -153,8 +209,8 @@ router.delete('/:id', async (req, res) => {
   try {
     // Verify ownership
     const [existing] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (existing.length === 0) {
@@ -169,13 +225,70 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Get capture job history of all pages of a site (newest first)
+router.get('/:id/capture-jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const status = req.query.status || null;
+
+    // Verify ownership
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    if (status && !CAPTURE_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${CAPTURE_JOB_STATUSES.join(', ')}` });
+    }
+
+    const { jobs, total } = await getCaptureJobs({ siteId: sites[0].id, status }, limit, offset);
+
+    res.json({ jobs, total, limit, offset });
+  } catch (error) {
+    console.error('Get site capture jobs error:', error);
+    res.status(500).json({ error: 'Failed to get capture jobs' });
+  }
+});
+
+// Resume scheduled captures of all suspended pages of a site
+router.post('/:id/resume-pages', async (req, res) => {
+  try {
+    // Verify ownership
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    // resumed_at resets the failure count, so the pages get a full set of retries again
+    const [result] = await db.query(
+      `UPDATE pages SET suspended_at = NULL, suspended_reason = NULL, resumed_at = NOW()
+       WHERE site_id = ? AND suspended_at IS NOT NULL`,
+      [sites[0].id]
+    );
+
+    res.json({ message: 'Monitoring resumed', resumed: result.affectedRows });
+  } catch (error) {
+    console.error('Resume site pages error:', error);
+    res.status(500).json({ error: 'Failed to resume pages' });
+  }
+});
+
 // Get pages for a site
 router.get('/:id/pages', async (req, res) => {
   try {
     // Verify ownership
     const [sites] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (sites.length === 0) {
@@ -184,45 +297,7 @@ router.get('/:id/pages', async (req, res) => {
 
     const site = sites[0];
     
-    // Query pages with screenshot count, latest screenshot, error counts, and effective interval
-    const [pages] = await db.query(
-      `SELECT p.*, 
-        (SELECT COUNT(*) FROM screenshots WHERE page_id = p.id) as screenshot_count,
-        (SELECT created_at FROM screenshots WHERE page_id = p.id ORDER BY created_at DESC LIMIT 1) as latest_screenshot,
-        COALESCE(latest_errors.js_error_count, 0) as latest_js_error_count,
-        COALESCE(latest_errors.network_error_count, 0) as latest_network_error_count,
-        COALESCE(p.interval_minutes, s.interval_minutes, us.default_interval_minutes, ?) as effective_interval_minutes
-       FROM pages p 
-       JOIN sites s ON p.site_id = s.id
-       LEFT JOIN user_settings us ON s.user_id = us.user_id
-       LEFT JOIN (
-         -- Get error counts for the latest screenshot group (screenshots within the same minute)
-         SELECT 
-           sc.page_id,
-           SUM(CASE WHEN se.error_type = 'js' THEN 1 ELSE 0 END) as js_error_count,
-           SUM(CASE WHEN se.error_type = 'network' THEN 1 ELSE 0 END) as network_error_count
-         FROM screenshots sc
-         INNER JOIN (
-           -- Find the latest timestamp for each page
-           SELECT page_id, MAX(created_at) as max_created_at
-           FROM screenshots
-           GROUP BY page_id
-         ) latest ON sc.page_id = latest.page_id 
-           AND sc.created_at >= DATE_SUB(latest.max_created_at, INTERVAL 1 MINUTE)
-         LEFT JOIN screenshot_errors se ON sc.id = se.screenshot_id
-         GROUP BY sc.page_id
-       ) latest_errors ON p.id = latest_errors.page_id
-       WHERE p.site_id = ? 
-       ORDER BY p.created_at DESC`,
-      [DEFAULT_INTERVAL_MINUTES, req.params.id]
-    );
-
-    // Parse viewports JSON for each page
-    for (const page of pages) {
-      if (page.viewports && typeof page.viewports === 'string') {
-        page.viewports = JSON.parse(page.viewports);
-      }
-    }
+    const pages = await getPagesWithStats(req.params.id);
 
     res.json(pages);
   } catch (error) {
@@ -231,6 +306,27 @@ router.get('/:id/pages', async (req, res) => {
   }
 });
 
+// Get the uptime of a site and its probed pages (?days=, default 30)
+router.get('/:id/uptime', async (req, res) => {
+  try {
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    const uptime = await getSiteUptime(sites[0].id, parsePeriodDays(req.query.days));
+
+    res.json(uptime);
+  } catch (error) {
+    console.error('Get site uptime error:', error);
+    res.status(500).json({ error: 'Failed to get uptime' });
+  }
+});
+
 // Discover pages for a site using AI
 router.post('/:id/discover-pages', async (req, res) => {
   try {
@@ -238,8 +334,8 @@ router.post('/:id/discover-pages', async (req, res) => {
 
     // Verify ownership
     const [sites] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (sites.length === 0) {
@@ -254,6 +350,7 @@ router.post('/:id/discover-pages', async (req, res) => {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
         domain: site.domain,
+        siteId: site.id,
         maxPages 
       })
     });
@@ -287,15 +384,15 @@ router.post('/:id/pages/bulk', async (req, res) => {
 
     // Verify ownership
     const [sites] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (sites.length === 0) {
       return res.status(404).json({ error: 'Site not found' });
     }
 
-    // Insert all pages (interval_minutes and viewports are null by default - uses user settings)
+    // Insert all pages (interval_minutes and viewports are null by default - uses organization settings)
     const createdPages = [];
     
     for (const page of pages) {
@@ -338,8 +435,8 @@ router.post('/:id/pages', async (req, res) => {
 
     // Verify ownership
     const [sites] = await db.query(
-      'SELECT * FROM sites WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
     );
 
     if (sites.length === 0) {
@@ -362,4 +459,369 @@ router.post('/:id/pages', async (req, res) => {
   }
 });
 
+// ============================================
+// REQUEST SETTINGS ROUTES
+// ============================================
+
+// Get extra headers, cookies and basic auth for a site
+router.get('/:id/request-settings', async (req, res) => {
+  try {
+    // Verify ownership
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    res.json(formatRequestSettings(await getRequestSettingsRow({ siteId: sites[0].id })));
+  } catch (error) {
+    console.error('Get site request settings error:', error);
+    res.status(500).json({ error: 'Failed to get request settings' });
+  }
+});
+
+// Update extra headers, cookies and basic auth for a site
+router.put('/:id/request-settings', async (req, res) => {
+  try {
+    // Verify ownership
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    const validationError = validateRequestSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json(await saveRequestSettings({ siteId: sites[0].id }, req.body));
+  } catch (error) {
+    console.error('Update site request settings error:', error);
+    res.status(500).json({ error: 'Failed to update request settings' });
+  }
+});
+
+// ============================================
+// LOGIN PROFILES ROUTES
+// ============================================
+
+// Helper function to format a login profile for responses (never includes the password or session)
+function formatLoginProfile(profile) {
+  let username = null;
+  if (profile.username_encrypted) {
+    try {
+      username = decryptSecret(profile.username_encrypted);
+    } catch (error) {
+      console.error(`Failed to decrypt username of login profile ${profile.id}:`, error.message);
+    }
+  }
+
+  let steps = profile.steps;
+  if (typeof steps === 'string') {
+    steps = JSON.parse(steps);
+  }
+
+  return {
+    id: profile.id,
+    site_id: profile.site_id,
+    name: profile.name,
+    login_url: profile.login_url,
+    username,
+    has_password: Boolean(profile.password_encrypted),
+    steps,
+    logged_in_selector: profile.logged_in_selector,
+    logged_out_url_pattern: profile.logged_out_url_pattern,
+    session_ttl_minutes: profile.session_ttl_minutes,
+    is_default: Boolean(profile.is_default),
+    has_session: Boolean(profile.session_state_encrypted) &&
+      profile.session_expires_at !== null && new Date(profile.session_expires_at) > new Date(),
+    session_expires_at: profile.session_expires_at,
+    last_login_at: profile.last_login_at,
+    last_login_error: profile.last_login_error,
+    page_count: Number(profile.page_count || 0),
+    created_at: profile.created_at,
+    updated_at: profile.updated_at
+  };
+}
+
+// Helper function to validate login profile fields
+function validateLoginProfile({ name, login_url, steps, session_ttl_minutes, logged_out_url_pattern }, isUpdate = false) {
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return 'Name is required';
+    }
+  }
+
+  if (!isUpdate || login_url !== undefined) {
+    try {
+      const parsed = new URL(login_url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'Login URL must use http or https';
+      }
+    } catch {
+      return 'Invalid login URL';
+    }
+  }
+
+  // Steps use the worker's action DSL; each step is fully validated when it runs
+  if (!isUpdate || steps !== undefined) {
+    if (!steps || typeof steps !== 'object' || !Array.isArray(steps.steps) || steps.steps.length === 0) {
+      return 'Login steps must be an action sequence with a "steps" array';
+    }
+    for (const [index, step] of steps.steps.entries()) {
+      if (!step || typeof step !== 'object' || typeof step.action !== 'string') {
+        return `Step ${index + 1}: every step needs an "action"`;
+      }
+    }
+  }
+
+  if (session_ttl_minutes !== undefined &&
+      (!Number.isInteger(session_ttl_minutes) || session_ttl_minutes < 5 || session_ttl_minutes > 43200)) {
+    return 'Session lifetime must be between 5 minutes and 30 days';
+  }
+
+  if (logged_out_url_pattern) {
+    if (typeof logged_out_url_pattern !== 'string' || logged_out_url_pattern.length > MAX_REGEX_LENGTH) {
+      return `Logged-out URL pattern must be a string of at most ${MAX_REGEX_LENGTH} characters`;
+    }
+    try {
+      new RegExp(logged_out_url_pattern);
+    } catch {
+      return 'Logged-out URL pattern must be a valid regular expression';
+    }
+  }
+
+  return null;
+}
+
+// Helper function to get a login profile of a site in one of the given organizations
+async function getOwnedLoginProfile(siteId, profileId, organizationIds) {
+  const [profiles] = await db.query(
+    `SELECT lp.*,
+      (SELECT COUNT(*) FROM pages WHERE login_profile_id = lp.id) as page_count
+     FROM login_profiles lp
+     JOIN sites s ON lp.site_id = s.id
+     WHERE lp.id = ? AND lp.site_id = ? AND s.organization_id IN (?)`,
+    [profileId, siteId, organizationIds]
+  );
+  return profiles[0] || null;
+}
+
+// Get login profiles for a site
+router.get('/:id/login-profiles', async (req, res) => {
+  try {
+    // Verify ownership
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    const [profiles] = await db.query(
+      `SELECT lp.*,
+        (SELECT COUNT(*) FROM pages WHERE login_profile_id = lp.id) as page_count
+       FROM login_profiles lp
+       WHERE lp.site_id = ?
+       ORDER BY lp.created_at ASC`,
+      [req.params.id]
+    );
+
+    res.json(profiles.map(formatLoginProfile));
+  } catch (error) {
+    console.error('Get login profiles error:', error);
+    res.status(500).json({ error: 'Failed to get login profiles' });
+  }
+});
+
+// Create login profile for a site
+router.post('/:id/login-profiles', async (req, res) => {
+  try {
+    const {
+      name, login_url, username, password, steps,
+      logged_in_selector, logged_out_url_pattern, session_ttl_minutes, is_default = false
+    } = req.body;
+
+    if (!isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Credential encryption is not configured on this server (set CREDENTIALS_KEY)' });
+    }
+
+    const validationError = validateLoginProfile(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Verify ownership
+    const [sites] = await db.query(
+      'SELECT id FROM sites WHERE id = ? AND organization_id IN (?)',
+      [req.params.id, getOrganizationIds(req)]
+    );
+
+    if (sites.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    // Only one default profile per site
+    if (is_default) {
+      await db.query('UPDATE login_profiles SET is_default = FALSE WHERE site_id = ?', [req.params.id]);
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO login_profiles
+        (site_id, name, login_url, username_encrypted, password_encrypted, steps,
+         logged_in_selector, logged_out_url_pattern, session_ttl_minutes, is_default)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.params.id,
+        name.trim(),
+        login_url,
+        username ? encryptSecret(username) : null,
+        password ? encryptSecret(password) : null,
+        JSON.stringify(steps),
+        logged_in_selector || null,
+        logged_out_url_pattern || null,
+        session_ttl_minutes || 720,
+        is_default ? 1 : 0
+      ]
+    );
+
+    const profile = await getOwnedLoginProfile(req.params.id, result.insertId, getOrganizationIds(req));
+    res.status(201).json(formatLoginProfile(profile));
+  } catch (error) {
+    console.error('Create login profile error:', error);
+    res.status(500).json({ error: 'Failed to create login profile' });
+  }
+});
+
+// Update login profile (password is only replaced when a new one is sent)
+router.put('/:id/login-profiles/:profileId', async (req, res) => {
+  try {
+    const {
+      name, login_url, username, password, steps,
+      logged_in_selector, logged_out_url_pattern, session_ttl_minutes, is_default
+    } = req.body;
+
+    const existing = await getOwnedLoginProfile(req.params.id, req.params.profileId, getOrganizationIds(req));
+    if (!existing) {
+      return res.status(404).json({ error: 'Login profile not found' });
+    }
+
+    const validationError = validateLoginProfile(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if ((username !== undefined || password) && !isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Credential encryption is not configured on this server (set CREDENTIALS_KEY)' });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name.trim());
+    }
+    if (login_url !== undefined) {
+      updates.push('login_url = ?');
+      values.push(login_url);
+    }
+    if (username !== undefined) {
+      updates.push('username_encrypted = ?');
+      values.push(username ? encryptSecret(username) : null);
+    }
+    if (password) {
+      updates.push('password_encrypted = ?');
+      values.push(encryptSecret(password));
+    }
+    if (steps !== undefined) {
+      updates.push('steps = ?');
+      values.push(JSON.stringify(steps));
+    }
+    if (logged_in_selector !== undefined) {
+      updates.push('logged_in_selector = ?');
+      values.push(logged_in_selector || null);
+    }
+    if (logged_out_url_pattern !== undefined) {
+      updates.push('logged_out_url_pattern = ?');
+      values.push(logged_out_url_pattern || null);
+    }
+    if (session_ttl_minutes !== undefined) {
+      updates.push('session_ttl_minutes = ?');
+      values.push(session_ttl_minutes);
+    }
+    if (is_default !== undefined) {
+      if (is_default) {
+        await db.query('UPDATE login_profiles SET is_default = FALSE WHERE site_id = ?', [req.params.id]);
+      }
+      updates.push('is_default = ?');
+      values.push(is_default ? 1 : 0);
+    }
+
+    // Changed credentials or login steps invalidate the cached session
+    if (username !== undefined || password || steps !== undefined || login_url !== undefined) {
+      updates.push('session_state_encrypted = NULL', 'session_expires_at = NULL');
+    }
+
+    if (updates.length > 0) {
+      values.push(req.params.profileId);
+      await db.query(
+        `UPDATE login_profiles SET ${updates.join(', ')} WHERE id = ?`,
+        values
+      );
+    }
+
+    const profile = await getOwnedLoginProfile(req.params.id, req.params.profileId, getOrganizationIds(req));
+    res.json(formatLoginProfile(profile));
+  } catch (error) {
+    console.error('Update login profile error:', error);
+    res.status(500).json({ error: 'Failed to update login profile' });
+  }
+});
+
+// End the cached session of a login profile (the next capture logs in again)
+router.post('/:id/login-profiles/:profileId/logout', async (req, res) => {
+  try {
+    const existing = await getOwnedLoginProfile(req.params.id, req.params.profileId, getOrganizationIds(req));
+    if (!existing) {
+      return res.status(404).json({ error: 'Login profile not found' });
+    }
+
+    await db.query(
+      'UPDATE login_profiles SET session_state_encrypted = NULL, session_expires_at = NULL WHERE id = ?',
+      [req.params.profileId]
+    );
+
+    res.json({ message: 'Session cleared' });
+  } catch (error) {
+    console.error('Clear login session error:', error);
+    res.status(500).json({ error: 'Failed to clear session' });
+  }
+});
+
+// Delete login profile (pages using it fall back to the site's default profile)
+router.delete('/:id/login-profiles/:profileId', async (req, res) => {
+  try {
+    const existing = await getOwnedLoginProfile(req.params.id, req.params.profileId, getOrganizationIds(req));
+    if (!existing) {
+      return res.status(404).json({ error: 'Login profile not found' });
+    }
+
+    await db.query('DELETE FROM login_profiles WHERE id = ?', [req.params.profileId]);
+    res.json({ message: 'Login profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete login profile error:', error);
+    res.status(500).json({ error: 'Failed to delete login profile' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const crypto = require('crypto');
+const db = require('../config/database');
+const { authenticateToken, requireOrganizationRole } = require('../middleware/auth');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+const router = express.Router();
+
+// All routes require authentication and act on the current organization's webhooks
+// (editors only, since webhooks carry their signing secrets)
+router.use(authenticateToken);
+router.use(requireOrganizationRole('editor'));
+
+// Helper function to parse the events JSON column
+function formatWebhook(webhook) {
+  let events = webhook.events;
+  if (typeof events === 'string') {
+    events = JSON.parse(events);
+  }
+  return {
+    ...webhook,
+    events,
+    is_active: Boolean(webhook.is_active)
+  };
+}
+
+// Helper function to validate webhook fields
+function validateWebhook({ name, url, secret, events }, isUpdate = false) {
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 255)) {
+    return 'Name must be a string of at most 255 characters';
+  }
+
+  // The worker signs every delivery with the secret; an empty one generates a new secret on create
+  if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret.length > 255)) {
+    return 'Secret must be a string of at most 255 characters';
+  }
+
+  if (!isUpdate || url !== undefined) {
+    if (!url || typeof url !== 'string') {
+      return 'URL is required';
+    }
+    if (url.length > 2048) {
+      return 'URL must be at most 2048 characters';
+    }
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'URL must use http or https';
+      }
+    } catch {
+      return 'Invalid URL';
+    }
+  }
+
+  if (!isUpdate || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Select at least one event';
+    }
+    for (const event of events) {
+      if (!WEBHOOK_EVENTS.includes(event)) {
+        return `Unknown event: ${event}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Helper function to verify webhook ownership
+async function getOwnedWebhook(webhookId, organizationId) {
+  const [webhooks] = await db.query(
+    'SELECT * FROM webhooks WHERE id = ? AND organization_id = ?',
+    [webhookId, organizationId]
+  );
+  return webhooks[0] || null;
+}
+
+// Get all webhooks of the organization (with latest delivery status)
+router.get('/', async (req, res) => {
+  try {
+    const [webhooks] = await db.query(
+      `SELECT w.*,
+        (SELECT status FROM webhook_deliveries WHERE webhook_id = w.id ORDER BY id DESC LIMIT 1) as last_delivery_status,
+        (SELECT created_at FROM webhook_deliveries WHERE webhook_id = w.id ORDER BY id DESC LIMIT 1) as last_delivery_at
+       FROM webhooks w
+       WHERE w.organization_id = ?
+       ORDER BY w.created_at DESC`,
+      [req.organization.id]
+    );
+
+    res.json(webhooks.map(formatWebhook));
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to get webhooks' });
+  }
+});
+
+// Create webhook
+router.post('/', async (req, res) => {
+  try {
+    const { name, url, secret, events, is_active = true } = req.body;
+
+    const validationError = validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Generate a signing secret unless the user provides their own
+    const webhookSecret = secret || crypto.randomBytes(24).toString('hex');
+
+    const [result] = await db.query(
+      `INSERT INTO webhooks (organization_id, name, url, secret, events, is_active)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.organization.id, name || null, url, webhookSecret, JSON.stringify(events), is_active ? 1 : 0]
+    );
+
+    const webhook = await getOwnedWebhook(result.insertId, req.organization.id);
+    res.status(201).json(formatWebhook(webhook));
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Update webhook
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, url, secret, events, is_active } = req.body;
+
+    const existing = await getOwnedWebhook(req.params.id, req.organization.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const validationError = validateWebhook(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name || null);
+    }
+    if (url !== undefined) {
+      updates.push('url = ?');
+      values.push(url);
+    }
+    if (secret !== undefined && secret) {
+      updates.push('secret = ?');
+      values.push(secret);
+    }
+    if (events !== undefined) {
+      updates.push('events = ?');
+      values.push(JSON.stringify(events));
+    }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(is_active ? 1 : 0);
+    }
+
+    if (updates.length > 0) {
+      values.push(req.params.id);
+      await db.query(`UPDATE webhooks SET ${updates.join(', ')} WHERE id = ?`, values);
+    }
+
+    const webhook = await getOwnedWebhook(req.params.id, req.organization.id);
+    res.json(formatWebhook(webhook));
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete webhook (cascade removes its delivery log)
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await getOwnedWebhook(req.params.id, req.organization.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await db.query('DELETE FROM webhooks WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Queue a test delivery (sent by the worker within a few seconds)
+router.post('/:id/test', async (req, res) => {
+  try {
+    const existing = await getOwnedWebhook(req.params.id, req.organization.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const payload = {
+      event: 'webhook.test',
+      timestamp: new Date().toISOString(),
+      data: { message: 'This is a test delivery from VibeShot' }
+    };
+
+    const [result] = await db.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at)
+       VALUES (?, 'webhook.test', ?, 'pending', NOW())`,
+      [req.params.id, JSON.stringify(payload)]
+    );
+
+    res.status(202).json({ message: 'Test delivery queued', deliveryId: result.insertId });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Failed to queue test delivery' });
+  }
+});
+
+// Get delivery log for a webhook (newest first)
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const existing = await getOwnedWebhook(req.params.id, req.organization.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const [deliveries] = await db.query(
+      `SELECT id, webhook_id, event, status, attempts, next_attempt_at, response_status,
+              response_body, error_message, created_at, delivered_at
+       FROM webhook_deliveries
+       WHERE webhook_id = ?
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [req.params.id, limit, offset]
+    );
+
+    const [countResult] = await db.query(
+      'SELECT COUNT(*) as total FROM webhook_deliveries WHERE webhook_id = ?',
+      [req.params.id]
+    );
+
+    res.json({
+      deliveries,
+      total: countResult[0].total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries' });
+  }
+});
+
+module.exports = router;
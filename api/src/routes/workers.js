@@ -0,0 +1,34 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { WORKER_OFFLINE_AFTER_SECONDS } = require('../config/constants');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get the capture workers of the fleet (online first, then most recent heartbeat)
+router.get('/', async (req, res) => {
+  try {
+    const [workers] = await db.query(
+      `SELECT id, hostname, capacity, active_jobs, status, started_at, last_heartbeat_at,
+              (status = 'online' AND last_heartbeat_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)) as is_online
+       FROM workers
+       ORDER BY is_online DESC, last_heartbeat_at DESC`,
+      [WORKER_OFFLINE_AFTER_SECONDS]
+    );
+
+    res.json(workers.map(worker => ({
+      ...worker,
+      is_online: Boolean(worker.is_online),
+      // Jobs reported by a worker that stopped sending heartbeats are no longer running
+      active_jobs: worker.is_online ? worker.active_jobs : 0
+    })));
+  } catch (error) {
+    console.error('Get workers error:', error);
+    res.status(500).json({ error: 'Failed to get workers' });
+  }
+});
+
+module.exports = router;
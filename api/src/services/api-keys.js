@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { API_KEY_SCOPES, API_KEY_PREFIX } = require('../config/constants');
+
+/**
+ * API Keys - Personal keys for scripts and CI pipelines, sent as
+ * "Authorization: Bearer vs_..." instead of a JWT. Only a SHA-256 hash is
+ * stored; the key itself is shown once when it is created.
+ */
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Full API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, prefix, hash }
+ */
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(30).toString('base64url');
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    hash: hashApiKey(key)
+  };
+}
+
+/**
+ * Validate an API key from a request body
+ * @param {Object} body - { name, scopes }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateApiKey({ name, scopes }) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  if (name.length > 255) {
+    return 'Name must be at most 255 characters';
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'Select at least one scope';
+  }
+  for (const scope of scopes) {
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return `Unknown scope: ${scope}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format an API key row for responses (parses scopes, never includes the hash)
+ * @param {Object} row - api_keys row
+ * @returns {Object} API key
+ */
+function formatApiKey({ key_hash, ...row }) {
+  return {
+    ...row,
+    scopes: typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes
+  };
+}
+
+/**
+ * Look up the API key a request was sent with
+ * @param {string} key - Full API key
+ * @returns {Promise<Object|null>} { id, user_id, email, scopes }, or null if unknown or revoked
+ */
+async function findApiKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX) || key.length > 128) return null;
+
+  const [keys] = await db.query(
+    `SELECT k.id, k.user_id, k.scopes, u.email
+     FROM api_keys k
+     JOIN users u ON k.user_id = u.id
+     WHERE k.key_hash = ?`,
+    [hashApiKey(key)]
+  );
+  if (keys.length === 0) return null;
+
+  return formatApiKey(keys[0]);
+}
+
+/**
+ * Update the last-used timestamp of an API key (skipped if it was set moments ago)
+ * @param {number} keyId - API key ID
+ * @returns {Promise<void>}
+ */
+async function recordApiKeyUse(keyId) {
+  await db.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL ? SECOND))`,
+    [keyId, LAST_USED_RESOLUTION_SECONDS]
+  );
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  validateApiKey,
+  formatApiKey,
+  findApiKey,
+  recordApiKeyUse
+};
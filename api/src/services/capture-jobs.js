@@ -0,0 +1,154 @@
+const db = require('../config/database');
+const { RETRY_SETTINGS } = require('../config/constants');
+
+/**
+ * Capture Jobs - History of capture runs and the retry state the worker
+ * derives from it (see getPagesNeedingCapture in worker/src/scheduler.js)
+ */
+
+// partial = some viewports failed, failed = none was captured
+const CAPTURE_JOB_STATUSES = ['pending', 'capturing', 'completed', 'partial', 'failed'];
+
+const { BASE_RETRY_DELAY_MINUTES, MAX_RETRY_DELAY_MINUTES, MAX_CONSECUTIVE_FAILURES } = RETRY_SETTINGS;
+
+/**
+ * Get the retry state of pages: failed jobs since the last completed or active
+ * job (or since the page was resumed), and when the worker retries next (the
+ * backoff doubles per failure)
+ * @param {number[]} pageIds - Page IDs
+ * @returns {Promise<Map<number, Object>>} Page ID -> { consecutive_failures,
+ *   latest_failed_job_id, next_retry_at, retries_exhausted }; pages without failures are missing
+ */
+async function getRetryStates(pageIds) {
+  const states = new Map();
+  if (pageIds.length === 0) return states;
+
+  const [rows] = await db.query(
+    `SELECT cj.page_id, COUNT(*) as consecutive_failures, MAX(cj.id) as latest_failed_job_id,
+            MAX(cj.completed_at) as last_failed_at, p.is_active, p.suspended_at
+     FROM capture_jobs cj
+     JOIN pages p ON cj.page_id = p.id
+     WHERE cj.page_id IN (?) AND cj.status = 'failed'
+       AND cj.id > COALESCE(
+         (SELECT MAX(cj2.id) FROM capture_jobs cj2
+          WHERE cj2.page_id = cj.page_id AND cj2.status IN ('completed', 'partial', 'pending', 'capturing')),
+         0
+       )
+       AND (p.resumed_at IS NULL OR cj.created_at >= p.resumed_at)
+     GROUP BY cj.page_id, p.is_active, p.suspended_at`,
+    [pageIds]
+  );
+
+  for (const row of rows) {
+    const retriesExhausted = row.consecutive_failures >= MAX_CONSECUTIVE_FAILURES;
+    let nextRetryAt = null;
+
+    // Inactive, suspended and pages that failed too often are not retried automatically
+    if (row.is_active && !row.suspended_at && !retriesExhausted && row.last_failed_at) {
+      const delayMinutes = Math.min(
+        BASE_RETRY_DELAY_MINUTES * Math.pow(2, row.consecutive_failures - 1),
+        MAX_RETRY_DELAY_MINUTES
+      );
+      nextRetryAt = new Date(new Date(row.last_failed_at).getTime() + delayMinutes * 60 * 1000);
+    }
+
+    states.set(row.page_id, {
+      consecutive_failures: row.consecutive_failures,
+      latest_failed_job_id: row.latest_failed_job_id,
+      next_retry_at: nextRetryAt,
+      retries_exhausted: retriesExhausted
+    });
+  }
+
+  return states;
+}
+
+/**
+ * Get the per-viewport outcomes of capture jobs (recorded when a job finishes)
+ * @param {number[]} jobIds - Capture job IDs
+ * @returns {Promise<Map<number, Object[]>>} Job ID -> outcomes in capture order; jobs without outcomes are missing
+ */
+async function getViewportResults(jobIds) {
+  const results = new Map();
+  if (jobIds.length === 0) return results;
+
+  const [rows] = await db.query(
+    `SELECT job_id, viewport_key, label, viewport, viewport_width, device_name, variant,
+            status, stage, error_message, screenshot_id
+     FROM capture_job_viewports
+     WHERE job_id IN (?)
+     ORDER BY id ASC`,
+    [jobIds]
+  );
+
+  for (const row of rows) {
+    const { job_id: jobId, ...result } = row;
+    if (!results.has(jobId)) {
+      results.set(jobId, []);
+    }
+    results.get(jobId).push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Get capture jobs of a page or of all pages of a site (newest first)
+ * The latest failed job of a page carries next_retry_at; finished jobs carry
+ * their per-viewport outcomes.
+ * @param {Object} filter - { pageId } or { siteId }, optional status
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {Promise<{jobs: Object[], total: number}>}
+ */
+async function getCaptureJobs({ pageId, siteId, status }, limit, offset) {
+  const conditions = [pageId ? 'cj.page_id = ?' : 'p.site_id = ?'];
+  const params = [pageId || siteId];
+
+  if (status) {
+    conditions.push('cj.status = ?');
+    params.push(status);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const [jobs] = await db.query(
+    `SELECT cj.id, cj.page_id, p.name as page_name, cj.status, cj.current_viewport,
+            cj.viewports_completed, cj.viewports_total, cj.error_message, cj.worker_id,
+            cj.started_at, cj.completed_at, cj.created_at,
+            TIMESTAMPDIFF(SECOND, cj.started_at, COALESCE(cj.completed_at, NOW())) as duration_seconds
+     FROM capture_jobs cj
+     JOIN pages p ON cj.page_id = p.id
+     WHERE ${where}
+     ORDER BY cj.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total
+     FROM capture_jobs cj
+     JOIN pages p ON cj.page_id = p.id
+     WHERE ${where}`,
+    params
+  );
+
+  const retryStates = await getRetryStates([...new Set(jobs.map(job => job.page_id))]);
+  const viewportResults = await getViewportResults(jobs.map(job => job.id));
+  for (const job of jobs) {
+    const retryState = retryStates.get(job.page_id);
+    job.next_retry_at = retryState && retryState.latest_failed_job_id === job.id
+      ? retryState.next_retry_at
+      : null;
+    job.viewports = viewportResults.get(job.id) || [];
+  }
+
+  return { jobs, total: countResult[0].total };
+}
+
+module.exports = {
+  CAPTURE_JOB_STATUSES,
+  getRetryStates,
+  getViewportResults,
+  getCaptureJobs
+};
@@ -0,0 +1,183 @@
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../config/database');
+const pixelmatch = require('pixelmatch');
+const sharp = require('sharp');
+
+/**
+ * Comparison - Pixel diff of two screenshots of the same page, with the page's
+ * ignore regions blanked out in both images (used by the screenshot routes and
+ * by shared comparison links)
+ */
+
+const SCREENSHOTS_DIR = path.join(__dirname, '../../screenshots');
+
+// Ignore regions are filled with the same color in both images before diffing
+const MASK_COLOR = [0, 0, 0, 255];
+const MASK_DIFF_COLOR = [96, 96, 160, 255];
+
+// Helper to fill rectangles ({ x, y, width, height }) in a raw RGBA buffer (in place)
+function fillRects(raw, width, height, rects, color) {
+  for (const rect of rects) {
+    const x0 = Math.max(0, Math.floor(rect.x));
+    const y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(width, Math.floor(rect.x + rect.width));
+    const y1 = Math.min(height, Math.floor(rect.y + rect.height));
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const idx = (y * width + x) * 4;
+        raw[idx] = color[0];
+        raw[idx + 1] = color[1];
+        raw[idx + 2] = color[2];
+        raw[idx + 3] = color[3];
+      }
+    }
+  }
+}
+
+// Helper to collect ignore regions for a comparison: selector rects resolved at capture
+// time for both screenshots plus rectangles drawn for the page (matching the viewport)
+async function getIgnoreRects(screenshot1, screenshot2) {
+  const rects = [];
+
+  for (const screenshot of [screenshot1, screenshot2]) {
+    let stored = screenshot.ignore_rects;
+    if (typeof stored === 'string') {
+      stored = JSON.parse(stored);
+    }
+    if (Array.isArray(stored)) {
+      rects.push(...stored);
+    }
+  }
+
+  const viewports = [...new Set([screenshot1.viewport, screenshot2.viewport])];
+  const [drawn] = await db.query(
+    `SELECT x, y, width, height FROM ignore_regions
+     WHERE page_id = ? AND type = 'rect' AND (viewport IS NULL OR viewport IN (?))`,
+    [screenshot1.page_id, viewports]
+  );
+  rects.push(...drawn);
+
+  return rects;
+}
+
+/**
+ * Compare two screenshots pixel by pixel
+ * Both images are cropped from the top to the smaller width and height.
+ * @param {Object} screenshot1 - Screenshot row (ownership must be verified by the caller)
+ * @param {Object} screenshot2 - Screenshot row of the same page
+ * @param {Object} options - { withImage } to also render the diff as PNG
+ * @returns {Promise<Object|null>} { diffPixels, diffPercentage, totalPixels, width, height, ignoredRegions, diffPng },
+ *   or null when an image file is missing
+ */
+async function compareScreenshots(screenshot1, screenshot2, { withImage = false } = {}) {
+  const filePath1 = path.join(SCREENSHOTS_DIR, screenshot1.file_path);
+  const filePath2 = path.join(SCREENSHOTS_DIR, screenshot2.file_path);
+
+  try {
+    await fs.access(filePath1);
+    await fs.access(filePath2);
+  } catch {
+    return null;
+  }
+
+  // Read and decode PNG images using sharp for consistent handling
+  // Then convert to raw pixel data for pixelmatch
+  const img1Buffer = await fs.readFile(filePath1);
+  const img2Buffer = await fs.readFile(filePath2);
+
+  const img1Meta = await sharp(img1Buffer).metadata();
+  const img2Meta = await sharp(img2Buffer).metadata();
+
+  // Determine target dimensions (use the smaller of each dimension)
+  const targetWidth = Math.min(img1Meta.width, img2Meta.width);
+  const targetHeight = Math.min(img1Meta.height, img2Meta.height);
+
+  // Resize images to match dimensions and get raw RGBA pixel data
+  const img1Raw = await sharp(img1Buffer)
+    .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+
+  const img2Raw = await sharp(img2Buffer)
+    .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+
+  // Blank out ignore regions in both images
+  const ignoreRects = await getIgnoreRects(screenshot1, screenshot2);
+  fillRects(img1Raw, targetWidth, targetHeight, ignoreRects, MASK_COLOR);
+  fillRects(img2Raw, targetWidth, targetHeight, ignoreRects, MASK_COLOR);
+
+  const diffBuffer = Buffer.alloc(targetWidth * targetHeight * 4);
+
+  const numDiffPixels = pixelmatch(
+    img1Raw,
+    img2Raw,
+    diffBuffer,
+    targetWidth,
+    targetHeight,
+    withImage
+      ? {
+          threshold: 0.1,
+          includeAA: true,
+          alpha: 0.1,
+          diffColor: [255, 0, 128], // Magenta for differences
+          diffColorAlt: [0, 255, 128] // Cyan for anti-aliased
+        }
+      : { threshold: 0.1, includeAA: true }
+  );
+
+  const totalPixels = targetWidth * targetHeight;
+  const diffPercentage = ((numDiffPixels / totalPixels) * 100).toFixed(2);
+
+  let diffPng = null;
+  if (withImage) {
+    // Mark ignored areas so they are distinguishable from unchanged content
+    fillRects(diffBuffer, targetWidth, targetHeight, ignoreRects, MASK_DIFF_COLOR);
+
+    diffPng = await sharp(diffBuffer, {
+      raw: {
+        width: targetWidth,
+        height: targetHeight,
+        channels: 4
+      }
+    }).png().toBuffer();
+  }
+
+  return {
+    diffPixels: numDiffPixels,
+    diffPercentage,
+    totalPixels,
+    width: targetWidth,
+    height: targetHeight,
+    ignoredRegions: ignoreRects.length,
+    diffPng
+  };
+}
+
+/**
+ * Send a comparison's diff PNG with its statistics in X-Diff-* headers
+ * @param {Object} res - Express response
+ * @param {Object} comparison - Result of compareScreenshots with withImage
+ */
+function sendDiffImage(res, comparison) {
+  res.set({
+    'Content-Type': 'image/png',
+    'X-Diff-Pixels': comparison.diffPixels.toString(),
+    'X-Diff-Percentage': comparison.diffPercentage,
+    'X-Diff-Width': comparison.width.toString(),
+    'X-Diff-Height': comparison.height.toString(),
+    'Access-Control-Expose-Headers': 'X-Diff-Pixels, X-Diff-Percentage, X-Diff-Width, X-Diff-Height'
+  });
+
+  res.send(comparison.diffPng);
+}
+
+module.exports = {
+  compareScreenshots,
+  sendDiffImage
+};
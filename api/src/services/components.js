@@ -0,0 +1,73 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Page Components - Named elements (by CSS selector) that the worker captures
+ * as element screenshots next to every full-page screenshot, so each one gets
+ * its own timeline and change detection (see worker/src/screenshot.js)
+ */
+
+const SCREENSHOTS_DIR = path.join(__dirname, '../../screenshots');
+const MAX_COMPONENT_PADDING = 200;
+
+/**
+ * Validate a component from a request body
+ * @param {Object} body - Component fields
+ * @param {boolean} isUpdate - Only validate fields that are present
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateComponent({ name, selector, padding, is_active }, isUpdate = false) {
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return 'Name is required';
+    }
+    if (name.length > 100) {
+      return 'Name must be at most 100 characters';
+    }
+  }
+
+  if (!isUpdate || selector !== undefined) {
+    if (!selector || typeof selector !== 'string' || !selector.trim()) {
+      return 'Selector is required';
+    }
+    if (selector.length > 512) {
+      return 'Selector must be at most 512 characters';
+    }
+  }
+
+  if (padding !== undefined && padding !== null) {
+    if (!Number.isInteger(padding) || padding < 0 || padding > MAX_COMPONENT_PADDING) {
+      return `Padding must be between 0 and ${MAX_COMPONENT_PADDING} pixels`;
+    }
+  }
+
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+
+  return null;
+}
+
+/**
+ * Delete the stored files of component screenshots (image, thumbnail and diff)
+ * Rows are removed separately (or by the FK cascade of their screenshot/component).
+ * @param {Array} componentScreenshots - Rows with file_path, thumbnail_path and diff_path
+ * @returns {Promise<void>}
+ */
+async function deleteComponentScreenshotFiles(componentScreenshots) {
+  for (const componentScreenshot of componentScreenshots) {
+    const files = [componentScreenshot.file_path, componentScreenshot.thumbnail_path, componentScreenshot.diff_path];
+    for (const file of files.filter(Boolean)) {
+      try {
+        await fs.unlink(path.join(SCREENSHOTS_DIR, file));
+      } catch (err) {
+        console.warn('Could not delete component screenshot file:', err.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  validateComponent,
+  deleteComponentScreenshotFiles
+};
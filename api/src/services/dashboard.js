@@ -0,0 +1,200 @@
+const db = require('../config/database');
+const { DEFAULT_INTERVAL_MINUTES, DEFAULT_SCHEDULE_TIMEZONE } = require('../config/constants');
+const { getNextCaptureTime } = require('./schedule');
+
+/**
+ * Dashboard queries
+ *
+ * Shared by the sites routes (dashboard and site detail views) and the email
+ * digest so both always report the same numbers.
+ */
+
+// Effective schedule after cascade (page → site → organization → system default).
+// Requires pages p, sites s and organization_settings os; binds DEFAULT_INTERVAL_MINUTES
+// and DEFAULT_SCHEDULE_TIMEZONE.
+const EFFECTIVE_SCHEDULE_COLUMNS = `
+      COALESCE(p.interval_minutes, s.interval_minutes, os.default_interval_minutes, ?) as effective_interval_minutes,
+      -- The most specific level that sets an interval or a cron expression decides the schedule
+      CASE
+        WHEN p.schedule_cron IS NOT NULL OR p.interval_minutes IS NOT NULL THEN p.schedule_cron
+        WHEN s.schedule_cron IS NOT NULL OR s.interval_minutes IS NOT NULL THEN s.schedule_cron
+        ELSE os.default_schedule_cron
+      END as effective_schedule_cron,
+      COALESCE(p.schedule_timezone, s.schedule_timezone, os.default_schedule_timezone, ?) as effective_schedule_timezone,
+      COALESCE(p.blackout_windows, s.blackout_windows, os.default_blackout_windows) as effective_blackout_windows`;
+
+/**
+ * Parse the effective blackout windows and add the next planned capture time
+ * @param {Object} page - Page row selected with EFFECTIVE_SCHEDULE_COLUMNS
+ */
+function addNextCaptureTime(page) {
+  if (page.effective_blackout_windows && typeof page.effective_blackout_windows === 'string') {
+    page.effective_blackout_windows = JSON.parse(page.effective_blackout_windows);
+  }
+
+  // Inactive and suspended pages are not scheduled
+  page.next_capture_at = null;
+  if (page.is_active && !page.suspended_at) {
+    try {
+      page.next_capture_at = getNextCaptureTime({
+        cron: page.effective_schedule_cron,
+        intervalMinutes: page.effective_interval_minutes,
+        timezone: page.effective_schedule_timezone,
+        blackoutWindows: page.effective_blackout_windows
+      }, page.last_screenshot_at ? new Date(page.last_screenshot_at) : null);
+    } catch (error) {
+      console.warn(`Invalid schedule for page ${page.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get all sites of one or more organizations with page, suspended page and screenshot counts
+ * @param {number|number[]} organizationIds - Organization ID(s)
+ * @returns {Promise<Object[]>} Sites, newest first
+ */
+async function getSitesWithStats(organizationIds) {
+  const [sites] = await db.query(
+    `SELECT s.*, 
+      (SELECT COUNT(*) FROM pages WHERE site_id = s.id) as page_count,
+      (SELECT COUNT(*) FROM pages WHERE site_id = s.id AND suspended_at IS NOT NULL) as suspended_page_count,
+      (SELECT COUNT(*) FROM screenshots sc 
+       JOIN pages p ON sc.page_id = p.id 
+       WHERE p.site_id = s.id) as screenshot_count
+     FROM sites s 
+     WHERE s.organization_id IN (?) 
+     ORDER BY s.created_at DESC`,
+    [organizationIds]
+  );
+  
+  // Parse viewports, device profiles and blackout windows JSON for each site
+  for (const site of sites) {
+    if (site.viewports && typeof site.viewports === 'string') {
+      site.viewports = JSON.parse(site.viewports);
+    }
+    if (site.blackout_windows && typeof site.blackout_windows === 'string') {
+      site.blackout_windows = JSON.parse(site.blackout_windows);
+    }
+    if (site.device_profiles && typeof site.device_profiles === 'string') {
+      site.device_profiles = JSON.parse(site.device_profiles);
+    }
+  }
+
+  return sites;
+}
+
+/**
+ * Get pages of a site with screenshot counts, latest screenshot group stats
+ * (error counts, change and baseline flags), effective schedule and next
+ * planned capture time
+ * @param {number} siteId - Site ID (ownership must be verified by the caller)
+ * @returns {Promise<Object[]>} Pages, newest first
+ */
+async function getPagesWithStats(siteId) {
+  // Query pages with screenshot count, latest screenshot, error counts, and effective schedule
+  const [pages] = await db.query(
+    `SELECT p.*, 
+      (SELECT COUNT(*) FROM screenshots WHERE page_id = p.id) as screenshot_count,
+      (SELECT created_at FROM screenshots WHERE page_id = p.id ORDER BY created_at DESC LIMIT 1) as latest_screenshot,
+      COALESCE(latest_errors.js_error_count, 0) as latest_js_error_count,
+      COALESCE(latest_errors.network_error_count, 0) as latest_network_error_count,
+      COALESCE(latest_changes.changed_count, 0) as latest_changed_count,
+      COALESCE(latest_changes.baseline_compared_count, 0) as latest_baseline_compared_count,
+      COALESCE(latest_changes.baseline_differs_count, 0) as latest_baseline_differs_count,
+      ${EFFECTIVE_SCHEDULE_COLUMNS}
+     FROM pages p 
+     JOIN sites s ON p.site_id = s.id
+     LEFT JOIN organization_settings os ON s.organization_id = os.organization_id
+     LEFT JOIN (
+       -- Get error counts for the latest screenshot group (screenshots within the same minute)
+       SELECT 
+         sc.page_id,
+         SUM(CASE WHEN se.error_type = 'js' THEN 1 ELSE 0 END) as js_error_count,
+         SUM(CASE WHEN se.error_type = 'network' THEN 1 ELSE 0 END) as network_error_count
+       FROM screenshots sc
+       INNER JOIN (
+         -- Find the latest timestamp for each page
+         SELECT page_id, MAX(created_at) as max_created_at
+         FROM screenshots
+         GROUP BY page_id
+       ) latest ON sc.page_id = latest.page_id 
+         AND sc.created_at >= DATE_SUB(latest.max_created_at, INTERVAL 1 MINUTE)
+       LEFT JOIN screenshot_errors se ON sc.id = se.screenshot_id
+       GROUP BY sc.page_id
+     ) latest_errors ON p.id = latest_errors.page_id
+     LEFT JOIN (
+       -- Count viewports flagged as changed / differing from baseline in the latest screenshot group
+       SELECT 
+         sc.page_id,
+         SUM(CASE WHEN sc.has_changes = 1 AND sc.compared_to_baseline = 0 THEN 1 ELSE 0 END) as changed_count,
+         SUM(CASE WHEN sc.compared_to_baseline = 1 THEN 1 ELSE 0 END) as baseline_compared_count,
+         SUM(CASE WHEN sc.compared_to_baseline = 1 AND sc.has_changes = 1 THEN 1 ELSE 0 END) as baseline_differs_count
+       FROM screenshots sc
+       INNER JOIN (
+         SELECT page_id, MAX(created_at) as max_created_at
+         FROM screenshots
+         GROUP BY page_id
+       ) latest ON sc.page_id = latest.page_id 
+         AND sc.created_at >= DATE_SUB(latest.max_created_at, INTERVAL 1 MINUTE)
+       GROUP BY sc.page_id
+     ) latest_changes ON p.id = latest_changes.page_id
+     WHERE p.site_id = ? 
+     ORDER BY p.created_at DESC`,
+    [DEFAULT_INTERVAL_MINUTES, DEFAULT_SCHEDULE_TIMEZONE, siteId]
+  );
+
+  // Parse viewports, device profiles, capture variants and blackout windows JSON for each page
+  for (const page of pages) {
+    if (page.viewports && typeof page.viewports === 'string') {
+      page.viewports = JSON.parse(page.viewports);
+    }
+    if (page.blackout_windows && typeof page.blackout_windows === 'string') {
+      page.blackout_windows = JSON.parse(page.blackout_windows);
+    }
+    if (page.device_profiles && typeof page.device_profiles === 'string') {
+      page.device_profiles = JSON.parse(page.device_profiles);
+    }
+    if (page.capture_variants && typeof page.capture_variants === 'string') {
+      page.capture_variants = JSON.parse(page.capture_variants);
+    }
+    addNextCaptureTime(page);
+  }
+
+  return pages;
+}
+
+/**
+ * Get the effective schedule and next planned capture time of a single page
+ * @param {number} pageId - Page ID (ownership must be verified by the caller)
+ * @returns {Promise<Object|null>} Effective schedule fields and next_capture_at
+ */
+async function getPageSchedule(pageId) {
+  const [pages] = await db.query(
+    `SELECT p.id, p.is_active, p.suspended_at, p.last_screenshot_at,
+      ${EFFECTIVE_SCHEDULE_COLUMNS}
+     FROM pages p
+     JOIN sites s ON p.site_id = s.id
+     LEFT JOIN organization_settings os ON s.organization_id = os.organization_id
+     WHERE p.id = ?`,
+    [DEFAULT_INTERVAL_MINUTES, DEFAULT_SCHEDULE_TIMEZONE, pageId]
+  );
+
+  if (pages.length === 0) return null;
+
+  const page = pages[0];
+  addNextCaptureTime(page);
+
+  return {
+    effective_interval_minutes: page.effective_interval_minutes,
+    effective_schedule_cron: page.effective_schedule_cron,
+    effective_schedule_timezone: page.effective_schedule_timezone,
+    effective_blackout_windows: page.effective_blackout_windows,
+    next_capture_at: page.next_capture_at
+  };
+}
+
+module.exports = {
+  getSitesWithStats,
+  getPagesWithStats,
+  getPageSchedule
+};
@@ -0,0 +1,109 @@
+const db = require('../config/database');
+
+/**
+ * Device Profiles - Named device emulation settings picked by sites and pages
+ * (built-in profiles are seeded by the worker, see worker/src/device-profiles.js)
+ *
+ * A device_profiles setting is an array of profile IDs and cascades
+ * page -> site -> organization default like viewports: NULL inherits, an empty array
+ * turns device emulation off and captures the plain viewport widths instead.
+ */
+
+const MAX_DEVICE_PROFILES = 10;
+
+/**
+ * Format a device_profiles row for responses
+ * @param {Object} profile - Database row
+ * @returns {Object}
+ */
+function formatDeviceProfile(profile) {
+  return {
+    ...profile,
+    device_scale_factor: parseFloat(profile.device_scale_factor),
+    is_mobile: Boolean(profile.is_mobile),
+    has_touch: Boolean(profile.has_touch),
+    is_landscape: Boolean(profile.is_landscape),
+    is_builtin: profile.organization_id === null
+  };
+}
+
+/**
+ * Validate a device profile from a request body
+ * @param {Object} body - Profile fields
+ * @param {boolean} isUpdate - Only validate fields that are present
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDeviceProfile({ name, width, height, device_scale_factor, user_agent }, isUpdate = false) {
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return 'Name is required';
+    }
+    if (name.length > 100) {
+      return 'Name must be at most 100 characters';
+    }
+  }
+
+  if (!isUpdate || width !== undefined) {
+    if (!Number.isInteger(width) || width < 240 || width > 3840) {
+      return 'Width must be between 240 and 3840 pixels';
+    }
+  }
+
+  if (!isUpdate || height !== undefined) {
+    if (!Number.isInteger(height) || height < 240 || height > 4320) {
+      return 'Height must be between 240 and 4320 pixels';
+    }
+  }
+
+  if (device_scale_factor !== undefined) {
+    if (typeof device_scale_factor !== 'number' || device_scale_factor < 1 || device_scale_factor > 4) {
+      return 'Device pixel ratio must be between 1 and 4';
+    }
+  }
+
+  if (user_agent !== undefined && user_agent !== null && typeof user_agent !== 'string') {
+    return 'User agent must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a device_profiles setting (array of profile IDs the organization can use)
+ * @param {Array|null} profileIds - Profile IDs, or null to inherit
+ * @param {number} organizationId - Organization the setting belongs to
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateDeviceProfileIds(profileIds, organizationId) {
+  if (profileIds === null) {
+    return null;
+  }
+  if (!Array.isArray(profileIds) || !profileIds.every(Number.isInteger)) {
+    return 'Device profiles must be an array of profile IDs';
+  }
+  if (profileIds.length > MAX_DEVICE_PROFILES) {
+    return `Select at most ${MAX_DEVICE_PROFILES} device profiles`;
+  }
+  if (new Set(profileIds).size !== profileIds.length) {
+    return 'Device profiles must not contain duplicates';
+  }
+  if (profileIds.length === 0) {
+    return null;
+  }
+
+  const [rows] = await db.query(
+    'SELECT id FROM device_profiles WHERE id IN (?) AND (organization_id IS NULL OR organization_id = ?)',
+    [profileIds, organizationId]
+  );
+  if (rows.length !== profileIds.length) {
+    return 'Device profile not found';
+  }
+
+  return null;
+}
+
+module.exports = {
+  formatDeviceProfile,
+  validateDeviceProfile,
+  validateDeviceProfileIds
+};
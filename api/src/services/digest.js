@@ -0,0 +1,401 @@
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../config/database');
+const { getSitesWithStats, getPagesWithStats } = require('./dashboard');
+const { isMailConfigured, sendMail } = require('./mailer');
+
+/**
+ * Email digest - Daily/weekly summary of captures, failed capture jobs,
+ * failing tests and pages with JS/network errors
+ *
+ * Every user opts in on their own (user_settings); a digest covers the sites of
+ * all organizations the user is a member of, whatever their role.
+ *
+ * Site and page status comes from the same queries as the dashboard; the
+ * period activity queries below only add what happened since the last digest.
+ */
+
+const SCREENSHOTS_DIR = path.join(__dirname, '../../screenshots');
+
+// How often to look for users whose digest is due
+const DIGEST_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Limits to keep the email a reasonable size
+const MAX_LIST_ITEMS = 20;
+const MAX_THUMBNAILS = 30;
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function pageLink(siteId, pageId) {
+  const appUrl = process.env.APP_URL;
+  return appUrl ? `${appUrl.replace(/\/$/, '')}/sites/${siteId}/pages/${pageId}` : null;
+}
+
+/**
+ * Collect everything shown in a digest
+ * @param {number[]} organizationIds - Organizations whose sites the digest covers
+ * @param {Date} since - Start of the digest period
+ * @returns {Promise<Object>} Digest data
+ */
+async function buildDigest(organizationIds, since) {
+  // Dashboard view: sites with their pages and latest capture status
+  const sites = await getSitesWithStats(organizationIds);
+  for (const site of sites) {
+    site.pages = await getPagesWithStats(site.id);
+  }
+
+  const [captureCounts] = await db.query(
+    `SELECT COUNT(*) as captures, COUNT(DISTINCT sc.page_id) as pages
+     FROM screenshots sc
+     JOIN pages p ON sc.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE s.organization_id IN (?) AND sc.created_at >= ?`,
+    [organizationIds, since]
+  );
+
+  const [failedJobCounts] = await db.query(
+    `SELECT COUNT(*) as total
+     FROM capture_jobs cj
+     JOIN pages p ON cj.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE s.organization_id IN (?) AND cj.status = 'failed' AND cj.created_at >= ?`,
+    [organizationIds, since]
+  );
+
+  const [failedJobs] = await db.query(
+    `SELECT cj.id, cj.error_message, cj.created_at,
+            p.id as page_id, p.name as page_name, s.id as site_id, s.name as site_name
+     FROM capture_jobs cj
+     JOIN pages p ON cj.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE s.organization_id IN (?) AND cj.status = 'failed' AND cj.created_at >= ?
+     ORDER BY cj.created_at DESC
+     LIMIT ?`,
+    [organizationIds, since, MAX_LIST_ITEMS]
+  );
+
+  const [failingTests] = await db.query(
+    `SELECT t.id, t.name, p.id as page_id, p.name as page_name, s.id as site_id, s.name as site_name,
+            COUNT(*) as failure_count, MAX(tr.created_at) as last_failed_at
+     FROM test_results tr
+     JOIN tests t ON tr.test_id = t.id
+     JOIN pages p ON t.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE s.organization_id IN (?) AND tr.passed = 0 AND tr.created_at >= ?
+     GROUP BY t.id, t.name, p.id, p.name, s.id, s.name
+     ORDER BY failure_count DESC, last_failed_at DESC
+     LIMIT ?`,
+    [organizationIds, since, MAX_LIST_ITEMS]
+  );
+
+  const [pagesWithErrors] = await db.query(
+    `SELECT p.id as page_id, p.name as page_name, s.id as site_id, s.name as site_name,
+            SUM(CASE WHEN se.error_type = 'js' THEN 1 ELSE 0 END) as js_error_count,
+            SUM(CASE WHEN se.error_type = 'network' THEN 1 ELSE 0 END) as network_error_count
+     FROM screenshot_errors se
+     JOIN screenshots sc ON se.screenshot_id = sc.id
+     JOIN pages p ON sc.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE s.organization_id IN (?) AND sc.created_at >= ?
+     GROUP BY p.id, p.name, s.id, s.name
+     ORDER BY COUNT(*) DESC
+     LIMIT ?`,
+    [organizationIds, since, MAX_LIST_ITEMS]
+  );
+
+  // Latest thumbnail of every page captured during the period
+  const [thumbnails] = await db.query(
+    `SELECT sc.id, sc.page_id, sc.thumbnail_path
+     FROM screenshots sc
+     JOIN (
+       SELECT sc2.page_id, MAX(sc2.id) as max_id
+       FROM screenshots sc2
+       JOIN pages p ON sc2.page_id = p.id
+       JOIN sites s ON p.site_id = s.id
+       WHERE s.organization_id IN (?) AND sc2.created_at >= ? AND sc2.thumbnail_path IS NOT NULL
+       GROUP BY sc2.page_id
+     ) latest ON sc.id = latest.max_id
+     LIMIT ?`,
+    [organizationIds, since, MAX_THUMBNAILS]
+  );
+
+  return {
+    since,
+    until: new Date(),
+    sites,
+    captures: Number(captureCounts[0].captures || 0),
+    capturedPages: Number(captureCounts[0].pages || 0),
+    failedJobCount: Number(failedJobCounts[0].total || 0),
+    failedJobs,
+    failingTests,
+    pagesWithErrors,
+    thumbnails: new Map(thumbnails.map(t => [t.page_id, t]))
+  };
+}
+
+/**
+ * Render a digest as an HTML email with inline (CID) thumbnails and a plain-text part
+ * @param {Object} digest - Result of buildDigest()
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @returns {Promise<Object>} { subject, html, text, attachments }
+ */
+async function renderDigest(digest, frequency) {
+  const title = frequency === 'weekly' ? 'Weekly digest' : 'Daily digest';
+  const period = `${formatDateTime(digest.since)} – ${formatDateTime(digest.until)}`;
+  const attachments = [];
+  const text = [];
+
+  const subjectParts = [plural(digest.captures, 'capture')];
+  if (digest.failedJobCount > 0) subjectParts.push(plural(digest.failedJobCount, 'failed job'));
+  if (digest.failingTests.length > 0) subjectParts.push(plural(digest.failingTests.length, 'failing test'));
+  if (digest.pagesWithErrors.length > 0) subjectParts.push(`${plural(digest.pagesWithErrors.length, 'page')} with errors`);
+  const subject = `VibeShot ${title.toLowerCase()}: ${subjectParts.join(', ')}`;
+
+  const cell = 'padding:6px 8px;border-bottom:1px solid #e5e7eb;vertical-align:top;';
+  const heading = 'font-size:16px;margin:24px 0 8px;';
+
+  const pageName = (item) => {
+    const link = pageLink(item.site_id, item.page_id);
+    const label = `${escapeHtml(item.site_name)} / ${escapeHtml(item.page_name)}`;
+    return link ? `<a href="${escapeHtml(link)}">${label}</a>` : label;
+  };
+
+  let html = `<div style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#111827;max-width:720px;">
+<h1 style="font-size:20px;margin:0 0 4px;">VibeShot ${title}</h1>
+<p style="color:#6b7280;margin:0 0 16px;">${escapeHtml(period)}</p>
+<table style="border-collapse:collapse;width:100%;"><tr>
+  <td style="${cell}"><strong style="font-size:20px;">${digest.captures}</strong><br>captures (${digest.capturedPages} pages)</td>
+  <td style="${cell}"><strong style="font-size:20px;color:${digest.failedJobCount ? '#dc2626' : '#111827'};">${digest.failedJobCount}</strong><br>failed capture jobs</td>
+  <td style="${cell}"><strong style="font-size:20px;color:${digest.failingTests.length ? '#dc2626' : '#111827'};">${digest.failingTests.length}</strong><br>failing tests</td>
+  <td style="${cell}"><strong style="font-size:20px;color:${digest.pagesWithErrors.length ? '#ea580c' : '#111827'};">${digest.pagesWithErrors.length}</strong><br>pages with errors</td>
+</tr></table>`;
+
+  text.push(`VibeShot ${title}`, period, '');
+  text.push(`Captures: ${digest.captures} (${digest.capturedPages} pages)`);
+  text.push(`Failed capture jobs: ${digest.failedJobCount}`);
+  text.push(`Failing tests: ${digest.failingTests.length}`);
+  text.push(`Pages with errors: ${digest.pagesWithErrors.length}`);
+
+  if (digest.failedJobs.length > 0) {
+    html += `<h2 style="${heading}">Failed capture jobs</h2><table style="border-collapse:collapse;width:100%;">`;
+    text.push('', 'FAILED CAPTURE JOBS');
+    for (const job of digest.failedJobs) {
+      html += `<tr><td style="${cell}">${pageName(job)}<br><span style="color:#6b7280;">${escapeHtml(formatDateTime(job.created_at))}</span></td>
+<td style="${cell}color:#dc2626;">${escapeHtml(job.error_message || 'Unknown error')}</td></tr>`;
+      text.push(`- ${job.site_name} / ${job.page_name} (${formatDateTime(job.created_at)}): ${job.error_message || 'Unknown error'}`);
+    }
+    html += '</table>';
+  }
+
+  if (digest.failingTests.length > 0) {
+    html += `<h2 style="${heading}">Failing tests</h2><table style="border-collapse:collapse;width:100%;">`;
+    text.push('', 'FAILING TESTS');
+    for (const test of digest.failingTests) {
+      html += `<tr><td style="${cell}"><strong>${escapeHtml(test.name)}</strong><br>${pageName(test)}</td>
+<td style="${cell}white-space:nowrap;">${test.failure_count}× failed<br><span style="color:#6b7280;">last ${escapeHtml(formatDateTime(test.last_failed_at))}</span></td></tr>`;
+      text.push(`- ${test.name} on ${test.site_name} / ${test.page_name}: failed ${test.failure_count}x`);
+    }
+    html += '</table>';
+  }
+
+  if (digest.pagesWithErrors.length > 0) {
+    html += `<h2 style="${heading}">Pages with errors</h2><table style="border-collapse:collapse;width:100%;">`;
+    text.push('', 'PAGES WITH ERRORS');
+    for (const page of digest.pagesWithErrors) {
+      html += `<tr><td style="${cell}">${pageName(page)}</td>
+<td style="${cell}white-space:nowrap;">${Number(page.js_error_count || 0)} JS · ${Number(page.network_error_count || 0)} network</td></tr>`;
+      text.push(`- ${page.site_name} / ${page.page_name}: ${Number(page.js_error_count || 0)} JS, ${Number(page.network_error_count || 0)} network`);
+    }
+    html += '</table>';
+  }
+
+  // Per-site overview (same data as the dashboard and site detail pages)
+  text.push('', 'SITES');
+  for (const site of digest.sites) {
+    html += `<h2 style="${heading}">${escapeHtml(site.name)} <span style="color:#6b7280;font-weight:normal;font-size:13px;">${escapeHtml(site.domain)} · ${Number(site.page_count || 0)} pages</span></h2>`;
+    text.push(`${site.name} (${site.domain})`);
+
+    if (site.pages.length === 0) {
+      html += '<p style="color:#6b7280;">No pages.</p>';
+      continue;
+    }
+
+    html += '<table style="border-collapse:collapse;width:100%;">';
+    for (const page of site.pages) {
+      let thumbnailHtml = '';
+      const thumbnail = digest.thumbnails.get(page.id);
+      if (thumbnail) {
+        const filePath = path.join(SCREENSHOTS_DIR, thumbnail.thumbnail_path);
+        try {
+          await fs.access(filePath);
+          const cid = `thumb-${thumbnail.id}@vibeshot`;
+          attachments.push({ filename: `${thumbnail.id}.png`, path: filePath, cid });
+          thumbnailHtml = `<img src="cid:${cid}" width="160" alt="" style="display:block;border:1px solid #e5e7eb;border-radius:4px;">`;
+        } catch {
+          // Thumbnail removed by retention cleanup - show the row without it
+        }
+      }
+
+      const status = [];
+      if (Number(page.latest_js_error_count || 0) > 0) status.push(`<span style="color:#dc2626;">${page.latest_js_error_count} JS errors</span>`);
+      if (Number(page.latest_network_error_count || 0) > 0) status.push(`<span style="color:#ea580c;">${page.latest_network_error_count} network errors</span>`);
+      if (Number(page.latest_baseline_differs_count || 0) > 0) status.push('<span style="color:#dc2626;">differs from baseline</span>');
+      if (Number(page.latest_changed_count || 0) > 0) status.push('<span style="color:#d97706;">changed</span>');
+      if (!page.is_active) status.push('<span style="color:#6b7280;">paused</span>');
+
+      const link = pageLink(site.id, page.id);
+      const name = link ? `<a href="${escapeHtml(link)}">${escapeHtml(page.name)}</a>` : escapeHtml(page.name);
+      const lastCapture = page.latest_screenshot ? `Last capture ${escapeHtml(formatDateTime(page.latest_screenshot))}` : 'Not captured yet';
+
+      html += `<tr><td style="${cell}width:170px;">${thumbnailHtml}</td>
+<td style="${cell}"><strong>${name}</strong><br><span style="color:#6b7280;font-size:12px;">${escapeHtml(page.url)}</span><br>
+<span style="font-size:13px;">${lastCapture}${status.length ? ' · ' + status.join(' · ') : ''}</span></td></tr>`;
+      text.push(`  - ${page.name}: ${page.latest_screenshot ? `last capture ${formatDateTime(page.latest_screenshot)}` : 'not captured yet'}`);
+    }
+    html += '</table>';
+  }
+
+  html += `<p style="color:#9ca3af;font-size:12px;margin-top:24px;">You receive this email because the ${frequency} digest is enabled in your VibeShot settings.</p></div>`;
+
+  return { subject, html, text: text.join('\n'), attachments };
+}
+
+/**
+ * Build, render and send a user's digest
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Period start (default: one period before now)
+ * @returns {Promise<{to: string}>} Recipient address
+ */
+async function sendDigest(userId, { since } = {}) {
+  const [users] = await db.query(
+    `SELECT u.email, us.digest_frequency, us.digest_email
+     FROM users u
+     LEFT JOIN user_settings us ON u.id = us.user_id
+     WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (users.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const [memberships] = await db.query(
+    'SELECT organization_id FROM organization_members WHERE user_id = ?',
+    [userId]
+  );
+  if (memberships.length === 0) {
+    throw new Error('The user is not a member of any organization');
+  }
+
+  const { email, digest_frequency, digest_email } = users[0];
+  const frequency = digest_frequency === 'weekly' ? 'weekly' : 'daily';
+  const periodStart = since || new Date(Date.now() - PERIOD_DAYS[frequency] * 24 * 60 * 60 * 1000);
+  const to = digest_email || email;
+
+  const digest = await buildDigest(memberships.map(m => m.organization_id), periodStart);
+  const message = await renderDigest(digest, frequency);
+  await sendMail({ to, ...message });
+
+  return { to };
+}
+
+/**
+ * Send digests of all users whose digest is due this hour
+ * Daily digests go out once a day at digest_hour, weekly ones on Mondays.
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function processDueDigests() {
+  const [due] = await db.query(
+    `SELECT user_id, digest_frequency, digest_last_sent_at
+     FROM user_settings
+     WHERE digest_frequency != 'off'
+       AND digest_hour = HOUR(NOW())
+       AND (digest_frequency = 'daily' OR WEEKDAY(NOW()) = 0)
+       AND (digest_last_sent_at IS NULL
+         OR (digest_frequency = 'daily' AND digest_last_sent_at < DATE_SUB(NOW(), INTERVAL 23 HOUR))
+         OR (digest_frequency = 'weekly' AND digest_last_sent_at < DATE_SUB(NOW(), INTERVAL 6 DAY)))`
+  );
+
+  let sent = 0;
+  for (const row of due) {
+    // Claim the digest so concurrent API instances don't send it twice
+    const [claim] = await db.query(
+      `UPDATE user_settings SET digest_last_sent_at = NOW()
+       WHERE user_id = ? AND digest_last_sent_at <=> ?`,
+      [row.user_id, row.digest_last_sent_at]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    try {
+      const { to } = await sendDigest(row.user_id, { since: row.digest_last_sent_at || undefined });
+      console.log(`Digest: Sent ${row.digest_frequency} digest for user ${row.user_id} to ${to}`);
+      sent++;
+    } catch (error) {
+      console.error(`Digest: Failed to send digest for user ${row.user_id}:`, error.message);
+      // Release the claim so the next check within this hour retries
+      await db.query(
+        'UPDATE user_settings SET digest_last_sent_at = ? WHERE user_id = ?',
+        [row.digest_last_sent_at, row.user_id]
+      );
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Start checking for due digests in the background (no-op without SMTP)
+ */
+function startDigestScheduler() {
+  if (!isMailConfigured()) {
+    console.log('Digest: SMTP_HOST not set, email digests disabled');
+    return;
+  }
+
+  let isRunning = false;
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await processDueDigests();
+    } catch (error) {
+      console.error('Digest: Error processing digests:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  setInterval(run, DIGEST_CHECK_INTERVAL);
+  run();
+  console.log(`Digest: Checking for due digests every ${DIGEST_CHECK_INTERVAL / 60000} minutes`);
+}
+
+module.exports = {
+  buildDigest,
+  renderDigest,
+  sendDigest,
+  processDueDigests,
+  startDigestScheduler
+};
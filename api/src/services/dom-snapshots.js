@@ -0,0 +1,152 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * DOM Snapshots - Text and structure of the page stored with each screenshot
+ * (see worker/src/dom-snapshot.js), and line diffs between two captures
+ */
+
+const SCREENSHOTS_DIR = path.join(__dirname, '../../screenshots');
+
+// Unchanged lines kept around each change; longer unchanged runs are collapsed
+const DIFF_CONTEXT_LINES = 3;
+// Largest changed region (lines before x lines after) diffed line by line
+const MAX_DIFF_CELLS = 4000000;
+
+const DIFF_MODES = ['text', 'dom'];
+
+/**
+ * Read the DOM summary of a screenshot
+ * @param {Object} screenshot - Screenshot row (ownership must be verified by the caller)
+ * @returns {Promise<Object|null>} { title, text, outline, truncated }, or null when not captured
+ */
+async function readDomSnapshot(screenshot) {
+  if (!screenshot.dom_path) return null;
+
+  try {
+    const data = await fs.readFile(path.join(SCREENSHOTS_DIR, screenshot.dom_path), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Diff the text or element outline of two DOM snapshots
+ * @param {Object} before - DOM summary of the older capture
+ * @param {Object} after - DOM summary of the newer capture
+ * @param {string} mode - 'text' (visible text) or 'dom' (element outline)
+ * @returns {Object} { mode, added, removed, changes: [{ type, lines, skipped? }] }
+ */
+function diffDomSnapshots(before, after, mode = 'text') {
+  const key = mode === 'dom' ? 'outline' : 'text';
+  const { changes, added, removed } = diffLines(before[key] || [], after[key] || []);
+
+  return {
+    mode,
+    added,
+    removed,
+    truncated: !!(before.truncated || after.truncated),
+    changes
+  };
+}
+
+/**
+ * Line diff (longest common subsequence) with unchanged runs collapsed to context
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Object} { changes, added, removed }
+ */
+function diffLines(a, b) {
+  // Lines shared at the start and end don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push(['equal', a[i]]);
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  for (let i = endA; i < a.length; i++) ops.push(['equal', a[i]]);
+
+  const added = ops.filter(([type]) => type === 'added').length;
+  const removed = ops.filter(([type]) => type === 'removed').length;
+
+  return { changes: groupChanges(ops), added, removed };
+}
+
+function diffMiddle(a, b) {
+  // Too large to compare line by line: report the whole region as replaced
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map(line => ['removed', line]), ...b.map(line => ['added', line])];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push(['equal', a[i]]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push(['removed', a[i++]]);
+    } else {
+      ops.push(['added', b[j++]]);
+    }
+  }
+  while (i < a.length) ops.push(['removed', a[i++]]);
+  while (j < b.length) ops.push(['added', b[j++]]);
+
+  return ops;
+}
+
+// Merge consecutive lines of the same type and collapse unchanged runs to context lines
+function groupChanges(ops) {
+  const groups = [];
+  for (const [type, line] of ops) {
+    const last = groups[groups.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      groups.push({ type, lines: [line] });
+    }
+  }
+
+  return groups.map((group, index) => {
+    if (group.type !== 'equal') return group;
+
+    const keepBefore = index > 0 ? DIFF_CONTEXT_LINES : 0;
+    const keepAfter = index < groups.length - 1 ? DIFF_CONTEXT_LINES : 0;
+    if (group.lines.length <= keepBefore + keepAfter) return group;
+
+    return {
+      type: 'equal',
+      lines: [...group.lines.slice(0, keepBefore), ...group.lines.slice(group.lines.length - keepAfter)],
+      skipped: group.lines.length - keepBefore - keepAfter,
+      // Skipped lines sit after this many kept lines
+      skippedAt: keepBefore
+    };
+  });
+}
+
+module.exports = {
+  DIFF_MODES,
+  readDomSnapshot,
+  diffDomSnapshots
+};
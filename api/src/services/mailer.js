@@ -0,0 +1,61 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mailer - SMTP transport configured from environment variables
+ *
+ *   SMTP_HOST      SMTP server host (email is disabled when unset)
+ *   SMTP_PORT      Port (default 587)
+ *   SMTP_SECURE    "true" for implicit TLS (usually port 465)
+ *   SMTP_USER      Username (optional, e.g. not needed for a local sink)
+ *   SMTP_PASSWORD  Password
+ *   SMTP_FROM      Sender address (default "VibeShot <noreply@vibeshot.local>")
+ */
+
+let transporter = null;
+
+/**
+ * Check whether an SMTP server is configured
+ * @returns {boolean}
+ */
+function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+/**
+ * Get the shared SMTP transport (created on first use)
+ * @returns {import('nodemailer').Transporter}
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, html, text, attachments }
+ * @returns {Promise<Object>} Nodemailer send info
+ */
+async function sendMail(message) {
+  if (!isMailConfigured()) {
+    throw new Error('SMTP is not configured');
+  }
+
+  return getTransporter().sendMail({
+    from: process.env.SMTP_FROM || 'VibeShot <noreply@vibeshot.local>',
+    ...message
+  });
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
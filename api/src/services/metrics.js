@@ -0,0 +1,117 @@
+const db = require('../config/database');
+
+/**
+ * Performance Metrics - Page performance data the worker records with each
+ * screenshot (see worker/src/performance-metrics.js), and the performance
+ * budgets checked against it
+ */
+
+const METRIC_COLUMNS = `m.ttfb_ms, m.dom_content_loaded_ms, m.load_ms, m.lcp_ms, m.cls,
+       m.transfer_bytes, m.request_count, m.requests_by_type, m.bytes_by_type, m.stage_timings`;
+
+const MAX_METRICS_HISTORY = 500;
+
+// Metrics a performance budget can limit (mirrors BUDGET_METRICS in the worker)
+const BUDGET_METRICS = ['lcp_ms', 'ttfb_ms', 'load_ms', 'cls', 'transfer_bytes', 'script_bytes', 'request_count'];
+
+// MariaDB returns JSON columns as strings and DECIMAL/BIGINT columns as strings
+function formatMetrics(row) {
+  return {
+    ttfb_ms: row.ttfb_ms,
+    dom_content_loaded_ms: row.dom_content_loaded_ms,
+    load_ms: row.load_ms,
+    lcp_ms: row.lcp_ms,
+    cls: row.cls !== null ? parseFloat(row.cls) : null,
+    transfer_bytes: row.transfer_bytes !== null ? Number(row.transfer_bytes) : null,
+    request_count: row.request_count,
+    requests_by_type: typeof row.requests_by_type === 'string' ? JSON.parse(row.requests_by_type) : row.requests_by_type,
+    bytes_by_type: typeof row.bytes_by_type === 'string' ? JSON.parse(row.bytes_by_type) : row.bytes_by_type,
+    stage_timings: typeof row.stage_timings === 'string' ? JSON.parse(row.stage_timings) : row.stage_timings
+  };
+}
+
+/**
+ * Get the performance metrics of a screenshot
+ * @param {number} screenshotId - Screenshot ID (ownership must be verified by the caller)
+ * @returns {Promise<Object|null>} Metrics, or null for screenshots captured without them
+ */
+async function getScreenshotMetrics(screenshotId) {
+  const [rows] = await db.query(
+    `SELECT ${METRIC_COLUMNS} FROM screenshot_metrics m WHERE m.screenshot_id = ?`,
+    [screenshotId]
+  );
+  return rows.length > 0 ? formatMetrics(rows[0]) : null;
+}
+
+/**
+ * Get the performance metrics of a page's screenshots over time (oldest first)
+ * @param {number} pageId - Page ID (ownership must be verified by the caller)
+ * @param {Object} filters - Optional viewport and variant ('default' = no variant)
+ * @param {number} limit - Most recent screenshots to include
+ * @returns {Promise<Object[]>} Screenshot ID, time, viewport, device and variant with its metrics
+ */
+async function getPageMetrics(pageId, { viewport = null, variant = null } = {}, limit = MAX_METRICS_HISTORY) {
+  const conditions = ['s.page_id = ?'];
+  const params = [pageId];
+
+  if (viewport) {
+    conditions.push('s.viewport = ?');
+    params.push(viewport);
+  }
+  if (variant === 'default') {
+    conditions.push('s.variant IS NULL');
+  } else if (variant) {
+    conditions.push('s.variant = ?');
+    params.push(variant);
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM (
+       SELECT s.id as screenshot_id, s.created_at, s.viewport, s.viewport_width, s.device_name, s.variant,
+              ${METRIC_COLUMNS}
+       FROM screenshots s
+       JOIN screenshot_metrics m ON m.screenshot_id = s.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY s.created_at DESC
+       LIMIT ?
+     ) recent
+     ORDER BY created_at ASC`,
+    [...params, Math.min(limit, MAX_METRICS_HISTORY)]
+  );
+
+  return rows.map(row => ({
+    screenshot_id: row.screenshot_id,
+    created_at: row.created_at,
+    viewport: row.viewport,
+    viewport_width: row.viewport_width,
+    device_name: row.device_name,
+    variant: row.variant,
+    ...formatMetrics(row)
+  }));
+}
+
+/**
+ * Validate a performance budget
+ * @param {Object} budget - { metric, max }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    return 'Budget must be an object with metric and max';
+  }
+  if (!BUDGET_METRICS.includes(budget.metric)) {
+    return `Budget metric must be one of: ${BUDGET_METRICS.join(', ')}`;
+  }
+  if (typeof budget.max !== 'number' || !isFinite(budget.max) || budget.max < 0) {
+    return 'Budget max must be a non-negative number';
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_METRICS_HISTORY,
+  BUDGET_METRICS,
+  validateBudget,
+  getScreenshotMetrics,
+  getPageMetrics
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { ORGANIZATION_ROLES } = require('../config/constants');
+
+/**
+ * Organizations - Sites, settings, webhooks and custom device profiles belong to an
+ * organization, and users reach them through their membership role. Reads need any
+ * role and changes the editor role (see getRequiredRole); managing members, invites
+ * and the organization itself needs the owner role.
+ *
+ * authenticateToken loads the memberships of every request into req.memberships and
+ * the organization picked with the X-Organization-Id header (default: the first one)
+ * into req.organization.
+ */
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check whether a role grants at least another role
+ * @param {string} role - Member's role
+ * @param {string} minimumRole - Role needed
+ * @returns {boolean}
+ */
+function hasRole(role, minimumRole) {
+  const rank = ORGANIZATION_ROLES.indexOf(role);
+  return rank !== -1 && rank >= ORGANIZATION_ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Role a request needs in the organization it touches: reads need any role, changes need editor
+ * @param {Object} req - Express request
+ * @returns {string} 'viewer' or 'editor'
+ */
+function getRequiredRole(req) {
+  return READ_METHODS.includes(req.method) ? 'viewer' : 'editor';
+}
+
+/**
+ * Get the organizations a user belongs to
+ * @param {number} userId - User ID
+ * @returns {Promise<Object[]>} [{ id, name, role }] (oldest membership first)
+ */
+async function getMemberships(userId) {
+  const [memberships] = await db.query(
+    `SELECT o.id, o.name, om.role
+     FROM organization_members om
+     JOIN organizations o ON om.organization_id = o.id
+     WHERE om.user_id = ?
+     ORDER BY om.created_at ASC, om.id ASC`,
+    [userId]
+  );
+  return memberships;
+}
+
+/**
+ * IDs of the organizations whose sites a request may touch, for "s.organization_id IN (?)"
+ * @param {Object} req - Authenticated request
+ * @param {string} [minimumRole] - Role needed (default: getRequiredRole(req))
+ * @returns {Array<number|null>} Organization IDs ([null] when there are none, so IN (?) matches nothing)
+ */
+function getOrganizationIds(req, minimumRole = getRequiredRole(req)) {
+  const ids = (req.memberships || [])
+    .filter(membership => hasRole(membership.role, minimumRole))
+    .map(membership => membership.id);
+  return ids.length > 0 ? ids : [null];
+}
+
+/**
+ * Create an organization with its first owner
+ * @param {string} name - Organization name
+ * @param {number} ownerId - User who becomes the owner
+ * @returns {Promise<number>} Organization ID
+ */
+async function createOrganization(name, ownerId) {
+  const [result] = await db.query('INSERT INTO organizations (name) VALUES (?)', [name]);
+  await db.query(
+    `INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, 'owner')`,
+    [result.insertId, ownerId]
+  );
+  return result.insertId;
+}
+
+/**
+ * Count the owners of an organization (the last owner cannot leave or be demoted)
+ * @param {number} organizationId - Organization ID
+ * @returns {Promise<number>}
+ */
+async function countOwners(organizationId) {
+  const [rows] = await db.query(
+    `SELECT COUNT(*) as total FROM organization_members WHERE organization_id = ? AND role = 'owner'`,
+    [organizationId]
+  );
+  return rows[0].total;
+}
+
+/**
+ * Generate an invite token (URL-safe, 192 bits)
+ * @returns {string} Token
+ */
+function generateInviteToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Validate an invite from a request body
+ * @param {Object} body - { email, role }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateInvite({ email, role }) {
+  if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim()) || email.length > 255) {
+    return 'A valid email address is required';
+  }
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    return `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = {
+  hasRole,
+  getRequiredRole,
+  getMemberships,
+  getOrganizationIds,
+  createOrganization,
+  countOwners,
+  generateInviteToken,
+  validateInvite
+};
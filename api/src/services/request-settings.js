@@ -0,0 +1,160 @@
+const db = require('../config/database');
+const { isEncryptionConfigured, encryptSecret } = require('./credentials');
+
+/**
+ * Request Settings - Extra headers, cookies and HTTP basic auth per site and page
+ * (the worker resolves and applies them in worker/src/request-settings.js)
+ *
+ * Each field cascades page -> site like viewports do: NULL inherits, an empty
+ * object/array (or '' username) at page level turns the site's value off.
+ * The basic-auth password is write-only and stored encrypted.
+ */
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Format a request_settings row for responses (never includes the password)
+ * @param {Object|undefined} row - Database row, or undefined if none exists
+ * @returns {Object}
+ */
+function formatRequestSettings(row = {}) {
+  return {
+    headers: parseJson(row.headers ?? null),
+    cookies: parseJson(row.cookies ?? null),
+    basic_auth_username: row.basic_auth_username ?? null,
+    has_basic_auth_password: Boolean(row.basic_auth_password_encrypted),
+    updated_at: row.updated_at ?? null
+  };
+}
+
+/**
+ * Validate request settings from a request body
+ * @param {Object} body - { headers, cookies, basic_auth_username, basic_auth_password }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRequestSettings({ headers, cookies, basic_auth_username, basic_auth_password }) {
+  if (headers !== undefined && headers !== null) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      return 'Headers must be an object of header names and values';
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        return `Invalid header name: ${name}`;
+      }
+      if (typeof value !== 'string') {
+        return `Header "${name}" must have a string value`;
+      }
+    }
+  }
+
+  if (cookies !== undefined && cookies !== null) {
+    if (!Array.isArray(cookies)) {
+      return 'Cookies must be an array';
+    }
+    for (const cookie of cookies) {
+      if (!cookie || typeof cookie.name !== 'string' || !cookie.name.trim() || typeof cookie.value !== 'string') {
+        return 'Each cookie needs a name and a string value';
+      }
+      if (cookie.domain !== undefined && cookie.domain !== null && typeof cookie.domain !== 'string') {
+        return `Cookie "${cookie.name}" has an invalid domain`;
+      }
+      if (cookie.path !== undefined && cookie.path !== null && (typeof cookie.path !== 'string' || !cookie.path.startsWith('/'))) {
+        return `Cookie "${cookie.name}" path must start with /`;
+      }
+    }
+  }
+
+  if (basic_auth_username !== undefined && basic_auth_username !== null && typeof basic_auth_username !== 'string') {
+    return 'Basic auth username must be a string';
+  }
+
+  if (basic_auth_password) {
+    if (typeof basic_auth_password !== 'string') {
+      return 'Basic auth password must be a string';
+    }
+    if (!isEncryptionConfigured()) {
+      return 'Credential encryption is not configured on this server (set CREDENTIALS_KEY)';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the request settings row of a site or page
+ * @param {Object} target - { siteId } or { pageId }
+ * @returns {Promise<Object|undefined>}
+ */
+async function getRequestSettingsRow({ siteId = null, pageId = null }) {
+  const [rows] = pageId
+    ? await db.query('SELECT * FROM request_settings WHERE page_id = ?', [pageId])
+    : await db.query('SELECT * FROM request_settings WHERE site_id = ?', [siteId]);
+  return rows[0];
+}
+
+/**
+ * Save request settings of a site or page (fields missing from the body are kept)
+ * Clearing the username also clears the password.
+ * @param {Object} target - { siteId } or { pageId }
+ * @param {Object} body - Validated request body
+ * @returns {Promise<Object>} Formatted settings
+ */
+async function saveRequestSettings(target, { headers, cookies, basic_auth_username, basic_auth_password }) {
+  const column = target.pageId ? 'page_id' : 'site_id';
+  const id = target.pageId || target.siteId;
+
+  const updates = [];
+  const values = [];
+
+  if (headers !== undefined) {
+    updates.push('headers = ?');
+    values.push(headers ? JSON.stringify(headers) : null);
+  }
+  if (cookies !== undefined) {
+    updates.push('cookies = ?');
+    values.push(cookies
+      ? JSON.stringify(cookies.map(({ name, value, domain, path }) => ({
+        name: name.trim(),
+        value,
+        ...(domain ? { domain } : {}),
+        ...(path ? { path } : {})
+      })))
+      : null);
+  }
+  if (basic_auth_username !== undefined) {
+    updates.push('basic_auth_username = ?');
+    values.push(basic_auth_username);
+    if (!basic_auth_username) {
+      updates.push('basic_auth_password_encrypted = NULL');
+    }
+  }
+  if (basic_auth_password !== undefined && basic_auth_username !== null && basic_auth_username !== '') {
+    updates.push('basic_auth_password_encrypted = ?');
+    values.push(basic_auth_password ? encryptSecret(basic_auth_password) : null);
+  }
+
+  if (updates.length > 0) {
+    await db.query(
+      `INSERT INTO request_settings (${column}) VALUES (?) ON DUPLICATE KEY UPDATE id = id`,
+      [id]
+    );
+    values.push(id);
+    await db.query(
+      `UPDATE request_settings SET ${updates.join(', ')} WHERE ${column} = ?`,
+      values
+    );
+  }
+
+  return formatRequestSettings(await getRequestSettingsRow(target));
+}
+
+module.exports = {
+  formatRequestSettings,
+  validateRequestSettings,
+  getRequestSettingsRow,
+  saveRequestSettings
+};
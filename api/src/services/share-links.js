@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { SHARE_LINK_SCOPES, MAX_SHARE_LINK_EXPIRY_DAYS } = require('../config/constants');
+
+/**
+ * Share Links - Revocable, optionally expiring tokens that give read-only access
+ * to one screenshot, a comparison pair or a page timeline without logging in.
+ * The public routes (routes/public.js) only serve what the link covers.
+ */
+
+// Screenshot columns shown to anyone holding a share link (no file paths or internal settings)
+const PUBLIC_SCREENSHOT_COLUMNS = `sc.id, sc.viewport, sc.viewport_width, sc.device_name, sc.variant, sc.width, sc.height,
+  sc.has_changes, sc.diff_percentage, (sc.diff_path IS NOT NULL) as has_diff, sc.created_at`;
+
+/**
+ * Generate a new share token (URL-safe, 192 bits)
+ * @returns {string} Token
+ */
+function generateShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Validate a share link from a request body
+ * @param {Object} body - { scope, page_id, screenshot_id, other_screenshot_id, name, expires_in_days }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateShareLink({ scope, page_id, screenshot_id, other_screenshot_id, name, expires_in_days }) {
+  if (!SHARE_LINK_SCOPES.includes(scope)) {
+    return `Scope must be one of: ${SHARE_LINK_SCOPES.join(', ')}`;
+  }
+
+  if (scope === 'page' && !Number.isInteger(page_id)) {
+    return 'page_id is required to share a page timeline';
+  }
+  if (scope !== 'page' && !Number.isInteger(screenshot_id)) {
+    return 'screenshot_id is required';
+  }
+  if (scope === 'comparison') {
+    if (!Number.isInteger(other_screenshot_id)) {
+      return 'other_screenshot_id is required to share a comparison';
+    }
+    if (other_screenshot_id === screenshot_id) {
+      return 'A comparison needs two different screenshots';
+    }
+  }
+
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 255)) {
+    return 'Name must be at most 255 characters';
+  }
+
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    if (!Number.isInteger(expires_in_days) || expires_in_days < 1 || expires_in_days > MAX_SHARE_LINK_EXPIRY_DAYS) {
+      return `Expiry must be between 1 and ${MAX_SHARE_LINK_EXPIRY_DAYS} days`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the page and screenshots a new share link points to, checking ownership
+ * @param {Object} body - Validated share link fields
+ * @param {number[]} organizationIds - Organizations whose pages may be shared
+ * @returns {Promise<Object|null>} { pageId, screenshotId, otherScreenshotId }, or null when not found
+ *   (or when the screenshots of a comparison belong to different pages)
+ */
+async function resolveShareTarget({ scope, page_id, screenshot_id, other_screenshot_id }, organizationIds) {
+  if (scope === 'page') {
+    const [pages] = await db.query(
+      `SELECT p.id FROM pages p
+       JOIN sites s ON p.site_id = s.id
+       WHERE p.id = ? AND s.organization_id IN (?)`,
+      [page_id, organizationIds]
+    );
+    return pages.length > 0 ? { pageId: pages[0].id, screenshotId: null, otherScreenshotId: null } : null;
+  }
+
+  const ids = scope === 'comparison' ? [screenshot_id, other_screenshot_id] : [screenshot_id];
+  const [screenshots] = await db.query(
+    `SELECT sc.id, sc.page_id FROM screenshots sc
+     JOIN pages p ON sc.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE sc.id IN (?) AND s.organization_id IN (?)`,
+    [ids, organizationIds]
+  );
+  if (screenshots.length !== ids.length || new Set(screenshots.map(sc => sc.page_id)).size !== 1) {
+    return null;
+  }
+
+  return {
+    pageId: screenshots[0].page_id,
+    screenshotId: screenshot_id,
+    otherScreenshotId: scope === 'comparison' ? other_screenshot_id : null
+  };
+}
+
+/**
+ * Look up an active (existing and not expired) share link with its page and site
+ * @param {string} token - Share token from the URL
+ * @returns {Promise<Object|null>} Share link row, or null
+ */
+async function getActiveShareLink(token) {
+  if (!token || typeof token !== 'string' || token.length > 64) return null;
+
+  const [links] = await db.query(
+    `SELECT sl.*, p.name as page_name, p.url as page_url, s.name as site_name
+     FROM share_links sl
+     JOIN pages p ON sl.page_id = p.id
+     JOIN sites s ON p.site_id = s.id
+     WHERE sl.token = ? AND (sl.expires_at IS NULL OR sl.expires_at > NOW())`,
+    [token]
+  );
+  return links[0] || null;
+}
+
+/**
+ * Get a screenshot row if the share link covers it
+ * @param {Object} link - Active share link
+ * @param {number|string} screenshotId - Requested screenshot
+ * @returns {Promise<Object|null>} Screenshot row (with file paths), or null
+ */
+async function getSharedScreenshot(link, screenshotId) {
+  const id = parseInt(screenshotId);
+  if (link.scope !== 'page' && id !== link.screenshot_id && id !== link.other_screenshot_id) {
+    return null;
+  }
+
+  const [screenshots] = await db.query(
+    'SELECT * FROM screenshots WHERE id = ? AND page_id = ?',
+    [id, link.page_id]
+  );
+  return screenshots[0] || null;
+}
+
+/**
+ * Count a view of a share link
+ * @param {number} linkId - Share link ID
+ * @returns {Promise<void>}
+ */
+async function recordShareView(linkId) {
+  await db.query(
+    'UPDATE share_links SET view_count = view_count + 1, last_viewed_at = NOW() WHERE id = ?',
+    [linkId]
+  );
+}
+
+module.exports = {
+  PUBLIC_SCREENSHOT_COLUMNS,
+  generateShareToken,
+  validateShareLink,
+  resolveShareTarget,
+  getActiveShareLink,
+  getSharedScreenshot,
+  recordShareView
+};
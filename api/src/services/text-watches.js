@@ -0,0 +1,122 @@
+/**
+ * Text Watches - Visible text of a page or of an element that the worker extracts
+ * with every capture and compares with the previous capture (see
+ * worker/src/text-watches.js). A watch triggers when its text changes or when
+ * its keyword/regex appears or disappears.
+ */
+
+const { MAX_REGEX_LENGTH } = require('../config/constants');
+
+const WATCH_CONDITIONS = ['changed', 'appears', 'disappears'];
+const WATCH_VIEWPORTS = ['desktop', 'tablet', 'mobile'];
+// Characters of the captured text returned in result lists
+const TEXT_EXCERPT_LENGTH = 300;
+
+/**
+ * Validate a text watch from a request body
+ * @param {Object} body - Watch fields
+ * @param {Object|null} existing - Stored watch when updating (only present fields are validated,
+ *   combined with the stored condition and pattern)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTextWatch({ name, selector, watch_condition, pattern, is_regex, viewport, is_active }, existing = null) {
+  if (!existing || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return 'Name is required';
+    }
+    if (name.length > 100) {
+      return 'Name must be at most 100 characters';
+    }
+  }
+
+  if (selector !== undefined && selector !== null) {
+    if (typeof selector !== 'string') {
+      return 'Selector must be a string';
+    }
+    if (selector.length > 512) {
+      return 'Selector must be at most 512 characters';
+    }
+  }
+
+  if (watch_condition !== undefined && !WATCH_CONDITIONS.includes(watch_condition)) {
+    return `Condition must be one of: ${WATCH_CONDITIONS.join(', ')}`;
+  }
+
+  if (pattern !== undefined && pattern !== null) {
+    if (typeof pattern !== 'string') {
+      return 'Pattern must be a string';
+    }
+    if (pattern.length > 512) {
+      return 'Pattern must be at most 512 characters';
+    }
+  }
+
+  if (is_regex !== undefined && typeof is_regex !== 'boolean') {
+    return 'is_regex must be true or false';
+  }
+
+  if (viewport !== undefined && viewport !== null && !WATCH_VIEWPORTS.includes(viewport)) {
+    return `Viewport must be one of: ${WATCH_VIEWPORTS.join(', ')}`;
+  }
+
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+
+  // Keyword conditions need a pattern; regexes have to compile
+  const condition = watch_condition !== undefined ? watch_condition : (existing ? existing.watch_condition : 'changed');
+  const effectivePattern = normalizeOptional(pattern !== undefined ? pattern : (existing ? existing.pattern : null));
+  const isRegex = is_regex !== undefined ? is_regex : (existing ? Boolean(existing.is_regex) : false);
+
+  if (condition !== 'changed' && !effectivePattern) {
+    return 'A keyword or regex is required for appears/disappears watches';
+  }
+  if (effectivePattern && isRegex) {
+    if (effectivePattern.length > MAX_REGEX_LENGTH) {
+      return `Regex must be at most ${MAX_REGEX_LENGTH} characters`;
+    }
+    try {
+      new RegExp(effectivePattern, 'i');
+    } catch (error) {
+      return `Invalid regex: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Trim an optional string field; empty strings become null
+ * @param {string|null|undefined} value - Field value
+ * @returns {string|null} Trimmed value or null
+ */
+function normalizeOptional(value) {
+  if (typeof value !== 'string') return null;
+  return value.trim() || null;
+}
+
+/**
+ * Format a text watch result row for a response
+ * @param {Object} row - text_watch_results row (with text_content)
+ * @param {boolean} includeText - Return the full text instead of an excerpt
+ * @returns {Object} Result with booleans, parsed diff and text or text_excerpt
+ */
+function formatWatchResult(row, includeText = false) {
+  const { text_content: text, ...result } = row;
+  return {
+    ...result,
+    matched: result.matched === null ? null : Boolean(result.matched),
+    triggered: Boolean(result.triggered),
+    diff: typeof result.diff === 'string' ? JSON.parse(result.diff) : result.diff,
+    ...(includeText
+      ? { text }
+      : { text_excerpt: text === null ? null : text.slice(0, TEXT_EXCERPT_LENGTH) })
+  };
+}
+
+module.exports = {
+  WATCH_CONDITIONS,
+  validateTextWatch,
+  normalizeOptional,
+  formatWatchResult
+};
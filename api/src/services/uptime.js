@@ -0,0 +1,134 @@
+const db = require('../config/database');
+const { MAX_UPTIME_PERIOD_DAYS } = require('../config/constants');
+
+/**
+ * Uptime - Results of the HTTP probes the worker runs between captures
+ * (see worker/src/uptime-probes.js). Uptime is the share of successful probes.
+ */
+
+const RECENT_PROBES_LIMIT = 50;
+
+// Percentage with two decimals, or null without probes
+function uptimePercentage(checks, downChecks) {
+  checks = Number(checks);
+  return checks > 0 ? Math.round(((checks - Number(downChecks)) / checks) * 10000) / 100 : null;
+}
+
+/**
+ * Clamp a requested reporting period to 1..MAX_UPTIME_PERIOD_DAYS
+ * @param {*} value - Days from the query string
+ * @param {number} fallback - Days when none are given
+ * @returns {number} Days
+ */
+function parsePeriodDays(value, fallback = 30) {
+  const days = parseInt(value) || fallback;
+  return Math.min(Math.max(days, 1), MAX_UPTIME_PERIOD_DAYS);
+}
+
+/**
+ * Get the uptime of a page: totals, one bucket per day and the latest probes
+ * @param {Object} page - Page row (ownership must be verified by the caller)
+ * @param {number} days - Reporting period
+ * @returns {Promise<Object>} Uptime report
+ */
+async function getPageUptime(page, days) {
+  const [[totals]] = await db.query(
+    `SELECT COUNT(*) as checks, COALESCE(SUM(NOT is_up), 0) as down_checks,
+            ROUND(AVG(CASE WHEN is_up THEN response_time_ms END)) as avg_response_ms
+     FROM page_probes
+     WHERE page_id = ? AND checked_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [page.id, days]
+  );
+
+  const [daily] = await db.query(
+    `SELECT DATE(checked_at) as date, COUNT(*) as checks, COALESCE(SUM(NOT is_up), 0) as down_checks,
+            ROUND(AVG(CASE WHEN is_up THEN response_time_ms END)) as avg_response_ms
+     FROM page_probes
+     WHERE page_id = ? AND checked_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     GROUP BY DATE(checked_at)
+     ORDER BY date ASC`,
+    [page.id, days]
+  );
+
+  const [recent] = await db.query(
+    `SELECT id, is_up, status_code, response_time_ms, redirects, final_url, tls_expires_at, tls_error, error_message, checked_at
+     FROM page_probes
+     WHERE page_id = ?
+     ORDER BY checked_at DESC
+     LIMIT ?`,
+    [page.id, RECENT_PROBES_LIMIT]
+  );
+
+  // Certificate of the latest HTTPS probe that got one, valid or rejected
+  const latestTls = recent.find(probe => probe.tls_expires_at);
+
+  return {
+    days,
+    probe_interval_minutes: page.probe_interval_minutes,
+    status: page.probe_status,
+    status_changed_at: page.probe_status_changed_at,
+    last_probe_at: page.last_probe_at,
+    tls_expires_at: latestTls ? latestTls.tls_expires_at : null,
+    tls_error: latestTls ? latestTls.tls_error : null,
+    checks: Number(totals.checks),
+    down_checks: Number(totals.down_checks),
+    uptime_percentage: uptimePercentage(totals.checks, totals.down_checks),
+    avg_response_ms: totals.avg_response_ms !== null ? Number(totals.avg_response_ms) : null,
+    daily: daily.map(day => ({
+      date: day.date,
+      checks: Number(day.checks),
+      down_checks: Number(day.down_checks),
+      uptime_percentage: uptimePercentage(day.checks, day.down_checks),
+      avg_response_ms: day.avg_response_ms !== null ? Number(day.avg_response_ms) : null
+    })),
+    recent: recent.map(probe => ({
+      ...probe,
+      is_up: Boolean(probe.is_up),
+      redirects: typeof probe.redirects === 'string' ? JSON.parse(probe.redirects) : probe.redirects
+    }))
+  };
+}
+
+/**
+ * Get the uptime of a site's pages and the site as a whole
+ * @param {number} siteId - Site ID (ownership must be verified by the caller)
+ * @param {number} days - Reporting period
+ * @returns {Promise<Object>} { days, checks, down_checks, uptime_percentage, pages_down, pages }
+ */
+async function getSiteUptime(siteId, days) {
+  const [pages] = await db.query(
+    `SELECT p.id as page_id, p.name, p.url, p.probe_interval_minutes, p.probe_status, p.probe_status_changed_at,
+            COUNT(pp.id) as checks, COALESCE(SUM(NOT pp.is_up), 0) as down_checks,
+            ROUND(AVG(CASE WHEN pp.is_up THEN pp.response_time_ms END)) as avg_response_ms
+     FROM pages p
+     LEFT JOIN page_probes pp ON pp.page_id = p.id AND pp.checked_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     WHERE p.site_id = ? AND (p.probe_interval_minutes IS NOT NULL OR pp.id IS NOT NULL)
+     GROUP BY p.id
+     ORDER BY p.name ASC`,
+    [days, siteId]
+  );
+
+  const checks = pages.reduce((sum, page) => sum + Number(page.checks), 0);
+  const downChecks = pages.reduce((sum, page) => sum + Number(page.down_checks), 0);
+
+  return {
+    days,
+    checks,
+    down_checks: downChecks,
+    uptime_percentage: uptimePercentage(checks, downChecks),
+    pages_down: pages.filter(page => page.probe_status === 'down' && page.probe_interval_minutes !== null).length,
+    pages: pages.map(page => ({
+      ...page,
+      checks: Number(page.checks),
+      down_checks: Number(page.down_checks),
+      uptime_percentage: uptimePercentage(page.checks, page.down_checks),
+      avg_response_ms: page.avg_response_ms !== null ? Number(page.avg_response_ms) : null
+    }))
+  };
+}
+
+module.exports = {
+  parsePeriodDays,
+  getPageUptime,
+  getSiteUptime
+};
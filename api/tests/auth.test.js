@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRequiredScope, hasScope } = require('../src/middleware/auth');
+
+// Requests as routers see them: baseUrl is the mount path, path the rest
+const request = (method, baseUrl, path) => ({ method, baseUrl, path });
+
+describe('getRequiredScope', () => {
+  it('needs "read" for reads', () => {
+    assert.equal(getRequiredScope(request('GET', '/api/pages', '/12')), 'read');
+    assert.equal(getRequiredScope(request('HEAD', '/api/screenshots', '/5/image')), 'read');
+    assert.equal(getRequiredScope(request('OPTIONS', '/api/sites', '/')), 'read');
+  });
+
+  it('needs "capture" to capture a page', () => {
+    assert.equal(getRequiredScope(request('POST', '/api/pages', '/12/capture')), 'capture');
+  });
+
+  it('needs "manage" for every other write', () => {
+    assert.equal(getRequiredScope(request('PUT', '/api/pages', '/12')), 'manage');
+    assert.equal(getRequiredScope(request('POST', '/api/pages', '/12/resume')), 'manage');
+    assert.equal(getRequiredScope(request('POST', '/api/sites', '/3/discover-pages')), 'manage');
+  });
+});
+
+describe('hasScope', () => {
+  it('allows the scopes a key has', () => {
+    assert.equal(hasScope(['read'], 'read'), true);
+    assert.equal(hasScope(['read', 'capture'], 'capture'), true);
+  });
+
+  it('rejects scopes a key lacks', () => {
+    assert.equal(hasScope(['read'], 'capture'), false);
+    assert.equal(hasScope(['capture'], 'manage'), false);
+    assert.equal(hasScope(['manage'], 'read'), false);
+  });
+
+  it('lets "manage" capture', () => {
+    assert.equal(hasScope(['manage'], 'capture'), true);
+  });
+});
@@ -8,18 +8,22 @@ import { DashboardPage } from '@/pages/DashboardPage'
 import { SiteDetailPage } from '@/pages/SiteDetailPage'
 import { ScreenshotsPage } from '@/pages/ScreenshotsPage'
 import { SettingsPage } from '@/pages/SettingsPage'
+import { SharePage } from '@/pages/SharePage'
+import { InvitePage } from '@/pages/InvitePage'
 
 function App() {
   return (
     <AuthProvider>
       <Routes>
         <Route path="/login" element={<AuthPage />} />
+        <Route path="/share/:token" element={<SharePage />} />
         <Route element={<ProtectedRoute />}>
           <Route element={<Layout />}>
             <Route path="/" element={<DashboardPage />} />
             <Route path="/settings" element={<SettingsPage />} />
             <Route path="/sites/:siteId" element={<SiteDetailPage />} />
             <Route path="/sites/:siteId/pages/:pageId" element={<ScreenshotsPage />} />
+            <Route path="/invite/:token" element={<InvitePage />} />
           </Route>
         </Route>
         <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,185 @@
+import { useState } from 'react'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { CaptureJob, CaptureJobHistoryEntry } from '@/lib/api'
+import { useCaptureJobs } from '@/hooks/useQueries'
+import { formatDateTime } from '@/lib/utils'
+
+const PAGE_SIZE = 20
+
+type StatusFilter = 'all' | CaptureJob['status']
+
+interface CaptureLogProps {
+  pageId: number
+}
+
+export function CaptureLog({ pageId }: CaptureLogProps) {
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>('all')
+  const [offset, setOffset] = useState(0)
+  const { data, isLoading } = useCaptureJobs(pageId, {
+    status: statusFilter === 'all' ? null : statusFilter,
+    offset,
+    limit: PAGE_SIZE,
+  })
+  const jobs = data?.jobs ?? []
+  const retry = data?.retry
+
+  const handleStatusChange = (value: string) => {
+    setStatusFilter(value as StatusFilter)
+    setOffset(0)
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <Select value={statusFilter} onValueChange={handleStatusChange}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All runs</SelectItem>
+            <SelectItem value="completed">Completed</SelectItem>
+            <SelectItem value="partial">Partial</SelectItem>
+            <SelectItem value="failed">Failed</SelectItem>
+            <SelectItem value="capturing">Capturing</SelectItem>
+            <SelectItem value="pending">Pending</SelectItem>
+          </SelectContent>
+        </Select>
+
+        {/* Retry state of the page (failures since the last completed run) */}
+        {retry && retry.consecutive_failures > 0 && (
+          <div className="flex items-center gap-2 text-sm">
+            <Icon name="error" size="sm" className="text-destructive" />
+            <span>
+              {retry.consecutive_failures} consecutive failure{retry.consecutive_failures !== 1 ? 's' : ''}
+            </span>
+            <span className="text-muted-foreground">
+              {retry.retries_exhausted
+                ? '· page suspended, resume monitoring or use Capture Now'
+                : retry.next_retry_at
+                  ? `· next retry ${formatDateTime(retry.next_retry_at)}`
+                  : '· page is paused'}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="space-y-2">
+          {[1, 2, 3].map(i => (
+            <Skeleton key={i} className="h-14 w-full" />
+          ))}
+        </div>
+      ) : jobs.length === 0 ? (
+        <div className="text-center py-16 border border-dashed border-border rounded-lg">
+          <Icon name="history" size="xl" className="text-muted-foreground mb-4" />
+          <h2 className="text-xl font-semibold mb-2">No capture runs{statusFilter !== 'all' ? ` with status ${statusFilter}` : ''}</h2>
+          <p className="text-muted-foreground">Every scheduled and manual capture is listed here</p>
+        </div>
+      ) : (
+        <div className="rounded-lg border border-border divide-y divide-border">
+          {jobs.map(job => (
+            <CaptureJobRow key={job.id} job={job} />
+          ))}
+        </div>
+      )}
+
+      {data && data.total > PAGE_SIZE && (
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+          <span>
+            {offset + 1}–{Math.min(offset + jobs.length, data.total)} of {data.total} runs
+          </span>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={offset === 0}
+            >
+              <Icon name="chevron_left" size="sm" />
+              Newer
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= data.total}
+            >
+              Older
+              <Icon name="chevron_right" size="sm" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function CaptureJobRow({ job }: { job: CaptureJobHistoryEntry }) {
+  const failedViewports = (job.viewports ?? []).filter(v => v.status === 'failed')
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 p-3 text-sm">
+      <CaptureJobStatusBadge status={job.status} />
+      <span className="w-40 shrink-0">{formatDateTime(job.started_at ?? job.created_at)}</span>
+      <span className="w-20 shrink-0 text-muted-foreground" title="Duration">
+        {job.duration_seconds !== null ? formatDuration(job.duration_seconds) : '–'}
+      </span>
+      <span className="w-28 shrink-0 text-muted-foreground">
+        {job.viewports_completed}/{job.viewports_total} viewports
+      </span>
+      {job.worker_id && (
+        <span className="font-mono text-xs text-muted-foreground truncate max-w-[12rem]" title="Worker">
+          {job.worker_id}
+        </span>
+      )}
+      {job.error_message && (
+        <span className="basis-full text-destructive text-xs break-words">{job.error_message}</span>
+      )}
+      {/* Failed viewports with the stage they stopped at */}
+      {failedViewports.map(viewport => (
+        <span key={viewport.viewport_key} className="basis-full text-xs text-muted-foreground break-words">
+          <span className="font-medium text-foreground">{viewport.label}</span>
+          {' '}failed at {viewport.stage}: {viewport.error_message}
+        </span>
+      ))}
+      {job.next_retry_at && (
+        <span className="basis-full text-xs text-muted-foreground">
+          Retry due {formatDateTime(job.next_retry_at)}
+        </span>
+      )}
+    </div>
+  )
+}
+
+function CaptureJobStatusBadge({ status }: { status: CaptureJob['status'] }) {
+  if (status === 'completed') {
+    return <Badge variant="success" className="text-xs w-24 justify-center">Completed</Badge>
+  }
+  if (status === 'partial') {
+    return <Badge variant="warning" className="text-xs w-24 justify-center">Partial</Badge>
+  }
+  if (status === 'failed') {
+    return <Badge variant="destructive" className="text-xs w-24 justify-center">Failed</Badge>
+  }
+  if (status === 'capturing') {
+    return <Badge variant="warning" className="text-xs w-24 justify-center">Capturing</Badge>
+  }
+  return <Badge variant="secondary" className="text-xs w-24 justify-center">Pending</Badge>
+}
+
+// Format a duration in seconds as "45s", "3m 20s" or "1h 5m"
+function formatDuration(seconds: number): string {
+  if (seconds < 60) return `${seconds}s`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`
+}
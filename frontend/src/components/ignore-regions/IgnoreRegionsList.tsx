@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { IgnoreRegion } from '@/lib/api'
+import { useCreateIgnoreRegion, useDeleteIgnoreRegion } from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+const VIEWPORT_ICONS: Record<string, string> = {
+  desktop: 'desktop_windows',
+  tablet: 'tablet',
+  mobile: 'smartphone',
+}
+
+interface IgnoreRegionsListProps {
+  pageId: number
+  regions: IgnoreRegion[]
+}
+
+export function IgnoreRegionsList({ pageId, regions }: IgnoreRegionsListProps) {
+  const [selector, setSelector] = useState('')
+  const [viewport, setViewport] = useState<string>('all')
+
+  const createRegion = useCreateIgnoreRegion()
+  const deleteRegion = useDeleteIgnoreRegion()
+
+  const handleAddSelector = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!selector.trim()) return
+
+    createRegion.mutate(
+      {
+        pageId,
+        data: {
+          type: 'selector',
+          selector: selector.trim(),
+          viewport: viewport === 'all' ? null : (viewport as IgnoreRegion['viewport']),
+        },
+      },
+      {
+        onSuccess: () => {
+          setSelector('')
+          toast.success('Ignore region added. It applies from the next capture.')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to add ignore region')
+        },
+      }
+    )
+  }
+
+  const handleDelete = (regionId: number) => {
+    deleteRegion.mutate(
+      { pageId, regionId },
+      {
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to delete ignore region')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="mb-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold">Ignore Regions</h3>
+      </div>
+
+      {/* Add selector form */}
+      <form onSubmit={handleAddSelector} className="flex flex-wrap items-center gap-2 mb-3">
+        <Input
+          value={selector}
+          onChange={(e) => setSelector(e.target.value)}
+          placeholder="CSS selector, e.g. .ad-slot, #live-ticker"
+          className="flex-1 min-w-[200px] font-mono text-sm"
+          disabled={createRegion.isPending}
+        />
+        <Select value={viewport} onValueChange={setViewport} disabled={createRegion.isPending}>
+          <SelectTrigger className="w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All viewports</SelectItem>
+            <SelectItem value="desktop">Desktop</SelectItem>
+            <SelectItem value="tablet">Tablet</SelectItem>
+            <SelectItem value="mobile">Mobile</SelectItem>
+          </SelectContent>
+        </Select>
+        <Button type="submit" size="sm" disabled={!selector.trim() || createRegion.isPending}>
+          <Icon name="add" size="sm" />
+          Add Selector
+        </Button>
+      </form>
+
+      {/* List */}
+      {regions.length === 0 ? (
+        <div className="text-center py-6 border border-dashed border-border rounded-lg">
+          <p className="text-muted-foreground text-sm">
+            No ignore regions. Add CSS selectors here or draw rectangles in the comparison view to
+            exclude dynamic content from visual diffs.
+          </p>
+        </div>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {regions.map(region => (
+            <Badge key={region.id} variant="outline" className="gap-1.5 py-1 pl-2 pr-1">
+              <Icon name={region.type === 'selector' ? 'code' : 'crop_free'} size="xs" />
+              <span className="font-mono text-xs">
+                {region.type === 'selector'
+                  ? region.selector
+                  : `${region.width}×${region.height} @ ${region.x},${region.y}`}
+              </span>
+              {region.viewport && (
+                <span className="material-symbols-outlined text-xs text-muted-foreground" title={region.viewport}>
+                  {VIEWPORT_ICONS[region.viewport]}
+                </span>
+              )}
+              <button
+                type="button"
+                className="rounded p-0.5 hover:bg-destructive/10 hover:text-destructive"
+                onClick={() => handleDelete(region.id)}
+                disabled={deleteRegion.isPending}
+                title="Remove ignore region"
+              >
+                <Icon name="close" size="xs" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu'
+import { api } from '@/lib/api'
+import { useCurrentOrganization, useSwitchOrganization, useCreateOrganization } from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+// Picks the organization whose sites, settings and webhooks the app shows
+export function OrganizationSwitcher() {
+  const { organization, organizations } = useCurrentOrganization()
+  const switchOrganization = useSwitchOrganization()
+  const createOrganization = useCreateOrganization()
+  const navigate = useNavigate()
+
+  const [createOpen, setCreateOpen] = useState(false)
+  const [name, setName] = useState('')
+
+  // Drop a stored organization the user is no longer a member of
+  useEffect(() => {
+    const selectedId = api.getOrganizationId()
+    if (organizations && selectedId && !organizations.some(o => o.id === selectedId)) {
+      switchOrganization(null)
+    }
+  }, [organizations, switchOrganization])
+
+  const handleSwitch = (value: string) => {
+    const organizationId = Number(value)
+    if (organizationId === organization?.id) return
+    switchOrganization(organizationId)
+    // Sites of the previous organization are not part of the new one
+    navigate('/')
+  }
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    createOrganization.mutate(name.trim(), {
+      onSuccess: (created) => {
+        setName('')
+        setCreateOpen(false)
+        switchOrganization(created.id)
+        navigate('/')
+        toast.success(`Organization "${created.name}" created`)
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to create organization')
+      },
+    })
+  }
+
+  if (!organization || !organizations) return null
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="ghost" size="sm" className="gap-1.5 max-w-[220px]">
+            <Icon name="groups" size="sm" />
+            <span className="truncate">{organization.name}</span>
+            <Icon name="unfold_more" size="sm" className="text-muted-foreground" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-64">
+          <DropdownMenuLabel>Organizations</DropdownMenuLabel>
+          <DropdownMenuRadioGroup value={String(organization.id)} onValueChange={handleSwitch}>
+            {organizations.map(o => (
+              <DropdownMenuRadioItem key={o.id} value={String(o.id)} className="cursor-pointer">
+                <span className="truncate flex-1">{o.name}</span>
+                <span className="ml-2 text-xs text-muted-foreground capitalize">{o.role}</span>
+              </DropdownMenuRadioItem>
+            ))}
+          </DropdownMenuRadioGroup>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onClick={() => setCreateOpen(true)} className="cursor-pointer">
+            <Icon name="add" size="sm" className="mr-2" />
+            New organization
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={createOpen} onOpenChange={setCreateOpen}>
+        <DialogContent className="max-w-md">
+          <form onSubmit={handleCreate} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>New organization</DialogTitle>
+              <DialogDescription>
+                Sites, settings and webhooks of an organization are shared with everyone you invite to it.
+              </DialogDescription>
+            </DialogHeader>
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Acme Web Team"
+              disabled={createOrganization.isPending}
+              autoFocus
+            />
+            <DialogFooter>
+              <Button type="button" variant="ghost" onClick={() => setCreateOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!name.trim() || createOrganization.isPending}>
+                Create
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
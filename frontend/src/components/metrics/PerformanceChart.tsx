@@ -0,0 +1,251 @@
+import { useMemo, useState } from 'react'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { CaptureStage, PageMetricsPoint, ScreenshotMetrics } from '@/lib/api'
+import { usePageMetrics } from '@/hooks/useQueries'
+import { formatDate, formatDateTime, formatFileSize } from '@/lib/utils'
+
+type MetricKey = 'ttfb_ms' | 'dom_content_loaded_ms' | 'load_ms' | 'lcp_ms' | 'cls' | 'transfer_bytes' | 'request_count'
+
+const METRICS: { key: MetricKey; label: string; format: (value: number) => string }[] = [
+  { key: 'lcp_ms', label: 'Largest Contentful Paint', format: formatMs },
+  { key: 'ttfb_ms', label: 'Time to First Byte', format: formatMs },
+  { key: 'dom_content_loaded_ms', label: 'DOMContentLoaded', format: formatMs },
+  { key: 'load_ms', label: 'Load', format: formatMs },
+  { key: 'cls', label: 'Cumulative Layout Shift', format: (value) => value.toFixed(3) },
+  { key: 'transfer_bytes', label: 'Transferred', format: (value) => formatFileSize(value) },
+  { key: 'request_count', label: 'Requests', format: (value) => String(value) },
+]
+
+const STAGES: { key: CaptureStage; label: string; className: string }[] = [
+  { key: 'navigate', label: 'Navigate', className: 'bg-blue-500' },
+  { key: 'consent', label: 'Consent', className: 'bg-sky-400' },
+  { key: 'instructions', label: 'Instructions', className: 'bg-violet-500' },
+  { key: 'tests', label: 'Tests', className: 'bg-fuchsia-500' },
+  { key: 'scroll', label: 'Scroll', className: 'bg-amber-500' },
+  { key: 'screenshot', label: 'Screenshot', className: 'bg-green-500' },
+]
+
+// One line per viewport/device and variant
+const SERIES_COLORS = ['#3b82f6', '#f59e0b', '#22c55e', '#ec4899', '#8b5cf6', '#14b8a6', '#ef4444', '#64748b']
+
+const CHART_WIDTH = 800
+const CHART_HEIGHT = 240
+const PADDING = { top: 12, right: 16, bottom: 28, left: 64 }
+
+interface PerformanceChartProps {
+  pageId: number
+}
+
+export function PerformanceChart({ pageId }: PerformanceChartProps) {
+  const [metricKey, setMetricKey] = useState<MetricKey>('lcp_ms')
+  const [viewport, setViewport] = useState<string>('all')
+  const { data, isLoading } = usePageMetrics(pageId, { viewport: viewport === 'all' ? null : viewport })
+  const points = data?.metrics ?? []
+  const metric = METRICS.find(m => m.key === metricKey)!
+
+  const series = useMemo(() => {
+    const groups = new Map<string, PageMetricsPoint[]>()
+    for (const point of points) {
+      if (point[metricKey] === null) continue
+      const label = seriesLabel(point)
+      if (!groups.has(label)) groups.set(label, [])
+      groups.get(label)!.push(point)
+    }
+    return Array.from(groups.entries()).map(([label, seriesPoints], index) => ({
+      label,
+      points: seriesPoints,
+      color: SERIES_COLORS[index % SERIES_COLORS.length],
+    }))
+  }, [points, metricKey])
+
+  const latest = points.length > 0 ? points[points.length - 1] : null
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={metricKey} onValueChange={(value) => setMetricKey(value as MetricKey)}>
+          <SelectTrigger className="w-60">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {METRICS.map(m => (
+              <SelectItem key={m.key} value={m.key}>{m.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={viewport} onValueChange={setViewport}>
+          <SelectTrigger className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All viewports</SelectItem>
+            <SelectItem value="desktop">Desktop</SelectItem>
+            <SelectItem value="tablet">Tablet</SelectItem>
+            <SelectItem value="mobile">Mobile</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      {isLoading ? (
+        <Skeleton className="h-64 w-full" />
+      ) : series.length === 0 ? (
+        <div className="text-center py-16 border border-dashed border-border rounded-lg">
+          <Icon name="speed" size="xl" className="text-muted-foreground mb-4" />
+          <h2 className="text-xl font-semibold mb-2">No performance data yet</h2>
+          <p className="text-muted-foreground">Page timings and network traffic are recorded with every capture</p>
+        </div>
+      ) : (
+        <div className="rounded-lg border border-border p-4">
+          <LineChart series={series} metricKey={metricKey} format={metric.format} />
+          <div className="flex flex-wrap gap-4 mt-3 text-xs text-muted-foreground">
+            {series.map(s => (
+              <span key={s.label} className="flex items-center gap-1.5">
+                <span className="w-3 h-0.5 rounded" style={{ backgroundColor: s.color }} />
+                {s.label}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {latest && <LatestCaptureBreakdown point={latest} />}
+    </div>
+  )
+}
+
+interface ChartSeries {
+  label: string
+  points: PageMetricsPoint[]
+  color: string
+}
+
+function LineChart({ series, metricKey, format }: { series: ChartSeries[]; metricKey: MetricKey; format: (value: number) => string }) {
+  const allPoints = series.flatMap(s => s.points)
+  const times = allPoints.map(p => new Date(p.created_at).getTime())
+  const minTime = Math.min(...times)
+  const maxTime = Math.max(...times)
+  const maxValue = Math.max(...allPoints.map(p => p[metricKey] as number)) || 1
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom
+  const x = (time: number) => PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth)
+  const y = (value: number) => PADDING.top + plotHeight - (value / maxValue) * plotHeight
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => f * maxValue)
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-64" role="img">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} className="stroke-border" strokeDasharray="4 4" />
+          <text x={PADDING.left - 8} y={y(tick)} textAnchor="end" dominantBaseline="middle" className="fill-muted-foreground text-[10px]">
+            {format(tick)}
+          </text>
+        </g>
+      ))}
+      <text x={PADDING.left} y={CHART_HEIGHT - 8} className="fill-muted-foreground text-[10px]">
+        {formatDate(new Date(minTime).toISOString())}
+      </text>
+      <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 8} textAnchor="end" className="fill-muted-foreground text-[10px]">
+        {formatDate(new Date(maxTime).toISOString())}
+      </text>
+      {series.map(s => (
+        <g key={s.label}>
+          <polyline
+            fill="none"
+            stroke={s.color}
+            strokeWidth={2}
+            points={s.points.map(p => `${x(new Date(p.created_at).getTime())},${y(p[metricKey] as number)}`).join(' ')}
+          />
+          {s.points.map(p => (
+            <circle key={p.screenshot_id} cx={x(new Date(p.created_at).getTime())} cy={y(p[metricKey] as number)} r={3} fill={s.color}>
+              <title>{`${s.label} · ${formatDateTime(p.created_at)}: ${format(p[metricKey] as number)}`}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+// Stage timings and requests of the most recent capture
+function LatestCaptureBreakdown({ point }: { point: PageMetricsPoint }) {
+  const stages = STAGES.filter(stage => (point.stage_timings?.[stage.key] ?? 0) > 0)
+  const totalMs = stages.reduce((sum, stage) => sum + (point.stage_timings?.[stage.key] ?? 0), 0)
+  const requestTypes = Object.entries(point.requests_by_type ?? {}).sort((a, b) => b[1] - a[1])
+
+  return (
+    <div className="rounded-lg border border-border p-4 space-y-4 text-sm">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h3 className="font-medium">Latest capture · {seriesLabel(point)}</h3>
+        <span className="text-xs text-muted-foreground">{formatDateTime(point.created_at)}</span>
+      </div>
+
+      <MetricSummary metrics={point} />
+
+      {totalMs > 0 && (
+        <div className="space-y-2">
+          <div className="text-xs text-muted-foreground">Capture stages ({formatMs(totalMs)})</div>
+          <div className="flex h-3 rounded overflow-hidden">
+            {stages.map(stage => (
+              <div
+                key={stage.key}
+                className={stage.className}
+                style={{ width: `${((point.stage_timings?.[stage.key] ?? 0) / totalMs) * 100}%` }}
+                title={`${stage.label}: ${formatMs(point.stage_timings?.[stage.key] ?? 0)}`}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
+            {stages.map(stage => (
+              <span key={stage.key} className="flex items-center gap-1.5">
+                <span className={`w-2 h-2 rounded-sm ${stage.className}`} />
+                {stage.label} {formatMs(point.stage_timings?.[stage.key] ?? 0)}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {requestTypes.length > 0 && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
+          {requestTypes.map(([type, count]) => (
+            <span key={type}>
+              <span className="capitalize">{type}</span> {count}
+              {point.bytes_by_type?.[type] ? ` · ${formatFileSize(point.bytes_by_type[type])}` : ''}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function MetricSummary({ metrics }: { metrics: ScreenshotMetrics }) {
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+      {METRICS.map(m => (
+        <div key={m.key}>
+          <div className="text-xs text-muted-foreground">{m.label}</div>
+          <div className="font-medium">{metrics[m.key] !== null ? m.format(metrics[m.key] as number) : '–'}</div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function seriesLabel(point: PageMetricsPoint): string {
+  const base = point.device_name || point.viewport || 'default'
+  return point.variant ? `${base} · ${point.variant}` : base
+}
+
+function formatMs(ms: number): string {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`
+}
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react'
+import { Card } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { api, ComponentScreenshot, PageComponent } from '@/lib/api'
+import { useComponentScreenshots } from '@/hooks/useQueries'
+import { cn, formatDateTime, formatFileSize } from '@/lib/utils'
+
+const VIEWPORT_ICONS: Record<string, string> = {
+  mobile: 'smartphone',
+  tablet: 'tablet',
+  desktop: 'desktop_windows',
+}
+
+interface ComponentTimelineProps {
+  pageId: number
+  component: PageComponent
+  viewport: string | null
+  variant: string | null
+}
+
+export function ComponentTimeline({ pageId, component, viewport, variant }: ComponentTimelineProps) {
+  const [viewer, setViewer] = useState<ComponentScreenshot | null>(null)
+  const { data, isLoading } = useComponentScreenshots(pageId, component.id, { viewport, variant })
+  const screenshots = data?.screenshots ?? []
+
+  if (isLoading) {
+    return (
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+        {[1, 2, 3, 4].map(i => (
+          <Card key={i} className="overflow-hidden animate-pulse">
+            <div className="aspect-video bg-muted" />
+          </Card>
+        ))}
+      </div>
+    )
+  }
+
+  if (screenshots.length === 0) {
+    return (
+      <div className="text-center py-16 border border-dashed border-border rounded-lg">
+        <Icon name="crop" size="xl" className="text-muted-foreground mb-4" />
+        <h2 className="text-xl font-semibold mb-2">No screenshots of {component.name} yet</h2>
+        <p className="text-muted-foreground">Element screenshots are taken with every capture of the page</p>
+      </div>
+    )
+  }
+
+  return (
+    <>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+        {screenshots.map(screenshot => (
+          <Card
+            key={screenshot.id}
+            className={cn(
+              "overflow-hidden transition-all",
+              !screenshot.error_message && "cursor-pointer hover:border-primary/50 hover:shadow-lg hover:-translate-y-0.5"
+            )}
+            onClick={() => !screenshot.error_message && setViewer(screenshot)}
+          >
+            <div className="relative aspect-video bg-muted flex items-center justify-center">
+              {screenshot.error_message ? (
+                <div className="text-center text-muted-foreground text-sm px-4">
+                  <Icon name="search_off" className="mb-1" />
+                  <p>{screenshot.error_message}</p>
+                </div>
+              ) : (
+                <img
+                  src={api.getComponentScreenshotThumbnailUrl(screenshot.id)}
+                  alt={component.name}
+                  className="w-full h-full object-contain"
+                  loading="lazy"
+                />
+              )}
+
+              {screenshot.viewport && (
+                <Badge variant="secondary" className="absolute top-2 left-2 capitalize">
+                  <span className="material-symbols-outlined text-sm mr-1">
+                    {VIEWPORT_ICONS[screenshot.viewport]}
+                  </span>
+                  {screenshot.device_name || screenshot.viewport}
+                  {screenshot.variant && <span className="normal-case ml-1">· {screenshot.variant}</span>}
+                </Badge>
+              )}
+
+              {Boolean(screenshot.has_changes) && screenshot.diff_percentage != null && (
+                <Badge
+                  className="absolute top-2 right-2 px-1.5 py-0.5 text-xs gap-1 bg-amber-500/90 text-white border-0"
+                  title="Changed compared to the previous capture"
+                >
+                  <span className="material-symbols-outlined text-xs">difference</span>
+                  {Number(screenshot.diff_percentage).toFixed(2)}% changed
+                </Badge>
+              )}
+            </div>
+            <div className="p-3">
+              <div className="text-sm font-medium mb-1">{formatDateTime(screenshot.created_at)}</div>
+              {!screenshot.error_message && (
+                <div className="text-xs text-muted-foreground">
+                  {screenshot.width}×{screenshot.height} · {formatFileSize(screenshot.file_size)}
+                </div>
+              )}
+            </div>
+          </Card>
+        ))}
+      </div>
+
+      {viewer && (
+        <ComponentScreenshotViewer
+          component={component}
+          screenshot={viewer}
+          onClose={() => setViewer(null)}
+        />
+      )}
+    </>
+  )
+}
+
+interface ComponentScreenshotViewerProps {
+  component: PageComponent
+  screenshot: ComponentScreenshot
+  onClose: () => void
+}
+
+function ComponentScreenshotViewer({ component, screenshot, onClose }: ComponentScreenshotViewerProps) {
+  const [showDiff, setShowDiff] = useState(false)
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/95 flex flex-col">
+      {/* Header */}
+      <div className="flex items-center justify-between px-6 py-4 border-b border-border bg-background/50 backdrop-blur">
+        <div className="flex items-center gap-4 text-sm text-muted-foreground">
+          <Badge variant="default">{component.name}</Badge>
+          {screenshot.viewport && (
+            <Badge variant="outline" className={screenshot.device_name ? undefined : 'capitalize'}>
+              {screenshot.device_name || screenshot.viewport}
+              {screenshot.viewport_width && ` (${screenshot.viewport_width}px)`}
+            </Badge>
+          )}
+          {screenshot.variant && <Badge variant="secondary">{screenshot.variant}</Badge>}
+          <span>{formatDateTime(screenshot.created_at)}</span>
+          <span>{screenshot.width}×{screenshot.height}</span>
+          {Boolean(screenshot.has_diff) && (
+            <Button
+              variant={showDiff ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setShowDiff(!showDiff)}
+              className={cn(
+                'gap-2',
+                Boolean(screenshot.has_changes) && !showDiff && 'border-amber-500 text-amber-500 hover:bg-amber-500/10'
+              )}
+              title="Toggle the diff against the previous capture"
+            >
+              <Icon name="difference" size="sm" />
+              {screenshot.has_changes ? 'Changed' : 'Unchanged'} ({Number(screenshot.diff_percentage).toFixed(2)}%)
+            </Button>
+          )}
+        </div>
+        <Button variant="ghost" size="icon" onClick={onClose}>
+          <Icon name="close" />
+        </Button>
+      </div>
+
+      <ScrollArea className="flex-1">
+        <div className="p-6 flex justify-center">
+          <img
+            src={showDiff ? api.getComponentScreenshotDiffUrl(screenshot.id) : api.getComponentScreenshotImageUrl(screenshot.id)}
+            alt={showDiff ? 'Changes since previous capture' : component.name}
+            className="max-w-full w-auto max-w-[1200px] rounded-lg shadow-2xl"
+          />
+        </div>
+      </ScrollArea>
+    </div>
+  )
+}
@@ -0,0 +1,155 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Switch } from '@/components/ui/switch'
+import { PageComponent } from '@/lib/api'
+import { useCreateComponent, useUpdateComponent, useDeleteComponent } from '@/hooks/useQueries'
+import { formatDateTime } from '@/lib/utils'
+import { toast } from 'sonner'
+
+interface ComponentsListProps {
+  pageId: number
+  components: PageComponent[]
+}
+
+export function ComponentsList({ pageId, components }: ComponentsListProps) {
+  const [name, setName] = useState('')
+  const [selector, setSelector] = useState('')
+  const [padding, setPadding] = useState(0)
+
+  const createComponent = useCreateComponent()
+  const updateComponent = useUpdateComponent()
+  const deleteComponent = useDeleteComponent()
+
+  const handleAdd = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!name.trim() || !selector.trim()) return
+
+    createComponent.mutate(
+      { pageId, data: { name: name.trim(), selector: selector.trim(), padding } },
+      {
+        onSuccess: () => {
+          setName('')
+          setSelector('')
+          setPadding(0)
+          toast.success('Component added. It is captured from the next capture.')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to add component')
+        },
+      }
+    )
+  }
+
+  const handleToggle = (component: PageComponent, isActive: boolean) => {
+    updateComponent.mutate(
+      { pageId, componentId: component.id, data: { is_active: isActive } },
+      {
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to update component')
+        },
+      }
+    )
+  }
+
+  const handleDelete = (component: PageComponent) => {
+    if (!confirm(`Delete component "${component.name}" and its ${component.screenshot_count ?? 0} element screenshots?`)) return
+
+    deleteComponent.mutate(
+      { pageId, componentId: component.id },
+      {
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to delete component')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="mb-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold">Components</h3>
+      </div>
+
+      {/* Add component form */}
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 mb-3">
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name, e.g. Header"
+          className="w-40"
+          disabled={createComponent.isPending}
+        />
+        <Input
+          value={selector}
+          onChange={(e) => setSelector(e.target.value)}
+          placeholder="CSS selector, e.g. header, .pricing-table"
+          className="flex-1 min-w-[200px] font-mono text-sm"
+          disabled={createComponent.isPending}
+        />
+        <Input
+          type="number"
+          min={0}
+          max={200}
+          value={padding}
+          onChange={(e) => setPadding(parseInt(e.target.value, 10) || 0)}
+          className="w-24"
+          title="Padding around the element (px)"
+          disabled={createComponent.isPending}
+        />
+        <Button type="submit" size="sm" disabled={!name.trim() || !selector.trim() || createComponent.isPending}>
+          <Icon name="add" size="sm" />
+          Add Component
+        </Button>
+      </form>
+
+      {/* List */}
+      {components.length === 0 ? (
+        <div className="text-center py-6 border border-dashed border-border rounded-lg">
+          <p className="text-muted-foreground text-sm">
+            No components. Add a CSS selector to capture an element (e.g. the header or checkout widget) as its
+            own screenshot with its own timeline and change detection.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {components.map(component => (
+            <div key={component.id} className="flex items-center gap-3 rounded-lg border border-border p-3">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium truncate">{component.name}</span>
+                  <span className="font-mono text-xs text-muted-foreground truncate">{component.selector}</span>
+                  {component.padding > 0 && (
+                    <span className="text-xs text-muted-foreground">+{component.padding}px</span>
+                  )}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {component.screenshot_count ?? 0} screenshot{component.screenshot_count !== 1 ? 's' : ''}
+                  {component.last_captured_at && ` · last ${formatDateTime(component.last_captured_at)}`}
+                </p>
+              </div>
+              <Switch
+                checked={Boolean(component.is_active)}
+                onCheckedChange={(checked) => handleToggle(component, checked)}
+                disabled={updateComponent.isPending}
+                title={component.is_active ? 'Captured with every capture' : 'Paused'}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => handleDelete(component)}
+                disabled={deleteComponent.isPending}
+                className="text-destructive hover:text-destructive"
+                title="Delete component"
+              >
+                <Icon name="delete" size="sm" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
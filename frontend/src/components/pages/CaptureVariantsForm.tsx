@@ -0,0 +1,128 @@
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Icon } from '@/components/ui/icon'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { CaptureVariant } from '@/lib/api'
+
+export interface CaptureVariantsFormProps {
+  variants: CaptureVariant[]
+  onChange: (variants: CaptureVariant[]) => void
+  disabled?: boolean
+}
+
+/**
+ * Convert the form rows to request data (drops empty fields, lowercases names)
+ */
+export function toCaptureVariantsData(variants: CaptureVariant[]): CaptureVariant[] | null {
+  const data = variants
+    .filter(variant => variant.name.trim())
+    .map(({ name, color_scheme, reduced_motion, locale, timezone }) => ({
+      name: name.trim().toLowerCase(),
+      ...(color_scheme ? { color_scheme } : {}),
+      ...(reduced_motion ? { reduced_motion: true } : {}),
+      ...(locale?.trim() ? { locale: locale.trim() } : {}),
+      ...(timezone?.trim() ? { timezone: timezone.trim() } : {}),
+    }))
+  return data.length > 0 ? data : null
+}
+
+export function CaptureVariantsForm({ variants, onChange, disabled = false }: CaptureVariantsFormProps) {
+  const updateVariant = (index: number, changes: Partial<CaptureVariant>) => {
+    onChange(variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)))
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <Label>Capture Variants</Label>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange([...variants, { name: variants.length === 0 ? 'dark' : '', color_scheme: variants.length === 0 ? 'dark' : null }])}
+          disabled={disabled}
+        >
+          <Icon name="add" size="sm" />
+          Add Variant
+        </Button>
+      </div>
+      {variants.length === 0 ? (
+        <p className="text-xs text-muted-foreground">No variants. Each viewport is captured once.</p>
+      ) : (
+        variants.map((variant, index) => (
+          <div key={index} className="space-y-2 rounded-lg border border-border p-3">
+            <div className="flex items-center gap-2">
+              <Input
+                value={variant.name}
+                onChange={(e) => updateVariant(index, { name: e.target.value })}
+                placeholder="Name, e.g. dark"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Select
+                value={variant.color_scheme ?? 'unchanged'}
+                onValueChange={(value) =>
+                  updateVariant(index, { color_scheme: value === 'unchanged' ? null : (value as 'light' | 'dark') })
+                }
+                disabled={disabled}
+              >
+                <SelectTrigger className="w-40 shrink-0">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="unchanged">Page default</SelectItem>
+                  <SelectItem value="light">Light mode</SelectItem>
+                  <SelectItem value="dark">Dark mode</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange(variants.filter((_, i) => i !== index))}
+                disabled={disabled}
+              >
+                <Icon name="close" size="sm" />
+              </Button>
+            </div>
+            <div className="flex items-center gap-2">
+              <Input
+                value={variant.locale ?? ''}
+                onChange={(e) => updateVariant(index, { locale: e.target.value })}
+                placeholder="Locale, e.g. de-DE"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Input
+                value={variant.timezone ?? ''}
+                onChange={(e) => updateVariant(index, { timezone: e.target.value })}
+                placeholder="Time zone, e.g. Asia/Tokyo"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <label className="flex items-center gap-2 text-sm cursor-pointer whitespace-nowrap">
+                <Checkbox
+                  checked={variant.reduced_motion === true}
+                  onCheckedChange={(checked) => updateVariant(index, { reduced_motion: checked === true })}
+                  disabled={disabled}
+                />
+                Reduced motion
+              </label>
+            </div>
+          </div>
+        ))
+      )}
+      <p className="text-xs text-muted-foreground">
+        Each variant adds one extra capture per viewport, compared against its own baseline.
+      </p>
+    </div>
+  )
+}
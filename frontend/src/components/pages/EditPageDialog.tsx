@@ -15,11 +15,32 @@ import { Switch } from '@/components/ui/switch'
 import { Checkbox } from '@/components/ui/checkbox'
 import { Icon } from '@/components/ui/icon'
 import { Separator } from '@/components/ui/separator'
-import { Page } from '@/lib/api'
-import { CaptureSettingsForm } from '@/components/settings/CaptureSettingsForm'
-import { useSettings, useUpdatePage } from '@/hooks/useQueries'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { BlackoutWindow, CaptureVariant, Page } from '@/lib/api'
+import { CaptureSettingsForm, CaptureSettings } from '@/components/settings/CaptureSettingsForm'
+import {
+  RequestSettingsForm,
+  RequestSettingsDraft,
+  toRequestSettingsDraft,
+  toRequestSettingsData,
+} from '@/components/settings/RequestSettingsForm'
+import { CaptureVariantsForm, toCaptureVariantsData } from '@/components/pages/CaptureVariantsForm'
+import {
+  useSettings,
+  useUpdatePage,
+  useLoginProfiles,
+  usePageRequestSettings,
+  useUpdatePageRequestSettings,
+} from '@/hooks/useQueries'
 import { toast } from 'sonner'
-import { DEFAULT_INTERVAL_MINUTES, DEFAULT_VIEWPORTS } from '@/lib/constants'
+import { DEFAULT_INTERVAL_MINUTES, DEFAULT_SCHEDULE_TIMEZONE, DEFAULT_VIEWPORTS, PAGE_PRIORITIES, PROBE_INTERVALS } from '@/lib/constants'
+import { formatDateTime } from '@/lib/utils'
 
 interface EditPageDialogProps {
   open: boolean
@@ -31,44 +52,94 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
   const [name, setName] = useState(page.name)
   const [url, setUrl] = useState(page.url)
   const [isActive, setIsActive] = useState(page.is_active)
+  const [loginProfileId, setLoginProfileId] = useState<number | null>(page.login_profile_id)
+  const [priority, setPriority] = useState(page.priority)
+  const [probeInterval, setProbeInterval] = useState<number | null>(page.probe_interval_minutes)
+  const [recordHar, setRecordHar] = useState(Boolean(page.record_har))
+  const [archiveMhtml, setArchiveMhtml] = useState(Boolean(page.archive_mhtml))
+  const [captureVariants, setCaptureVariants] = useState<CaptureVariant[]>(page.capture_variants ?? [])
   
   // Custom settings state
   const [useCustomSettings, setUseCustomSettings] = useState(false)
   const [intervalMinutes, setIntervalMinutes] = useState(DEFAULT_INTERVAL_MINUTES)
   const [viewports, setViewports] = useState<number[]>(DEFAULT_VIEWPORTS)
+  const [deviceProfiles, setDeviceProfiles] = useState<number[]>([])
+  const [scheduleCron, setScheduleCron] = useState<string | null>(null)
+  const [scheduleTimezone, setScheduleTimezone] = useState<string | null>(null)
+  const [blackoutWindows, setBlackoutWindows] = useState<BlackoutWindow[]>([])
+
+  // Request settings state (headers, cookies, basic auth)
+  const [useCustomRequestSettings, setUseCustomRequestSettings] = useState(false)
+  const [requestDraft, setRequestDraft] = useState<RequestSettingsDraft>(toRequestSettingsDraft())
   
-  // User settings for defaults display
+  // Organization settings for defaults display
   const { data: userSettings, isLoading: loadingSettings } = useSettings()
+  const { data: loginProfiles } = useLoginProfiles(open ? page.site_id : undefined)
+  const { data: requestSettings } = usePageRequestSettings(open ? page.id : undefined)
   const updatePage = useUpdatePage()
+  const updateRequestSettings = useUpdatePageRequestSettings()
+  const isSaving = updatePage.isPending || updateRequestSettings.isPending
+  const defaultLoginProfile = loginProfiles?.find(profile => profile.is_default)
 
   // Initialize form state when page changes
   useEffect(() => {
     setName(page.name)
     setUrl(page.url)
     setIsActive(page.is_active)
+    setLoginProfileId(page.login_profile_id)
+    setPriority(page.priority)
+    setProbeInterval(page.probe_interval_minutes)
+    setRecordHar(Boolean(page.record_har))
+    setArchiveMhtml(Boolean(page.archive_mhtml))
+    setCaptureVariants(page.capture_variants ?? [])
     
     // Check if page has custom settings
     const hasCustomInterval = page.interval_minutes !== null
     const hasCustomViewports = page.viewports !== null && page.viewports.length > 0
-    const hasCustom = hasCustomInterval || hasCustomViewports
+    const hasCustomDevices = page.device_profiles !== null
+    const hasCustomSchedule =
+      page.schedule_cron !== null || page.schedule_timezone !== null || page.blackout_windows !== null
+    const hasCustom = hasCustomInterval || hasCustomViewports || hasCustomDevices || hasCustomSchedule
     
     setUseCustomSettings(hasCustom)
     
     if (hasCustom) {
       setIntervalMinutes(page.interval_minutes ?? DEFAULT_INTERVAL_MINUTES)
       setViewports(page.viewports ?? DEFAULT_VIEWPORTS)
+      setDeviceProfiles(page.device_profiles ?? [])
+      // Start from the effective schedule so partial overrides don't lose inherited values
+      setScheduleCron(page.schedule_cron ?? (hasCustomInterval ? null : page.effective_schedule_cron ?? null))
+      setScheduleTimezone(page.schedule_timezone ?? page.effective_schedule_timezone ?? null)
+      setBlackoutWindows(page.blackout_windows ?? page.effective_blackout_windows ?? [])
     } else {
-      // Will be set from user settings
+      // Will be set from organization settings
       setIntervalMinutes(DEFAULT_INTERVAL_MINUTES)
       setViewports(DEFAULT_VIEWPORTS)
+      setDeviceProfiles([])
+      setScheduleCron(page.effective_schedule_cron ?? null)
+      setScheduleTimezone(page.effective_schedule_timezone ?? null)
+      setBlackoutWindows(page.effective_blackout_windows ?? [])
     }
   }, [page])
 
-  // Update defaults from user settings
+  // Initialize request settings; a page overrides the site once it sets any field
+  useEffect(() => {
+    if (open && requestSettings) {
+      const hasCustom =
+        requestSettings.headers !== null ||
+        requestSettings.cookies !== null ||
+        requestSettings.basic_auth_username !== null
+      setUseCustomRequestSettings(hasCustom)
+      setRequestDraft(toRequestSettingsDraft(hasCustom ? requestSettings : requestSettings.site))
+    }
+  }, [open, requestSettings])
+
+  // Update defaults from organization settings
   useEffect(() => {
     if (userSettings && !useCustomSettings) {
       setIntervalMinutes(userSettings.default_interval_minutes)
       setViewports(userSettings.default_viewports)
+      setDeviceProfiles(userSettings.default_device_profiles ?? [])
     }
     
     // If page doesn't have custom settings, use the loaded defaults
@@ -76,11 +147,18 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
       setIntervalMinutes(userSettings.default_interval_minutes)
       setViewports(userSettings.default_viewports)
     }
+    if (userSettings && page.device_profiles === null) {
+      setDeviceProfiles(userSettings.default_device_profiles ?? [])
+    }
   }, [userSettings, useCustomSettings, page])
 
-  const handleSettingsChange = (settings: { intervalMinutes: number; viewports: number[] }) => {
+  const handleSettingsChange = (settings: CaptureSettings) => {
     setIntervalMinutes(settings.intervalMinutes)
     setViewports(settings.viewports)
+    setDeviceProfiles(settings.deviceProfiles)
+    setScheduleCron(settings.scheduleCron)
+    setScheduleTimezone(settings.scheduleTimezone)
+    setBlackoutWindows(settings.blackoutWindows)
   }
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -93,15 +171,48 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
           name,
           url,
           is_active: isActive,
+          login_profile_id: loginProfileId,
+          priority,
+          probe_interval_minutes: probeInterval,
+          record_har: recordHar,
+          archive_mhtml: archiveMhtml,
+          capture_variants: toCaptureVariantsData(captureVariants),
           // If using custom settings, send the values; otherwise send null to use defaults
           interval_minutes: useCustomSettings ? intervalMinutes : null,
           viewports: useCustomSettings ? viewports : null,
+          device_profiles: useCustomSettings ? deviceProfiles : null,
+          schedule_cron: useCustomSettings ? scheduleCron : null,
+          schedule_timezone: useCustomSettings ? scheduleTimezone : null,
+          blackout_windows: useCustomSettings && blackoutWindows.length > 0 ? blackoutWindows : null,
         },
       },
       {
         onSuccess: () => {
-          toast.success('Page updated successfully')
-          onOpenChange(false)
+          // Request settings are loaded separately; don't overwrite them if they never loaded
+          if (!requestSettings) {
+            toast.success('Page updated successfully')
+            onOpenChange(false)
+            return
+          }
+
+          updateRequestSettings.mutate(
+            {
+              pageId: page.id,
+              // Not customized: send nulls to inherit everything from the site
+              data: useCustomRequestSettings
+                ? toRequestSettingsData(requestDraft, false)
+                : { headers: null, cookies: null, basic_auth_username: null },
+            },
+            {
+              onSuccess: () => {
+                toast.success('Page updated successfully')
+                onOpenChange(false)
+              },
+              onError: (error) => {
+                toast.error(error instanceof Error ? error.message : 'Failed to update request settings')
+              },
+            }
+          )
         },
         onError: (error) => {
           toast.error(error instanceof Error ? error.message : 'Failed to update page')
@@ -155,6 +266,111 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
               />
             </div>
 
+            {loginProfiles && loginProfiles.length > 0 && (
+              <div className="space-y-2">
+                <Label htmlFor="edit-page-login-profile">Login Profile</Label>
+                <Select
+                  value={loginProfileId === null ? 'default' : String(loginProfileId)}
+                  onValueChange={(value) => setLoginProfileId(value === 'default' ? null : parseInt(value, 10))}
+                  disabled={updatePage.isPending}
+                >
+                  <SelectTrigger id="edit-page-login-profile">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="default">
+                      Site default ({defaultLoginProfile ? defaultLoginProfile.name : 'no login'})
+                    </SelectItem>
+                    {loginProfiles.map(profile => (
+                      <SelectItem key={profile.id} value={String(profile.id)}>
+                        {profile.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="edit-page-priority">Priority</Label>
+              <Select
+                value={String(priority)}
+                onValueChange={(value) => setPriority(parseInt(value, 10))}
+                disabled={updatePage.isPending}
+              >
+                <SelectTrigger id="edit-page-priority">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PAGE_PRIORITIES.map(({ value, label }) => (
+                    <SelectItem key={value} value={String(value)}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                When workers are busy, higher-priority pages are captured first. "Capture now" always goes first.
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="edit-page-probe-interval">Uptime checks</Label>
+              <Select
+                value={probeInterval === null ? 'off' : String(probeInterval)}
+                onValueChange={(value) => setProbeInterval(value === 'off' ? null : parseInt(value, 10))}
+                disabled={updatePage.isPending}
+              >
+                <SelectTrigger id="edit-page-probe-interval">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PROBE_INTERVALS.map(({ value, label }) => (
+                    <SelectItem key={String(value)} value={value === null ? 'off' : String(value)}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                A plain HTTP request between screenshots. When the page goes down, it is captured right away and a webhook is sent.
+              </p>
+            </div>
+
+            <div className="space-y-1">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="edit-page-record-har" className="cursor-pointer">
+                  Record network log (HAR)
+                </Label>
+                <Switch
+                  id="edit-page-record-har"
+                  checked={recordHar}
+                  onCheckedChange={setRecordHar}
+                  disabled={updatePage.isPending}
+                />
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Store every request of each capture as a downloadable HAR file. Credential headers are redacted.
+              </p>
+            </div>
+
+            <div className="space-y-1">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="edit-page-archive-mhtml" className="cursor-pointer">
+                  Archive page as MHTML
+                </Label>
+                <Switch
+                  id="edit-page-archive-mhtml"
+                  checked={archiveMhtml}
+                  onCheckedChange={setArchiveMhtml}
+                  disabled={updatePage.isPending}
+                />
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Store a self-contained archive (HTML with images and styles) next to the HTML snapshot of each capture.
+              </p>
+            </div>
+
             <Separator className="my-4" />
 
             {/* Capture Settings Section */}
@@ -176,6 +392,11 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
                   <CaptureSettingsForm
                     intervalMinutes={intervalMinutes}
                     viewports={viewports}
+                    deviceProfiles={deviceProfiles}
+                    scheduleCron={scheduleCron}
+                    scheduleTimezone={scheduleTimezone}
+                    blackoutWindows={blackoutWindows}
+                    lastCaptureAt={page.last_screenshot_at}
                     onChange={handleSettingsChange}
                     disabled={updatePage.isPending}
                   />
@@ -186,22 +407,43 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
                     <Icon name="info" className="text-muted-foreground shrink-0 mt-0.5" size="sm" />
                     <div className="space-y-1">
                       <p className="text-sm text-muted-foreground">
-                        Using default settings from your account.
+                        Using default settings of the organization.
                       </p>
                       {loadingSettings ? (
                         <p className="text-xs text-muted-foreground">Loading defaults...</p>
                       ) : userSettings ? (
                         <div className="text-xs text-muted-foreground space-y-1">
-                          <p>
-                            <span className="font-medium">Interval:</span>{' '}
-                            {userSettings.default_interval_minutes >= 60 
-                              ? `${Math.floor(userSettings.default_interval_minutes / 60)}h ${userSettings.default_interval_minutes % 60 > 0 ? `${userSettings.default_interval_minutes % 60}m` : ''}`
-                              : `${userSettings.default_interval_minutes}m`}
-                          </p>
-                          <p>
-                            <span className="font-medium">Viewports:</span>{' '}
-                            {userSettings.default_viewports.join('px, ')}px
-                          </p>
+                          {page.effective_schedule_cron ? (
+                            <p>
+                              <span className="font-medium">Schedule:</span>{' '}
+                              <span className="font-mono">{page.effective_schedule_cron}</span>{' '}
+                              ({page.effective_schedule_timezone || DEFAULT_SCHEDULE_TIMEZONE})
+                            </p>
+                          ) : (
+                            <p>
+                              <span className="font-medium">Interval:</span>{' '}
+                              {userSettings.default_interval_minutes >= 60 
+                                ? `${Math.floor(userSettings.default_interval_minutes / 60)}h ${userSettings.default_interval_minutes % 60 > 0 ? `${userSettings.default_interval_minutes % 60}m` : ''}`
+                                : `${userSettings.default_interval_minutes}m`}
+                            </p>
+                          )}
+                          {userSettings.default_device_profiles && userSettings.default_device_profiles.length > 0 ? (
+                            <p>
+                              <span className="font-medium">Device profiles:</span>{' '}
+                              {userSettings.default_device_profiles.length}
+                            </p>
+                          ) : (
+                            <p>
+                              <span className="font-medium">Viewports:</span>{' '}
+                              {userSettings.default_viewports.join('px, ')}px
+                            </p>
+                          )}
+                          {page.next_capture_at && (
+                            <p>
+                              <span className="font-medium">Next capture:</span>{' '}
+                              {formatDateTime(page.next_capture_at)}
+                            </p>
+                          )}
                         </div>
                       ) : null}
                       <Link
@@ -217,13 +459,71 @@ export function EditPageDialog({ open, onOpenChange, page }: EditPageDialogProps
                 </div>
               )}
             </div>
+
+            <Separator className="my-4" />
+
+            {/* Capture Variants Section */}
+            <CaptureVariantsForm
+              variants={captureVariants}
+              onChange={setCaptureVariants}
+              disabled={updatePage.isPending}
+            />
+
+            <Separator className="my-4" />
+
+            {/* Request Settings Section */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-2">
+                <Checkbox
+                  id="use-custom-request-settings"
+                  checked={useCustomRequestSettings}
+                  onCheckedChange={(checked) => setUseCustomRequestSettings(checked === true)}
+                  disabled={isSaving || !requestSettings}
+                />
+                <Label htmlFor="use-custom-request-settings" className="cursor-pointer font-medium">
+                  Use custom headers, cookies and basic auth
+                </Label>
+              </div>
+
+              {useCustomRequestSettings ? (
+                <div className="pl-6 border-l-2 border-primary/20">
+                  <RequestSettingsForm
+                    draft={requestDraft}
+                    onChange={setRequestDraft}
+                    hasPassword={requestSettings?.has_basic_auth_password}
+                    disabled={isSaving}
+                  />
+                </div>
+              ) : requestSettings ? (
+                <div className="rounded-lg border border-border/50 bg-muted/30 p-4">
+                  <div className="flex items-start gap-3">
+                    <Icon name="info" className="text-muted-foreground shrink-0 mt-0.5" size="sm" />
+                    <div className="text-xs text-muted-foreground space-y-1">
+                      <p className="text-sm">Using the site's request settings.</p>
+                      <p>
+                        <span className="font-medium">Headers:</span>{' '}
+                        {Object.keys(requestSettings.site.headers ?? {}).join(', ') || 'none'}
+                      </p>
+                      <p>
+                        <span className="font-medium">Cookies:</span>{' '}
+                        {(requestSettings.site.cookies ?? []).map(cookie => cookie.name).join(', ') || 'none'}
+                      </p>
+                      <p>
+                        <span className="font-medium">Basic auth:</span>{' '}
+                        {requestSettings.site.basic_auth_username || 'none'}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              ) : null}
+            </div>
           </div>
           <DialogFooter>
-            <Button type="button" variant="ghost" onClick={() => onOpenChange(false)} disabled={updatePage.isPending}>
+            <Button type="button" variant="ghost" onClick={() => onOpenChange(false)} disabled={isSaving}>
               Cancel
             </Button>
-            <Button type="submit" disabled={updatePage.isPending}>
-              {updatePage.isPending ? (
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? (
                 <>
                   <Icon name="progress_activity" className="animate-spin" size="sm" />
                   Saving...
@@ -1,9 +1,12 @@
 import { useNavigate } from 'react-router-dom'
+import { toast } from 'sonner'
 import { Card } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
 import { Checkbox } from '@/components/ui/checkbox'
 import { Icon } from '@/components/ui/icon'
-import { cn, formatInterval, formatDate } from '@/lib/utils'
+import { useResumePage } from '@/hooks/useQueries'
+import { cn, formatInterval, formatDate, formatDateTime } from '@/lib/utils'
 import type { Page, CaptureJob } from '@/lib/api'
 
 interface PageCardProps {
@@ -17,6 +20,7 @@ interface PageCardProps {
 
 export function PageCard({ page, siteId, selectMode = false, isSelected = false, onSelect, captureJob }: PageCardProps) {
   const navigate = useNavigate()
+  const resumePage = useResumePage()
 
   const handleClick = () => {
     if (selectMode && onSelect) {
@@ -33,8 +37,19 @@ export function PageCard({ page, siteId, selectMode = false, isSelected = false,
     }
   }
 
+  const handleResumeClick = (e: React.MouseEvent) => {
+    e.stopPropagation()
+    resumePage.mutate({ pageId: page.id, siteId }, {
+      onSuccess: () => toast.success(`Monitoring of ${page.name} resumed`),
+      onError: (error) => toast.error(error instanceof Error ? error.message : 'Failed to resume page'),
+    })
+  }
+
   const isCapturing = captureJob && (captureJob.status === 'pending' || captureJob.status === 'capturing')
   const captureFailed = captureJob && captureJob.status === 'failed'
+  const capturePartial = captureJob && captureJob.status === 'partial'
+  const isSuspended = Boolean(page.suspended_at)
+  const isDown = page.probe_interval_minutes !== null && page.probe_status === 'down'
 
   return (
     <Card
@@ -61,7 +76,7 @@ export function PageCard({ page, siteId, selectMode = false, isSelected = false,
         <div
           className={cn(
             "w-3 h-3 rounded-full shrink-0",
-            isCapturing ? "bg-blue-500" : captureFailed ? "bg-destructive" : page.is_active ? "bg-green-500" : "bg-muted-foreground"
+            isCapturing ? "bg-blue-500" : captureFailed || isSuspended || isDown ? "bg-destructive" : page.is_active ? "bg-green-500" : "bg-muted-foreground"
           )}
         />
 
@@ -75,18 +90,95 @@ export function PageCard({ page, siteId, selectMode = false, isSelected = false,
         <div className="hidden sm:flex items-center gap-4 text-sm text-muted-foreground shrink-0">
           {isCapturing ? (
             <CaptureStatusBadge job={captureJob} />
+          ) : isSuspended ? (
+            <>
+              <Badge
+                variant="destructive"
+                className="gap-1"
+                title={`${page.suspended_reason || 'Suspended'} since ${formatDateTime(page.suspended_at!)}`}
+              >
+                <Icon name="pause_circle" size="xs" />
+                Suspended
+              </Badge>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleResumeClick}
+                disabled={resumePage.isPending}
+                title="Resume scheduled captures"
+              >
+                <Icon name="play_arrow" size="sm" />
+                Resume monitoring
+              </Button>
+            </>
+          ) : isDown ? (
+            <Badge
+              variant="destructive"
+              className="gap-1"
+              title={page.probe_status_changed_at ? `Down since ${formatDateTime(page.probe_status_changed_at)}` : undefined}
+            >
+              <Icon name="cloud_off" size="xs" />
+              Down
+            </Badge>
           ) : captureFailed ? (
             <Badge variant="destructive" className="gap-1">
               <Icon name="error" size="xs" />
               Capture failed
             </Badge>
+          ) : capturePartial ? (
+            <Badge
+              variant="warning"
+              className="gap-1"
+              title={(captureJob.viewports ?? [])
+                .filter(v => v.status === 'failed')
+                .map(v => `${v.label} (${v.stage}): ${v.error_message}`)
+                .join('\n') || captureJob.error_message || undefined}
+            >
+              <Icon name="warning" size="xs" />
+              Partial capture
+            </Badge>
           ) : (
             <>
-              <span>Every {page.effective_interval_minutes ? formatInterval(page.effective_interval_minutes) : 'N/A'}</span>
+              <span title={page.next_capture_at ? `Next capture: ${formatDateTime(page.next_capture_at)}` : undefined}>
+                {page.effective_schedule_cron ? (
+                  <span className="font-mono">{page.effective_schedule_cron}</span>
+                ) : (
+                  <>Every {page.effective_interval_minutes ? formatInterval(page.effective_interval_minutes) : 'N/A'}</>
+                )}
+              </span>
               <Badge variant="secondary">{page.screenshot_count || 0} screenshots</Badge>
               {page.latest_screenshot && (
                 <span className="hidden md:inline">Last: {formatDate(page.latest_screenshot)}</span>
               )}
+              {/* Baseline regression status for latest screenshot group */}
+              {Number(page.latest_baseline_compared_count || 0) > 0 && (
+                Number(page.latest_baseline_differs_count || 0) > 0 ? (
+                  <Badge
+                    variant="destructive"
+                    className="px-1.5 py-0.5 text-xs gap-1"
+                    title={`${page.latest_baseline_differs_count} of ${page.latest_baseline_compared_count} viewport(s) differ from the approved baseline`}
+                  >
+                    <Icon name="difference" size="xs" />
+                    Differs from baseline
+                  </Badge>
+                ) : (
+                  <Badge variant="secondary" className="px-1.5 py-0.5 text-xs gap-1 bg-green-500/90 text-white border-0">
+                    <Icon name="verified" size="xs" />
+                    Matches baseline
+                  </Badge>
+                )
+              )}
+              {/* Visual change indicator for latest screenshot group */}
+              {Number(page.latest_changed_count || 0) > 0 && (
+                <Badge
+                  variant="secondary"
+                  className="px-1.5 py-0.5 text-xs gap-1 bg-amber-500/90 text-white border-0"
+                  title={`${page.latest_changed_count} viewport(s) changed since the previous capture`}
+                >
+                  <Icon name="difference" size="xs" />
+                  Changed
+                </Badge>
+              )}
               {/* Error indicators for latest screenshot group */}
               {(Number(page.latest_js_error_count || 0) > 0 || Number(page.latest_network_error_count || 0) > 0) && (
                 <div className="flex items-center gap-1">
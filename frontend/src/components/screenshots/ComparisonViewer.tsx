@@ -1,9 +1,31 @@
 import { useEffect, useState, useRef, useCallback } from 'react'
-import { api, Screenshot, ComparisonStats } from '@/lib/api'
+import { api, Screenshot, ComparisonStats, IgnoreRect } from '@/lib/api'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import { Icon } from '@/components/ui/icon'
+import { useIgnoreRegions, useCreateIgnoreRegion, useDeleteIgnoreRegion } from '@/hooks/useQueries'
 import { cn, formatDateTime } from '@/lib/utils'
+import { toast } from 'sonner'
+import { DomDiffView } from './DomDiffView'
+import { ShareDialog } from '@/components/share/ShareDialog'
+
+// Minimum size (in screenshot pixels) for a drawn ignore region
+const MIN_REGION_SIZE = 5
+
+type CompareMode = 'pixels' | 'text' | 'dom'
+
+const COMPARE_MODES: { value: CompareMode; label: string; icon: string }[] = [
+  { value: 'pixels', label: 'Pixels', icon: 'image' },
+  { value: 'text', label: 'Text', icon: 'text_fields' },
+  { value: 'dom', label: 'DOM', icon: 'account_tree' },
+]
+
+interface DraftRegion {
+  startX: number
+  startY: number
+  x: number
+  y: number
+}
 
 interface ComparisonViewerProps {
   beforeId: number
@@ -17,6 +39,13 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
   const [isLoading, setIsLoading] = useState(true)
   const panelRefs = useRef<(HTMLDivElement | null)[]>([])
   const isSyncing = useRef(false)
+  const drawAreaRef = useRef<HTMLDivElement | null>(null)
+  const [drawMode, setDrawMode] = useState(false)
+  const [draft, setDraft] = useState<DraftRegion | null>(null)
+  // Bumped whenever ignore regions change so the diff is regenerated
+  const [diffVersion, setDiffVersion] = useState(0)
+  const [mode, setMode] = useState<CompareMode>('pixels')
+  const [shareOpen, setShareOpen] = useState(false)
 
   const before = screenshots.find(s => s.id === beforeId)
   const after = screenshots.find(s => s.id === afterId)
@@ -28,9 +57,21 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
       : [after, before]
     : [before, after]
 
+  const { data: ignoreRegions = [] } = useIgnoreRegions(actualAfter?.page_id)
+  const createIgnoreRegion = useCreateIgnoreRegion()
+  const deleteIgnoreRegion = useDeleteIgnoreRegion()
+
+  // Drawn rectangles that apply to the viewport being compared
+  const drawnRegions = ignoreRegions.filter(
+    r => r.type === 'rect' && (!r.viewport || r.viewport === actualAfter?.viewport)
+  )
+  // Selector regions resolved when the "after" screenshot was captured
+  const selectorRects: IgnoreRect[] = actualAfter?.ignore_rects || []
+
   useEffect(() => {
     const loadStats = async () => {
       if (!actualBefore || !actualAfter) return
+      setIsLoading(true)
       try {
         const data = await api.getComparisonStats(actualBefore.id, actualAfter.id)
         setStats(data)
@@ -41,17 +82,23 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
       }
     }
     loadStats()
-  }, [actualBefore, actualAfter])
+  }, [actualBefore?.id, actualAfter?.id, diffVersion])
 
   useEffect(() => {
     const handleKeyDown = (e: KeyboardEvent) => {
-      if (e.key === 'Escape') {
-        onClose()
+      // The share dialog handles its own Escape
+      if (e.key === 'Escape' && !shareOpen) {
+        if (drawMode) {
+          setDrawMode(false)
+          setDraft(null)
+        } else {
+          onClose()
+        }
       }
     }
     document.addEventListener('keydown', handleKeyDown)
     return () => document.removeEventListener('keydown', handleKeyDown)
-  }, [onClose])
+  }, [onClose, drawMode, shareOpen])
 
   // Synchronized scrolling
   const handleScroll = useCallback((sourceIndex: number) => {
@@ -78,6 +125,88 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
     })
   }, [])
 
+  // Convert a mouse position to screenshot pixel coordinates of the "after" image
+  const toImageCoords = (e: React.MouseEvent) => {
+    const area = drawAreaRef.current
+    if (!area || !actualAfter) return null
+    const rect = area.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) / rect.width) * actualAfter.width
+    const y = ((e.clientY - rect.top) / rect.height) * actualAfter.height
+    return {
+      x: Math.max(0, Math.min(actualAfter.width, Math.round(x))),
+      y: Math.max(0, Math.min(actualAfter.height, Math.round(y))),
+    }
+  }
+
+  const handleDrawStart = (e: React.MouseEvent) => {
+    if (!drawMode) return
+    e.preventDefault()
+    const point = toImageCoords(e)
+    if (point) {
+      setDraft({ startX: point.x, startY: point.y, x: point.x, y: point.y })
+    }
+  }
+
+  const handleDrawMove = (e: React.MouseEvent) => {
+    if (!drawMode || !draft) return
+    const point = toImageCoords(e)
+    if (point) {
+      setDraft({ ...draft, x: point.x, y: point.y })
+    }
+  }
+
+  const handleDrawEnd = () => {
+    if (!drawMode || !draft || !actualAfter) return
+    const region = draftToRect(draft)
+    setDraft(null)
+
+    if (region.width < MIN_REGION_SIZE || region.height < MIN_REGION_SIZE) return
+
+    createIgnoreRegion.mutate(
+      {
+        pageId: actualAfter.page_id,
+        data: {
+          type: 'rect',
+          ...region,
+          viewport: actualAfter.viewport,
+        },
+      },
+      {
+        onSuccess: () => {
+          setDiffVersion(v => v + 1)
+          toast.success('Ignore region added')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to add ignore region')
+        },
+      }
+    )
+  }
+
+  const handleDeleteRegion = (regionId: number) => {
+    if (!actualAfter) return
+    deleteIgnoreRegion.mutate(
+      { pageId: actualAfter.page_id, regionId },
+      {
+        onSuccess: () => setDiffVersion(v => v + 1),
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to delete ignore region')
+        },
+      }
+    )
+  }
+
+  // Position an overlay (screenshot pixels) as percentages of the rendered image
+  const overlayStyle = (rect: IgnoreRect) => {
+    if (!actualAfter) return {}
+    return {
+      left: `${(rect.x / actualAfter.width) * 100}%`,
+      top: `${(rect.y / actualAfter.height) * 100}%`,
+      width: `${(rect.width / actualAfter.width) * 100}%`,
+      height: `${(rect.height / actualAfter.height) * 100}%`,
+    }
+  }
+
   const getChangeLevel = (percentage: number) => {
     if (percentage < 1) return { label: 'minimal', color: 'text-green-500 bg-green-500/20' }
     if (percentage < 5) return { label: 'moderate', color: 'text-yellow-500 bg-yellow-500/20' }
@@ -107,19 +236,71 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
                 <span className="text-muted-foreground">
                   {stats.diffPixels.toLocaleString()} pixels differ
                 </span>
+                {Number(stats.ignoredRegions || 0) > 0 && (
+                  <span className="text-muted-foreground">
+                    · {stats.ignoredRegions} region{stats.ignoredRegions !== 1 ? 's' : ''} ignored
+                  </span>
+                )}
               </>
             ) : (
               <span className="text-destructive">Failed to generate comparison</span>
             )}
           </div>
         </div>
-        <Button variant="ghost" size="icon" onClick={onClose}>
-          <Icon name="close" />
-        </Button>
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-md border border-border p-0.5">
+            {COMPARE_MODES.map(m => (
+              <Button
+                key={m.value}
+                variant={mode === m.value ? 'secondary' : 'ghost'}
+                size="sm"
+                className="h-7"
+                onClick={() => {
+                  setMode(m.value)
+                  setDrawMode(false)
+                  setDraft(null)
+                }}
+              >
+                <Icon name={m.icon} size="sm" />
+                {m.label}
+              </Button>
+            ))}
+          </div>
+          {mode === 'pixels' && (
+            <Button
+              variant={drawMode ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => {
+                setDrawMode(!drawMode)
+                setDraft(null)
+              }}
+              title="Draw rectangles on the After image to ignore them in diffs"
+            >
+              <Icon name="crop_free" size="sm" />
+              {drawMode ? 'Done' : 'Draw ignore region'}
+            </Button>
+          )}
+          {actualBefore && actualAfter && (
+            <Button variant="outline" size="sm" onClick={() => setShareOpen(true)} title="Create a read-only link to this comparison">
+              <Icon name="share" size="sm" />
+              Share
+            </Button>
+          )}
+          <Button variant="ghost" size="icon" onClick={onClose}>
+            <Icon name="close" />
+          </Button>
+        </div>
       </div>
 
+      {/* Text / DOM diff of the snapshots taken with both captures */}
+      {mode !== 'pixels' && (
+        <div className="flex-1 overflow-auto">
+          <DomDiffView beforeId={actualBefore.id} afterId={actualAfter.id} mode={mode} />
+        </div>
+      )}
+
       {/* Comparison Panels */}
-      <div className="flex-1 grid grid-cols-1 lg:grid-cols-3 gap-px bg-border overflow-hidden">
+      <div className={cn("flex-1 grid grid-cols-1 lg:grid-cols-3 gap-px bg-border overflow-hidden", mode !== 'pixels' && "hidden")}>
         {/* Before Panel */}
         <div className="flex flex-col bg-background overflow-hidden">
           <div className="flex items-center justify-between px-4 py-3 border-b border-border bg-muted/50">
@@ -153,7 +334,7 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
             onScroll={() => handleScroll(1)}
           >
             <img
-              src={api.getComparisonImageUrl(actualBefore.id, actualAfter.id)}
+              src={`${api.getComparisonImageUrl(actualBefore.id, actualAfter.id)}&v=${diffVersion}`}
               alt="Diff"
               className="max-w-full rounded shadow-md"
             />
@@ -173,14 +354,84 @@ export function ComparisonViewer({ beforeId, afterId, screenshots, onClose }: Co
             className="flex-1 overflow-auto p-4"
             onScroll={() => handleScroll(2)}
           >
-            <img
-              src={api.getScreenshotImageUrl(actualAfter.id)}
-              alt="After"
-              className="max-w-full rounded shadow-md"
-            />
+            <div
+              ref={drawAreaRef}
+              className={cn("relative inline-block max-w-full", drawMode && "cursor-crosshair select-none")}
+              onMouseDown={handleDrawStart}
+              onMouseMove={handleDrawMove}
+              onMouseUp={handleDrawEnd}
+              onMouseLeave={handleDrawEnd}
+            >
+              <img
+                src={api.getScreenshotImageUrl(actualAfter.id)}
+                alt="After"
+                className="max-w-full rounded shadow-md"
+                draggable={false}
+              />
+
+              {/* Selector-based ignore regions (resolved at capture time) */}
+              {selectorRects.map((rect, idx) => (
+                <div
+                  key={`selector-${idx}`}
+                  className="absolute border border-dashed border-indigo-400 bg-indigo-400/20 pointer-events-none"
+                  style={overlayStyle(rect)}
+                />
+              ))}
+
+              {/* Drawn ignore regions */}
+              {drawnRegions.map(region => (
+                <div
+                  key={region.id}
+                  className="absolute border-2 border-indigo-500 bg-indigo-500/25"
+                  style={overlayStyle({
+                    x: region.x ?? 0,
+                    y: region.y ?? 0,
+                    width: region.width ?? 0,
+                    height: region.height ?? 0,
+                  })}
+                >
+                  {!drawMode && (
+                    <button
+                      type="button"
+                      className="absolute -top-2 -right-2 rounded-full bg-indigo-500 text-white p-0.5 leading-none hover:bg-destructive"
+                      onClick={() => handleDeleteRegion(region.id)}
+                      title="Remove ignore region"
+                    >
+                      <Icon name="close" size="xs" />
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              {/* Region being drawn */}
+              {draft && (
+                <div
+                  className="absolute border-2 border-dashed border-indigo-500 bg-indigo-500/20 pointer-events-none"
+                  style={overlayStyle(draftToRect(draft))}
+                />
+              )}
+            </div>
           </div>
         </div>
       </div>
+
+      {actualBefore && actualAfter && (
+        <ShareDialog
+          open={shareOpen}
+          onOpenChange={setShareOpen}
+          target={{ scope: 'comparison', screenshot_id: actualBefore.id, other_screenshot_id: actualAfter.id }}
+          description="Anyone with the link can view both screenshots and their differences without logging in."
+        />
+      )}
     </div>
   )
 }
+
+function draftToRect(draft: DraftRegion): IgnoreRect {
+  return {
+    x: Math.min(draft.startX, draft.x),
+    y: Math.min(draft.startY, draft.y),
+    width: Math.abs(draft.x - draft.startX),
+    height: Math.abs(draft.y - draft.startY),
+  }
+}
@@ -0,0 +1,103 @@
+import { DomDiffChange, DomDiffMode } from '@/lib/api'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import { useDomSnapshotDiff } from '@/hooks/useQueries'
+import { cn } from '@/lib/utils'
+
+interface DomDiffViewProps {
+  beforeId: number
+  afterId: number
+  mode: DomDiffMode
+}
+
+const LINE_STYLES: Record<DomDiffChange['type'], { prefix: string; className: string }> = {
+  equal: { prefix: ' ', className: 'text-muted-foreground' },
+  added: { prefix: '+', className: 'bg-green-500/15 text-green-600 dark:text-green-400' },
+  removed: { prefix: '-', className: 'bg-red-500/15 text-red-600 dark:text-red-400' },
+}
+
+// Line diff of the visible text or element outline of two captures
+export function DomDiffView({ beforeId, afterId, mode }: DomDiffViewProps) {
+  const { data: diff, isLoading, isError } = useDomSnapshotDiff(beforeId, afterId, mode)
+
+  if (isLoading) {
+    return (
+      <div className="p-6 space-y-2">
+        {Array.from({ length: 8 }).map((_, i) => (
+          <Skeleton key={i} className="h-4 w-full" />
+        ))}
+      </div>
+    )
+  }
+
+  if (isError || !diff) {
+    return (
+      <div className="text-center py-16">
+        <Icon name="code_off" size="xl" className="text-muted-foreground mb-4" />
+        <h2 className="text-xl font-semibold mb-2">No DOM snapshot to compare</h2>
+        <p className="text-muted-foreground">DOM snapshots are stored with captures taken from now on</p>
+      </div>
+    )
+  }
+
+  if (diff.added === 0 && diff.removed === 0) {
+    return (
+      <div className="text-center py-16">
+        <Icon name="check_circle" size="xl" className="text-green-500 mb-4" />
+        <h2 className="text-xl font-semibold mb-2">
+          {mode === 'text' ? 'Text is unchanged' : 'Page structure is unchanged'}
+        </h2>
+        {diff.truncated && (
+          <p className="text-muted-foreground">Only the beginning of very large pages is compared</p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-4 space-y-3">
+      <div className="flex items-center gap-3 text-sm">
+        <span className="text-green-500 font-medium">+{diff.added}</span>
+        <span className="text-red-500 font-medium">-{diff.removed}</span>
+        <span className="text-muted-foreground">
+          {mode === 'text' ? 'lines of visible text' : 'elements'}
+        </span>
+        {diff.truncated && (
+          <span className="text-xs text-muted-foreground italic">
+            · only the beginning of very large pages is compared
+          </span>
+        )}
+      </div>
+      <pre className="rounded-lg border border-border bg-muted/30 text-xs font-mono overflow-x-auto">
+        {diff.changes.map((change, index) => (
+          <DiffChange key={index} change={change} />
+        ))}
+      </pre>
+    </div>
+  )
+}
+
+// One group of diff lines; also used for the stored diffs of text watches
+export function DiffChange({ change }: { change: DomDiffChange }) {
+  const style = LINE_STYLES[change.type]
+  const renderLine = (line: string, key: number) => (
+    <div key={key} className={cn('px-3 whitespace-pre', style.className)}>
+      {style.prefix} {line}
+    </div>
+  )
+
+  if (!change.skipped) {
+    return <>{change.lines.map(renderLine)}</>
+  }
+
+  const skippedAt = change.skippedAt ?? 0
+  return (
+    <>
+      {change.lines.slice(0, skippedAt).map(renderLine)}
+      <div className="px-3 py-1 bg-muted text-muted-foreground italic">
+        ⋯ {change.skipped} unchanged line{change.skipped !== 1 ? 's' : ''}
+      </div>
+      {change.lines.slice(skippedAt).map((line, i) => renderLine(line, skippedAt + i))}
+    </>
+  )
+}
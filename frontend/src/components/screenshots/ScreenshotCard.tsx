@@ -77,7 +77,8 @@ export function ScreenshotCard({
             <span className="material-symbols-outlined text-sm mr-1">
               {VIEWPORT_ICONS[screenshot.viewport]}
             </span>
-            {screenshot.viewport}
+            {screenshot.device_name || screenshot.viewport}
+            {screenshot.variant && <span className="normal-case ml-1">· {screenshot.variant}</span>}
           </Badge>
         )}
 
@@ -97,6 +98,46 @@ export function ScreenshotCard({
           </div>
         )}
 
+        {/* Baseline / Change Detection Indicators */}
+        {!compareMode && (
+          <div className="absolute top-2 right-2 flex flex-col items-end gap-1">
+            {Boolean(screenshot.is_baseline) && (
+              <Badge className="px-1.5 py-0.5 text-xs gap-1 bg-blue-500/90 text-white border-0">
+                <span className="material-symbols-outlined text-xs">verified</span>
+                Baseline
+              </Badge>
+            )}
+            {Boolean(screenshot.compared_to_baseline) && !screenshot.is_baseline ? (
+              Boolean(screenshot.has_changes) ? (
+                <Badge
+                  variant="destructive"
+                  className="px-1.5 py-0.5 text-xs gap-1"
+                  title="Differs from the approved baseline"
+                >
+                  <span className="material-symbols-outlined text-xs">difference</span>
+                  Differs {Number(screenshot.diff_percentage || 0).toFixed(2)}%
+                </Badge>
+              ) : (
+                <Badge
+                  className="px-1.5 py-0.5 text-xs gap-1 bg-green-500/90 text-white border-0"
+                  title="Matches the approved baseline"
+                >
+                  <span className="material-symbols-outlined text-xs">check_circle</span>
+                  Matches baseline
+                </Badge>
+              )
+            ) : Boolean(screenshot.has_changes) && screenshot.diff_percentage != null && (
+              <Badge
+                className="px-1.5 py-0.5 text-xs gap-1 bg-amber-500/90 text-white border-0"
+                title="Changed compared to the previous capture"
+              >
+                <span className="material-symbols-outlined text-xs">difference</span>
+                {Number(screenshot.diff_percentage).toFixed(2)}% changed
+              </Badge>
+            )}
+          </div>
+        )}
+
         {/* Test Results Indicator */}
         {!compareMode && (Number(screenshot.tests_passed || 0) > 0 || Number(screenshot.tests_failed || 0) > 0) && (
           <div className="absolute bottom-2 left-2 flex gap-1">
@@ -33,10 +33,13 @@ export function ScreenshotGroup({
   isGroupSelected = false,
   onSelectGroup,
 }: ScreenshotGroupProps) {
-  // Sort screenshots: desktop, tablet, mobile
+  // Sort screenshots: desktop, tablet, mobile (widest first within a category, default capture before variants)
   const sortOrder: Record<string, number> = { desktop: 0, tablet: 1, mobile: 2 }
   const sortedScreenshots = [...screenshots].sort(
-    (a, b) => (sortOrder[a.viewport || ''] ?? 99) - (sortOrder[b.viewport || ''] ?? 99)
+    (a, b) =>
+      (sortOrder[a.viewport || ''] ?? 99) - (sortOrder[b.viewport || ''] ?? 99) ||
+      (b.viewport_width ?? 0) - (a.viewport_width ?? 0) ||
+      (a.variant ?? '').localeCompare(b.variant ?? '')
   )
 
   const ids = screenshots.map(s => s.id)
@@ -52,6 +55,17 @@ export function ScreenshotGroup({
     )
   }, [screenshots])
 
+  // Baseline regression status for the group (only viewports that were compared to a baseline)
+  const { baselineCompared, baselineDiffers } = useMemo(() => {
+    return screenshots.reduce(
+      (acc, s) => ({
+        baselineCompared: acc.baselineCompared + (s.compared_to_baseline ? 1 : 0),
+        baselineDiffers: acc.baselineDiffers + (s.compared_to_baseline && s.has_changes ? 1 : 0),
+      }),
+      { baselineCompared: 0, baselineDiffers: 0 }
+    )
+  }, [screenshots])
+
   const handleClick = () => {
     if (deleteMode && onSelectGroup) {
       onSelectGroup()
@@ -84,6 +98,21 @@ export function ScreenshotGroup({
             {screenshots.length} viewport{screenshots.length !== 1 ? 's' : ''}
           </span>
           
+          {/* Baseline status badge */}
+          {baselineCompared > 0 && (
+            baselineDiffers > 0 ? (
+              <Badge variant="destructive" className="px-1.5 py-0.5 text-xs gap-1">
+                <span className="material-symbols-outlined text-xs">difference</span>
+                {baselineDiffers}/{baselineCompared} differ from baseline
+              </Badge>
+            ) : (
+              <Badge variant="secondary" className="px-1.5 py-0.5 text-xs gap-1 bg-green-500/90 text-white border-0">
+                <span className="material-symbols-outlined text-xs">check_circle</span>
+                Matches baseline
+              </Badge>
+            )
+          )}
+
           {/* Error summary badges */}
           {(totalJsErrors > 0 || totalNetworkErrors > 0) && (
             <div className="flex items-center gap-1.5">
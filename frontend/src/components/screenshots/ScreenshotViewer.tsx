@@ -5,6 +5,9 @@ import { Badge } from '@/components/ui/badge'
 import { Icon } from '@/components/ui/icon'
 import { ScrollArea } from '@/components/ui/scroll-area'
 import { formatDateTime, formatFileSize, cn } from '@/lib/utils'
+import { useSetBaseline, useRemoveBaseline } from '@/hooks/useQueries'
+import { ShareDialog } from '@/components/share/ShareDialog'
+import { toast } from 'sonner'
 
 const VIEWPORT_ICONS: Record<string, string> = {
   mobile: 'smartphone',
@@ -26,6 +29,10 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
   const [testResultsData, setTestResultsData] = useState<TestResultsResponse | null>(null)
   const [showTestResults, setShowTestResults] = useState(false)
   const [loadingTestResults, setLoadingTestResults] = useState(false)
+  const [showDiff, setShowDiff] = useState(false)
+  const [shareOpen, setShareOpen] = useState(false)
+  const setBaseline = useSetBaseline()
+  const removeBaseline = useRemoveBaseline()
 
   const totalErrors = Number(screenshot?.js_error_count || 0) + Number(screenshot?.network_error_count || 0)
 
@@ -75,9 +82,34 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
       .catch(() => {}) // Silently fail - may not have any tests
   }, [screenshotId])
 
+  const handleAcceptBaseline = () => {
+    setBaseline.mutate(screenshotId, {
+      onSuccess: () => {
+        setScreenshot(prev => prev ? { ...prev, is_baseline: true } : prev)
+        toast.success('Accepted as new baseline')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to set baseline')
+      },
+    })
+  }
+
+  const handleRemoveBaseline = () => {
+    removeBaseline.mutate(screenshotId, {
+      onSuccess: () => {
+        setScreenshot(prev => prev ? { ...prev, is_baseline: false } : prev)
+        toast.success('Baseline removed')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to remove baseline')
+      },
+    })
+  }
+
   useEffect(() => {
     const handleKeyDown = (e: KeyboardEvent) => {
-      if (e.key === 'Escape') {
+      // The share dialog handles its own Escape
+      if (e.key === 'Escape' && !shareOpen) {
         if (showErrors) {
           setShowErrors(false)
         } else if (showTestResults) {
@@ -89,7 +121,7 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
     }
     document.addEventListener('keydown', handleKeyDown)
     return () => document.removeEventListener('keydown', handleKeyDown)
-  }, [onClose, showErrors, showTestResults])
+  }, [onClose, showErrors, showTestResults, shareOpen])
 
   return (
     <div className="fixed inset-0 z-50 bg-black/95 flex flex-col">
@@ -97,14 +129,17 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
       <div className="flex items-center justify-between px-6 py-4 border-b border-border bg-background/50 backdrop-blur">
         <div className="flex items-center gap-4 text-sm text-muted-foreground">
           {screenshot?.viewport && (
-            <Badge variant="default" className="capitalize">
+            <Badge variant="default" className={screenshot.device_name ? undefined : 'capitalize'}>
               <span className="material-symbols-outlined text-sm mr-1">
                 {VIEWPORT_ICONS[screenshot.viewport]}
               </span>
-              {screenshot.viewport}
+              {screenshot.device_name || screenshot.viewport}
               {screenshot.viewport_width && ` (${screenshot.viewport_width}px)`}
             </Badge>
           )}
+          {screenshot?.variant && (
+            <Badge variant="secondary">{screenshot.variant}</Badge>
+          )}
           {screenshot && (
             <>
               <span>{formatDateTime(screenshot.created_at)}</span>
@@ -112,6 +147,92 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
               <span>{screenshot.width}×{screenshot.height}</span>
             </>
           )}
+
+          {/* Baseline status and actions */}
+          {screenshot && (screenshot.is_baseline ? (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleRemoveBaseline}
+              disabled={removeBaseline.isPending}
+              className="gap-2 border-blue-500 text-blue-500 hover:bg-blue-500/10"
+              title="Remove as baseline"
+            >
+              <Icon name="verified" size="sm" />
+              Baseline
+            </Button>
+          ) : (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleAcceptBaseline}
+              disabled={setBaseline.isPending}
+              className="gap-2"
+            >
+              <Icon name="verified" size="sm" />
+              Accept as baseline
+            </Button>
+          ))}
+
+          {/* Network log of the capture */}
+          {screenshot?.har_path && (
+            <Button variant="outline" size="sm" className="gap-2" asChild>
+              <a href={api.getScreenshotHarUrl(screenshotId)} download title="Download the HAR network log of this capture">
+                <Icon name="lan" size="sm" />
+                HAR
+              </a>
+            </Button>
+          )}
+
+          {/* DOM snapshot of the capture */}
+          {screenshot?.html_path && (
+            <Button variant="outline" size="sm" className="gap-2" asChild>
+              <a href={api.getScreenshotSnapshotUrl(screenshotId, 'html')} download title="Download the HTML of the page as it was captured">
+                <Icon name="code" size="sm" />
+                HTML
+              </a>
+            </Button>
+          )}
+          {screenshot?.mhtml_path && (
+            <Button variant="outline" size="sm" className="gap-2" asChild>
+              <a href={api.getScreenshotSnapshotUrl(screenshotId, 'mhtml')} download title="Download a self-contained MHTML archive of the page">
+                <Icon name="archive" size="sm" />
+                MHTML
+              </a>
+            </Button>
+          )}
+
+          {screenshot && (
+            <Button variant="outline" size="sm" className="gap-2" onClick={() => setShareOpen(true)} title="Create a read-only link to this screenshot">
+              <Icon name="share" size="sm" />
+              Share
+            </Button>
+          )}
+
+          {/* Change detection toggle (diff against the baseline or previous capture) */}
+          {screenshot?.diff_path && screenshot.diff_percentage != null && (
+            <Button
+              variant={showDiff ? "default" : "outline"}
+              size="sm"
+              onClick={() => setShowDiff(!showDiff)}
+              className={cn(
+                "gap-2",
+                Boolean(screenshot.has_changes) && !showDiff && (
+                  screenshot.compared_to_baseline
+                    ? "border-destructive text-destructive hover:bg-destructive/10"
+                    : "border-amber-500 text-amber-500 hover:bg-amber-500/10"
+                ),
+                !screenshot.has_changes && screenshot.compared_to_baseline && !showDiff && "border-green-500 text-green-500 hover:bg-green-500/10"
+              )}
+              title={screenshot.compared_to_baseline ? "Toggle the diff against the baseline" : "Toggle the diff against the previous capture"}
+            >
+              <Icon name="difference" size="sm" />
+              {screenshot.compared_to_baseline
+                ? (screenshot.has_changes ? 'Differs from baseline' : 'Matches baseline')
+                : 'Changed'}{' '}
+              ({Number(screenshot.diff_percentage).toFixed(2)}%)
+            </Button>
+          )}
           
           {/* Error indicator button */}
           {totalErrors > 0 && (
@@ -160,8 +281,8 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
         <ScrollArea className={cn("flex-1 transition-all", (showErrors || showTestResults) && "flex-[2]")}>
           <div className="p-6 flex justify-center">
             <img
-              src={api.getScreenshotImageUrl(screenshotId)}
-              alt="Screenshot"
+              src={showDiff ? api.getScreenshotDiffUrl(screenshotId) : api.getScreenshotImageUrl(screenshotId)}
+              alt={showDiff ? "Changes since previous capture" : "Screenshot"}
               className="max-w-full w-auto max-w-[1200px] rounded-lg shadow-2xl"
             />
           </div>
@@ -287,6 +408,13 @@ export function ScreenshotViewer({ screenshotId, onClose }: ScreenshotViewerProp
           <Icon name="keyboard_arrow_down" size="sm" className="inline" /> Scroll to see more
         </div>
       )}
+
+      <ShareDialog
+        open={shareOpen}
+        onOpenChange={setShareOpen}
+        target={{ scope: 'screenshot', screenshot_id: screenshotId }}
+        description="Anyone with the link can view this screenshot without logging in."
+      />
     </div>
   )
 }
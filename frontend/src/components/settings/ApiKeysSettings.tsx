@@ -0,0 +1,187 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Skeleton } from '@/components/ui/skeleton'
+import { ApiKey, ApiKeyScope, CreatedApiKey } from '@/lib/api'
+import { API_KEY_SCOPES } from '@/lib/constants'
+import { formatDateTime } from '@/lib/utils'
+import { useApiKeys, useCreateApiKey, useDeleteApiKey } from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+const SCOPE_LABELS: Record<string, string> = Object.fromEntries(
+  API_KEY_SCOPES.map(scope => [scope.value, scope.label])
+)
+
+function copyToClipboard(text: string) {
+  navigator.clipboard.writeText(text)
+    .then(() => toast.success('API key copied to clipboard'))
+    .catch(() => toast.error('Could not copy the key'))
+}
+
+export function ApiKeysSettings() {
+  const { data: apiKeys, isLoading } = useApiKeys()
+  const createApiKey = useCreateApiKey()
+
+  const [name, setName] = useState('')
+  const [scopes, setScopes] = useState<ApiKeyScope[]>(['read'])
+  // The full key is only returned once, right after creating it
+  const [createdKey, setCreatedKey] = useState<CreatedApiKey | null>(null)
+
+  const toggleScope = (scope: ApiKeyScope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]))
+  }
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!name.trim() || scopes.length === 0) return
+
+    createApiKey.mutate(
+      { name: name.trim(), scopes },
+      {
+        onSuccess: (apiKey) => {
+          setName('')
+          setCreatedKey(apiKey)
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to create API key')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Create key form */}
+      <form onSubmit={handleCreate} className="space-y-3">
+        <div className="space-y-1.5">
+          <Label htmlFor="api-key-name">Name</Label>
+          <Input
+            id="api-key-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Deploy pipeline"
+            disabled={createApiKey.isPending}
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          {API_KEY_SCOPES.map(scope => (
+            <label key={scope.value} className="flex items-center gap-2 text-sm cursor-pointer" title={scope.description}>
+              <Checkbox
+                checked={scopes.includes(scope.value)}
+                onCheckedChange={() => toggleScope(scope.value)}
+                disabled={createApiKey.isPending}
+              />
+              {scope.label}
+            </label>
+          ))}
+          <Button
+            type="submit"
+            size="sm"
+            className="ml-auto"
+            disabled={!name.trim() || scopes.length === 0 || createApiKey.isPending}
+          >
+            <Icon name="key" size="sm" />
+            Create API Key
+          </Button>
+        </div>
+      </form>
+
+      {/* Newly created key */}
+      {createdKey && (
+        <div className="rounded-lg border border-amber-500/50 bg-amber-500/5 p-3 space-y-2">
+          <p className="text-sm">
+            Copy the key for <span className="font-medium">{createdKey.name}</span> now. It will not be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <Input value={createdKey.key} readOnly className="font-mono text-xs h-8" onFocus={(e) => e.target.select()} />
+            <Button variant="outline" size="icon" className="h-8 w-8 shrink-0" onClick={() => copyToClipboard(createdKey.key)} title="Copy key">
+              <Icon name="content_copy" size="sm" />
+            </Button>
+            <Button variant="ghost" size="sm" className="shrink-0" onClick={() => setCreatedKey(null)}>
+              Done
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Key list */}
+      {isLoading ? (
+        <div className="space-y-2">
+          <Skeleton className="h-14 w-full" />
+          <Skeleton className="h-14 w-full" />
+        </div>
+      ) : !apiKeys || apiKeys.length === 0 ? (
+        <div className="text-center py-6 border border-dashed border-border rounded-lg">
+          <p className="text-muted-foreground text-sm">
+            No API keys yet. Create one to trigger captures or read results from scripts and CI pipelines.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {apiKeys.map(apiKey => (
+            <ApiKeyItem key={apiKey.id} apiKey={apiKey} />
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-muted-foreground">
+        Send the key as <span className="font-mono">Authorization: Bearer vs_…</span>. Read covers every GET
+        request, Trigger captures covers <span className="font-mono">POST /api/pages/:id/capture</span> and
+        Manage covers every other change. API keys cannot create or revoke other keys.
+      </p>
+    </div>
+  )
+}
+
+function ApiKeyItem({ apiKey }: { apiKey: ApiKey }) {
+  const deleteApiKey = useDeleteApiKey()
+
+  const handleRevoke = () => {
+    if (!confirm(`Revoke API key "${apiKey.name}"? Scripts using it stop working immediately.`)) return
+
+    deleteApiKey.mutate(apiKey.id, {
+      onSuccess: () => {
+        toast.success('API key revoked')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to revoke API key')
+      },
+    })
+  }
+
+  return (
+    <div className="rounded-lg border border-border p-3 flex items-start gap-3">
+      <div className="flex-1 min-w-0 space-y-1.5">
+        <div className="flex items-center gap-2">
+          <span className="font-medium truncate">{apiKey.name}</span>
+          <span className="text-sm font-mono text-muted-foreground">{apiKey.key_prefix}…</span>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {apiKey.scopes.map(scope => (
+            <Badge key={scope} variant="outline" className="text-xs">
+              {SCOPE_LABELS[scope] || scope}
+            </Badge>
+          ))}
+        </div>
+        <p className="text-xs text-muted-foreground">
+          Created {formatDateTime(apiKey.created_at)} ·{' '}
+          {apiKey.last_used_at ? `last used ${formatDateTime(apiKey.last_used_at)}` : 'never used'}
+        </p>
+      </div>
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={handleRevoke}
+        disabled={deleteApiKey.isPending}
+        className="text-destructive hover:text-destructive shrink-0"
+        title="Revoke key"
+      >
+        <Icon name="delete" size="sm" />
+      </Button>
+    </div>
+  )
+}
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
@@ -11,6 +11,10 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select'
+import { BlackoutWindow, DeviceProfile, SchedulePreviewData } from '@/lib/api'
+import { DEFAULT_SCHEDULE_TIMEZONE } from '@/lib/constants'
+import { formatDateTime } from '@/lib/utils'
+import { useDeviceProfiles, useSchedulePreview } from '@/hooks/useQueries'
 
 // Common interval presets in minutes
 const INTERVAL_PRESETS = [
@@ -21,6 +25,32 @@ const INTERVAL_PRESETS = [
   { label: '1 week', value: 10080 },
 ]
 
+// Common cron presets
+const CRON_PRESETS = [
+  { label: 'Weekdays at 08:00', value: '0 8 * * 1-5' },
+  { label: 'Daily at 09:00', value: '0 9 * * *' },
+  { label: 'Every hour', value: '0 * * * *' },
+  { label: 'Mondays at 06:00', value: '0 6 * * 1' },
+]
+
+// Time zones offered as suggestions (any IANA name is accepted)
+const COMMON_TIMEZONES = [
+  'UTC',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Paris',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'America/Sao_Paulo',
+  'Asia/Tokyo',
+  'Asia/Singapore',
+  'Asia/Kolkata',
+  'Australia/Sydney',
+]
+
+const WEEKDAY_LABELS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']
+
 // Common viewport width presets
 const VIEWPORT_PRESETS = [
   { label: 'Mobile', value: 375 },
@@ -31,45 +61,118 @@ const VIEWPORT_PRESETS = [
   { label: 'Full HD', value: 1920 },
 ]
 
+export interface CaptureSettings {
+  intervalMinutes: number
+  viewports: number[]
+  deviceProfiles: number[]
+  scheduleCron: string | null
+  scheduleTimezone: string | null
+  blackoutWindows: BlackoutWindow[]
+}
+
 export interface CaptureSettingsFormProps {
   intervalMinutes: number
   viewports: number[]
-  onChange: (settings: { intervalMinutes: number; viewports: number[] }) => void
+  // Device profile IDs; replace the viewport widths when any are selected
+  deviceProfiles?: number[] | null
+  scheduleCron?: string | null
+  scheduleTimezone?: string | null
+  blackoutWindows?: BlackoutWindow[] | null
+  // Used to preview the next capture time
+  lastCaptureAt?: string | null
+  onChange: (settings: CaptureSettings) => void
   disabled?: boolean
 }
 
 export function CaptureSettingsForm({
   intervalMinutes,
   viewports,
+  deviceProfiles,
+  scheduleCron = null,
+  scheduleTimezone = null,
+  blackoutWindows,
+  lastCaptureAt,
   onChange,
   disabled = false,
 }: CaptureSettingsFormProps) {
   const [customWidth, setCustomWidth] = useState('')
+  const windows = blackoutWindows ?? []
+  const selectedDevices = deviceProfiles ?? []
+  const current: CaptureSettings = {
+    intervalMinutes,
+    viewports,
+    deviceProfiles: selectedDevices,
+    scheduleCron,
+    scheduleTimezone,
+    blackoutWindows: windows,
+  }
+
+  // Debounce schedule edits before asking the server for a preview
+  const [previewData, setPreviewData] = useState<SchedulePreviewData | null>(null)
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setPreviewData({
+        interval_minutes: intervalMinutes,
+        schedule_cron: scheduleCron,
+        schedule_timezone: scheduleTimezone,
+        blackout_windows: windows.length > 0 ? windows : null,
+        last_capture_at: lastCaptureAt ?? null,
+      })
+    }, 500)
+    return () => clearTimeout(timeoutId)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [intervalMinutes, scheduleCron, scheduleTimezone, JSON.stringify(windows), lastCaptureAt])
+
+  const { data: preview, error: previewError } = useSchedulePreview(previewData)
+  const { data: availableDevices } = useDeviceProfiles()
 
   const handleIntervalChange = (value: string) => {
     const minutes = parseInt(value, 10)
     if (!isNaN(minutes) && minutes >= 5) {
-      onChange({ intervalMinutes: minutes, viewports })
+      onChange({ ...current, intervalMinutes: minutes })
     }
   }
 
   const handleIntervalPreset = (value: string) => {
     if (value === 'custom') return
     const minutes = parseInt(value, 10)
-    onChange({ intervalMinutes: minutes, viewports })
+    onChange({ ...current, intervalMinutes: minutes })
+  }
+
+  const handleModeChange = (mode: string) => {
+    onChange({ ...current, scheduleCron: mode === 'cron' ? CRON_PRESETS[0].value : null })
+  }
+
+  const updateWindow = (index: number, changes: Partial<BlackoutWindow>) => {
+    const newWindows = windows.map((window, i) => (i === index ? { ...window, ...changes } : window))
+    onChange({ ...current, blackoutWindows: newWindows })
+  }
+
+  const toggleWindowDay = (index: number, day: number) => {
+    const days = windows[index].days ?? []
+    const newDays = days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort()
+    updateWindow(index, { days: newDays })
+  }
+
+  const addWindow = () => {
+    onChange({ ...current, blackoutWindows: [...windows, { days: [], start: '22:00', end: '06:00' }] })
+  }
+
+  const removeWindow = (index: number) => {
+    onChange({ ...current, blackoutWindows: windows.filter((_, i) => i !== index) })
   }
 
   const addViewport = (width: number) => {
     if (!viewports.includes(width) && width >= 320 && width <= 3840) {
       const newViewports = [...viewports, width].sort((a, b) => b - a)
-      onChange({ intervalMinutes, viewports: newViewports })
+      onChange({ ...current, viewports: newViewports })
     }
   }
 
   const removeViewport = (width: number) => {
     if (viewports.length > 1) {
       const newViewports = viewports.filter((v) => v !== width)
-      onChange({ intervalMinutes, viewports: newViewports })
+      onChange({ ...current, viewports: newViewports })
     }
   }
 
@@ -81,55 +184,254 @@ export function CaptureSettingsForm({
     }
   }
 
+  const toggleDevice = (id: number) => {
+    const newDevices = selectedDevices.includes(id)
+      ? selectedDevices.filter((d) => d !== id)
+      : [...selectedDevices, id]
+    onChange({ ...current, deviceProfiles: newDevices })
+  }
+
+  const getDeviceLabel = (device: DeviceProfile) =>
+    `${device.width}×${device.height}${device.device_scale_factor !== 1 ? ` @${device.device_scale_factor}x` : ''}`
+
   const getViewportLabel = (width: number) => {
     const preset = VIEWPORT_PRESETS.find((p) => p.value === width)
     return preset ? preset.label : `${width}px`
   }
 
   const currentPreset = INTERVAL_PRESETS.find((p) => p.value === intervalMinutes)
+  const currentCronPreset = CRON_PRESETS.find((p) => p.value === scheduleCron)
+  const isCron = scheduleCron !== null
 
   return (
     <div className="space-y-6">
-      {/* Capture Interval */}
+      {/* Schedule mode */}
       <div className="space-y-3">
-        <Label>Capture Interval</Label>
-        <div className="flex gap-2">
-          <Select
-            value={currentPreset ? String(currentPreset.value) : 'custom'}
-            onValueChange={handleIntervalPreset}
-            disabled={disabled}
-          >
-            <SelectTrigger className="w-[140px]">
-              <SelectValue placeholder="Select preset" />
-            </SelectTrigger>
-            <SelectContent>
-              {INTERVAL_PRESETS.map((preset) => (
-                <SelectItem key={preset.value} value={String(preset.value)}>
-                  {preset.label}
-                </SelectItem>
-              ))}
-              <SelectItem value="custom">Custom</SelectItem>
-            </SelectContent>
-          </Select>
-          <div className="flex items-center gap-2 flex-1">
+        <Label>Schedule</Label>
+        <Select value={isCron ? 'cron' : 'interval'} onValueChange={handleModeChange} disabled={disabled}>
+          <SelectTrigger className="w-[200px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="interval">Fixed interval</SelectItem>
+            <SelectItem value="cron">Cron schedule</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      {isCron ? (
+        /* Cron expression */
+        <div className="space-y-3">
+          <Label>Cron Expression</Label>
+          <div className="flex gap-2">
+            <Select
+              value={currentCronPreset ? currentCronPreset.value : 'custom'}
+              onValueChange={(value) => {
+                if (value !== 'custom') onChange({ ...current, scheduleCron: value })
+              }}
+              disabled={disabled}
+            >
+              <SelectTrigger className="w-[180px]">
+                <SelectValue placeholder="Select preset" />
+              </SelectTrigger>
+              <SelectContent>
+                {CRON_PRESETS.map((preset) => (
+                  <SelectItem key={preset.value} value={preset.value}>
+                    {preset.label}
+                  </SelectItem>
+                ))}
+                <SelectItem value="custom">Custom</SelectItem>
+              </SelectContent>
+            </Select>
             <Input
-              type="number"
-              min={5}
-              value={intervalMinutes}
-              onChange={(e) => handleIntervalChange(e.target.value)}
-              className="w-24"
+              value={scheduleCron ?? ''}
+              onChange={(e) => onChange({ ...current, scheduleCron: e.target.value })}
+              placeholder="0 8 * * 1-5"
+              className="flex-1 font-mono text-sm"
               disabled={disabled}
             />
-            <span className="text-sm text-muted-foreground">minutes</span>
           </div>
+          <p className="text-xs text-muted-foreground">
+            Five fields: minute, hour, day of month, month, day of week.
+          </p>
+        </div>
+      ) : (
+        /* Capture Interval */
+        <div className="space-y-3">
+          <Label>Capture Interval</Label>
+          <div className="flex gap-2">
+            <Select
+              value={currentPreset ? String(currentPreset.value) : 'custom'}
+              onValueChange={handleIntervalPreset}
+              disabled={disabled}
+            >
+              <SelectTrigger className="w-[140px]">
+                <SelectValue placeholder="Select preset" />
+              </SelectTrigger>
+              <SelectContent>
+                {INTERVAL_PRESETS.map((preset) => (
+                  <SelectItem key={preset.value} value={String(preset.value)}>
+                    {preset.label}
+                  </SelectItem>
+                ))}
+                <SelectItem value="custom">Custom</SelectItem>
+              </SelectContent>
+            </Select>
+            <div className="flex items-center gap-2 flex-1">
+              <Input
+                type="number"
+                min={5}
+                value={intervalMinutes}
+                onChange={(e) => handleIntervalChange(e.target.value)}
+                className="w-24"
+                disabled={disabled}
+              />
+              <span className="text-sm text-muted-foreground">minutes</span>
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            How often screenshots will be captured. Minimum 5 minutes.
+          </p>
         </div>
+      )}
+
+      {/* Time zone */}
+      <div className="space-y-3">
+        <Label htmlFor="schedule-timezone">Time Zone</Label>
+        <Input
+          id="schedule-timezone"
+          list="schedule-timezones"
+          value={scheduleTimezone ?? ''}
+          onChange={(e) => onChange({ ...current, scheduleTimezone: e.target.value || null })}
+          placeholder={DEFAULT_SCHEDULE_TIMEZONE}
+          className="w-[240px]"
+          disabled={disabled}
+        />
+        <datalist id="schedule-timezones">
+          {COMMON_TIMEZONES.map((timezone) => (
+            <option key={timezone} value={timezone} />
+          ))}
+        </datalist>
         <p className="text-xs text-muted-foreground">
-          How often screenshots will be captured. Minimum 5 minutes.
+          Used for the cron schedule and blackout windows.
         </p>
       </div>
 
-      {/* Viewport Widths */}
+      {/* Blackout windows */}
       <div className="space-y-3">
+        <Label>Blackout Windows</Label>
+        {windows.length > 0 && (
+          <div className="space-y-2">
+            {windows.map((window, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <div className="flex gap-0.5">
+                  {WEEKDAY_LABELS.map((label, day) => (
+                    <Button
+                      key={day}
+                      type="button"
+                      variant={window.days?.includes(day) ? 'secondary' : 'outline'}
+                      size="sm"
+                      onClick={() => toggleWindowDay(index, day)}
+                      disabled={disabled}
+                      className="h-7 w-8 px-0 text-xs"
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+                <Input
+                  type="time"
+                  value={window.start}
+                  onChange={(e) => updateWindow(index, { start: e.target.value })}
+                  className="w-28"
+                  disabled={disabled}
+                />
+                <span className="text-sm text-muted-foreground">to</span>
+                <Input
+                  type="time"
+                  value={window.end}
+                  onChange={(e) => updateWindow(index, { end: e.target.value })}
+                  className="w-28"
+                  disabled={disabled}
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => removeWindow(index)}
+                  disabled={disabled}
+                  className="text-destructive hover:text-destructive"
+                >
+                  <Icon name="delete" size="sm" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+        <Button type="button" variant="outline" size="sm" onClick={addWindow} disabled={disabled}>
+          <Icon name="add" size="sm" className="mr-1" />
+          Add blackout window
+        </Button>
+        <p className="text-xs text-muted-foreground">
+          No scheduled captures run inside these windows; a capture that falls due runs when the
+          window ends. No days selected means every day. Manual captures are not affected.
+        </p>
+      </div>
+
+      {/* Next capture preview */}
+      <div className="rounded-lg border border-border/50 bg-muted/30 p-3 text-xs">
+        {previewError ? (
+          <p className="text-destructive">
+            {previewError instanceof Error ? previewError.message : 'Invalid schedule'}
+          </p>
+        ) : preview ? (
+          <div className="space-y-1 text-muted-foreground">
+            <p>
+              <span className="font-medium text-foreground">Next capture:</span>{' '}
+              {formatDateTime(preview.next_capture_at)}
+            </p>
+            <p>
+              <span className="font-medium">Then:</span>{' '}
+              {preview.upcoming.slice(1).map((time) => formatDateTime(time)).join(', ')}
+            </p>
+          </div>
+        ) : (
+          <p className="text-muted-foreground">Calculating next capture...</p>
+        )}
+      </div>
+
+      {/* Device Profiles */}
+      <div className="space-y-3">
+        <Label>Device Profiles</Label>
+        {availableDevices && availableDevices.length > 0 ? (
+          <div className="flex flex-wrap gap-1">
+            {availableDevices.map((device) => (
+              <Button
+                key={device.id}
+                type="button"
+                variant={selectedDevices.includes(device.id) ? 'secondary' : 'outline'}
+                size="sm"
+                onClick={() => toggleDevice(device.id)}
+                disabled={disabled}
+                className="h-7 text-xs"
+                title={device.user_agent ?? undefined}
+              >
+                {device.name}
+                <span className="ml-1 text-muted-foreground">({getDeviceLabel(device)})</span>
+              </Button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-muted-foreground">No device profiles available.</p>
+        )}
+        <p className="text-xs text-muted-foreground">
+          Emulates the device's screen size, pixel density, touch support and user agent.
+          When any are selected they replace the viewport widths below.
+        </p>
+      </div>
+
+      {/* Viewport Widths */}
+      <div className={selectedDevices.length > 0 ? 'space-y-3 opacity-60' : 'space-y-3'}>
         <Label>Viewport Widths</Label>
         
         {/* Current viewports */}
@@ -0,0 +1,49 @@
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+
+export interface ChangeDetectionSettings {
+  change_threshold_percent: number
+}
+
+export interface ChangeDetectionSettingsFormProps {
+  settings: ChangeDetectionSettings
+  onChange: (settings: ChangeDetectionSettings) => void
+  disabled?: boolean
+}
+
+export function ChangeDetectionSettingsForm({
+  settings,
+  onChange,
+  disabled = false,
+}: ChangeDetectionSettingsFormProps) {
+  const handleThresholdChange = (value: string) => {
+    const num = parseFloat(value)
+    if (!isNaN(num) && num >= 0 && num <= 100) {
+      onChange({ ...settings, change_threshold_percent: num })
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <Label htmlFor="change-threshold">Change Threshold</Label>
+      <div className="flex items-center gap-2">
+        <Input
+          id="change-threshold"
+          type="number"
+          min={0}
+          max={100}
+          step={0.1}
+          value={settings.change_threshold_percent}
+          onChange={(e) => handleThresholdChange(e.target.value)}
+          className="w-32"
+          disabled={disabled}
+        />
+        <span className="text-sm text-muted-foreground">% of pixels</span>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Every capture is compared with the previous capture of the same viewport. It is flagged
+        as changed when the share of differing pixels exceeds this threshold.
+      </p>
+    </div>
+  )
+}
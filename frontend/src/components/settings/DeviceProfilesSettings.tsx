@@ -0,0 +1,276 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Skeleton } from '@/components/ui/skeleton'
+import { DeviceProfile, DeviceProfileData } from '@/lib/api'
+import {
+  useDeviceProfiles,
+  useCreateDeviceProfile,
+  useUpdateDeviceProfile,
+  useDeleteDeviceProfile,
+} from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+const EMPTY_PROFILE: DeviceProfileData = {
+  name: '',
+  width: 390,
+  height: 844,
+  device_scale_factor: 1,
+  is_mobile: false,
+  has_touch: false,
+  is_landscape: false,
+  user_agent: null,
+}
+
+function formatSize(profile: DeviceProfile) {
+  const dpr = profile.device_scale_factor !== 1 ? ` @${profile.device_scale_factor}x` : ''
+  return `${profile.width}×${profile.height}${dpr}`
+}
+
+export function DeviceProfilesSettings() {
+  const { data: profiles, isLoading } = useDeviceProfiles()
+  const createProfile = useCreateDeviceProfile()
+  const updateProfile = useUpdateDeviceProfile()
+
+  const [draft, setDraft] = useState<DeviceProfileData>(EMPTY_PROFILE)
+  const [editingId, setEditingId] = useState<number | null>(null)
+  const isSaving = createProfile.isPending || updateProfile.isPending
+
+  const builtinProfiles = profiles?.filter(profile => profile.is_builtin) ?? []
+  const customProfiles = profiles?.filter(profile => !profile.is_builtin) ?? []
+
+  const handleEdit = (profile: DeviceProfile) => {
+    setEditingId(profile.id)
+    setDraft({
+      name: profile.name,
+      width: profile.width,
+      height: profile.height,
+      device_scale_factor: profile.device_scale_factor,
+      is_mobile: profile.is_mobile,
+      has_touch: profile.has_touch,
+      is_landscape: profile.is_landscape,
+      user_agent: profile.user_agent,
+    })
+  }
+
+  const resetForm = () => {
+    setEditingId(null)
+    setDraft(EMPTY_PROFILE)
+  }
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!draft.name.trim()) return
+
+    const data = { ...draft, name: draft.name.trim(), user_agent: draft.user_agent?.trim() || null }
+    const callbacks = {
+      onSuccess: () => {
+        toast.success(editingId ? 'Device profile updated' : 'Device profile added')
+        resetForm()
+      },
+      onError: (error: Error) => {
+        toast.error(error.message || 'Failed to save device profile')
+      },
+    }
+
+    if (editingId) {
+      updateProfile.mutate({ id: editingId, data }, callbacks)
+    } else {
+      createProfile.mutate(data, callbacks)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Add / edit form */}
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="grid gap-3 sm:grid-cols-[2fr_1fr_1fr_1fr]">
+          <div className="space-y-1.5">
+            <Label htmlFor="device-name">Name</Label>
+            <Input
+              id="device-name"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="e.g. Kiosk display"
+              disabled={isSaving}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="device-width">Width</Label>
+            <Input
+              id="device-width"
+              type="number"
+              min={240}
+              max={3840}
+              value={draft.width}
+              onChange={(e) => setDraft({ ...draft, width: parseInt(e.target.value, 10) || 0 })}
+              disabled={isSaving}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="device-height">Height</Label>
+            <Input
+              id="device-height"
+              type="number"
+              min={240}
+              max={4320}
+              value={draft.height}
+              onChange={(e) => setDraft({ ...draft, height: parseInt(e.target.value, 10) || 0 })}
+              disabled={isSaving}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="device-dpr">Pixel Ratio</Label>
+            <Input
+              id="device-dpr"
+              type="number"
+              min={1}
+              max={4}
+              step={0.25}
+              value={draft.device_scale_factor}
+              onChange={(e) => setDraft({ ...draft, device_scale_factor: parseFloat(e.target.value) || 1 })}
+              disabled={isSaving}
+            />
+          </div>
+        </div>
+        <div className="space-y-1.5">
+          <Label htmlFor="device-user-agent">User Agent</Label>
+          <Input
+            id="device-user-agent"
+            value={draft.user_agent ?? ''}
+            onChange={(e) => setDraft({ ...draft, user_agent: e.target.value })}
+            placeholder="Browser default"
+            className="font-mono text-sm"
+            disabled={isSaving}
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <Checkbox
+              checked={draft.is_mobile}
+              onCheckedChange={(checked) => setDraft({ ...draft, is_mobile: checked === true })}
+              disabled={isSaving}
+            />
+            Mobile
+          </label>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <Checkbox
+              checked={draft.has_touch}
+              onCheckedChange={(checked) => setDraft({ ...draft, has_touch: checked === true })}
+              disabled={isSaving}
+            />
+            Touch
+          </label>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <Checkbox
+              checked={draft.is_landscape}
+              onCheckedChange={(checked) => setDraft({ ...draft, is_landscape: checked === true })}
+              disabled={isSaving}
+            />
+            Landscape
+          </label>
+          <div className="ml-auto flex gap-2">
+            {editingId && (
+              <Button type="button" variant="outline" size="sm" onClick={resetForm} disabled={isSaving}>
+                Cancel
+              </Button>
+            )}
+            <Button type="submit" size="sm" disabled={!draft.name.trim() || isSaving}>
+              <Icon name={editingId ? 'save' : 'add'} size="sm" />
+              {editingId ? 'Save Profile' : 'Add Profile'}
+            </Button>
+          </div>
+        </div>
+      </form>
+
+      {/* Custom profiles */}
+      {isLoading ? (
+        <div className="space-y-2">
+          <Skeleton className="h-12 w-full" />
+          <Skeleton className="h-12 w-full" />
+        </div>
+      ) : customProfiles.length === 0 ? (
+        <div className="text-center py-6 border border-dashed border-border rounded-lg">
+          <p className="text-muted-foreground text-sm">
+            No custom device profiles yet. The built-in profiles below are always available.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {customProfiles.map(profile => (
+            <DeviceProfileItem key={profile.id} profile={profile} onEdit={() => handleEdit(profile)} />
+          ))}
+        </div>
+      )}
+
+      {/* Built-in profiles */}
+      {builtinProfiles.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-muted-foreground">Built-in profiles:</p>
+          <div className="flex flex-wrap gap-1">
+            {builtinProfiles.map(profile => (
+              <Badge key={profile.id} variant="outline" className="text-xs" title={profile.user_agent ?? undefined}>
+                {profile.name}
+                <span className="ml-1 text-muted-foreground">{formatSize(profile)}</span>
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function DeviceProfileItem({ profile, onEdit }: { profile: DeviceProfile; onEdit: () => void }) {
+  const deleteProfile = useDeleteDeviceProfile()
+
+  const handleDelete = () => {
+    if (!confirm(`Delete device profile "${profile.name}"? Sites and pages using it fall back to their other profiles or viewports.`)) return
+
+    deleteProfile.mutate(profile.id, {
+      onSuccess: () => {
+        toast.success('Device profile deleted')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to delete device profile')
+      },
+    })
+  }
+
+  return (
+    <div className="flex items-center gap-3 rounded-lg border border-border p-3">
+      <div className="flex-1 min-w-0 space-y-1">
+        <div className="flex items-center gap-2">
+          <span className="font-medium truncate">{profile.name}</span>
+          <span className="text-sm text-muted-foreground">{formatSize(profile)}</span>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {profile.is_mobile && <Badge variant="secondary" className="text-xs">Mobile</Badge>}
+          {profile.has_touch && <Badge variant="secondary" className="text-xs">Touch</Badge>}
+          {profile.is_landscape && <Badge variant="secondary" className="text-xs">Landscape</Badge>}
+          {profile.user_agent && (
+            <span className="text-xs font-mono text-muted-foreground truncate">{profile.user_agent}</span>
+          )}
+        </div>
+      </div>
+      <div className="flex items-center gap-1 shrink-0">
+        <Button variant="ghost" size="icon" onClick={onEdit} title="Edit profile">
+          <Icon name="edit" size="sm" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={handleDelete}
+          disabled={deleteProfile.isPending}
+          className="text-destructive hover:text-destructive"
+        >
+          <Icon name="delete" size="sm" />
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,140 @@
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { OrganizationSettings } from '@/lib/api'
+import { DIGEST_FREQUENCIES } from '@/lib/constants'
+import { formatDateTime } from '@/lib/utils'
+import { useSendTestDigest } from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+export interface DigestSettings {
+  digest_frequency: OrganizationSettings['digest_frequency']
+  digest_email: string | null
+  digest_hour: number
+}
+
+export interface DigestSettingsFormProps {
+  settings: DigestSettings
+  lastSentAt?: string | null
+  onChange: (settings: DigestSettings) => void
+  disabled?: boolean
+  hasUnsavedChanges?: boolean
+}
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+
+export function DigestSettingsForm({
+  settings,
+  lastSentAt,
+  onChange,
+  disabled = false,
+  hasUnsavedChanges = false,
+}: DigestSettingsFormProps) {
+  const sendTestDigest = useSendTestDigest()
+
+  const handleSendTest = () => {
+    sendTestDigest.mutate(undefined, {
+      onSuccess: (result) => {
+        toast.success(result.message)
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to send digest')
+      },
+    })
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-4 sm:grid-cols-2">
+        {/* Frequency */}
+        <div className="space-y-2">
+          <Label htmlFor="digest-frequency">Frequency</Label>
+          <Select
+            value={settings.digest_frequency}
+            onValueChange={(value) =>
+              onChange({ ...settings, digest_frequency: value as DigestSettings['digest_frequency'] })
+            }
+            disabled={disabled}
+          >
+            <SelectTrigger id="digest-frequency">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {DIGEST_FREQUENCIES.map(frequency => (
+                <SelectItem key={frequency.value} value={frequency.value}>
+                  {frequency.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Send time */}
+        <div className="space-y-2">
+          <Label htmlFor="digest-hour">Send At</Label>
+          <Select
+            value={String(settings.digest_hour)}
+            onValueChange={(value) => onChange({ ...settings, digest_hour: parseInt(value, 10) })}
+            disabled={disabled || settings.digest_frequency === 'off'}
+          >
+            <SelectTrigger id="digest-hour">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {HOURS.map(hour => (
+                <SelectItem key={hour} value={String(hour)}>
+                  {String(hour).padStart(2, '0')}:00
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {/* Recipient */}
+      <div className="space-y-2">
+        <Label htmlFor="digest-email">Recipient</Label>
+        <Input
+          id="digest-email"
+          type="email"
+          placeholder="Your account email"
+          value={settings.digest_email ?? ''}
+          onChange={(e) => onChange({ ...settings, digest_email: e.target.value || null })}
+          disabled={disabled || settings.digest_frequency === 'off'}
+        />
+        <p className="text-xs text-muted-foreground">
+          Leave empty to send the digest to your account email. Send time uses the server's time zone.
+        </p>
+      </div>
+
+      {/* Test + status */}
+      <div className="flex flex-wrap items-center justify-between gap-3 border-t pt-4">
+        <p className="text-xs text-muted-foreground">
+          {lastSentAt ? `Last digest sent ${formatDateTime(lastSentAt)}` : 'No digest sent yet'}
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleSendTest}
+          disabled={disabled || hasUnsavedChanges || sendTestDigest.isPending}
+          title={hasUnsavedChanges ? 'Save your changes first' : undefined}
+        >
+          <Icon
+            name={sendTestDigest.isPending ? 'progress_activity' : 'send'}
+            size="sm"
+            className={sendTestDigest.isPending ? 'animate-spin' : undefined}
+          />
+          Send Test Digest
+        </Button>
+      </div>
+    </div>
+  )
+}
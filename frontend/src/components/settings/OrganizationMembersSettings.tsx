@@ -0,0 +1,406 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Skeleton } from '@/components/ui/skeleton'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Organization, OrganizationInvite, OrganizationMember, OrganizationRole } from '@/lib/api'
+import { ORGANIZATION_ROLES } from '@/lib/constants'
+import { formatDate, formatDateTime } from '@/lib/utils'
+import { useAuth } from '@/hooks/useAuth'
+import {
+  useCurrentOrganization,
+  useSwitchOrganization,
+  useUpdateOrganization,
+  useDeleteOrganization,
+  useOrganizationMembers,
+  useUpdateOrganizationMember,
+  useRemoveOrganizationMember,
+  useOrganizationInvites,
+  useCreateOrganizationInvite,
+  useDeleteOrganizationInvite,
+} from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+function getInviteUrl(invite: OrganizationInvite) {
+  return `${window.location.origin}/invite/${invite.token}`
+}
+
+function copyInviteLink(invite: OrganizationInvite) {
+  navigator.clipboard.writeText(getInviteUrl(invite))
+    .then(() => toast.success('Invite link copied to clipboard'))
+    .catch(() => toast.error('Could not copy the link'))
+}
+
+function RoleSelect({
+  value,
+  onChange,
+  disabled,
+}: {
+  value: OrganizationRole
+  onChange: (role: OrganizationRole) => void
+  disabled?: boolean
+}) {
+  return (
+    <Select value={value} onValueChange={(role) => onChange(role as OrganizationRole)} disabled={disabled}>
+      <SelectTrigger className="w-28 h-8">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {ORGANIZATION_ROLES.map(role => (
+          <SelectItem key={role.value} value={role.value} title={role.description}>
+            {role.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+// Members, roles and invites of the current organization
+export function OrganizationMembersSettings() {
+  const { organization, isLoading } = useCurrentOrganization()
+
+  if (isLoading) {
+    return (
+      <div className="space-y-2">
+        <Skeleton className="h-10 w-full" />
+        <Skeleton className="h-14 w-full" />
+      </div>
+    )
+  }
+
+  if (!organization) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        You are not a member of any organization. Create one from the organization menu at the top.
+      </p>
+    )
+  }
+
+  // Remount when switching so the forms start from the new organization
+  return <OrganizationDetails key={organization.id} organization={organization} />
+}
+
+function OrganizationDetails({ organization }: { organization: Organization }) {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const switchOrganization = useSwitchOrganization()
+  const isOwner = organization.role === 'owner'
+
+  const { data: members, isLoading: membersLoading } = useOrganizationMembers(organization.id)
+  const { data: invites } = useOrganizationInvites(organization.id, isOwner)
+  const updateOrganization = useUpdateOrganization()
+  const deleteOrganization = useDeleteOrganization()
+  const removeMember = useRemoveOrganizationMember()
+  const createInvite = useCreateOrganizationInvite()
+
+  const [name, setName] = useState(organization.name)
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState<OrganizationRole>('editor')
+
+  useEffect(() => {
+    setName(organization.name)
+  }, [organization.name])
+
+  const handleRename = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!name.trim() || name.trim() === organization.name) return
+
+    updateOrganization.mutate(
+      { id: organization.id, name: name.trim() },
+      {
+        onSuccess: () => {
+          toast.success('Organization renamed')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to rename organization')
+        },
+      }
+    )
+  }
+
+  const handleInvite = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!inviteEmail.trim()) return
+
+    createInvite.mutate(
+      { organizationId: organization.id, email: inviteEmail.trim(), role: inviteRole },
+      {
+        onSuccess: (invite) => {
+          setInviteEmail('')
+          toast.success(invite.email_sent ? `Invite sent to ${invite.email}` : 'Invite created. Copy the link to share it.')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to create invite')
+        },
+      }
+    )
+  }
+
+  // Leaving or deleting the current organization switches to the next one
+  const leaveCurrent = (message: string) => {
+    switchOrganization(null)
+    navigate('/')
+    toast.success(message)
+  }
+
+  const handleLeave = () => {
+    if (!user || !confirm(`Leave "${organization.name}"? You lose access to its sites.`)) return
+
+    removeMember.mutate(
+      { organizationId: organization.id, userId: user.id },
+      {
+        onSuccess: () => leaveCurrent(`You left "${organization.name}"`),
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to leave organization')
+        },
+      }
+    )
+  }
+
+  const handleDelete = () => {
+    if (!confirm(`Delete "${organization.name}"? Members, invites, settings and webhooks are removed.`)) return
+
+    deleteOrganization.mutate(organization.id, {
+      onSuccess: () => leaveCurrent('Organization deleted'),
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to delete organization')
+      },
+    })
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Name */}
+      <form onSubmit={handleRename} className="space-y-1.5">
+        <Label htmlFor="organization-name">Name</Label>
+        <div className="flex items-center gap-2">
+          <Input
+            id="organization-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={!isOwner || updateOrganization.isPending}
+          />
+          {isOwner && (
+            <Button
+              type="submit"
+              size="sm"
+              variant="outline"
+              disabled={!name.trim() || name.trim() === organization.name || updateOrganization.isPending}
+            >
+              Rename
+            </Button>
+          )}
+        </div>
+        <p className="text-xs text-muted-foreground">
+          Your role: <span className="capitalize">{organization.role}</span>.{' '}
+          {ORGANIZATION_ROLES.find(role => role.value === organization.role)?.description}.
+        </p>
+      </form>
+
+      {/* Members */}
+      <div className="space-y-2">
+        <Label>Members</Label>
+        {membersLoading ? (
+          <Skeleton className="h-14 w-full" />
+        ) : (
+          <div className="space-y-2">
+            {members?.map(member => (
+              <MemberItem
+                key={member.user_id}
+                organizationId={organization.id}
+                member={member}
+                isSelf={member.user_id === user?.id}
+                canManage={isOwner}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Invites (owners only) */}
+      {isOwner && (
+        <div className="space-y-2">
+          <Label htmlFor="invite-email">Invite</Label>
+          <form onSubmit={handleInvite} className="flex flex-wrap items-center gap-2">
+            <Input
+              id="invite-email"
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="colleague@example.com"
+              className="flex-1 min-w-[200px]"
+              disabled={createInvite.isPending}
+            />
+            <RoleSelect value={inviteRole} onChange={setInviteRole} disabled={createInvite.isPending} />
+            <Button type="submit" size="sm" disabled={!inviteEmail.trim() || createInvite.isPending}>
+              <Icon name="person_add" size="sm" />
+              Invite
+            </Button>
+          </form>
+          {invites && invites.length > 0 && (
+            <div className="space-y-2">
+              {invites.map(invite => (
+                <InviteItem key={invite.id} organizationId={organization.id} invite={invite} />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Leave / delete */}
+      <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-border">
+        <Button variant="outline" size="sm" onClick={handleLeave} disabled={removeMember.isPending}>
+          <Icon name="logout" size="sm" />
+          Leave organization
+        </Button>
+        {isOwner && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={handleDelete}
+            disabled={deleteOrganization.isPending}
+            className="text-destructive hover:text-destructive"
+          >
+            <Icon name="delete" size="sm" />
+            Delete organization
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function MemberItem({
+  organizationId,
+  member,
+  isSelf,
+  canManage,
+}: {
+  organizationId: number
+  member: OrganizationMember
+  isSelf: boolean
+  canManage: boolean
+}) {
+  const updateMember = useUpdateOrganizationMember()
+  const removeMember = useRemoveOrganizationMember()
+
+  const handleRoleChange = (role: OrganizationRole) => {
+    updateMember.mutate(
+      { organizationId, userId: member.user_id, role },
+      {
+        onSuccess: () => {
+          toast.success(`${member.email} is now ${role === 'owner' ? 'an' : 'a'} ${role}`)
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to change role')
+        },
+      }
+    )
+  }
+
+  const handleRemove = () => {
+    if (!confirm(`Remove ${member.email} from the organization?`)) return
+
+    removeMember.mutate(
+      { organizationId, userId: member.user_id },
+      {
+        onSuccess: () => {
+          toast.success('Member removed')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to remove member')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="rounded-lg border border-border p-3 flex items-center gap-3">
+      <div className="flex-1 min-w-0">
+        <p className="font-medium truncate">
+          {member.email}
+          {isSelf && <span className="ml-2 text-xs text-muted-foreground">(you)</span>}
+        </p>
+        <p className="text-xs text-muted-foreground">Joined {formatDate(member.created_at)}</p>
+      </div>
+      {canManage ? (
+        <RoleSelect value={member.role} onChange={handleRoleChange} disabled={updateMember.isPending} />
+      ) : (
+        <Badge variant="outline" className="capitalize">{member.role}</Badge>
+      )}
+      {canManage && !isSelf && (
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={handleRemove}
+          disabled={removeMember.isPending}
+          className="text-destructive hover:text-destructive shrink-0"
+          title="Remove member"
+        >
+          <Icon name="person_remove" size="sm" />
+        </Button>
+      )}
+    </div>
+  )
+}
+
+function InviteItem({ organizationId, invite }: { organizationId: number; invite: OrganizationInvite }) {
+  const deleteInvite = useDeleteOrganizationInvite()
+
+  const handleRevoke = () => {
+    deleteInvite.mutate(
+      { organizationId, inviteId: invite.id },
+      {
+        onSuccess: () => {
+          toast.success('Invite revoked')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to revoke invite')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="rounded-lg border border-dashed border-border p-3 space-y-2">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="font-medium truncate">{invite.email}</span>
+        <Badge variant="outline" className="capitalize">{invite.role}</Badge>
+        {invite.is_expired ? (
+          <Badge variant="outline">Expired</Badge>
+        ) : (
+          <span className="text-xs text-muted-foreground" title={formatDateTime(invite.expires_at)}>
+            until {formatDate(invite.expires_at)}
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <Input value={getInviteUrl(invite)} readOnly className="font-mono text-xs h-8" onFocus={(e) => e.target.select()} />
+        <Button variant="outline" size="icon" className="h-8 w-8 shrink-0" onClick={() => copyInviteLink(invite)} title="Copy link">
+          <Icon name="content_copy" size="sm" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 shrink-0 text-destructive hover:text-destructive"
+          onClick={handleRevoke}
+          disabled={deleteInvite.isPending}
+          title="Revoke invite"
+        >
+          <Icon name="link_off" size="sm" />
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,207 @@
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Icon } from '@/components/ui/icon'
+import { RequestCookie, RequestSettings, RequestSettingsData } from '@/lib/api'
+
+export interface RequestSettingsDraft {
+  headers: Array<{ name: string; value: string }>
+  cookies: RequestCookie[]
+  basicAuthUsername: string
+  basicAuthPassword: string // Empty = keep the stored password
+}
+
+export interface RequestSettingsFormProps {
+  draft: RequestSettingsDraft
+  onChange: (draft: RequestSettingsDraft) => void
+  hasPassword?: boolean
+  disabled?: boolean
+}
+
+export function toRequestSettingsDraft(settings?: RequestSettings | null): RequestSettingsDraft {
+  return {
+    headers: Object.entries(settings?.headers ?? {}).map(([name, value]) => ({ name, value })),
+    cookies: settings?.cookies ?? [],
+    basicAuthUsername: settings?.basic_auth_username ?? '',
+    basicAuthPassword: '',
+  }
+}
+
+/**
+ * Convert the form draft to request data
+ * @param emptyAsNull - Send empty fields as null (inherit) instead of empty values (turn off)
+ */
+export function toRequestSettingsData(draft: RequestSettingsDraft, emptyAsNull: boolean): RequestSettingsData {
+  const headers = Object.fromEntries(
+    draft.headers.filter(header => header.name.trim()).map(header => [header.name.trim(), header.value])
+  )
+  const cookies = draft.cookies
+    .filter(cookie => cookie.name.trim())
+    .map(({ name, value, domain, path }) => ({
+      name: name.trim(),
+      value,
+      ...(domain?.trim() ? { domain: domain.trim() } : {}),
+      ...(path?.trim() ? { path: path.trim() } : {}),
+    }))
+  const username = draft.basicAuthUsername.trim()
+
+  return {
+    headers: Object.keys(headers).length > 0 || !emptyAsNull ? headers : null,
+    cookies: cookies.length > 0 || !emptyAsNull ? cookies : null,
+    basic_auth_username: username || (emptyAsNull ? null : ''),
+    ...(username && draft.basicAuthPassword ? { basic_auth_password: draft.basicAuthPassword } : {}),
+  }
+}
+
+export function RequestSettingsForm({
+  draft,
+  onChange,
+  hasPassword = false,
+  disabled = false,
+}: RequestSettingsFormProps) {
+  const updateHeader = (index: number, changes: Partial<{ name: string; value: string }>) => {
+    onChange({
+      ...draft,
+      headers: draft.headers.map((header, i) => (i === index ? { ...header, ...changes } : header)),
+    })
+  }
+
+  const updateCookie = (index: number, changes: Partial<RequestCookie>) => {
+    onChange({
+      ...draft,
+      cookies: draft.cookies.map((cookie, i) => (i === index ? { ...cookie, ...changes } : cookie)),
+    })
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Headers */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label>Extra Headers</Label>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ ...draft, headers: [...draft.headers, { name: '', value: '' }] })}
+            disabled={disabled}
+          >
+            <Icon name="add" size="sm" />
+            Add Header
+          </Button>
+        </div>
+        {draft.headers.length === 0 ? (
+          <p className="text-xs text-muted-foreground">No extra headers.</p>
+        ) : (
+          draft.headers.map((header, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Input
+                value={header.name}
+                onChange={(e) => updateHeader(index, { name: e.target.value })}
+                placeholder="X-Bypass-Token"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Input
+                value={header.value}
+                onChange={(e) => updateHeader(index, { value: e.target.value })}
+                placeholder="Value"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange({ ...draft, headers: draft.headers.filter((_, i) => i !== index) })}
+                disabled={disabled}
+              >
+                <Icon name="close" size="sm" />
+              </Button>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Cookies */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label>Cookies</Label>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ ...draft, cookies: [...draft.cookies, { name: '', value: '' }] })}
+            disabled={disabled}
+          >
+            <Icon name="add" size="sm" />
+            Add Cookie
+          </Button>
+        </div>
+        {draft.cookies.length === 0 ? (
+          <p className="text-xs text-muted-foreground">No cookies.</p>
+        ) : (
+          draft.cookies.map((cookie, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Input
+                value={cookie.name}
+                onChange={(e) => updateCookie(index, { name: e.target.value })}
+                placeholder="Name"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Input
+                value={cookie.value}
+                onChange={(e) => updateCookie(index, { value: e.target.value })}
+                placeholder="Value"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Input
+                value={cookie.domain ?? ''}
+                onChange={(e) => updateCookie(index, { domain: e.target.value })}
+                placeholder="Domain (optional)"
+                className="font-mono text-sm"
+                disabled={disabled}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => onChange({ ...draft, cookies: draft.cookies.filter((_, i) => i !== index) })}
+                disabled={disabled}
+              >
+                <Icon name="close" size="sm" />
+              </Button>
+            </div>
+          ))
+        )}
+        <p className="text-xs text-muted-foreground">
+          Cookies without a domain are set for the page's URL.
+        </p>
+      </div>
+
+      {/* Basic auth */}
+      <div className="space-y-2">
+        <Label>HTTP Basic Auth</Label>
+        <div className="grid gap-2 sm:grid-cols-2">
+          <Input
+            value={draft.basicAuthUsername}
+            onChange={(e) => onChange({ ...draft, basicAuthUsername: e.target.value })}
+            placeholder="Username"
+            autoComplete="off"
+            disabled={disabled}
+          />
+          <Input
+            type="password"
+            value={draft.basicAuthPassword}
+            onChange={(e) => onChange({ ...draft, basicAuthPassword: e.target.value })}
+            placeholder={hasPassword ? 'Unchanged' : 'Password'}
+            autoComplete="new-password"
+            disabled={disabled || !draft.basicAuthUsername.trim()}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
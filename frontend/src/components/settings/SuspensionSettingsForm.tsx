@@ -0,0 +1,55 @@
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { MAX_CONSECUTIVE_FAILURES, MAX_SUSPENSION_AUTO_RESUME_HOURS } from '@/lib/constants'
+
+export interface SuspensionSettings {
+  suspension_auto_resume_hours: number | null
+}
+
+export interface SuspensionSettingsFormProps {
+  settings: SuspensionSettings
+  onChange: (settings: SuspensionSettings) => void
+  disabled?: boolean
+}
+
+export function SuspensionSettingsForm({
+  settings,
+  onChange,
+  disabled = false,
+}: SuspensionSettingsFormProps) {
+  const handleHoursChange = (value: string) => {
+    if (value === '') {
+      onChange({ ...settings, suspension_auto_resume_hours: null })
+      return
+    }
+    const num = parseInt(value, 10)
+    if (!isNaN(num) && num >= 1 && num <= MAX_SUSPENSION_AUTO_RESUME_HOURS) {
+      onChange({ ...settings, suspension_auto_resume_hours: num })
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <Label htmlFor="suspension-auto-resume">Resume Automatically After</Label>
+      <div className="flex items-center gap-2">
+        <Input
+          id="suspension-auto-resume"
+          type="number"
+          min={1}
+          max={MAX_SUSPENSION_AUTO_RESUME_HOURS}
+          placeholder="Never"
+          value={settings.suspension_auto_resume_hours ?? ''}
+          onChange={(e) => handleHoursChange(e.target.value)}
+          className="w-32"
+          disabled={disabled}
+        />
+        <span className="text-sm text-muted-foreground">hours</span>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        A page is suspended after {MAX_CONSECUTIVE_FAILURES} consecutive failed captures and is not
+        captured on schedule until you resume it. Set a cooldown to resume suspended pages
+        automatically, or leave empty to always resume them by hand.
+      </p>
+    </div>
+  )
+}
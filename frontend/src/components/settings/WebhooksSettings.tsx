@@ -0,0 +1,311 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Webhook, WebhookDelivery, WebhookEvent } from '@/lib/api'
+import { WEBHOOK_EVENTS } from '@/lib/constants'
+import { formatDateTime } from '@/lib/utils'
+import {
+  useWebhooks,
+  useCreateWebhook,
+  useUpdateWebhook,
+  useDeleteWebhook,
+  useTestWebhook,
+  useWebhookDeliveries,
+} from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+const EVENT_LABELS: Record<string, string> = Object.fromEntries(
+  WEBHOOK_EVENTS.map(event => [event.value, event.label])
+)
+
+export function WebhooksSettings() {
+  const { data: webhooks, isLoading } = useWebhooks()
+  const createWebhook = useCreateWebhook()
+
+  const [name, setName] = useState('')
+  const [url, setUrl] = useState('')
+  const [events, setEvents] = useState<WebhookEvent[]>(['capture.failed', 'test.failed'])
+
+  const toggleEvent = (event: WebhookEvent) => {
+    setEvents(prev => (prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]))
+  }
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!url.trim() || events.length === 0) return
+
+    createWebhook.mutate(
+      { name: name.trim() || null, url: url.trim(), events },
+      {
+        onSuccess: () => {
+          setName('')
+          setUrl('')
+          toast.success('Webhook added')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to add webhook')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Add webhook form */}
+      <form onSubmit={handleCreate} className="space-y-3">
+        <div className="grid gap-3 sm:grid-cols-[1fr_2fr]">
+          <div className="space-y-1.5">
+            <Label htmlFor="webhook-name">Name</Label>
+            <Input
+              id="webhook-name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Slack alerts"
+              disabled={createWebhook.isPending}
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="webhook-url">Endpoint URL</Label>
+            <Input
+              id="webhook-url"
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/hooks/vibeshot"
+              className="font-mono text-sm"
+              disabled={createWebhook.isPending}
+            />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          {WEBHOOK_EVENTS.map(event => (
+            <label key={event.value} className="flex items-center gap-2 text-sm cursor-pointer">
+              <Checkbox
+                checked={events.includes(event.value)}
+                onCheckedChange={() => toggleEvent(event.value)}
+                disabled={createWebhook.isPending}
+              />
+              {event.label}
+            </label>
+          ))}
+          <Button
+            type="submit"
+            size="sm"
+            className="ml-auto"
+            disabled={!url.trim() || events.length === 0 || createWebhook.isPending}
+          >
+            <Icon name="add" size="sm" />
+            Add Webhook
+          </Button>
+        </div>
+      </form>
+
+      {/* Webhook list */}
+      {isLoading ? (
+        <div className="space-y-2">
+          <Skeleton className="h-16 w-full" />
+          <Skeleton className="h-16 w-full" />
+        </div>
+      ) : !webhooks || webhooks.length === 0 ? (
+        <div className="text-center py-6 border border-dashed border-border rounded-lg">
+          <p className="text-muted-foreground text-sm">
+            No webhooks yet. Add an endpoint to get notified about failed captures, failed tests,
+            page errors and visual changes.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {webhooks.map(webhook => (
+            <WebhookItem key={webhook.id} webhook={webhook} />
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-muted-foreground">
+        Each delivery is a JSON POST signed with HMAC-SHA256 of the raw body using the webhook
+        secret, sent in the <span className="font-mono">X-VibeShot-Signature</span> header.
+        Failed deliveries are retried with exponential backoff.
+      </p>
+    </div>
+  )
+}
+
+function WebhookItem({ webhook }: { webhook: Webhook }) {
+  const [showSecret, setShowSecret] = useState(false)
+  const [showDeliveries, setShowDeliveries] = useState(false)
+
+  const updateWebhook = useUpdateWebhook()
+  const deleteWebhook = useDeleteWebhook()
+  const testWebhook = useTestWebhook()
+
+  const handleToggle = (checked: boolean) => {
+    updateWebhook.mutate(
+      { id: webhook.id, data: { is_active: checked } },
+      {
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to update webhook')
+        },
+      }
+    )
+  }
+
+  const handleTest = () => {
+    testWebhook.mutate(webhook.id, {
+      onSuccess: () => {
+        setShowDeliveries(true)
+        toast.success('Test delivery queued')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to send test delivery')
+      },
+    })
+  }
+
+  const handleDelete = () => {
+    if (!confirm(`Delete webhook "${webhook.name || webhook.url}"?`)) return
+
+    deleteWebhook.mutate(webhook.id, {
+      onSuccess: () => {
+        toast.success('Webhook deleted')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to delete webhook')
+      },
+    })
+  }
+
+  return (
+    <div className="rounded-lg border border-border p-3">
+      <div className="flex items-start gap-3">
+        <div className="flex-1 min-w-0 space-y-1.5">
+          <div className="flex items-center gap-2">
+            <span className="font-medium truncate">{webhook.name || 'Webhook'}</span>
+            {webhook.last_delivery_status && (
+              <DeliveryStatusBadge status={webhook.last_delivery_status} />
+            )}
+          </div>
+          <p className="text-sm font-mono text-muted-foreground truncate">{webhook.url}</p>
+          <div className="flex flex-wrap gap-1">
+            {webhook.events.map(event => (
+              <Badge key={event} variant="outline" className="text-xs">
+                {EVENT_LABELS[event] || event}
+              </Badge>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 text-xs text-muted-foreground">
+            <span>Secret:</span>
+            <span className="font-mono">
+              {showSecret ? webhook.secret : '•'.repeat(16)}
+            </span>
+            <button
+              type="button"
+              className="hover:text-foreground"
+              onClick={() => setShowSecret(!showSecret)}
+              title={showSecret ? 'Hide secret' : 'Show secret'}
+            >
+              <Icon name={showSecret ? 'visibility_off' : 'visibility'} size="xs" />
+            </button>
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center gap-2 shrink-0">
+          <Switch
+            checked={webhook.is_active}
+            onCheckedChange={handleToggle}
+            disabled={updateWebhook.isPending}
+          />
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={handleTest}
+            disabled={testWebhook.isPending || !webhook.is_active}
+            title="Send test delivery"
+          >
+            <Icon name="send" size="sm" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => setShowDeliveries(!showDeliveries)}
+            title="Delivery log"
+          >
+            <Icon name="history" size="sm" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={handleDelete}
+            disabled={deleteWebhook.isPending}
+            className="text-destructive hover:text-destructive"
+          >
+            <Icon name="delete" size="sm" />
+          </Button>
+        </div>
+      </div>
+
+      {showDeliveries && <DeliveryLog webhookId={webhook.id} />}
+    </div>
+  )
+}
+
+function DeliveryLog({ webhookId }: { webhookId: number }) {
+  const { data, isLoading } = useWebhookDeliveries(webhookId)
+
+  if (isLoading) {
+    return <Skeleton className="h-12 w-full mt-3" />
+  }
+
+  if (!data || data.deliveries.length === 0) {
+    return <p className="mt-3 text-sm text-muted-foreground">No deliveries yet.</p>
+  }
+
+  return (
+    <div className="mt-3 border-t border-border pt-3 space-y-1.5">
+      {data.deliveries.map(delivery => (
+        <div key={delivery.id} className="flex items-center gap-3 text-xs">
+          <DeliveryStatusBadge status={delivery.status} />
+          <span className="font-mono w-36 shrink-0 truncate">{delivery.event}</span>
+          <span className="text-muted-foreground shrink-0">{formatDateTime(delivery.created_at)}</span>
+          <span className="text-muted-foreground shrink-0">
+            {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+          </span>
+          {delivery.response_status && (
+            <span className="font-mono shrink-0">HTTP {delivery.response_status}</span>
+          )}
+          {delivery.error_message && (
+            <span className="text-destructive truncate" title={delivery.error_message}>
+              {delivery.error_message}
+            </span>
+          )}
+          {delivery.status === 'pending' && delivery.next_attempt_at && delivery.attempts > 0 && (
+            <span className="text-muted-foreground shrink-0">
+              retry {formatDateTime(delivery.next_attempt_at)}
+            </span>
+          )}
+        </div>
+      ))}
+      {data.total > data.deliveries.length && (
+        <p className="text-xs text-muted-foreground pt-1">
+          Showing latest {data.deliveries.length} of {data.total} deliveries
+        </p>
+      )}
+    </div>
+  )
+}
+
+function DeliveryStatusBadge({ status }: { status: WebhookDelivery['status'] }) {
+  if (status === 'success') {
+    return <Badge variant="success" className="text-xs">Delivered</Badge>
+  }
+  if (status === 'failed') {
+    return <Badge variant="destructive" className="text-xs">Failed</Badge>
+  }
+  return <Badge variant="secondary" className="text-xs">Pending</Badge>
+}
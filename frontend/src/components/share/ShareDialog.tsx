@@ -0,0 +1,170 @@
+import { useState } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { ShareLink, ShareLinkData, ShareLinkFilter } from '@/lib/api'
+import { SHARE_LINK_EXPIRY_OPTIONS } from '@/lib/constants'
+import { useShareLinks, useCreateShareLink, useDeleteShareLink } from '@/hooks/useQueries'
+import { formatDate, formatDateTime } from '@/lib/utils'
+import { toast } from 'sonner'
+
+interface ShareDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  target: Omit<ShareLinkData, 'name' | 'expires_in_days'>
+  description: string
+}
+
+const SCOPE_TITLES: Record<ShareLinkData['scope'], string> = {
+  screenshot: 'Share screenshot',
+  comparison: 'Share comparison',
+  page: 'Share page timeline',
+}
+
+function getShareUrl(link: ShareLink) {
+  return `${window.location.origin}/share/${link.token}`
+}
+
+// Create and revoke read-only links to a screenshot, comparison or page timeline
+export function ShareDialog({ open, onOpenChange, target, description }: ShareDialogProps) {
+  const [name, setName] = useState('')
+  const [expiry, setExpiry] = useState('7')
+
+  const filter: ShareLinkFilter = target.scope === 'page'
+    ? { page_id: target.page_id }
+    : { screenshot_id: target.screenshot_id, other_screenshot_id: target.other_screenshot_id }
+  const { data: links = [], isLoading } = useShareLinks(filter, { enabled: open })
+  const scopeLinks = links.filter(link => link.scope === target.scope)
+  const createLink = useCreateShareLink()
+  const deleteLink = useDeleteShareLink()
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault()
+    createLink.mutate(
+      { ...target, name: name.trim() || null, expires_in_days: expiry === 'never' ? null : parseInt(expiry, 10) },
+      {
+        onSuccess: (link) => {
+          setName('')
+          copyLink(link)
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to create share link')
+        },
+      }
+    )
+  }
+
+  const copyLink = (link: ShareLink) => {
+    navigator.clipboard.writeText(getShareUrl(link))
+      .then(() => toast.success('Share link copied to clipboard'))
+      .catch(() => toast.error('Could not copy the link'))
+  }
+
+  const handleRevoke = (link: ShareLink) => {
+    if (!confirm('Revoke this share link? Anyone using it loses access immediately.')) return
+
+    deleteLink.mutate(link.id, {
+      onSuccess: () => toast.success('Share link revoked'),
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to revoke share link')
+      },
+    })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Icon name="share" />
+            {SCOPE_TITLES[target.scope]}
+          </DialogTitle>
+          <DialogDescription>{description}</DialogDescription>
+        </DialogHeader>
+
+        {/* New link */}
+        <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Label, e.g. Client review"
+            className="flex-1 min-w-[160px]"
+            disabled={createLink.isPending}
+          />
+          <Select value={expiry} onValueChange={setExpiry}>
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SHARE_LINK_EXPIRY_OPTIONS.map(option => (
+                <SelectItem key={option.label} value={option.value === null ? 'never' : String(option.value)}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="submit" size="sm" disabled={createLink.isPending}>
+            <Icon name="add_link" size="sm" />
+            Create link
+          </Button>
+        </form>
+
+        {/* Existing links */}
+        {isLoading ? null : scopeLinks.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No share links yet.</p>
+        ) : (
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {scopeLinks.map(link => (
+              <div key={link.id} className="rounded-lg border border-border p-3 space-y-2">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="font-medium truncate">{link.name || 'Untitled link'}</span>
+                  {link.is_expired ? (
+                    <Badge variant="outline">Expired</Badge>
+                  ) : link.expires_at ? (
+                    <span className="text-xs text-muted-foreground" title={formatDateTime(link.expires_at)}>
+                      until {formatDate(link.expires_at)}
+                    </span>
+                  ) : null}
+                  <span className="ml-auto text-xs text-muted-foreground">
+                    {link.view_count} view{link.view_count !== 1 ? 's' : ''}
+                  </span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Input value={getShareUrl(link)} readOnly className="font-mono text-xs h-8" onFocus={(e) => e.target.select()} />
+                  <Button variant="outline" size="icon" className="h-8 w-8 shrink-0" onClick={() => copyLink(link)} title="Copy link">
+                    <Icon name="content_copy" size="sm" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8 shrink-0 text-destructive hover:text-destructive"
+                    onClick={() => handleRevoke(link)}
+                    disabled={deleteLink.isPending}
+                    title="Revoke link"
+                  >
+                    <Icon name="link_off" size="sm" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
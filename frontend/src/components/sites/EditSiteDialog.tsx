@@ -12,11 +12,28 @@ import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Switch } from '@/components/ui/switch'
 import { Icon } from '@/components/ui/icon'
-import { CaptureSettingsForm } from '@/components/settings/CaptureSettingsForm'
-import { Site } from '@/lib/api'
-import { useSettings, useUpdateSite } from '@/hooks/useQueries'
+import { CaptureSettingsForm, CaptureSettings } from '@/components/settings/CaptureSettingsForm'
+import {
+  RequestSettingsForm,
+  RequestSettingsDraft,
+  toRequestSettingsDraft,
+  toRequestSettingsData,
+} from '@/components/settings/RequestSettingsForm'
+import { BlackoutWindow, Site } from '@/lib/api'
+import {
+  useSettings,
+  useUpdateSite,
+  useSiteRequestSettings,
+  useUpdateSiteRequestSettings,
+} from '@/hooks/useQueries'
 import { toast } from 'sonner'
-import { DEFAULT_INTERVAL_MINUTES, DEFAULT_VIEWPORTS } from '@/lib/constants'
+import {
+  DEFAULT_INTERVAL_MINUTES,
+  DEFAULT_SCHEDULE_TIMEZONE,
+  DEFAULT_VIEWPORTS,
+  DEFAULT_SITE_MAX_CONCURRENT_CAPTURES,
+  DEFAULT_SITE_CAPTURE_DELAY_SECONDS,
+} from '@/lib/constants'
 
 interface EditSiteDialogProps {
   open: boolean
@@ -30,23 +47,48 @@ export function EditSiteDialog({ open, onOpenChange, site }: EditSiteDialogProps
   const [useCustomSettings, setUseCustomSettings] = useState(false)
   const [intervalMinutes, setIntervalMinutes] = useState(DEFAULT_INTERVAL_MINUTES)
   const [viewports, setViewports] = useState<number[]>(DEFAULT_VIEWPORTS)
+  const [deviceProfiles, setDeviceProfiles] = useState<number[]>([])
+  const [scheduleCron, setScheduleCron] = useState<string | null>(null)
+  const [scheduleTimezone, setScheduleTimezone] = useState<string | null>(null)
+  const [blackoutWindows, setBlackoutWindows] = useState<BlackoutWindow[]>([])
+  const [requestDraft, setRequestDraft] = useState<RequestSettingsDraft>(toRequestSettingsDraft())
+  // Empty = system default
+  const [maxConcurrentCaptures, setMaxConcurrentCaptures] = useState('')
+  const [captureDelaySeconds, setCaptureDelaySeconds] = useState('')
   
   const { data: userSettings, isLoading: isLoadingSettings } = useSettings()
+  const { data: requestSettings } = useSiteRequestSettings(open ? site.id : undefined)
   const updateSite = useUpdateSite()
+  const updateRequestSettings = useUpdateSiteRequestSettings()
+  const isSaving = updateSite.isPending || updateRequestSettings.isPending
 
   // Initialize form when dialog opens
   useEffect(() => {
     if (open) {
       setName(site.name)
       setDomain(site.domain)
+      setMaxConcurrentCaptures(site.max_concurrent_captures?.toString() ?? '')
+      setCaptureDelaySeconds(site.capture_delay_seconds?.toString() ?? '')
       
       // Check if site has custom settings
-      const hasCustomSettings = site.interval_minutes !== null || site.viewports !== null
+      const hasCustomSettings =
+        site.interval_minutes !== null ||
+        site.viewports !== null ||
+        site.device_profiles !== null ||
+        site.schedule_cron !== null ||
+        site.schedule_timezone !== null ||
+        site.blackout_windows !== null
       setUseCustomSettings(hasCustomSettings)
     }
   }, [open, site])
 
-  // Initialize with site's custom values or user defaults when settings load
+  useEffect(() => {
+    if (open) {
+      setRequestDraft(toRequestSettingsDraft(requestSettings))
+    }
+  }, [open, requestSettings])
+
+  // Initialize with site's custom values or organization defaults when settings load
   useEffect(() => {
     if (userSettings) {
       if (site.interval_minutes !== null) {
@@ -60,16 +102,34 @@ export function EditSiteDialog({ open, onOpenChange, site }: EditSiteDialogProps
       } else {
         setViewports(userSettings.default_viewports)
       }
+      setDeviceProfiles(site.device_profiles ?? userSettings.default_device_profiles ?? [])
+
+      // A site interval without a cron means the site deliberately uses a fixed interval
+      if (site.schedule_cron !== null || site.interval_minutes !== null) {
+        setScheduleCron(site.schedule_cron)
+      } else {
+        setScheduleCron(userSettings.default_schedule_cron)
+      }
+      setScheduleTimezone(site.schedule_timezone ?? userSettings.default_schedule_timezone)
+      setBlackoutWindows(site.blackout_windows ?? userSettings.default_blackout_windows ?? [])
     } else {
-      // Use system defaults if we can't load user settings
+      // Use system defaults if we can't load organization settings
       setIntervalMinutes(site.interval_minutes ?? DEFAULT_INTERVAL_MINUTES)
       setViewports(site.viewports ?? DEFAULT_VIEWPORTS)
+      setDeviceProfiles(site.device_profiles ?? [])
+      setScheduleCron(site.schedule_cron)
+      setScheduleTimezone(site.schedule_timezone)
+      setBlackoutWindows(site.blackout_windows ?? [])
     }
   }, [userSettings, site])
 
-  const handleCaptureSettingsChange = (settings: { intervalMinutes: number; viewports: number[] }) => {
+  const handleCaptureSettingsChange = (settings: CaptureSettings) => {
     setIntervalMinutes(settings.intervalMinutes)
     setViewports(settings.viewports)
+    setDeviceProfiles(settings.deviceProfiles)
+    setScheduleCron(settings.scheduleCron)
+    setScheduleTimezone(settings.scheduleTimezone)
+    setBlackoutWindows(settings.blackoutWindows)
   }
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -81,15 +141,38 @@ export function EditSiteDialog({ open, onOpenChange, site }: EditSiteDialogProps
         data: {
           name,
           domain,
-          // Set to null if not using custom settings (inherit from user defaults)
+          // Set to null if not using custom settings (inherit from organization defaults)
           interval_minutes: useCustomSettings ? intervalMinutes : null,
           viewports: useCustomSettings ? viewports : null,
+          device_profiles: useCustomSettings ? deviceProfiles : null,
+          schedule_cron: useCustomSettings ? scheduleCron : null,
+          schedule_timezone: useCustomSettings ? scheduleTimezone : null,
+          blackout_windows: useCustomSettings && blackoutWindows.length > 0 ? blackoutWindows : null,
+          max_concurrent_captures: maxConcurrentCaptures ? parseInt(maxConcurrentCaptures, 10) : null,
+          capture_delay_seconds: captureDelaySeconds ? parseInt(captureDelaySeconds, 10) : null,
         },
       },
       {
         onSuccess: () => {
-          toast.success('Site updated successfully')
-          onOpenChange(false)
+          // Request settings are loaded separately; don't overwrite them if they never loaded
+          if (!requestSettings) {
+            toast.success('Site updated successfully')
+            onOpenChange(false)
+            return
+          }
+
+          updateRequestSettings.mutate(
+            { siteId: site.id, data: toRequestSettingsData(requestDraft, true) },
+            {
+              onSuccess: () => {
+                toast.success('Site updated successfully')
+                onOpenChange(false)
+              },
+              onError: (error) => {
+                toast.error(error instanceof Error ? error.message : 'Failed to update request settings')
+              },
+            }
+          )
         },
         onError: (error) => {
           toast.error(error instanceof Error ? error.message : 'Failed to update site')
@@ -143,7 +226,7 @@ export function EditSiteDialog({ open, onOpenChange, site }: EditSiteDialogProps
               <div className="space-y-0.5">
                 <Label htmlFor="custom-settings-toggle">Use Custom Capture Settings</Label>
                 <p className="text-xs text-muted-foreground">
-                  Override your account defaults for pages in this site
+                  Override your organization defaults for pages in this site
                 </p>
               </div>
               <Switch
@@ -165,6 +248,10 @@ export function EditSiteDialog({ open, onOpenChange, site }: EditSiteDialogProps
                   <CaptureSettingsForm
                     intervalMinutes={intervalMinutes}
                     viewports={viewports}
+                    deviceProfiles={deviceProfiles}
+                    scheduleCron={scheduleCron}
+                    scheduleTimezone={scheduleTimezone}
+                    blackoutWindows={blackoutWindows}
                     onChange={handleCaptureSettingsChange}
                     disabled={updateSite.isPending}
                   />
@@ -180,23 +267,99 @@ export function EditSiteDialog({ open, onOpenChange, site }: EditSiteDialogProps
                   <div className="space-y-1 text-sm">
                     <p className="font-medium">Using Account Defaults</p>
                     <p className="text-muted-foreground">
-                      Pages in this site will use your account defaults:
+                      Pages in this site will use your organization defaults:
                     </p>
                     <ul className="text-muted-foreground list-disc list-inside">
-                      <li>Interval: {formatInterval(userSettings.default_interval_minutes)}</li>
-                      <li>Viewports: {userSettings.default_viewports.join(', ')}px</li>
+                      {userSettings.default_schedule_cron ? (
+                        <li>
+                          Schedule: <span className="font-mono">{userSettings.default_schedule_cron}</span>{' '}
+                          ({userSettings.default_schedule_timezone || DEFAULT_SCHEDULE_TIMEZONE})
+                        </li>
+                      ) : (
+                        <li>Interval: {formatInterval(userSettings.default_interval_minutes)}</li>
+                      )}
+                      {userSettings.default_blackout_windows && userSettings.default_blackout_windows.length > 0 && (
+                        <li>Blackout windows: {userSettings.default_blackout_windows.length}</li>
+                      )}
+                      {userSettings.default_device_profiles && userSettings.default_device_profiles.length > 0 ? (
+                        <li>Device profiles: {userSettings.default_device_profiles.length}</li>
+                      ) : (
+                        <li>Viewports: {userSettings.default_viewports.join(', ')}px</li>
+                      )}
                     </ul>
                   </div>
                 </div>
               </div>
             )}
+
+            {/* Divider */}
+            <div className="border-t" />
+
+            {/* Capture Limits */}
+            <div className="space-y-4">
+              <div className="space-y-0.5">
+                <Label>Capture Limits</Label>
+                <p className="text-xs text-muted-foreground">
+                  Keep captures from overloading this site's server (or tripping its firewall). Each of the pages
+                  captured at the same time waits the delay before its next page load. Leave empty for the defaults.
+                </p>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="site-max-concurrent" className="text-xs">Pages at the same time</Label>
+                  <Input
+                    id="site-max-concurrent"
+                    type="number"
+                    min={1}
+                    max={20}
+                    placeholder={String(DEFAULT_SITE_MAX_CONCURRENT_CAPTURES)}
+                    value={maxConcurrentCaptures}
+                    onChange={(e) => setMaxConcurrentCaptures(e.target.value)}
+                    disabled={isSaving}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="site-capture-delay" className="text-xs">Delay between page loads (s)</Label>
+                  <Input
+                    id="site-capture-delay"
+                    type="number"
+                    min={0}
+                    max={600}
+                    placeholder={String(DEFAULT_SITE_CAPTURE_DELAY_SECONDS)}
+                    value={captureDelaySeconds}
+                    onChange={(e) => setCaptureDelaySeconds(e.target.value)}
+                    disabled={isSaving}
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Divider */}
+            <div className="border-t" />
+
+            {/* Request Settings */}
+            <div className="space-y-4">
+              <div className="space-y-0.5">
+                <Label>Request Settings</Label>
+                <p className="text-xs text-muted-foreground">
+                  Sent when capturing, generating scripts and tests, and discovering pages of this
+                  site, e.g. for staging environments behind basic auth or bot protection
+                </p>
+              </div>
+              <RequestSettingsForm
+                draft={requestDraft}
+                onChange={setRequestDraft}
+                hasPassword={requestSettings?.has_basic_auth_password}
+                disabled={isSaving || !requestSettings}
+              />
+            </div>
           </div>
           <DialogFooter>
-            <Button type="button" variant="ghost" onClick={() => onOpenChange(false)} disabled={updateSite.isPending}>
+            <Button type="button" variant="ghost" onClick={() => onOpenChange(false)} disabled={isSaving}>
               Cancel
             </Button>
-            <Button type="submit" disabled={updateSite.isPending || isLoadingSettings}>
-              {updateSite.isPending ? (
+            <Button type="submit" disabled={isSaving || isLoadingSettings}>
+              {isSaving ? (
                 <>
                   <Icon name="progress_activity" className="animate-spin" size="sm" />
                   Saving...
@@ -0,0 +1,446 @@
+import { useState } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Textarea } from '@/components/ui/textarea'
+import { LoginProfile, LoginProfileData, Site } from '@/lib/api'
+import { formatDateTime } from '@/lib/utils'
+import {
+  useLoginProfiles,
+  useCreateLoginProfile,
+  useUpdateLoginProfile,
+  useDeleteLoginProfile,
+  useClearLoginSession,
+} from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+interface LoginProfilesDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  site: Site
+}
+
+const DEFAULT_STEPS = {
+  steps: [
+    { action: 'type', selector: '#username', text: '{{username}}' },
+    { action: 'type', selector: '#password', text: '{{password}}' },
+    { action: 'click', selector: 'button[type="submit"]' },
+    { action: 'waitForNavigation' },
+  ],
+}
+
+const DEFAULT_SESSION_TTL_MINUTES = 720
+
+interface ProfileFormState {
+  name: string
+  loginUrl: string
+  username: string
+  password: string
+  steps: string
+  loggedInSelector: string
+  loggedOutUrlPattern: string
+  sessionTtlMinutes: number
+  isDefault: boolean
+}
+
+function getInitialForm(site: Site, profile: LoginProfile | null): ProfileFormState {
+  if (profile) {
+    return {
+      name: profile.name,
+      loginUrl: profile.login_url,
+      username: profile.username ?? '',
+      password: '',
+      steps: JSON.stringify(profile.steps, null, 2),
+      loggedInSelector: profile.logged_in_selector ?? '',
+      loggedOutUrlPattern: profile.logged_out_url_pattern ?? '',
+      sessionTtlMinutes: profile.session_ttl_minutes,
+      isDefault: profile.is_default,
+    }
+  }
+
+  return {
+    name: '',
+    loginUrl: `https://${site.domain}/login`,
+    username: '',
+    password: '',
+    steps: JSON.stringify(DEFAULT_STEPS, null, 2),
+    loggedInSelector: '',
+    loggedOutUrlPattern: '',
+    sessionTtlMinutes: DEFAULT_SESSION_TTL_MINUTES,
+    isDefault: false,
+  }
+}
+
+export function LoginProfilesDialog({ open, onOpenChange, site }: LoginProfilesDialogProps) {
+  const { data: profiles, isLoading } = useLoginProfiles(open ? site.id : undefined)
+  // null = list view, 'new' = create form, otherwise the profile being edited
+  const [editing, setEditing] = useState<LoginProfile | 'new' | null>(null)
+
+  const handleOpenChange = (newOpen: boolean) => {
+    if (!newOpen) {
+      setEditing(null)
+    }
+    onOpenChange(newOpen)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Login Profiles</DialogTitle>
+          <DialogDescription>
+            Log in before capturing pages of {site.name} that require an account. Credentials are
+            stored encrypted and the session is reused until it expires.
+          </DialogDescription>
+        </DialogHeader>
+
+        {editing ? (
+          <LoginProfileForm
+            key={editing === 'new' ? 'new' : editing.id}
+            site={site}
+            profile={editing === 'new' ? null : editing}
+            onDone={() => setEditing(null)}
+          />
+        ) : (
+          <div className="space-y-4">
+            {isLoading ? (
+              <div className="space-y-2">
+                <Skeleton className="h-16 w-full" />
+                <Skeleton className="h-16 w-full" />
+              </div>
+            ) : !profiles || profiles.length === 0 ? (
+              <div className="text-center py-6 border border-dashed border-border rounded-lg">
+                <p className="text-muted-foreground text-sm">
+                  No login profiles yet. Add one to capture pages behind a login.
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {profiles.map(profile => (
+                  <LoginProfileItem
+                    key={profile.id}
+                    profile={profile}
+                    onEdit={() => setEditing(profile)}
+                  />
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <Button onClick={() => setEditing('new')}>
+                <Icon name="add" size="sm" />
+                Add Login Profile
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function LoginProfileItem({ profile, onEdit }: { profile: LoginProfile; onEdit: () => void }) {
+  const deleteProfile = useDeleteLoginProfile()
+  const clearSession = useClearLoginSession()
+
+  const handleClearSession = () => {
+    clearSession.mutate(
+      { siteId: profile.site_id, profileId: profile.id },
+      {
+        onSuccess: () => {
+          toast.success('Session cleared, the next capture will log in again')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to clear session')
+        },
+      }
+    )
+  }
+
+  const handleDelete = () => {
+    const usage = profile.page_count > 0
+      ? ` ${profile.page_count} page${profile.page_count === 1 ? '' : 's'} will fall back to the site default.`
+      : ''
+    if (!confirm(`Delete login profile "${profile.name}"?${usage}`)) return
+
+    deleteProfile.mutate(
+      { siteId: profile.site_id, profileId: profile.id },
+      {
+        onSuccess: () => {
+          toast.success('Login profile deleted')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to delete login profile')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="rounded-lg border border-border p-3">
+      <div className="flex items-start gap-3">
+        <div className="flex-1 min-w-0 space-y-1.5">
+          <div className="flex items-center gap-2">
+            <span className="font-medium truncate">{profile.name}</span>
+            {profile.is_default && (
+              <Badge variant="secondary" className="text-xs">Default</Badge>
+            )}
+            {profile.has_session ? (
+              <Badge variant="success" className="text-xs">Session active</Badge>
+            ) : profile.last_login_error ? (
+              <Badge variant="destructive" className="text-xs">Login failed</Badge>
+            ) : null}
+          </div>
+          <p className="text-sm font-mono text-muted-foreground truncate">{profile.login_url}</p>
+          <p className="text-xs text-muted-foreground">
+            {profile.username ? `User ${profile.username}` : 'No username'}
+            {' · '}
+            {profile.steps.steps.length} step{profile.steps.steps.length === 1 ? '' : 's'}
+            {profile.page_count > 0 && ` · ${profile.page_count} page${profile.page_count === 1 ? '' : 's'}`}
+            {profile.has_session && profile.session_expires_at &&
+              ` · session expires ${formatDateTime(profile.session_expires_at)}`}
+          </p>
+          {profile.last_login_error && (
+            <p className="text-xs text-destructive truncate" title={profile.last_login_error}>
+              {profile.last_login_error}
+            </p>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center gap-1 shrink-0">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={handleClearSession}
+            disabled={!profile.has_session || clearSession.isPending}
+            title="Clear session"
+          >
+            <Icon name="logout" size="sm" />
+          </Button>
+          <Button variant="ghost" size="icon" onClick={onEdit} title="Edit">
+            <Icon name="edit" size="sm" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={handleDelete}
+            disabled={deleteProfile.isPending}
+            className="text-destructive hover:text-destructive"
+          >
+            <Icon name="delete" size="sm" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function LoginProfileForm({
+  site,
+  profile,
+  onDone,
+}: {
+  site: Site
+  profile: LoginProfile | null
+  onDone: () => void
+}) {
+  const [form, setForm] = useState<ProfileFormState>(() => getInitialForm(site, profile))
+  const [stepsError, setStepsError] = useState<string | null>(null)
+
+  const createProfile = useCreateLoginProfile()
+  const updateProfile = useUpdateLoginProfile()
+  const isPending = createProfile.isPending || updateProfile.isPending
+
+  const update = (changes: Partial<ProfileFormState>) => setForm(prev => ({ ...prev, ...changes }))
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault()
+
+    let steps: LoginProfileData['steps']
+    try {
+      steps = JSON.parse(form.steps)
+    } catch {
+      setStepsError('Login steps must be valid JSON')
+      return
+    }
+    setStepsError(null)
+
+    const data: LoginProfileData = {
+      name: form.name.trim(),
+      login_url: form.loginUrl.trim(),
+      username: form.username || null,
+      steps,
+      logged_in_selector: form.loggedInSelector.trim() || null,
+      logged_out_url_pattern: form.loggedOutUrlPattern.trim() || null,
+      session_ttl_minutes: form.sessionTtlMinutes,
+      is_default: form.isDefault,
+    }
+    // Leaving the password empty keeps the stored one
+    if (form.password) {
+      data.password = form.password
+    }
+
+    const callbacks = {
+      onSuccess: () => {
+        toast.success(profile ? 'Login profile updated' : 'Login profile added')
+        onDone()
+      },
+      onError: (error: Error) => {
+        toast.error(error.message || 'Failed to save login profile')
+      },
+    }
+
+    if (profile) {
+      updateProfile.mutate({ siteId: site.id, profileId: profile.id, data }, callbacks)
+    } else {
+      createProfile.mutate({ siteId: site.id, data }, callbacks)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid gap-4 sm:grid-cols-[1fr_2fr]">
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-name">Name</Label>
+          <Input
+            id="login-profile-name"
+            value={form.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="e.g. Admin user"
+            disabled={isPending}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-url">Login URL</Label>
+          <Input
+            id="login-profile-url"
+            type="url"
+            value={form.loginUrl}
+            onChange={(e) => update({ loginUrl: e.target.value })}
+            className="font-mono text-sm"
+            disabled={isPending}
+          />
+        </div>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-username">Username</Label>
+          <Input
+            id="login-profile-username"
+            value={form.username}
+            onChange={(e) => update({ username: e.target.value })}
+            autoComplete="off"
+            disabled={isPending}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-password">Password</Label>
+          <Input
+            id="login-profile-password"
+            type="password"
+            value={form.password}
+            onChange={(e) => update({ password: e.target.value })}
+            placeholder={profile?.has_password ? 'Unchanged' : undefined}
+            autoComplete="new-password"
+            disabled={isPending}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="login-profile-steps">Login Steps</Label>
+        <Textarea
+          id="login-profile-steps"
+          value={form.steps}
+          onChange={(e) => update({ steps: e.target.value })}
+          className="font-mono text-xs min-h-[180px]"
+          disabled={isPending}
+        />
+        {stepsError ? (
+          <p className="text-xs text-destructive">{stepsError}</p>
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            Action sequence run on the login URL. Use <span className="font-mono">{'{{username}}'}</span> and{' '}
+            <span className="font-mono">{'{{password}}'}</span> in <span className="font-mono">text</span> or{' '}
+            <span className="font-mono">value</span> fields; they are filled in only when the login runs.
+          </p>
+        )}
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-selector">Logged-in Selector</Label>
+          <Input
+            id="login-profile-selector"
+            value={form.loggedInSelector}
+            onChange={(e) => update({ loggedInSelector: e.target.value })}
+            placeholder="e.g. .user-menu"
+            className="font-mono text-sm"
+            disabled={isPending}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-pattern">Logged-out URL Pattern</Label>
+          <Input
+            id="login-profile-pattern"
+            value={form.loggedOutUrlPattern}
+            onChange={(e) => update({ loggedOutUrlPattern: e.target.value })}
+            placeholder="Defaults to the login URL"
+            maxLength={200}
+            className="font-mono text-sm"
+            disabled={isPending}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground -mt-2">
+        A capture counts as logged out when it lands on a URL matching the pattern (regular
+        expression) or the logged-in selector is missing. The profile then logs in again once.
+      </p>
+
+      <div className="grid gap-4 sm:grid-cols-2 items-end">
+        <div className="space-y-2">
+          <Label htmlFor="login-profile-ttl">Session Lifetime (minutes)</Label>
+          <Input
+            id="login-profile-ttl"
+            type="number"
+            min={5}
+            max={43200}
+            value={form.sessionTtlMinutes}
+            onChange={(e) => update({ sessionTtlMinutes: parseInt(e.target.value, 10) || DEFAULT_SESSION_TTL_MINUTES })}
+            disabled={isPending}
+          />
+        </div>
+        <label className="flex items-center gap-3 pb-2 text-sm cursor-pointer">
+          <Switch
+            checked={form.isDefault}
+            onCheckedChange={(checked) => update({ isDefault: checked })}
+            disabled={isPending}
+          />
+          Use for all pages of this site
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2 border-t pt-4">
+        <Button type="button" variant="outline" onClick={onDone} disabled={isPending}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={!form.name.trim() || !form.loginUrl.trim() || isPending}>
+          {isPending ? 'Saving...' : profile ? 'Save Changes' : 'Add Profile'}
+        </Button>
+      </div>
+    </form>
+  )
+}
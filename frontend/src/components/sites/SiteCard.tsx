@@ -1,6 +1,10 @@
 import { useNavigate } from 'react-router-dom'
+import { toast } from 'sonner'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
 import { Icon } from '@/components/ui/icon'
+import { useResumeSitePages } from '@/hooks/useQueries'
 import type { Site } from '@/lib/api'
 
 interface SiteCardProps {
@@ -9,6 +13,16 @@ interface SiteCardProps {
 
 export function SiteCard({ site }: SiteCardProps) {
   const navigate = useNavigate()
+  const resumeSitePages = useResumeSitePages()
+  const suspendedCount = Number(site.suspended_page_count || 0)
+
+  const handleResumeClick = (e: React.MouseEvent) => {
+    e.stopPropagation()
+    resumeSitePages.mutate(site.id, {
+      onSuccess: ({ resumed }) => toast.success(`Monitoring of ${resumed} page${resumed !== 1 ? 's' : ''} resumed`),
+      onError: (error) => toast.error(error instanceof Error ? error.message : 'Failed to resume pages'),
+    })
+  }
 
   return (
     <Card
@@ -30,6 +44,24 @@ export function SiteCard({ site }: SiteCardProps) {
             <div className="text-xs text-muted-foreground uppercase tracking-wide">Screenshots</div>
           </div>
         </div>
+        {/* Pages whose scheduled captures stopped after too many consecutive failures */}
+        {suspendedCount > 0 && (
+          <div className="flex items-center justify-between gap-2 mt-4">
+            <Badge variant="destructive" className="gap-1" title="Scheduled captures stopped after too many consecutive failures">
+              <Icon name="pause_circle" size="xs" />
+              {suspendedCount} suspended
+            </Badge>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleResumeClick}
+              disabled={resumeSitePages.isPending}
+            >
+              <Icon name="play_arrow" size="sm" />
+              Resume monitoring
+            </Button>
+          </div>
+        )}
       </CardContent>
     </Card>
   )
@@ -0,0 +1,254 @@
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Switch } from '@/components/ui/switch'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Icon } from '@/components/ui/icon'
+import { BudgetMetric, Test } from '@/lib/api'
+import { BUDGET_METRICS } from '@/lib/constants'
+import { useCreateTest, useUpdateTest } from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+const VIEWPORT_OPTIONS = [
+  { value: 'desktop', label: 'Desktop', icon: 'desktop_windows' },
+  { value: 'tablet', label: 'Tablet', icon: 'tablet' },
+  { value: 'mobile', label: 'Mobile', icon: 'smartphone' },
+]
+
+interface BudgetDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  pageId: number
+  test?: Test // Budget to edit; omitted when adding one
+}
+
+// Byte budgets are entered in KB and stored in bytes
+function toInputValue(metric: BudgetMetric, max: number): string {
+  const unit = BUDGET_METRICS.find(m => m.value === metric)?.unit
+  return String(unit === 'KB' ? Math.round(max / 1024) : max)
+}
+
+function fromInputValue(metric: BudgetMetric, value: string): number {
+  const unit = BUDGET_METRICS.find(m => m.value === metric)?.unit
+  const number = parseFloat(value)
+  return unit === 'KB' ? Math.round(number * 1024) : number
+}
+
+export function BudgetDialog({
+  open,
+  onOpenChange,
+  pageId,
+  test,
+}: BudgetDialogProps) {
+  const [name, setName] = useState('')
+  const [metric, setMetric] = useState<BudgetMetric>('lcp_ms')
+  const [max, setMax] = useState('2500')
+  const [viewports, setViewports] = useState<string[]>([]) // empty = all
+  const [isActive, setIsActive] = useState(true)
+
+  const createTest = useCreateTest()
+  const updateTest = useUpdateTest()
+  const isPending = createTest.isPending || updateTest.isPending
+
+  useEffect(() => {
+    if (!open) return
+    if (test?.budget) {
+      setName(test.name)
+      setMetric(test.budget.metric)
+      setMax(toInputValue(test.budget.metric, test.budget.max))
+      setViewports(test.viewports || [])
+      setIsActive(test.is_active)
+    } else {
+      setName('')
+      setMetric('lcp_ms')
+      setMax('2500')
+      setViewports([])
+      setIsActive(true)
+    }
+  }, [open, test])
+
+  const unit = BUDGET_METRICS.find(m => m.value === metric)?.unit
+
+  const toggleViewport = (vp: string) => {
+    setViewports(prev =>
+      prev.includes(vp)
+        ? prev.filter(v => v !== vp)
+        : [...prev, vp]
+    )
+  }
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault()
+
+    const budget = { metric, max: fromInputValue(metric, max) }
+    if (isNaN(budget.max) || budget.max < 0) {
+      toast.error('Enter a maximum of 0 or more')
+      return
+    }
+
+    const callbacks = {
+      onSuccess: () => {
+        toast.success(test ? 'Budget updated' : 'Budget added')
+        onOpenChange(false)
+      },
+      onError: (error: Error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to save budget')
+      },
+    }
+
+    if (test) {
+      updateTest.mutate(
+        {
+          pageId,
+          testId: test.id,
+          data: {
+            name,
+            budget,
+            is_active: isActive,
+            viewports: viewports.length > 0 ? viewports : null,
+          },
+        },
+        callbacks
+      )
+    } else {
+      createTest.mutate(
+        {
+          pageId,
+          data: {
+            name,
+            budget,
+            viewports: viewports.length > 0 ? viewports : undefined,
+          },
+        },
+        callbacks
+      )
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{test ? 'Edit Performance Budget' : 'Add Performance Budget'}</DialogTitle>
+          <DialogDescription>
+            The budget is checked against the page's performance metrics after every capture and fails like a test when exceeded.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="budget-name">Name</Label>
+              <Input
+                id="budget-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g., JS bundle under 500 KB"
+                required
+                disabled={isPending}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Metric</Label>
+                <Select value={metric} onValueChange={(value) => setMetric(value as BudgetMetric)} disabled={isPending}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {BUDGET_METRICS.map(m => (
+                      <SelectItem key={m.value} value={m.value}>{m.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="budget-max">Maximum{unit ? ` (${unit})` : ''}</Label>
+                <Input
+                  id="budget-max"
+                  type="number"
+                  min={0}
+                  step={metric === 'cls' ? 0.01 : 1}
+                  value={max}
+                  onChange={(e) => setMax(e.target.value)}
+                  required
+                  disabled={isPending}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label>Check budget on viewports</Label>
+              <div className="flex gap-4">
+                {VIEWPORT_OPTIONS.map(vp => (
+                  <label
+                    key={vp.value}
+                    className="flex items-center gap-2 cursor-pointer"
+                  >
+                    <Checkbox
+                      checked={viewports.length === 0 || viewports.includes(vp.value)}
+                      onCheckedChange={() => toggleViewport(vp.value)}
+                      disabled={isPending}
+                    />
+                    <span className="material-symbols-outlined text-sm">{vp.icon}</span>
+                    <span className="text-sm">{vp.label}</span>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {viewports.length === 0
+                  ? 'Budget applies to all viewports (default)'
+                  : `Budget only applies to: ${viewports.join(', ')}`
+                }
+              </p>
+            </div>
+            {test && (
+              <div className="flex items-center justify-between">
+                <Label htmlFor="budget-active" className="cursor-pointer">
+                  Active (check during screenshot captures)
+                </Label>
+                <Switch
+                  id="budget-active"
+                  checked={isActive}
+                  onCheckedChange={setIsActive}
+                  disabled={isPending}
+                />
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="ghost" onClick={() => onOpenChange(false)} disabled={isPending}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending ? (
+                <>
+                  <Icon name="progress_activity" className="animate-spin" size="sm" />
+                  Saving...
+                </>
+              ) : test ? (
+                'Save Changes'
+              ) : (
+                'Add Budget'
+              )}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
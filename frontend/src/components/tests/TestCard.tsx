@@ -6,9 +6,9 @@ import { Badge } from '@/components/ui/badge'
 import { Icon } from '@/components/ui/icon'
 import { ActionSequenceDisplay } from '@/components/ui/action-sequence-display'
 import { AiChatHistoryDialog } from '@/components/ai/AiChatHistoryDialog'
-import { Test } from '@/lib/api'
+import { Test, TestLastResult } from '@/lib/api'
 import { useUpdateTest, useRegenerateTest } from '@/hooks/useQueries'
-import { cn } from '@/lib/utils'
+import { cn, formatBudget, formatDateTime } from '@/lib/utils'
 import { toast } from 'sonner'
 
 const VIEWPORT_ICONS: Record<string, string> = {
@@ -42,8 +42,21 @@ export function TestCard({
   const regenerateTest = useRegenerateTest()
 
   const hasScript = test.script && test.script.trim().length > 0
+  const isBudget = test.script_type === 'budget'
+  const lastResults = test.last_results ?? []
+  const failedResults = lastResults.filter(r => !r.passed)
 
   const getStatusBadge = () => {
+    // Latest result per viewport; one failing viewport fails the test
+    if (failedResults.length > 0) {
+      return <Badge variant="destructive">Failing</Badge>
+    }
+    if (lastResults.length > 0) {
+      return <Badge variant="success">Passing</Badge>
+    }
+    if (isBudget) {
+      return <Badge variant="secondary">No data yet</Badge>
+    }
     if (hasScript) {
       return <Badge variant="success">Ready</Badge>
     }
@@ -131,11 +144,19 @@ export function TestCard({
         {/* Info */}
         <div className="flex-1 min-w-0">
           <div className="font-medium truncate">{test.name}</div>
-          <div className="text-sm text-muted-foreground truncate">{test.prompt}</div>
+          <div className="text-sm text-muted-foreground truncate">
+            {isBudget && test.budget ? formatBudget(test.budget) : test.prompt}
+          </div>
         </div>
 
         {/* Status & Viewports */}
         <div className="flex items-center gap-2">
+          {isBudget && (
+            <Badge variant="outline" className="text-xs">
+              <Icon name="speed" size="xs" className="mr-1" />
+              Budget
+            </Badge>
+          )}
           {test.script_type === 'actions' && (
             <Badge variant="outline" className="text-xs">
               <Icon name="account_tree" size="xs" className="mr-1" />
@@ -153,29 +174,33 @@ export function TestCard({
             onCheckedChange={handleToggle}
             disabled={updateTest.isPending}
           />
-          <Button 
-            variant="ghost" 
-            size="icon" 
-            onClick={() => setShowChatHistory(true)}
-            title="View AI generation history"
-          >
-            <Icon name="smart_toy" size="sm" />
-          </Button>
+          {!isBudget && (
+            <Button 
+              variant="ghost" 
+              size="icon" 
+              onClick={() => setShowChatHistory(true)}
+              title="View AI generation history"
+            >
+              <Icon name="smart_toy" size="sm" />
+            </Button>
+          )}
           <Button variant="ghost" size="icon" onClick={onEdit}>
             <Icon name="edit" size="sm" />
           </Button>
-          <Button
-            variant="ghost"
-            size="icon"
-            onClick={handleRegenerate}
-            disabled={regenerateTest.isPending}
-          >
-            <Icon
-              name="refresh"
-              size="sm"
-              className={cn(regenerateTest.isPending && "animate-spin")}
-            />
-          </Button>
+          {!isBudget && (
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={handleRegenerate}
+              disabled={regenerateTest.isPending}
+            >
+              <Icon
+                name="refresh"
+                size="sm"
+                className={cn(regenerateTest.isPending && "animate-spin")}
+              />
+            </Button>
+          )}
           <Button
             variant="ghost"
             size="icon"
@@ -187,6 +212,20 @@ export function TestCard({
         </div>
       </div>
 
+      {/* Failures of the latest captures */}
+      {failedResults.length > 0 && (
+        <div className="border-t border-border px-4 py-3 space-y-1">
+          {failedResults.map(result => (
+            <div key={result.screenshot_id} className="flex flex-wrap items-baseline gap-x-2 text-sm">
+              <Icon name="cancel" size="xs" className="text-destructive self-center" />
+              <span className="font-medium">{getResultLabel(result)}</span>
+              <span className="text-destructive">{result.message}</span>
+              <span className="text-xs text-muted-foreground">{formatDateTime(result.created_at)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Script Display */}
       {hasScript && (
         <details className="border-t border-border">
@@ -216,3 +255,8 @@ export function TestCard({
     </Card>
   )
 }
+
+function getResultLabel(result: TestLastResult): string {
+  const base = result.device_name || result.viewport || 'default'
+  return result.variant ? `${base} · ${result.variant}` : base
+}
@@ -6,6 +6,7 @@ import { TestCard } from './TestCard'
 import { AddTestDialog } from './AddTestDialog'
 import { EditTestDialog } from './EditTestDialog'
 import { DeleteTestDialog } from './DeleteTestDialog'
+import { BudgetDialog } from './BudgetDialog'
 import { useReorderTests } from '@/hooks/useQueries'
 import { toast } from 'sonner'
 
@@ -16,6 +17,7 @@ interface TestsListProps {
 
 export function TestsList({ pageId, tests }: TestsListProps) {
   const [addDialogOpen, setAddDialogOpen] = useState(false)
+  const [addBudgetOpen, setAddBudgetOpen] = useState(false)
   const [editTest, setEditTest] = useState<Test | null>(null)
   const [deleteTest, setDeleteTest] = useState<Test | null>(null)
   
@@ -45,18 +47,25 @@ export function TestsList({ pageId, tests }: TestsListProps) {
     <div className="mb-8">
       {/* Header */}
       <div className="flex items-center justify-between mb-4">
-        <h3 className="text-lg font-semibold">AI Tests</h3>
-        <Button size="sm" onClick={() => setAddDialogOpen(true)}>
-          <Icon name="add" size="sm" />
-          Add Test
-        </Button>
+        <h3 className="text-lg font-semibold">AI Tests & Budgets</h3>
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" onClick={() => setAddBudgetOpen(true)}>
+            <Icon name="speed" size="sm" />
+            Add Budget
+          </Button>
+          <Button size="sm" onClick={() => setAddDialogOpen(true)}>
+            <Icon name="add" size="sm" />
+            Add Test
+          </Button>
+        </div>
       </div>
 
       {/* List */}
       {tests.length === 0 ? (
         <div className="text-center py-8 border border-dashed border-border rounded-lg">
           <p className="text-muted-foreground text-sm">
-            No tests configured. Add tests to verify page content and behavior during screenshot captures.
+            No tests configured. Add tests to verify page content and behavior during screenshot captures,
+            or budgets to catch performance regressions such as a growing JavaScript bundle.
           </p>
         </div>
       ) : (
@@ -83,7 +92,22 @@ export function TestsList({ pageId, tests }: TestsListProps) {
         pageId={pageId}
       />
 
-      {editTest && (
+      <BudgetDialog
+        open={addBudgetOpen}
+        onOpenChange={setAddBudgetOpen}
+        pageId={pageId}
+      />
+
+      {editTest && editTest.script_type === 'budget' && (
+        <BudgetDialog
+          open={!!editTest}
+          onOpenChange={(open) => !open && setEditTest(null)}
+          test={editTest}
+          pageId={pageId}
+        />
+      )}
+
+      {editTest && editTest.script_type !== 'budget' && (
         <EditTestDialog
           open={!!editTest}
           onOpenChange={(open) => !open && setEditTest(null)}
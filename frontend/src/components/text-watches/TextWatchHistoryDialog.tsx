@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Badge } from '@/components/ui/badge'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Switch } from '@/components/ui/switch'
+import { DiffChange } from '@/components/screenshots/DomDiffView'
+import { TextWatch, TextWatchResult } from '@/lib/api'
+import { useTextWatchResults } from '@/hooks/useQueries'
+import { formatDateTime } from '@/lib/utils'
+
+interface TextWatchHistoryDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  pageId: number
+  watch: TextWatch
+}
+
+// Latest results of a text watch with the diff against the capture before each
+export function TextWatchHistoryDialog({ open, onOpenChange, pageId, watch }: TextWatchHistoryDialogProps) {
+  const [triggeredOnly, setTriggeredOnly] = useState(false)
+  const { data, isLoading } = useTextWatchResults(pageId, watch.id, { triggered: triggeredOnly, limit: 50 })
+  const results = data?.results ?? []
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[80vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Icon name="find_in_page" />
+            {watch.name}
+          </DialogTitle>
+          <DialogDescription>
+            Text of {watch.selector ? <code className="font-mono">{watch.selector}</code> : 'the whole page'} with
+            every capture
+          </DialogDescription>
+        </DialogHeader>
+
+        <label className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Switch checked={triggeredOnly} onCheckedChange={setTriggeredOnly} />
+          Only show triggered results
+        </label>
+
+        <div className="flex-1 overflow-y-auto space-y-3 pr-1">
+          {isLoading ? (
+            Array.from({ length: 4 }).map((_, i) => <Skeleton key={i} className="h-16 w-full" />)
+          ) : results.length === 0 ? (
+            <p className="text-center py-10 text-sm text-muted-foreground">
+              {triggeredOnly ? 'This watch has not triggered yet' : 'No results yet. The watch is checked with the next capture.'}
+            </p>
+          ) : (
+            results.map(result => <WatchResult key={result.id} result={result} />)
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function WatchResult({ result }: { result: TextWatchResult }) {
+  return (
+    <div className="rounded-lg border border-border p-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-mono text-xs">{formatDateTime(result.created_at)}</span>
+        <span className="text-xs text-muted-foreground">
+          {result.device_name || result.viewport}
+          {result.variant && ` · ${result.variant}`}
+        </span>
+        {result.triggered && <Badge variant="warning">Triggered</Badge>}
+        {result.matched !== null && (
+          <Badge variant={result.matched ? 'secondary' : 'outline'}>
+            {result.matched ? 'Pattern found' : 'Pattern not found'}
+          </Badge>
+        )}
+        {result.diff && (
+          <span className="text-xs">
+            <span className="text-green-500 font-medium">+{result.diff.added}</span>{' '}
+            <span className="text-red-500 font-medium">-{result.diff.removed}</span>
+          </span>
+        )}
+      </div>
+
+      {result.error_message ? (
+        <p className="text-sm text-destructive">{result.error_message}</p>
+      ) : result.diff ? (
+        <pre className="rounded border border-border bg-muted/30 text-xs font-mono overflow-x-auto max-h-64">
+          {result.diff.changes.map((change, index) => (
+            <DiffChange key={index} change={change} />
+          ))}
+        </pre>
+      ) : (
+        <p className="text-xs text-muted-foreground truncate" title={result.text_excerpt ?? undefined}>
+          {result.compared_to_id ? 'Unchanged' : 'First capture'}
+          {result.text_excerpt && ` · ${result.text_excerpt}`}
+        </p>
+      )}
+    </div>
+  )
+}
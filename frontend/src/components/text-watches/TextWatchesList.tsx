@@ -0,0 +1,222 @@
+import { useState } from 'react'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Input } from '@/components/ui/input'
+import { Switch } from '@/components/ui/switch'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { TextWatch, TextWatchCondition } from '@/lib/api'
+import { TEXT_WATCH_CONDITIONS } from '@/lib/constants'
+import { useCreateTextWatch, useUpdateTextWatch, useDeleteTextWatch } from '@/hooks/useQueries'
+import { formatDateTime } from '@/lib/utils'
+import { TextWatchHistoryDialog } from './TextWatchHistoryDialog'
+import { toast } from 'sonner'
+
+interface TextWatchesListProps {
+  pageId: number
+  watches: TextWatch[]
+}
+
+export function TextWatchesList({ pageId, watches }: TextWatchesListProps) {
+  const [name, setName] = useState('')
+  const [selector, setSelector] = useState('')
+  const [condition, setCondition] = useState<TextWatchCondition>('changed')
+  const [pattern, setPattern] = useState('')
+  const [isRegex, setIsRegex] = useState(false)
+  const [historyWatch, setHistoryWatch] = useState<TextWatch | null>(null)
+
+  const createWatch = useCreateTextWatch()
+  const updateWatch = useUpdateTextWatch()
+  const deleteWatch = useDeleteTextWatch()
+
+  const needsPattern = condition !== 'changed'
+  const canAdd = !!name.trim() && (!needsPattern || !!pattern.trim())
+
+  const handleAdd = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!canAdd) return
+
+    createWatch.mutate(
+      {
+        pageId,
+        data: {
+          name: name.trim(),
+          selector: selector.trim() || null,
+          watch_condition: condition,
+          pattern: pattern.trim() || null,
+          is_regex: isRegex,
+        },
+      },
+      {
+        onSuccess: () => {
+          setName('')
+          setSelector('')
+          setPattern('')
+          setIsRegex(false)
+          toast.success('Text watch added. It is checked from the next capture.')
+        },
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to add text watch')
+        },
+      }
+    )
+  }
+
+  const handleToggle = (watch: TextWatch, isActive: boolean) => {
+    updateWatch.mutate(
+      { pageId, watchId: watch.id, data: { is_active: isActive } },
+      {
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to update text watch')
+        },
+      }
+    )
+  }
+
+  const handleDelete = (watch: TextWatch) => {
+    if (!confirm(`Delete text watch "${watch.name}" and its ${watch.check_count ?? 0} results?`)) return
+
+    deleteWatch.mutate(
+      { pageId, watchId: watch.id },
+      {
+        onError: (error) => {
+          toast.error(error instanceof Error ? error.message : 'Failed to delete text watch')
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="mb-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold">Text Watches</h3>
+      </div>
+
+      {/* Add watch form */}
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 mb-3">
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name, e.g. Price"
+          className="w-40"
+          disabled={createWatch.isPending}
+        />
+        <Input
+          value={selector}
+          onChange={(e) => setSelector(e.target.value)}
+          placeholder="CSS selector (empty = whole page)"
+          className="w-56 font-mono text-sm"
+          disabled={createWatch.isPending}
+        />
+        <Select value={condition} onValueChange={(value) => setCondition(value as TextWatchCondition)}>
+          <SelectTrigger className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {TEXT_WATCH_CONDITIONS.map(option => (
+              <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          value={pattern}
+          onChange={(e) => setPattern(e.target.value)}
+          placeholder={needsPattern ? 'Keyword, e.g. out of stock' : 'Only lines matching (optional)'}
+          maxLength={isRegex ? 200 : 512}
+          className="flex-1 min-w-[180px] text-sm"
+          disabled={createWatch.isPending}
+        />
+        <label className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Switch checked={isRegex} onCheckedChange={setIsRegex} disabled={createWatch.isPending} />
+          Regex
+        </label>
+        <Button type="submit" size="sm" disabled={!canAdd || createWatch.isPending}>
+          <Icon name="add" size="sm" />
+          Add Watch
+        </Button>
+      </form>
+
+      {/* List */}
+      {watches.length === 0 ? (
+        <div className="text-center py-6 border border-dashed border-border rounded-lg">
+          <p className="text-muted-foreground text-sm">
+            No text watches. Watch the text of the page or an element for changes, or for a keyword such as
+            "out of stock" or a price pattern to appear or disappear.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {watches.map(watch => (
+            <div key={watch.id} className="flex items-center gap-3 rounded-lg border border-border p-3">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium truncate">{watch.name}</span>
+                  <Badge variant="outline">
+                    {TEXT_WATCH_CONDITIONS.find(option => option.value === watch.watch_condition)?.label}
+                  </Badge>
+                  {watch.pattern && (
+                    <span className="font-mono text-xs truncate" title={watch.is_regex ? 'Regex' : 'Keyword'}>
+                      {watch.is_regex ? `/${watch.pattern}/` : `"${watch.pattern}"`}
+                    </span>
+                  )}
+                  <span className="font-mono text-xs text-muted-foreground truncate">
+                    {watch.selector || 'whole page'}
+                  </span>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {watch.check_count ?? 0} check{watch.check_count !== 1 ? 's' : ''}
+                  {watch.last_checked_at && ` · last ${formatDateTime(watch.last_checked_at)}`}
+                  {watch.last_triggered_at && (
+                    <span className="text-amber-600 dark:text-amber-400">
+                      {` · triggered ${formatDateTime(watch.last_triggered_at)}`}
+                    </span>
+                  )}
+                </p>
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setHistoryWatch(watch)}
+                title="Show results"
+              >
+                <Icon name="history" size="sm" />
+              </Button>
+              <Switch
+                checked={Boolean(watch.is_active)}
+                onCheckedChange={(checked) => handleToggle(watch, checked)}
+                disabled={updateWatch.isPending}
+                title={watch.is_active ? 'Checked with every capture' : 'Paused'}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => handleDelete(watch)}
+                disabled={deleteWatch.isPending}
+                className="text-destructive hover:text-destructive"
+                title="Delete text watch"
+              >
+                <Icon name="delete" size="sm" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {historyWatch && (
+        <TextWatchHistoryDialog
+          open={!!historyWatch}
+          onOpenChange={(open) => !open && setHistoryWatch(null)}
+          pageId={pageId}
+          watch={historyWatch}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,191 @@
+import { useState } from 'react'
+import { Badge } from '@/components/ui/badge'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { PageProbe, UptimeDay } from '@/lib/api'
+import { usePageUptime } from '@/hooks/useQueries'
+import { cn, formatDate, formatDateTime } from '@/lib/utils'
+
+const PERIODS = [
+  { value: 1, label: 'Last 24 hours' },
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+]
+
+// Certificates expiring sooner than this are highlighted
+const TLS_WARNING_DAYS = 14
+
+interface UptimePanelProps {
+  pageId: number
+}
+
+export function UptimePanel({ pageId }: UptimePanelProps) {
+  const [days, setDays] = useState(30)
+  const { data: uptime, isLoading } = usePageUptime(pageId, days)
+
+  if (isLoading) {
+    return <Skeleton className="h-64 w-full" />
+  }
+
+  if (!uptime || (uptime.probe_interval_minutes === null && uptime.recent.length === 0)) {
+    return (
+      <div className="text-center py-16 border border-dashed border-border rounded-lg">
+        <Icon name="monitor_heart" size="xl" className="text-muted-foreground mb-4" />
+        <h2 className="text-xl font-semibold mb-2">Uptime checks are off</h2>
+        <p className="text-muted-foreground">Turn on uptime checks in the page settings to probe the page between screenshots</p>
+      </div>
+    )
+  }
+
+  const tlsDaysLeft = uptime.tls_expires_at
+    ? Math.floor((new Date(uptime.tls_expires_at).getTime() - Date.now()) / (24 * 60 * 60 * 1000))
+    : null
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Select value={String(days)} onValueChange={(value) => setDays(parseInt(value, 10))}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {PERIODS.map(period => (
+              <SelectItem key={period.value} value={String(period.value)}>{period.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {uptime.probe_interval_minutes === null && (
+          <span className="text-sm text-muted-foreground">Uptime checks are off; showing earlier results</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4 rounded-lg border border-border p-4 text-sm">
+        <div>
+          <div className="text-xs text-muted-foreground">Status</div>
+          {uptime.status ? (
+            <div className="flex items-center gap-2 mt-1">
+              <Badge variant={uptime.status === 'up' ? 'success' : 'destructive'} className="gap-1">
+                <Icon name={uptime.status === 'up' ? 'check_circle' : 'cloud_off'} size="xs" />
+                {uptime.status === 'up' ? 'Up' : 'Down'}
+              </Badge>
+              {uptime.status_changed_at && (
+                <span className="text-xs text-muted-foreground" title={formatDateTime(uptime.status_changed_at)}>
+                  since {formatDate(uptime.status_changed_at)}
+                </span>
+              )}
+            </div>
+          ) : (
+            <div className="font-medium">–</div>
+          )}
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground">Uptime</div>
+          <div className="font-medium">{uptime.uptime_percentage !== null ? `${uptime.uptime_percentage}%` : '–'}</div>
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground">Avg. response</div>
+          <div className="font-medium">{uptime.avg_response_ms !== null ? `${uptime.avg_response_ms} ms` : '–'}</div>
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground">Checks</div>
+          <div className="font-medium">
+            {uptime.checks.toLocaleString()}
+            {uptime.down_checks > 0 && (
+              <span className="text-destructive"> · {uptime.down_checks.toLocaleString()} failed</span>
+            )}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground">TLS certificate</div>
+          <div
+            className={cn("font-medium", tlsDaysLeft !== null && tlsDaysLeft < TLS_WARNING_DAYS && "text-destructive")}
+            title={uptime.tls_expires_at ? `Expires ${formatDateTime(uptime.tls_expires_at)}` : undefined}
+          >
+            {tlsDaysLeft === null ? '–' : tlsDaysLeft < 0 ? 'Expired' : `Expires in ${tlsDaysLeft} days`}
+          </div>
+          {uptime.tls_error && (
+            <div className="text-xs text-destructive" title="The certificate was rejected when checked">
+              Invalid ({uptime.tls_error})
+            </div>
+          )}
+        </div>
+      </div>
+
+      {uptime.daily.length > 0 && <DailyBars daily={uptime.daily} />}
+
+      {uptime.recent.length > 0 && <RecentProbes probes={uptime.recent} />}
+    </div>
+  )
+}
+
+function DailyBars({ daily }: { daily: UptimeDay[] }) {
+  return (
+    <div className="space-y-2">
+      <div className="text-xs text-muted-foreground">Uptime per day</div>
+      <div className="flex items-end gap-0.5 h-10">
+        {daily.map(day => (
+          <div
+            key={day.date}
+            className={cn(
+              "flex-1 h-full rounded-sm",
+              day.down_checks === 0 ? "bg-green-500" : (day.uptime_percentage ?? 0) >= 99 ? "bg-amber-500" : "bg-destructive"
+            )}
+            title={`${formatDate(day.date)}: ${day.uptime_percentage}% (${day.down_checks} of ${day.checks} checks failed)`}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function RecentProbes({ probes }: { probes: PageProbe[] }) {
+  return (
+    <div className="rounded-lg border border-border overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-muted/50 text-xs text-muted-foreground">
+          <tr>
+            <th className="text-left font-medium px-4 py-2">Checked</th>
+            <th className="text-left font-medium px-4 py-2">Result</th>
+            <th className="text-left font-medium px-4 py-2">Response</th>
+            <th className="text-left font-medium px-4 py-2 hidden md:table-cell">Redirects</th>
+          </tr>
+        </thead>
+        <tbody>
+          {probes.map(probe => (
+            <tr key={probe.id} className="border-t border-border">
+              <td className="px-4 py-2 font-mono text-xs whitespace-nowrap">{formatDateTime(probe.checked_at)}</td>
+              <td className="px-4 py-2">
+                <div className="flex items-center gap-2">
+                  <span className={cn("w-2 h-2 rounded-full shrink-0", probe.is_up ? "bg-green-500" : "bg-destructive")} />
+                  {probe.status_code !== null && <span className="font-mono">{probe.status_code}</span>}
+                  {probe.status_code === null && probe.error_message && (
+                    <span className="text-destructive truncate max-w-xs" title={probe.error_message}>
+                      {probe.error_message}
+                    </span>
+                  )}
+                </div>
+              </td>
+              <td className="px-4 py-2 text-muted-foreground">
+                {probe.response_time_ms !== null ? `${probe.response_time_ms} ms` : '–'}
+              </td>
+              <td
+                className="px-4 py-2 text-muted-foreground hidden md:table-cell"
+                title={(probe.redirects ?? []).map(r => `${r.status_code} ${r.url}`).concat(probe.final_url ?? []).join('\n → ')}
+              >
+                {probe.redirects?.length ?? 0}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -1,12 +1,28 @@
+import { useCallback } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { queryKeys } from '@/lib/queryClient'
 import {
   api,
   Site,
   Page,
+  CaptureJob,
   Instruction,
   Test,
-  UserSettings,
+  PerformanceBudget,
+  DomDiffMode,
+  OrganizationSettings,
+  SchedulePreviewData,
+  CreateIgnoreRegionData,
+  PageComponentData,
+  TextWatchData,
+  ShareLinkData,
+  ApiKeyData,
+  OrganizationRole,
+  ShareLinkFilter,
+  WebhookData,
+  LoginProfileData,
+  RequestSettingsData,
+  DeviceProfileData,
 } from '@/lib/api'
 
 // ============================================================================
@@ -51,11 +67,13 @@ export function useUpdateSite() {
       data,
     }: {
       id: number
-      data: Partial<Pick<Site, 'name' | 'domain' | 'interval_minutes' | 'viewports'>>
+      data: Partial<Pick<Site, 'name' | 'domain' | 'interval_minutes' | 'schedule_cron' | 'schedule_timezone' | 'blackout_windows' | 'viewports' | 'device_profiles' | 'max_concurrent_captures' | 'capture_delay_seconds'>>
     }) => api.updateSite(id, data),
     onSuccess: (_, { id }) => {
       queryClient.invalidateQueries({ queryKey: queryKeys.sites.all })
       queryClient.invalidateQueries({ queryKey: queryKeys.sites.detail(id) })
+      // Pages inherit the site schedule (next_capture_at)
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.list(id) })
     },
   })
 }
@@ -139,7 +157,7 @@ export function useUpdatePage() {
       data,
     }: {
       id: number
-      data: Partial<Pick<Page, 'name' | 'url' | 'interval_minutes' | 'viewports' | 'is_active'>>
+      data: Partial<Pick<Page, 'name' | 'url' | 'interval_minutes' | 'schedule_cron' | 'schedule_timezone' | 'blackout_windows' | 'viewports' | 'device_profiles' | 'capture_variants' | 'login_profile_id' | 'priority' | 'record_har' | 'archive_mhtml' | 'probe_interval_minutes' | 'is_active'>>
     }) => api.updatePage(id, data),
     onSuccess: (updatedPage) => {
       queryClient.invalidateQueries({ queryKey: queryKeys.pages.detail(updatedPage.id) })
@@ -190,23 +208,66 @@ export function useTriggerCapture() {
     mutationFn: (pageId: number) => api.triggerCapture(pageId),
     onSuccess: (_, pageId) => {
       queryClient.invalidateQueries({ queryKey: queryKeys.pages.captureStatus(pageId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.captureJobsAll(pageId) })
     },
   })
 }
 
+export function useResumePage() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId }: { pageId: number; siteId: number }) => api.resumePage(pageId),
+    onSuccess: (_, { pageId, siteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.detail(pageId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.list(siteId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.captureJobsAll(pageId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.all })
+    },
+  })
+}
+
+export function useResumeSitePages() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (siteId: number) => api.resumeSitePages(siteId),
+    onSuccess: (_, siteId) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.list(siteId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.all })
+    },
+  })
+}
+
+export function useCaptureJobs(
+  pageId: number | undefined,
+  options?: { status?: CaptureJob['status'] | null; offset?: number; limit?: number; enabled?: boolean }
+) {
+  const status = options?.status ?? null
+  const offset = options?.offset ?? 0
+
+  return useQuery({
+    queryKey: queryKeys.pages.captureJobs(pageId!, status, offset),
+    queryFn: () => api.getPageCaptureJobs(pageId!, { status, offset, limit: options?.limit ?? 20 }),
+    enabled: !!pageId && (options?.enabled !== false),
+    refetchInterval: 15 * 1000, // Pick up scheduled runs and retries while the log is open
+  })
+}
+
 // ============================================================================
 // Screenshots
 // ============================================================================
 
 export function useScreenshots(
   pageId: number | undefined,
-  options?: { viewport?: string | null; limit?: number; offset?: number; enabled?: boolean }
+  options?: { viewport?: string | null; variant?: string | null; limit?: number; offset?: number; enabled?: boolean }
 ) {
   return useQuery({
-    queryKey: queryKeys.screenshots.list(pageId!, options?.viewport),
+    queryKey: queryKeys.screenshots.list(pageId!, options?.viewport, options?.variant),
     queryFn: () =>
       api.getScreenshots(pageId!, {
         viewport: options?.viewport,
+        variant: options?.variant,
         limit: options?.limit,
         offset: options?.offset,
       }),
@@ -231,6 +292,20 @@ export function useScreenshotTestResults(screenshotId: number | undefined) {
   })
 }
 
+export function useDomSnapshotDiff(
+  beforeId: number | undefined,
+  afterId: number | undefined,
+  mode: DomDiffMode,
+  options?: { enabled?: boolean }
+) {
+  return useQuery({
+    queryKey: queryKeys.screenshots.snapshotDiff(beforeId!, afterId!, mode),
+    queryFn: () => api.getDomSnapshotDiff(beforeId!, afterId!, mode),
+    enabled: !!beforeId && !!afterId && (options?.enabled !== false),
+    retry: false, // 404 when a capture predates DOM snapshots
+  })
+}
+
 export function useDeleteScreenshot() {
   const queryClient = useQueryClient()
 
@@ -244,6 +319,70 @@ export function useDeleteScreenshot() {
   })
 }
 
+export function useBaselines(pageId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.pages.baselines(pageId!),
+    queryFn: () => api.getBaselines(pageId!),
+    enabled: !!pageId,
+  })
+}
+
+export function usePageMetrics(
+  pageId: number | undefined,
+  options?: { viewport?: string | null; variant?: string | null; enabled?: boolean }
+) {
+  const viewport = options?.viewport ?? null
+  const variant = options?.variant ?? null
+
+  return useQuery({
+    queryKey: queryKeys.pages.metrics(pageId!, viewport, variant),
+    queryFn: () => api.getPageMetrics(pageId!, { viewport, variant }),
+    enabled: !!pageId && (options?.enabled !== false),
+  })
+}
+
+export function usePageUptime(pageId: number | undefined, days: number) {
+  return useQuery({
+    queryKey: queryKeys.pages.uptime(pageId!, days),
+    queryFn: () => api.getPageUptime(pageId!, days),
+    enabled: !!pageId,
+    refetchInterval: 60 * 1000, // Probes run every minute at most
+  })
+}
+
+export function useSiteUptime(siteId: number | undefined, days: number) {
+  return useQuery({
+    queryKey: queryKeys.sites.uptime(siteId!, days),
+    queryFn: () => api.getSiteUptime(siteId!, days),
+    enabled: !!siteId,
+    refetchInterval: 60 * 1000,
+  })
+}
+
+export function useSetBaseline() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (screenshotId: number) => api.setBaseline(screenshotId),
+    onSuccess: (baseline) => {
+      queryClient.invalidateQueries({ queryKey: ['screenshots'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.baselines(baseline.page_id) })
+    },
+  })
+}
+
+export function useRemoveBaseline() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (screenshotId: number) => api.removeBaseline(screenshotId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['screenshots'] })
+      queryClient.invalidateQueries({ queryKey: ['pages'] })
+    },
+  })
+}
+
 export function useDeleteScreenshots() {
   const queryClient = useQueryClient()
 
@@ -257,6 +396,174 @@ export function useDeleteScreenshots() {
   })
 }
 
+// ============================================================================
+// Ignore Regions
+// ============================================================================
+
+export function useIgnoreRegions(pageId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.ignoreRegions.list(pageId!),
+    queryFn: () => api.getIgnoreRegions(pageId!),
+    enabled: !!pageId,
+  })
+}
+
+export function useCreateIgnoreRegion() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, data }: { pageId: number; data: CreateIgnoreRegionData }) =>
+      api.createIgnoreRegion(pageId, data),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.ignoreRegions.list(pageId) })
+    },
+  })
+}
+
+export function useDeleteIgnoreRegion() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, regionId }: { pageId: number; regionId: number }) =>
+      api.deleteIgnoreRegion(pageId, regionId),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.ignoreRegions.list(pageId) })
+    },
+  })
+}
+
+// ============================================================================
+// Components
+// ============================================================================
+
+export function useComponents(pageId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.components.list(pageId!),
+    queryFn: () => api.getComponents(pageId!),
+    enabled: !!pageId,
+  })
+}
+
+export function useCreateComponent() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, data }: { pageId: number; data: PageComponentData }) =>
+      api.createComponent(pageId, data),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.components.list(pageId) })
+    },
+  })
+}
+
+export function useUpdateComponent() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, componentId, data }: { pageId: number; componentId: number; data: Partial<PageComponentData> }) =>
+      api.updateComponent(pageId, componentId, data),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.components.list(pageId) })
+    },
+  })
+}
+
+export function useDeleteComponent() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, componentId }: { pageId: number; componentId: number }) =>
+      api.deleteComponent(pageId, componentId),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.components.list(pageId) })
+    },
+  })
+}
+
+export function useComponentScreenshots(
+  pageId: number | undefined,
+  componentId: number | undefined,
+  options?: { viewport?: string | null; variant?: string | null; limit?: number; offset?: number }
+) {
+  return useQuery({
+    queryKey: queryKeys.components.screenshots(componentId!, options?.viewport, options?.variant),
+    queryFn: () =>
+      api.getComponentScreenshots(pageId!, componentId!, {
+        viewport: options?.viewport,
+        variant: options?.variant,
+        limit: options?.limit,
+        offset: options?.offset,
+      }),
+    enabled: !!pageId && !!componentId,
+    refetchInterval: 30 * 1000, // Poll every 30 seconds
+  })
+}
+
+// ============================================================================
+// Text watches
+// ============================================================================
+
+export function useTextWatches(pageId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.textWatches.list(pageId!),
+    queryFn: () => api.getTextWatches(pageId!),
+    enabled: !!pageId,
+  })
+}
+
+export function useCreateTextWatch() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, data }: { pageId: number; data: TextWatchData }) =>
+      api.createTextWatch(pageId, data),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.textWatches.list(pageId) })
+    },
+  })
+}
+
+export function useUpdateTextWatch() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, watchId, data }: { pageId: number; watchId: number; data: Partial<TextWatchData> }) =>
+      api.updateTextWatch(pageId, watchId, data),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.textWatches.list(pageId) })
+    },
+  })
+}
+
+export function useDeleteTextWatch() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, watchId }: { pageId: number; watchId: number }) =>
+      api.deleteTextWatch(pageId, watchId),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.textWatches.list(pageId) })
+    },
+  })
+}
+
+export function useTextWatchResults(
+  pageId: number | undefined,
+  watchId: number | undefined,
+  options?: { triggered?: boolean; limit?: number; offset?: number }
+) {
+  return useQuery({
+    queryKey: queryKeys.textWatches.results(watchId!, !!options?.triggered),
+    queryFn: () =>
+      api.getTextWatchResults(pageId!, watchId!, {
+        triggered: options?.triggered,
+        limit: options?.limit,
+        offset: options?.offset,
+      }),
+    enabled: !!pageId && !!watchId,
+  })
+}
+
 // ============================================================================
 // Instructions
 // ============================================================================
@@ -369,7 +676,7 @@ export function useCreateTest() {
       data,
     }: {
       pageId: number
-      data: { name: string; prompt: string; viewport?: string; viewports?: string[]; useActions?: boolean }
+      data: { name: string; prompt?: string; viewport?: string; viewports?: string[]; useActions?: boolean; budget?: PerformanceBudget }
     }) => api.createTest(pageId, data),
     onSuccess: (_, { pageId }) => {
       queryClient.invalidateQueries({ queryKey: queryKeys.tests.list(pageId) })
@@ -388,7 +695,7 @@ export function useUpdateTest() {
     }: {
       pageId: number
       testId: number
-      data: Partial<Pick<Test, 'name' | 'prompt' | 'is_active' | 'script' | 'script_type' | 'viewports'>>
+      data: Partial<Pick<Test, 'name' | 'prompt' | 'is_active' | 'script' | 'script_type' | 'viewports'>> & { budget?: PerformanceBudget }
     }) => api.updateTest(pageId, testId, data),
     onSuccess: (_, { pageId }) => {
       queryClient.invalidateQueries({ queryKey: queryKeys.tests.list(pageId) })
@@ -445,7 +752,7 @@ export function useReorderTests() {
 
 export function useSettings() {
   return useQuery({
-    queryKey: queryKeys.settings.user,
+    queryKey: queryKeys.settings.organization,
     queryFn: () => api.getSettings(),
   })
 }
@@ -454,10 +761,10 @@ export function useUpdateSettings() {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: (data: Partial<UserSettings>) => api.updateSettings(data),
+    mutationFn: (data: Partial<OrganizationSettings>) => api.updateSettings(data),
     onSuccess: () => {
       // Invalidate settings
-      queryClient.invalidateQueries({ queryKey: queryKeys.settings.user })
+      queryClient.invalidateQueries({ queryKey: queryKeys.settings.organization })
       // Invalidate pages since they inherit settings (effective_interval_minutes)
       queryClient.invalidateQueries({ queryKey: ['pages'] })
       // Invalidate sites since page counts may change how things are displayed
@@ -466,6 +773,483 @@ export function useUpdateSettings() {
   })
 }
 
+export function useSchedulePreview(data: SchedulePreviewData | null) {
+  return useQuery({
+    queryKey: queryKeys.settings.schedulePreview(data),
+    queryFn: () => api.previewSchedule(data!),
+    enabled: !!data,
+    retry: false,
+    staleTime: 60 * 1000,
+    placeholderData: (previous) => previous,
+  })
+}
+
+export function useSendTestDigest() {
+  return useMutation({
+    mutationFn: () => api.sendTestDigest(),
+  })
+}
+
+// ============================================================================
+// Device Profiles
+// ============================================================================
+
+export function useDeviceProfiles() {
+  return useQuery({
+    queryKey: queryKeys.deviceProfiles.all,
+    queryFn: () => api.getDeviceProfiles(),
+    staleTime: 5 * 60 * 1000, // Built-in profiles only change on worker start
+  })
+}
+
+export function useCreateDeviceProfile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data: DeviceProfileData) => api.createDeviceProfile(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.deviceProfiles.all })
+    },
+  })
+}
+
+export function useUpdateDeviceProfile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }: { id: number; data: Partial<DeviceProfileData> }) =>
+      api.updateDeviceProfile(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.deviceProfiles.all })
+    },
+  })
+}
+
+export function useDeleteDeviceProfile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => api.deleteDeviceProfile(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.deviceProfiles.all })
+    },
+  })
+}
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+export function useWebhooks() {
+  return useQuery({
+    queryKey: queryKeys.webhooks.all,
+    queryFn: () => api.getWebhooks(),
+  })
+}
+
+export function useCreateWebhook() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data: WebhookData) => api.createWebhook(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.webhooks.all })
+    },
+  })
+}
+
+export function useUpdateWebhook() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }: { id: number; data: Partial<WebhookData> }) =>
+      api.updateWebhook(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.webhooks.all })
+    },
+  })
+}
+
+export function useDeleteWebhook() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => api.deleteWebhook(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.webhooks.all })
+    },
+  })
+}
+
+export function useTestWebhook() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => api.testWebhook(id),
+    onSuccess: (_, id) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.webhooks.deliveries(id) })
+    },
+  })
+}
+
+export function useWebhookDeliveries(webhookId: number | undefined, options?: { enabled?: boolean }) {
+  return useQuery({
+    queryKey: queryKeys.webhooks.deliveries(webhookId!),
+    queryFn: () => api.getWebhookDeliveries(webhookId!, { limit: 20 }),
+    enabled: !!webhookId && (options?.enabled !== false),
+    refetchInterval: 10 * 1000, // Poll while open to pick up retries and test deliveries
+  })
+}
+
+// ============================================================================
+// Share links
+// ============================================================================
+
+export function useShareLinks(filter: ShareLinkFilter, options?: { enabled?: boolean }) {
+  return useQuery({
+    queryKey: queryKeys.shareLinks.list(filter),
+    queryFn: () => api.getShareLinks(filter),
+    enabled: options?.enabled !== false,
+  })
+}
+
+export function useCreateShareLink() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data: ShareLinkData) => api.createShareLink(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.shareLinks.all })
+    },
+  })
+}
+
+export function useDeleteShareLink() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => api.deleteShareLink(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.shareLinks.all })
+    },
+  })
+}
+
+export function useSharedContent(token: string | undefined) {
+  return useQuery({
+    queryKey: queryKeys.shares.detail(token!),
+    queryFn: () => api.getSharedContent(token!),
+    enabled: !!token,
+    retry: false,
+  })
+}
+
+export function useSharedScreenshots(
+  token: string | undefined,
+  options: { viewport?: string | null; offset?: number; limit?: number; enabled?: boolean } = {}
+) {
+  const { viewport = null, offset = 0, limit, enabled = true } = options
+  return useQuery({
+    queryKey: queryKeys.shares.screenshots(token!, viewport, offset),
+    queryFn: () => api.getSharedScreenshots(token!, { viewport, offset, limit }),
+    enabled: !!token && enabled,
+  })
+}
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+export function useApiKeys() {
+  return useQuery({
+    queryKey: queryKeys.apiKeys.all,
+    queryFn: () => api.getApiKeys(),
+  })
+}
+
+export function useCreateApiKey() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data: ApiKeyData) => api.createApiKey(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.apiKeys.all })
+    },
+  })
+}
+
+export function useDeleteApiKey() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => api.deleteApiKey(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.apiKeys.all })
+    },
+  })
+}
+
+// ============================================================================
+// Organizations
+// ============================================================================
+
+export function useOrganizations() {
+  return useQuery({
+    queryKey: queryKeys.organizations.all,
+    queryFn: () => api.getOrganizations(),
+  })
+}
+
+// The organization requests act on (the selected one, or the first one like the API)
+export function useCurrentOrganization() {
+  const { data: organizations, isLoading } = useOrganizations()
+  const selectedId = api.getOrganizationId()
+  const organization = organizations?.find(o => o.id === selectedId) ?? organizations?.[0] ?? null
+
+  return { organization, organizations, isLoading }
+}
+
+export function useSwitchOrganization() {
+  const queryClient = useQueryClient()
+
+  return useCallback((organizationId: number | null) => {
+    api.setOrganizationId(organizationId)
+    // Everything cached so far belongs to the previous organization
+    queryClient.resetQueries()
+  }, [queryClient])
+}
+
+export function useCreateOrganization() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (name: string) => api.createOrganization(name),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.all })
+    },
+  })
+}
+
+export function useUpdateOrganization() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, name }: { id: number; name: string }) => api.updateOrganization(id, name),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.all })
+    },
+  })
+}
+
+export function useDeleteOrganization() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => api.deleteOrganization(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.all })
+    },
+  })
+}
+
+export function useOrganizationMembers(organizationId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.organizations.members(organizationId!),
+    queryFn: () => api.getOrganizationMembers(organizationId!),
+    enabled: !!organizationId,
+  })
+}
+
+export function useUpdateOrganizationMember() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ organizationId, userId, role }: { organizationId: number; userId: number; role: OrganizationRole }) =>
+      api.updateOrganizationMember(organizationId, userId, role),
+    onSuccess: (_, { organizationId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.members(organizationId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.all })
+    },
+  })
+}
+
+export function useRemoveOrganizationMember() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ organizationId, userId }: { organizationId: number; userId: number }) =>
+      api.removeOrganizationMember(organizationId, userId),
+    onSuccess: (_, { organizationId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.members(organizationId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.all })
+    },
+  })
+}
+
+export function useOrganizationInvites(organizationId: number | undefined, enabled = true) {
+  return useQuery({
+    queryKey: queryKeys.organizations.invites(organizationId!),
+    queryFn: () => api.getOrganizationInvites(organizationId!),
+    enabled: !!organizationId && enabled,
+  })
+}
+
+export function useCreateOrganizationInvite() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ organizationId, email, role }: { organizationId: number; email: string; role: OrganizationRole }) =>
+      api.createOrganizationInvite(organizationId, email, role),
+    onSuccess: (_, { organizationId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.invites(organizationId) })
+    },
+  })
+}
+
+export function useDeleteOrganizationInvite() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ organizationId, inviteId }: { organizationId: number; inviteId: number }) =>
+      api.deleteOrganizationInvite(organizationId, inviteId),
+    onSuccess: (_, { organizationId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.invites(organizationId) })
+    },
+  })
+}
+
+export function useInvite(token: string | undefined) {
+  return useQuery({
+    queryKey: queryKeys.organizations.invite(token!),
+    queryFn: () => api.getInvite(token!),
+    enabled: !!token,
+    retry: false,
+  })
+}
+
+export function useAcceptInvite() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (token: string) => api.acceptInvite(token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.organizations.all })
+    },
+  })
+}
+
+// ============================================================================
+// Request Settings
+// ============================================================================
+
+export function useSiteRequestSettings(siteId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.sites.requestSettings(siteId!),
+    queryFn: () => api.getSiteRequestSettings(siteId!),
+    enabled: !!siteId,
+  })
+}
+
+export function useUpdateSiteRequestSettings() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ siteId, data }: { siteId: number; data: RequestSettingsData }) =>
+      api.updateSiteRequestSettings(siteId, data),
+    onSuccess: (_, { siteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.requestSettings(siteId) })
+    },
+  })
+}
+
+export function usePageRequestSettings(pageId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.pages.requestSettings(pageId!),
+    queryFn: () => api.getPageRequestSettings(pageId!),
+    enabled: !!pageId,
+  })
+}
+
+export function useUpdatePageRequestSettings() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ pageId, data }: { pageId: number; data: RequestSettingsData }) =>
+      api.updatePageRequestSettings(pageId, data),
+    onSuccess: (_, { pageId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.requestSettings(pageId) })
+    },
+  })
+}
+
+// ============================================================================
+// Login Profiles
+// ============================================================================
+
+export function useLoginProfiles(siteId: number | undefined) {
+  return useQuery({
+    queryKey: queryKeys.sites.loginProfiles(siteId!),
+    queryFn: () => api.getLoginProfiles(siteId!),
+    enabled: !!siteId,
+  })
+}
+
+export function useCreateLoginProfile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ siteId, data }: { siteId: number; data: LoginProfileData }) =>
+      api.createLoginProfile(siteId, data),
+    onSuccess: (_, { siteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.loginProfiles(siteId) })
+    },
+  })
+}
+
+export function useUpdateLoginProfile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({
+      siteId,
+      profileId,
+      data,
+    }: {
+      siteId: number
+      profileId: number
+      data: Partial<LoginProfileData>
+    }) => api.updateLoginProfile(siteId, profileId, data),
+    onSuccess: (_, { siteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.loginProfiles(siteId) })
+    },
+  })
+}
+
+export function useDeleteLoginProfile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ siteId, profileId }: { siteId: number; profileId: number }) =>
+      api.deleteLoginProfile(siteId, profileId),
+    onSuccess: (_, { siteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.loginProfiles(siteId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.pages.list(siteId) })
+    },
+  })
+}
+
+export function useClearLoginSession() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ siteId, profileId }: { siteId: number; profileId: number }) =>
+      api.clearLoginSession(siteId, profileId),
+    onSuccess: (_, { siteId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sites.loginProfiles(siteId) })
+    },
+  })
+}
+
 // ============================================================================
 // Page Discovery
 // ============================================================================
@@ -5,15 +5,29 @@ export interface User {
   created_at: string
 }
 
+// Blackout window in the schedule's time zone; end before start runs past midnight
+export interface BlackoutWindow {
+  days?: number[] | null // 0 = Sunday … 6 = Saturday, empty = every day
+  start: string // HH:MM
+  end: string // HH:MM
+}
+
 export interface Site {
   id: number
-  user_id: number
+  organization_id: number
   name: string
   domain: string
   interval_minutes: number | null
+  schedule_cron: string | null
+  schedule_timezone: string | null
+  blackout_windows: BlackoutWindow[] | null
   viewports: number[] | null
+  device_profiles: number[] | null // NULL = inherit, [] = use viewports
+  max_concurrent_captures: number | null // NULL = system default
+  capture_delay_seconds: number | null // NULL = system default
   created_at: string
   page_count?: number
+  suspended_page_count?: number
   screenshot_count?: number
 }
 
@@ -23,22 +37,53 @@ export interface Page {
   name: string
   url: string
   interval_minutes: number | null
+  schedule_cron: string | null
+  schedule_timezone: string | null
+  blackout_windows: BlackoutWindow[] | null
   viewports: number[] | null
+  device_profiles: number[] | null // NULL = inherit, [] = use viewports
+  capture_variants: CaptureVariant[] | null // Extra captures per viewport, NULL = default capture only
+  login_profile_id: number | null // NULL = the site's default login profile
+  priority: number // -2 (lowest) .. 2 (highest)
+  record_har: boolean | number // Store a HAR network log with each screenshot
+  archive_mhtml: boolean | number // Store an MHTML archive with each DOM snapshot
   is_active: boolean
+  // Set after too many consecutive capture failures; scheduled captures stop until resumed
+  suspended_at: string | null
+  suspended_reason: string | null
+  // Uptime probes between captures (NULL interval = no probes)
+  probe_interval_minutes: number | null
+  probe_status: ProbeStatus | null
+  probe_status_changed_at: string | null
+  last_probe_at: string | null
   last_screenshot_at: string | null
   created_at: string
   screenshot_count?: number
   latest_screenshot?: string | null
-  // Effective interval after cascade (page → site → user → system default)
+  // Effective schedule after cascade (page → site → user → system default)
   effective_interval_minutes?: number
+  effective_schedule_cron?: string | null
+  effective_schedule_timezone?: string
+  effective_blackout_windows?: BlackoutWindow[] | null
+  next_capture_at?: string | null
   // Error counts from the latest screenshot group
   latest_js_error_count?: number
   latest_network_error_count?: number
+  // Number of viewports flagged as changed in the latest screenshot group
+  latest_changed_count?: number
+  // Baseline comparison results for the latest screenshot group
+  latest_baseline_compared_count?: number
+  latest_baseline_differs_count?: number
 }
 
-export interface UserSettings {
+export interface OrganizationSettings {
   default_interval_minutes: number
   default_viewports: number[]
+  default_device_profiles: number[] | null // Replaces the viewports when set
+  // Schedule (cron overrides the interval when set)
+  default_schedule_cron: string | null
+  default_schedule_timezone: string | null
+  default_blackout_windows: BlackoutWindow[] | null
   // Retention policy settings
   retention_enabled: boolean
   max_screenshots_per_page: number | null
@@ -47,6 +92,38 @@ export interface UserSettings {
   keep_per_month: number
   keep_per_year: number
   max_age_days: number | null
+  // Change detection
+  change_threshold_percent: number
+  // Email digest
+  digest_frequency: 'off' | 'daily' | 'weekly'
+  digest_email: string | null
+  digest_hour: number
+  digest_last_sent_at?: string | null
+  // Resume suspended pages automatically after this many hours (null = never)
+  suspension_auto_resume_hours: number | null
+}
+
+export interface SchedulePreviewData {
+  interval_minutes: number
+  schedule_cron: string | null
+  schedule_timezone: string | null
+  blackout_windows: BlackoutWindow[] | null
+  last_capture_at?: string | null
+}
+
+export interface SchedulePreview {
+  next_capture_at: string
+  upcoming: string[]
+  timezone: string
+}
+
+// Extra capture per viewport with emulated media features, locale or time zone
+export interface CaptureVariant {
+  name: string
+  color_scheme?: 'light' | 'dark' | null
+  reduced_motion?: boolean
+  locale?: string | null
+  timezone?: string | null
 }
 
 export interface Screenshot {
@@ -59,6 +136,11 @@ export interface Screenshot {
   file_size: number
   viewport: 'desktop' | 'tablet' | 'mobile' | null
   viewport_width: number | null
+  // Device profile used for the capture (name is kept if the profile is deleted)
+  device_profile_id: number | null
+  device_name: string | null
+  // Capture variant name (null = default capture)
+  variant: string | null
   created_at: string
   // Error counts (from screenshot_errors table)
   js_error_count?: number
@@ -66,6 +148,208 @@ export interface Screenshot {
   // Test result counts (from test_results table)
   tests_passed?: number
   tests_failed?: number
+  // Automatic change detection against the approved baseline (or the previous capture)
+  compared_to_id?: number | null
+  compared_to_baseline?: boolean | number
+  diff_pixels?: number | null
+  diff_percentage?: number | null
+  diff_path?: string | null
+  has_changes?: boolean | number | null
+  har_path?: string | null // Network log of the capture (pages with record_har)
+  // DOM snapshot of the capture (HTML, text/outline summary, MHTML with archive_mhtml)
+  html_path?: string | null
+  dom_path?: string | null
+  mhtml_path?: string | null
+  // Whether this screenshot is the approved baseline for its page + viewport
+  is_baseline?: boolean | number
+  // Selector-based ignore regions resolved at capture time (screenshot pixels)
+  ignore_rects?: IgnoreRect[] | null
+  // Page performance data of the capture (only from GET /screenshots/:id; null for older captures)
+  metrics?: ScreenshotMetrics | null
+}
+
+export type CaptureStage = 'navigate' | 'consent' | 'instructions' | 'tests' | 'scroll' | 'screenshot'
+
+export interface ScreenshotMetrics {
+  // Navigation timing and web vitals (ms since navigation start)
+  ttfb_ms: number | null
+  dom_content_loaded_ms: number | null
+  load_ms: number | null
+  lcp_ms: number | null
+  cls: number | null
+  // Network traffic of the capture session
+  transfer_bytes: number | null
+  request_count: number | null
+  requests_by_type: Record<string, number> | null
+  bytes_by_type: Record<string, number> | null
+  // Milliseconds spent in each capture stage
+  stage_timings: Partial<Record<CaptureStage, number>> | null
+}
+
+export interface PageMetricsPoint extends ScreenshotMetrics {
+  screenshot_id: number
+  created_at: string
+  viewport: Screenshot['viewport']
+  viewport_width: number | null
+  device_name: string | null
+  variant: string | null
+}
+
+export interface PageMetricsResponse {
+  metrics: PageMetricsPoint[] // Oldest first
+}
+
+export interface IgnoreRect {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export interface IgnoreRegion {
+  id: number
+  page_id: number
+  type: 'selector' | 'rect'
+  name: string | null
+  selector: string | null
+  x: number | null
+  y: number | null
+  width: number | null
+  height: number | null
+  viewport: 'desktop' | 'tablet' | 'mobile' | null  // null = all viewports
+  created_at: string
+}
+
+export interface CreateIgnoreRegionData {
+  type: 'selector' | 'rect'
+  name?: string
+  selector?: string
+  x?: number
+  y?: number
+  width?: number
+  height?: number
+  viewport?: 'desktop' | 'tablet' | 'mobile' | null
+}
+
+// Named element captured as its own element screenshot with every capture
+export interface PageComponent {
+  id: number
+  page_id: number
+  name: string
+  selector: string
+  padding: number
+  is_active: boolean | number
+  created_at: string
+  updated_at: string
+  screenshot_count?: number
+  last_captured_at?: string | null
+}
+
+export interface PageComponentData {
+  name: string
+  selector: string
+  padding?: number
+  is_active?: boolean
+}
+
+export interface ComponentScreenshot {
+  id: number
+  component_id: number
+  screenshot_id: number // Full-page screenshot it was taken with
+  width: number | null
+  height: number | null
+  file_size: number | null
+  error_message: string | null // Set when the element was not found
+  compared_to_id: number | null
+  diff_pixels: number | null
+  diff_percentage: number | null
+  has_changes: boolean | number | null
+  has_diff: boolean | number
+  created_at: string
+  // From the full-page screenshot
+  viewport: 'desktop' | 'tablet' | 'mobile' | null
+  viewport_width: number | null
+  device_name: string | null
+  variant: string | null
+}
+
+// Visible text of the page or of an element, compared with every capture
+export type TextWatchCondition = 'changed' | 'appears' | 'disappears'
+
+export interface TextWatch {
+  id: number
+  page_id: number
+  name: string
+  selector: string | null // null = whole page
+  watch_condition: TextWatchCondition
+  pattern: string | null // Keyword or regex; narrows 'changed' to matching lines
+  is_regex: boolean | number
+  viewport: 'desktop' | 'tablet' | 'mobile' | null
+  is_active: boolean | number
+  created_at: string
+  updated_at: string
+  check_count?: number
+  trigger_count?: number
+  last_checked_at?: string | null
+  last_triggered_at?: string | null
+}
+
+export interface TextWatchData {
+  name: string
+  selector?: string | null
+  watch_condition?: TextWatchCondition
+  pattern?: string | null
+  is_regex?: boolean
+  viewport?: 'desktop' | 'tablet' | 'mobile' | null
+  is_active?: boolean
+}
+
+export interface TextWatchResult {
+  id: number
+  watch_id: number
+  screenshot_id: number
+  matched: boolean | null // null for watches without pattern
+  triggered: boolean
+  compared_to_id: number | null
+  diff: { added: number; removed: number; changes: DomDiffChange[] } | null
+  error_message: string | null // Set when the selector matched nothing
+  created_at: string
+  text_excerpt?: string | null
+  text?: string | null // Only on single results
+  // From the full-page screenshot
+  viewport: 'desktop' | 'tablet' | 'mobile' | null
+  viewport_width: number | null
+  device_name: string | null
+  variant: string | null
+}
+
+export interface TextWatchResultsResponse {
+  results: TextWatchResult[]
+  total: number
+  offset: number
+  limit: number
+}
+
+export interface ComponentScreenshotsResponse {
+  screenshots: ComponentScreenshot[]
+  total: number
+  offset: number
+  limit: number
+}
+
+export interface PageBaseline {
+  id: number
+  page_id: number
+  viewport: 'desktop' | 'tablet' | 'mobile'
+  device_profile_id: number // 0 = plain viewport width
+  variant: string // '' = default capture
+  screenshot_id: number
+  approved_by: number | null
+  created_at: string
+  updated_at: string
+  screenshot_created_at?: string
+  viewport_width?: number
+  device_name?: string | null
 }
 
 export interface JsError {
@@ -112,16 +396,36 @@ export interface Instruction {
   sessionId?: number  // AI session ID for tracking generation
 }
 
+export type BudgetMetric = 'lcp_ms' | 'ttfb_ms' | 'load_ms' | 'cls' | 'transfer_bytes' | 'script_bytes' | 'request_count'
+
+export interface PerformanceBudget {
+  metric: BudgetMetric
+  max: number // ms, bytes, requests or CLS score depending on the metric
+}
+
+// Latest result of a test for one viewport/device/variant
+export interface TestLastResult {
+  passed: boolean
+  message: string | null
+  created_at: string
+  screenshot_id: number
+  viewport: Screenshot['viewport']
+  device_name: string | null
+  variant: string | null
+}
+
 export interface Test {
   id: number
   page_id: number
   name: string
-  prompt: string
+  prompt: string // Empty for budgets
   script: string | null
-  script_type: 'eval' | 'actions'
+  script_type: 'eval' | 'actions' | 'budget' // budget = performance budget checked against capture metrics
   is_active: boolean
   execution_order: number
   viewports: string[] | null  // null = all viewports, or array like ["desktop", "mobile"]
+  budget: PerformanceBudget | null
+  last_results?: TestLastResult[]
   created_at: string
   updated_at: string
   generationError?: string
@@ -177,9 +481,353 @@ export interface AiMessagesResponse {
   }
 }
 
+export interface DeviceProfile {
+  id: number
+  organization_id: number | null
+  builtin_key: string | null
+  name: string
+  width: number
+  height: number
+  device_scale_factor: number
+  is_mobile: boolean
+  has_touch: boolean
+  is_landscape: boolean
+  user_agent: string | null
+  is_builtin: boolean
+  created_at: string
+}
+
+export interface DeviceProfileData {
+  name: string
+  width: number
+  height: number
+  device_scale_factor?: number
+  is_mobile?: boolean
+  has_touch?: boolean
+  is_landscape?: boolean
+  user_agent?: string | null
+}
+
+export type WebhookEvent = 'capture.failed' | 'test.failed' | 'screenshot.errors' | 'visual.changed' | 'page.suspended' | 'page.down' | 'page.up' | 'watch.triggered'
+
+export interface Webhook {
+  id: number
+  organization_id: number
+  name: string | null
+  url: string
+  secret: string
+  events: WebhookEvent[]
+  is_active: boolean
+  created_at: string
+  updated_at: string
+  last_delivery_status?: WebhookDelivery['status'] | null
+  last_delivery_at?: string | null
+}
+
+export interface WebhookData {
+  name?: string | null
+  url: string
+  secret?: string
+  events: WebhookEvent[]
+  is_active?: boolean
+}
+
+export interface WebhookDelivery {
+  id: number
+  webhook_id: number
+  event: WebhookEvent | 'webhook.test'
+  status: 'pending' | 'success' | 'failed'
+  attempts: number
+  next_attempt_at: string | null
+  response_status: number | null
+  response_body: string | null
+  error_message: string | null
+  created_at: string
+  delivered_at: string | null
+}
+
+export interface WebhookDeliveriesResponse {
+  deliveries: WebhookDelivery[]
+  total: number
+  limit: number
+  offset: number
+}
+
+// Read-only link to a screenshot, a comparison pair or a page timeline (no login needed)
+export type ShareLinkScope = 'screenshot' | 'comparison' | 'page'
+
+export interface ShareLink {
+  id: number
+  token: string
+  scope: ShareLinkScope
+  page_id: number
+  page_name?: string
+  screenshot_id: number | null
+  other_screenshot_id: number | null
+  name: string | null
+  expires_at: string | null
+  is_expired: boolean
+  view_count: number
+  last_viewed_at: string | null
+  created_at: string
+}
+
+export interface ShareLinkData {
+  scope: ShareLinkScope
+  page_id?: number
+  screenshot_id?: number
+  other_screenshot_id?: number
+  name?: string | null
+  expires_in_days?: number | null // null = never expires
+}
+
+// Which share links to list: all of a page, or those of one screenshot or comparison
+export interface ShareLinkFilter {
+  page_id?: number
+  screenshot_id?: number
+  other_screenshot_id?: number
+}
+
+export interface SharedScreenshot {
+  id: number
+  viewport: 'desktop' | 'tablet' | 'mobile' | null
+  viewport_width: number | null
+  device_name: string | null
+  variant: string | null
+  width: number
+  height: number
+  has_changes: boolean | number | null
+  diff_percentage: number | null
+  has_diff: boolean | number
+  created_at: string
+}
+
+export interface SharedContent {
+  scope: ShareLinkScope
+  name: string | null
+  expires_at: string | null
+  created_at: string
+  page: { name: string; url: string }
+  site: { name: string }
+  screenshots: SharedScreenshot[] // Oldest first; empty for page timelines
+}
+
+export interface SharedScreenshotsResponse {
+  screenshots: SharedScreenshot[]
+  total: number
+  limit: number
+  offset: number
+}
+
+// Personal API key for scripts and CI (sent as "Authorization: Bearer vs_...")
+export type ApiKeyScope = 'read' | 'capture' | 'manage'
+
+export interface ApiKey {
+  id: number
+  name: string
+  key_prefix: string
+  scopes: ApiKeyScope[]
+  last_used_at: string | null
+  created_at: string
+}
+
+// Returned once on creation; the full key cannot be retrieved later
+export interface CreatedApiKey extends ApiKey {
+  key: string
+}
+
+export interface ApiKeyData {
+  name: string
+  scopes: ApiKeyScope[]
+}
+
+// Organizations own sites, settings, webhooks and device profiles; viewers can see
+// everything, editors can also change it, owners can also manage members and invites
+export type OrganizationRole = 'viewer' | 'editor' | 'owner'
+
+export interface Organization {
+  id: number
+  name: string
+  role: OrganizationRole
+  member_count: number
+  created_at: string
+}
+
+export interface OrganizationMember {
+  user_id: number
+  email: string
+  role: OrganizationRole
+  created_at: string
+}
+
+export interface OrganizationInvite {
+  id: number
+  email: string
+  role: OrganizationRole
+  token: string
+  invited_by_email: string | null
+  is_expired: boolean
+  expires_at: string
+  created_at: string
+  email_sent?: boolean // Only on creation
+}
+
+// An invite as shown to the invited user before accepting it
+export interface InviteDetails {
+  email: string
+  role: OrganizationRole
+  organization_name: string
+  invited_by_email: string | null
+  is_expired: boolean
+  expires_at: string
+}
+
+export interface RequestCookie {
+  name: string
+  value: string
+  domain?: string // Defaults to the page's URL
+  path?: string
+}
+
+// NULL fields inherit (page -> site); the basic auth password is write-only
+export interface RequestSettings {
+  headers: Record<string, string> | null
+  cookies: RequestCookie[] | null
+  basic_auth_username: string | null
+  has_basic_auth_password: boolean
+  updated_at: string | null
+}
+
+export interface PageRequestSettings extends RequestSettings {
+  site: RequestSettings
+}
+
+export interface RequestSettingsData {
+  headers?: Record<string, string> | null
+  cookies?: RequestCookie[] | null
+  basic_auth_username?: string | null
+  basic_auth_password?: string // Only sent when set or changed
+}
+
+export interface LoginSequence {
+  steps: Array<{ action: string; [key: string]: unknown }>
+}
+
+export interface LoginProfile {
+  id: number
+  site_id: number
+  name: string
+  login_url: string
+  username: string | null
+  has_password: boolean
+  steps: LoginSequence
+  logged_in_selector: string | null
+  logged_out_url_pattern: string | null
+  session_ttl_minutes: number
+  is_default: boolean
+  has_session: boolean
+  session_expires_at: string | null
+  last_login_at: string | null
+  last_login_error: string | null
+  page_count: number
+  created_at: string
+  updated_at: string
+}
+
+export interface LoginProfileData {
+  name: string
+  login_url: string
+  username?: string | null
+  password?: string // Only sent when set or changed
+  steps: LoginSequence
+  logged_in_selector?: string | null
+  logged_out_url_pattern?: string | null
+  session_ttl_minutes?: number
+  is_default?: boolean
+}
+
 export interface ComparisonStats {
   diffPercentage: number
   diffPixels: number
+  ignoredRegions?: number
+}
+
+export type DomDiffMode = 'text' | 'dom'
+
+export type ProbeStatus = 'up' | 'down'
+
+export interface PageProbe {
+  id: number
+  is_up: boolean
+  status_code: number | null // null = no response (DNS, connection, TLS or timeout error)
+  response_time_ms: number | null
+  redirects: { url: string; status_code: number }[] | null
+  final_url: string | null
+  tls_expires_at: string | null
+  tls_error: string | null // Why the certificate was rejected; null = valid
+  error_message: string | null
+  checked_at: string
+}
+
+export interface UptimeDay {
+  date: string
+  checks: number
+  down_checks: number
+  uptime_percentage: number | null
+  avg_response_ms: number | null
+}
+
+export interface PageUptime {
+  days: number
+  probe_interval_minutes: number | null
+  status: ProbeStatus | null
+  status_changed_at: string | null
+  last_probe_at: string | null
+  tls_expires_at: string | null
+  tls_error: string | null
+  checks: number
+  down_checks: number
+  uptime_percentage: number | null // null without probes in the period
+  avg_response_ms: number | null
+  daily: UptimeDay[]
+  recent: PageProbe[] // Newest first
+}
+
+export interface SiteUptimePage {
+  page_id: number
+  name: string
+  url: string
+  probe_interval_minutes: number | null
+  probe_status: ProbeStatus | null
+  probe_status_changed_at: string | null
+  checks: number
+  down_checks: number
+  uptime_percentage: number | null
+  avg_response_ms: number | null
+}
+
+export interface SiteUptime {
+  days: number
+  checks: number
+  down_checks: number
+  uptime_percentage: number | null
+  pages_down: number
+  pages: SiteUptimePage[]
+}
+
+export interface DomDiffChange {
+  type: 'equal' | 'added' | 'removed'
+  lines: string[]
+  skipped?: number // Unchanged lines left out of an 'equal' run
+  skippedAt?: number // Index in lines where the skipped lines were
+}
+
+export interface DomSnapshotDiff {
+  mode: DomDiffMode
+  added: number
+  removed: number
+  truncated: boolean // One of the snapshots hit the size limit
+  changes: DomDiffChange[]
 }
 
 export interface DiscoveredPage {
@@ -210,16 +858,52 @@ export interface AuthResponse {
   user: User
 }
 
+export interface CaptureJobViewport {
+  viewport_key: string
+  label: string
+  viewport: string
+  viewport_width: number | null
+  device_name: string | null
+  variant: string | null
+  status: 'completed' | 'failed'
+  stage: 'navigation' | 'instructions' | 'screenshot' | 'thumbnail' | 'artifacts' | null // Where a failed viewport stopped
+  error_message: string | null
+  screenshot_id: number | null
+}
+
 export interface CaptureJob {
   id: number
-  status: 'pending' | 'capturing' | 'completed' | 'failed'
+  status: 'pending' | 'capturing' | 'completed' | 'partial' | 'failed' // partial = some viewports failed
   current_viewport: string | null
   viewports_completed: number
   viewports_total: number
   error_message: string | null
+  worker_id: string | null
   started_at: string | null
   completed_at: string | null
   created_at: string
+  viewports?: CaptureJobViewport[] // Outcome per viewport once the job has finished
+}
+
+export interface CaptureJobHistoryEntry extends CaptureJob {
+  page_id: number
+  page_name: string
+  duration_seconds: number | null // Until now while capturing, NULL before the job started
+  next_retry_at: string | null // Set on a page's latest failed job while automatic retries continue
+}
+
+export interface CaptureRetryState {
+  consecutive_failures: number
+  next_retry_at: string | null
+  retries_exhausted: boolean // Automatic retries stopped; "Capture now" still works
+}
+
+export interface CaptureJobsResponse {
+  jobs: CaptureJobHistoryEntry[]
+  total: number
+  limit: number
+  offset: number
+  retry?: CaptureRetryState // Only for a single page
 }
 
 export interface CaptureStatusResponse {
@@ -231,14 +915,21 @@ export interface TriggerCaptureResponse {
   jobId: number
 }
 
+export interface ResumePagesResponse {
+  message: string
+  resumed: number
+}
+
 // API Client
 const API_BASE = '/api'
 
 class ApiClient {
   private token: string | null
+  private organizationId: number | null
 
   constructor() {
     this.token = localStorage.getItem('token')
+    this.organizationId = Number(localStorage.getItem('organizationId')) || null
   }
 
   setToken(token: string | null) {
@@ -258,6 +949,20 @@ class ApiClient {
     return !!this.token
   }
 
+  // Organization sent with every request (the API falls back to the user's first one)
+  setOrganizationId(organizationId: number | null) {
+    this.organizationId = organizationId
+    if (organizationId) {
+      localStorage.setItem('organizationId', String(organizationId))
+    } else {
+      localStorage.removeItem('organizationId')
+    }
+  }
+
+  getOrganizationId(): number | null {
+    return this.organizationId
+  }
+
   private async request<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
     const url = `${API_BASE}${endpoint}`
     const headers: HeadersInit = {
@@ -268,6 +973,9 @@ class ApiClient {
     if (this.token) {
       (headers as Record<string, string>)['Authorization'] = `Bearer ${this.token}`
     }
+    if (this.organizationId) {
+      (headers as Record<string, string>)['X-Organization-Id'] = String(this.organizationId)
+    }
 
     const response = await fetch(url, {
       ...options,
@@ -306,6 +1014,7 @@ class ApiClient {
 
   logout() {
     this.setToken(null)
+    this.setOrganizationId(null)
   }
 
   async getMe(): Promise<User> {
@@ -313,17 +1022,290 @@ class ApiClient {
   }
 
   // Settings endpoints
-  async getSettings(): Promise<UserSettings> {
-    return this.request<UserSettings>('/settings')
+  async getSettings(): Promise<OrganizationSettings> {
+    return this.request<OrganizationSettings>('/settings')
   }
 
-  async updateSettings(data: Partial<UserSettings>): Promise<UserSettings> {
-    return this.request<UserSettings>('/settings', {
+  async updateSettings(data: Partial<OrganizationSettings>): Promise<OrganizationSettings> {
+    return this.request<OrganizationSettings>('/settings', {
       method: 'PUT',
       body: JSON.stringify(data),
     })
   }
 
+  async previewSchedule(data: SchedulePreviewData): Promise<SchedulePreview> {
+    return this.request<SchedulePreview>('/settings/schedule/preview', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async sendTestDigest(): Promise<{ message: string }> {
+    return this.request<{ message: string }>('/settings/digest/test', {
+      method: 'POST',
+    })
+  }
+
+  // Device profiles endpoints
+  async getDeviceProfiles(): Promise<DeviceProfile[]> {
+    return this.request<DeviceProfile[]>('/device-profiles')
+  }
+
+  async createDeviceProfile(data: DeviceProfileData): Promise<DeviceProfile> {
+    return this.request<DeviceProfile>('/device-profiles', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateDeviceProfile(id: number, data: Partial<DeviceProfileData>): Promise<DeviceProfile> {
+    return this.request<DeviceProfile>(`/device-profiles/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteDeviceProfile(id: number): Promise<void> {
+    return this.request<void>(`/device-profiles/${id}`, {
+      method: 'DELETE',
+    })
+  }
+
+  // Webhooks endpoints
+  async getWebhooks(): Promise<Webhook[]> {
+    return this.request<Webhook[]>('/webhooks')
+  }
+
+  async createWebhook(data: WebhookData): Promise<Webhook> {
+    return this.request<Webhook>('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateWebhook(id: number, data: Partial<WebhookData>): Promise<Webhook> {
+    return this.request<Webhook>(`/webhooks/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteWebhook(id: number): Promise<void> {
+    return this.request<void>(`/webhooks/${id}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async testWebhook(id: number): Promise<{ message: string; deliveryId: number }> {
+    return this.request<{ message: string; deliveryId: number }>(`/webhooks/${id}/test`, {
+      method: 'POST',
+    })
+  }
+
+  async getWebhookDeliveries(
+    id: number,
+    options?: { limit?: number; offset?: number }
+  ): Promise<WebhookDeliveriesResponse> {
+    const params = new URLSearchParams()
+    if (options?.limit) params.set('limit', String(options.limit))
+    if (options?.offset) params.set('offset', String(options.offset))
+    const query = params.toString()
+    return this.request<WebhookDeliveriesResponse>(`/webhooks/${id}/deliveries${query ? `?${query}` : ''}`)
+  }
+
+  // Share links endpoints
+  async getShareLinks(filter: ShareLinkFilter = {}): Promise<ShareLink[]> {
+    const params = new URLSearchParams()
+    if (filter.page_id) params.set('page_id', String(filter.page_id))
+    if (filter.screenshot_id) params.set('screenshot_id', String(filter.screenshot_id))
+    if (filter.other_screenshot_id) params.set('other_screenshot_id', String(filter.other_screenshot_id))
+    const query = params.toString()
+    return this.request<ShareLink[]>(`/share-links${query ? `?${query}` : ''}`)
+  }
+
+  async createShareLink(data: ShareLinkData): Promise<ShareLink> {
+    return this.request<ShareLink>('/share-links', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteShareLink(id: number): Promise<void> {
+    return this.request<void>(`/share-links/${id}`, {
+      method: 'DELETE',
+    })
+  }
+
+  // API keys endpoints
+  async getApiKeys(): Promise<ApiKey[]> {
+    return this.request<ApiKey[]>('/api-keys')
+  }
+
+  async createApiKey(data: ApiKeyData): Promise<CreatedApiKey> {
+    return this.request<CreatedApiKey>('/api-keys', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteApiKey(id: number): Promise<void> {
+    return this.request<void>(`/api-keys/${id}`, {
+      method: 'DELETE',
+    })
+  }
+
+  // Organizations endpoints
+  async getOrganizations(): Promise<Organization[]> {
+    return this.request<Organization[]>('/organizations')
+  }
+
+  async createOrganization(name: string): Promise<Organization> {
+    return this.request<Organization>('/organizations', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    })
+  }
+
+  async updateOrganization(id: number, name: string): Promise<Organization> {
+    return this.request<Organization>(`/organizations/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name }),
+    })
+  }
+
+  async deleteOrganization(id: number): Promise<void> {
+    return this.request<void>(`/organizations/${id}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getOrganizationMembers(id: number): Promise<OrganizationMember[]> {
+    return this.request<OrganizationMember[]>(`/organizations/${id}/members`)
+  }
+
+  async updateOrganizationMember(id: number, userId: number, role: OrganizationRole): Promise<void> {
+    return this.request<void>(`/organizations/${id}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    })
+  }
+
+  async removeOrganizationMember(id: number, userId: number): Promise<void> {
+    return this.request<void>(`/organizations/${id}/members/${userId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getOrganizationInvites(id: number): Promise<OrganizationInvite[]> {
+    return this.request<OrganizationInvite[]>(`/organizations/${id}/invites`)
+  }
+
+  async createOrganizationInvite(id: number, email: string, role: OrganizationRole): Promise<OrganizationInvite> {
+    return this.request<OrganizationInvite>(`/organizations/${id}/invites`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role }),
+    })
+  }
+
+  async deleteOrganizationInvite(id: number, inviteId: number): Promise<void> {
+    return this.request<void>(`/organizations/${id}/invites/${inviteId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getInvite(token: string): Promise<InviteDetails> {
+    return this.request<InviteDetails>(`/organizations/invites/${encodeURIComponent(token)}`)
+  }
+
+  async acceptInvite(token: string): Promise<Pick<Organization, 'id' | 'name' | 'role'>> {
+    return this.request<Pick<Organization, 'id' | 'name' | 'role'>>(`/organizations/invites/${encodeURIComponent(token)}/accept`, {
+      method: 'POST',
+    })
+  }
+
+  // Public share endpoints (no login; the token grants access)
+  async getSharedContent(token: string): Promise<SharedContent> {
+    return this.request<SharedContent>(`/public/shares/${encodeURIComponent(token)}`)
+  }
+
+  async getSharedScreenshots(
+    token: string,
+    options: { limit?: number; offset?: number; viewport?: string | null } = {}
+  ): Promise<SharedScreenshotsResponse> {
+    const { limit = 50, offset = 0, viewport = null } = options
+    let url = `/public/shares/${encodeURIComponent(token)}/screenshots?limit=${limit}&offset=${offset}`
+    if (viewport) {
+      url += `&viewport=${encodeURIComponent(viewport)}`
+    }
+    return this.request<SharedScreenshotsResponse>(url)
+  }
+
+  getSharedScreenshotUrl(token: string, screenshotId: number, file: 'image' | 'thumbnail' | 'diff' = 'image'): string {
+    return `${API_BASE}/public/shares/${encodeURIComponent(token)}/screenshots/${screenshotId}/${file}`
+  }
+
+  getSharedComparisonUrl(token: string): string {
+    return `${API_BASE}/public/shares/${encodeURIComponent(token)}/compare`
+  }
+
+  // Request settings endpoints
+  async getSiteRequestSettings(siteId: number): Promise<RequestSettings> {
+    return this.request<RequestSettings>(`/sites/${siteId}/request-settings`)
+  }
+
+  async updateSiteRequestSettings(siteId: number, data: RequestSettingsData): Promise<RequestSettings> {
+    return this.request<RequestSettings>(`/sites/${siteId}/request-settings`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async getPageRequestSettings(pageId: number): Promise<PageRequestSettings> {
+    return this.request<PageRequestSettings>(`/pages/${pageId}/request-settings`)
+  }
+
+  async updatePageRequestSettings(pageId: number, data: RequestSettingsData): Promise<PageRequestSettings> {
+    return this.request<PageRequestSettings>(`/pages/${pageId}/request-settings`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  // Login profiles endpoints
+  async getLoginProfiles(siteId: number): Promise<LoginProfile[]> {
+    return this.request<LoginProfile[]>(`/sites/${siteId}/login-profiles`)
+  }
+
+  async createLoginProfile(siteId: number, data: LoginProfileData): Promise<LoginProfile> {
+    return this.request<LoginProfile>(`/sites/${siteId}/login-profiles`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateLoginProfile(
+    siteId: number,
+    profileId: number,
+    data: Partial<LoginProfileData>
+  ): Promise<LoginProfile> {
+    return this.request<LoginProfile>(`/sites/${siteId}/login-profiles/${profileId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteLoginProfile(siteId: number, profileId: number): Promise<void> {
+    return this.request<void>(`/sites/${siteId}/login-profiles/${profileId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async clearLoginSession(siteId: number, profileId: number): Promise<{ message: string }> {
+    return this.request<{ message: string }>(`/sites/${siteId}/login-profiles/${profileId}/logout`, {
+      method: 'POST',
+    })
+  }
+
   // Sites endpoints
   async getSites(): Promise<Site[]> {
     return this.request<Site[]>('/sites')
@@ -340,7 +1322,10 @@ class ApiClient {
     })
   }
 
-  async updateSite(id: number, data: Partial<Pick<Site, 'name' | 'domain' | 'interval_minutes' | 'viewports'>>): Promise<Site> {
+  async updateSite(
+    id: number,
+    data: Partial<Pick<Site, 'name' | 'domain' | 'interval_minutes' | 'schedule_cron' | 'schedule_timezone' | 'blackout_windows' | 'viewports' | 'device_profiles' | 'max_concurrent_captures' | 'capture_delay_seconds'>>
+  ): Promise<Site> {
     return this.request<Site>(`/sites/${id}`, {
       method: 'PUT',
       body: JSON.stringify(data),
@@ -388,7 +1373,7 @@ class ApiClient {
 
   async updatePage(
     id: number,
-    data: Partial<Pick<Page, 'name' | 'url' | 'interval_minutes' | 'viewports' | 'is_active'>>
+    data: Partial<Pick<Page, 'name' | 'url' | 'interval_minutes' | 'schedule_cron' | 'schedule_timezone' | 'blackout_windows' | 'viewports' | 'device_profiles' | 'capture_variants' | 'login_profile_id' | 'priority' | 'record_har' | 'archive_mhtml' | 'probe_interval_minutes' | 'is_active'>>
   ): Promise<Page> {
     return this.request<Page>(`/pages/${id}`, {
       method: 'PUT',
@@ -428,20 +1413,59 @@ class ApiClient {
     })
   }
 
+  async resumePage(pageId: number): Promise<{ message: string }> {
+    return this.request<{ message: string }>(`/pages/${pageId}/resume`, {
+      method: 'POST',
+    })
+  }
+
+  async resumeSitePages(siteId: number): Promise<ResumePagesResponse> {
+    return this.request<ResumePagesResponse>(`/sites/${siteId}/resume-pages`, {
+      method: 'POST',
+    })
+  }
+
   async getCaptureStatus(pageId: number): Promise<CaptureStatusResponse> {
     return this.request<CaptureStatusResponse>(`/pages/${pageId}/capture-status`)
   }
 
+  async getPageCaptureJobs(
+    pageId: number,
+    options?: { status?: CaptureJob['status'] | null; limit?: number; offset?: number }
+  ): Promise<CaptureJobsResponse> {
+    const params = new URLSearchParams()
+    if (options?.status) params.set('status', options.status)
+    if (options?.limit) params.set('limit', String(options.limit))
+    if (options?.offset) params.set('offset', String(options.offset))
+    const query = params.toString()
+    return this.request<CaptureJobsResponse>(`/pages/${pageId}/capture-jobs${query ? `?${query}` : ''}`)
+  }
+
+  async getSiteCaptureJobs(
+    siteId: number,
+    options?: { status?: CaptureJob['status'] | null; limit?: number; offset?: number }
+  ): Promise<CaptureJobsResponse> {
+    const params = new URLSearchParams()
+    if (options?.status) params.set('status', options.status)
+    if (options?.limit) params.set('limit', String(options.limit))
+    if (options?.offset) params.set('offset', String(options.offset))
+    const query = params.toString()
+    return this.request<CaptureJobsResponse>(`/sites/${siteId}/capture-jobs${query ? `?${query}` : ''}`)
+  }
+
   // Screenshots endpoints
   async getScreenshots(
     pageId: number,
-    options: { limit?: number; offset?: number; viewport?: string | null } = {}
+    options: { limit?: number; offset?: number; viewport?: string | null; variant?: string | null } = {}
   ): Promise<ScreenshotsResponse> {
-    const { limit = 50, offset = 0, viewport = null } = options
+    const { limit = 50, offset = 0, viewport = null, variant = null } = options
     let url = `/pages/${pageId}/screenshots?limit=${limit}&offset=${offset}`
     if (viewport) {
       url += `&viewport=${encodeURIComponent(viewport)}`
     }
+    if (variant) {
+      url += `&variant=${encodeURIComponent(variant)}`
+    }
     return this.request<ScreenshotsResponse>(url)
   }
 
@@ -466,6 +1490,42 @@ class ApiClient {
     })
   }
 
+  async setBaseline(screenshotId: number): Promise<PageBaseline> {
+    return this.request<PageBaseline>(`/screenshots/${screenshotId}/baseline`, {
+      method: 'POST',
+    })
+  }
+
+  async removeBaseline(screenshotId: number): Promise<void> {
+    return this.request<void>(`/screenshots/${screenshotId}/baseline`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getPageMetrics(
+    pageId: number,
+    options: { viewport?: string | null; variant?: string | null; limit?: number } = {}
+  ): Promise<PageMetricsResponse> {
+    const params = new URLSearchParams()
+    if (options.viewport) params.set('viewport', options.viewport)
+    if (options.variant) params.set('variant', options.variant)
+    if (options.limit) params.set('limit', String(options.limit))
+    const query = params.toString()
+    return this.request<PageMetricsResponse>(`/pages/${pageId}/metrics${query ? `?${query}` : ''}`)
+  }
+
+  async getPageUptime(pageId: number, days: number): Promise<PageUptime> {
+    return this.request<PageUptime>(`/pages/${pageId}/uptime?days=${days}`)
+  }
+
+  async getSiteUptime(siteId: number, days: number): Promise<SiteUptime> {
+    return this.request<SiteUptime>(`/sites/${siteId}/uptime?days=${days}`)
+  }
+
+  async getBaselines(pageId: number): Promise<PageBaseline[]> {
+    return this.request<PageBaseline[]>(`/pages/${pageId}/baselines`)
+  }
+
   getScreenshotImageUrl(id: number): string {
     return `${API_BASE}/screenshots/${id}/image?token=${encodeURIComponent(this.token || '')}`
   }
@@ -474,7 +1534,20 @@ class ApiClient {
     return `${API_BASE}/screenshots/${id}/thumbnail?token=${encodeURIComponent(this.token || '')}`
   }
 
+  getScreenshotDiffUrl(id: number): string {
+    return `${API_BASE}/screenshots/${id}/diff?token=${encodeURIComponent(this.token || '')}`
+  }
+
+  getScreenshotHarUrl(id: number): string {
+    return `${API_BASE}/screenshots/${id}/har?token=${encodeURIComponent(this.token || '')}`
+  }
+
+  getScreenshotSnapshotUrl(id: number, format: 'html' | 'mhtml'): string {
+    return `${API_BASE}/screenshots/${id}/snapshot/${format}?token=${encodeURIComponent(this.token || '')}`
+  }
+
   // Comparison endpoints
+
   getComparisonImageUrl(id1: number, id2: number): string {
     return `${API_BASE}/screenshots/${id1}/compare/${id2}?token=${encodeURIComponent(this.token || '')}`
   }
@@ -483,6 +1556,123 @@ class ApiClient {
     return this.request<ComparisonStats>(`/screenshots/${id1}/compare/${id2}/stats`)
   }
 
+  async getDomSnapshotDiff(id1: number, id2: number, mode: DomDiffMode): Promise<DomSnapshotDiff> {
+    return this.request<DomSnapshotDiff>(`/screenshots/${id1}/snapshot-diff/${id2}?mode=${mode}`)
+  }
+
+  // Ignore regions endpoints
+  async getIgnoreRegions(pageId: number): Promise<IgnoreRegion[]> {
+    return this.request<IgnoreRegion[]>(`/pages/${pageId}/ignore-regions`)
+  }
+
+  async createIgnoreRegion(pageId: number, data: CreateIgnoreRegionData): Promise<IgnoreRegion> {
+    return this.request<IgnoreRegion>(`/pages/${pageId}/ignore-regions`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteIgnoreRegion(pageId: number, regionId: number): Promise<void> {
+    return this.request<void>(`/pages/${pageId}/ignore-regions/${regionId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  // Components endpoints
+  async getComponents(pageId: number): Promise<PageComponent[]> {
+    return this.request<PageComponent[]>(`/pages/${pageId}/components`)
+  }
+
+  async createComponent(pageId: number, data: PageComponentData): Promise<PageComponent> {
+    return this.request<PageComponent>(`/pages/${pageId}/components`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateComponent(pageId: number, componentId: number, data: Partial<PageComponentData>): Promise<PageComponent> {
+    return this.request<PageComponent>(`/pages/${pageId}/components/${componentId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteComponent(pageId: number, componentId: number): Promise<void> {
+    return this.request<void>(`/pages/${pageId}/components/${componentId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getComponentScreenshots(
+    pageId: number,
+    componentId: number,
+    options: { limit?: number; offset?: number; viewport?: string | null; variant?: string | null } = {}
+  ): Promise<ComponentScreenshotsResponse> {
+    const { limit = 50, offset = 0, viewport = null, variant = null } = options
+    let url = `/pages/${pageId}/components/${componentId}/screenshots?limit=${limit}&offset=${offset}`
+    if (viewport) {
+      url += `&viewport=${encodeURIComponent(viewport)}`
+    }
+    if (variant) {
+      url += `&variant=${encodeURIComponent(variant)}`
+    }
+    return this.request<ComponentScreenshotsResponse>(url)
+  }
+
+  // Text watches endpoints
+  async getTextWatches(pageId: number): Promise<TextWatch[]> {
+    return this.request<TextWatch[]>(`/pages/${pageId}/watches`)
+  }
+
+  async createTextWatch(pageId: number, data: TextWatchData): Promise<TextWatch> {
+    return this.request<TextWatch>(`/pages/${pageId}/watches`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateTextWatch(pageId: number, watchId: number, data: Partial<TextWatchData>): Promise<TextWatch> {
+    return this.request<TextWatch>(`/pages/${pageId}/watches/${watchId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteTextWatch(pageId: number, watchId: number): Promise<void> {
+    return this.request<void>(`/pages/${pageId}/watches/${watchId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getTextWatchResults(
+    pageId: number,
+    watchId: number,
+    options: { limit?: number; offset?: number; triggered?: boolean } = {}
+  ): Promise<TextWatchResultsResponse> {
+    const { limit = 20, offset = 0, triggered = false } = options
+    let url = `/pages/${pageId}/watches/${watchId}/results?limit=${limit}&offset=${offset}`
+    if (triggered) {
+      url += '&triggered=true'
+    }
+    return this.request<TextWatchResultsResponse>(url)
+  }
+
+  async getTextWatchResult(pageId: number, watchId: number, resultId: number): Promise<TextWatchResult> {
+    return this.request<TextWatchResult>(`/pages/${pageId}/watches/${watchId}/results/${resultId}`)
+  }
+
+  getComponentScreenshotImageUrl(id: number): string {
+    return `${API_BASE}/component-screenshots/${id}/image?token=${encodeURIComponent(this.token || '')}`
+  }
+
+  getComponentScreenshotThumbnailUrl(id: number): string {
+    return `${API_BASE}/component-screenshots/${id}/thumbnail?token=${encodeURIComponent(this.token || '')}`
+  }
+
+  getComponentScreenshotDiffUrl(id: number): string {
+    return `${API_BASE}/component-screenshots/${id}/diff?token=${encodeURIComponent(this.token || '')}`
+  }
+
   // Instructions endpoints
   async getInstructions(pageId: number): Promise<Instruction[]> {
     return this.request<Instruction[]>(`/pages/${pageId}/instructions`)
@@ -540,7 +1730,7 @@ class ApiClient {
 
   async createTest(
     pageId: number,
-    data: { name: string; prompt: string; viewport?: string; viewports?: string[]; useActions?: boolean }
+    data: { name: string; prompt?: string; viewport?: string; viewports?: string[]; useActions?: boolean; budget?: PerformanceBudget }
   ): Promise<Test> {
     return this.request<Test>(`/pages/${pageId}/tests`, {
       method: 'POST',
@@ -551,7 +1741,7 @@ class ApiClient {
   async updateTest(
     pageId: number,
     testId: number,
-    data: Partial<Pick<Test, 'name' | 'prompt' | 'is_active' | 'script' | 'script_type' | 'viewports'>>
+    data: Partial<Pick<Test, 'name' | 'prompt' | 'is_active' | 'script' | 'script_type' | 'viewports'>> & { budget?: PerformanceBudget }
   ): Promise<Test> {
     return this.request<Test>(`/pages/${pageId}/tests/${testId}`, {
       method: 'PUT',
@@ -6,7 +6,7 @@
  * Cascade order (highest to lowest priority):
  *   1. Page settings (if set)
  *   2. Site settings (if set)
- *   3. User settings (if set)
+ *   3. Organization settings (if set)
  *   4. System defaults (this file)
  */
 
@@ -16,9 +16,102 @@ export const DEFAULT_INTERVAL_MINUTES = 1440;
 // Default viewport widths for screenshot capture [desktop, tablet, mobile]
 export const DEFAULT_VIEWPORTS = [1920, 768, 375];
 
+// Default time zone for cron schedules and blackout windows
+export const DEFAULT_SCHEDULE_TIMEZONE = 'UTC';
+
+// Default diff percentage above which a capture is flagged as "changed"
+export const DEFAULT_CHANGE_THRESHOLD_PERCENT = 1;
+
+// Per-site capture limits when a site doesn't set its own
+export const DEFAULT_SITE_MAX_CONCURRENT_CAPTURES = 2;
+export const DEFAULT_SITE_CAPTURE_DELAY_SECONDS = 0;
+
+// Page priorities (higher-priority pages are captured first when workers are busy)
+export const PAGE_PRIORITIES = [
+  { value: 2, label: 'Highest' },
+  { value: 1, label: 'High' },
+  { value: 0, label: 'Normal' },
+  { value: -1, label: 'Low' },
+  { value: -2, label: 'Lowest' },
+] as const;
+
+// Uptime probe intervals offered per page (null = no probes)
+export const PROBE_INTERVALS = [
+  { value: null, label: 'Off' },
+  { value: 1, label: 'Every minute' },
+  { value: 5, label: 'Every 5 minutes' },
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 30, label: 'Every 30 minutes' },
+  { value: 60, label: 'Every hour' },
+] as const;
+
+// Pages are suspended after this many consecutive capture failures
+export const MAX_CONSECUTIVE_FAILURES = 5;
+export const MAX_SUSPENSION_AUTO_RESUME_HOURS = 720;
+
 // Standard viewport size configurations (width x height)
 export const VIEWPORT_SIZES = {
   mobile: { width: 375, height: 812 },
   tablet: { width: 768, height: 1024 },
   desktop: { width: 1920, height: 1080 }
 } as const;
+
+// Email digest frequencies
+export const DIGEST_FREQUENCIES = [
+  { value: 'off', label: 'Off' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly (Mondays)' },
+] as const;
+
+// Webhook event types (users subscribe to a subset per webhook)
+export const WEBHOOK_EVENTS = [
+  { value: 'capture.failed', label: 'Capture failed' },
+  { value: 'test.failed', label: 'Test failed' },
+  { value: 'screenshot.errors', label: 'Page errors captured' },
+  { value: 'visual.changed', label: 'Visual change detected' },
+  { value: 'page.suspended', label: 'Page suspended after failures' },
+  { value: 'page.down', label: 'Page down (uptime probe)' },
+  { value: 'page.up', label: 'Page back up (uptime probe)' },
+  { value: 'watch.triggered', label: 'Text watch triggered' },
+] as const;
+
+// How long a new share link works (null = until revoked)
+export const SHARE_LINK_EXPIRY_OPTIONS = [
+  { value: null, label: 'Never expires' },
+  { value: 1, label: '1 day' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+] as const;
+
+// What an API key may do (mirrors API_KEY_SCOPES in the API)
+export const API_KEY_SCOPES = [
+  { value: 'read', label: 'Read', description: 'View sites, pages, screenshots and results' },
+  { value: 'capture', label: 'Trigger captures', description: 'Start captures of pages' },
+  { value: 'manage', label: 'Manage', description: 'Create, change and delete sites, pages and settings' },
+] as const;
+
+// Organization member roles (mirrors ORGANIZATION_ROLES in the API)
+export const ORGANIZATION_ROLES = [
+  { value: 'viewer', label: 'Viewer', description: 'Sees sites, pages, screenshots and results' },
+  { value: 'editor', label: 'Editor', description: 'Also adds, changes and captures sites and pages' },
+  { value: 'owner', label: 'Owner', description: 'Also manages members, invites and the organization' },
+] as const;
+
+// When a text watch triggers
+export const TEXT_WATCH_CONDITIONS = [
+  { value: 'changed', label: 'Text changes' },
+  { value: 'appears', label: 'Keyword appears' },
+  { value: 'disappears', label: 'Keyword disappears' },
+] as const;
+
+// Metrics a performance budget can limit; bytes are entered in KB
+export const BUDGET_METRICS = [
+  { value: 'lcp_ms', label: 'Largest Contentful Paint', short: 'LCP', unit: 'ms' },
+  { value: 'ttfb_ms', label: 'Time to First Byte', short: 'TTFB', unit: 'ms' },
+  { value: 'load_ms', label: 'Load', short: 'Load', unit: 'ms' },
+  { value: 'cls', label: 'Cumulative Layout Shift', short: 'CLS', unit: '' },
+  { value: 'transfer_bytes', label: 'Page weight', short: 'Page weight', unit: 'KB' },
+  { value: 'script_bytes', label: 'JavaScript size', short: 'JS', unit: 'KB' },
+  { value: 'request_count', label: 'Request count', short: 'Requests', unit: '' },
+] as const;
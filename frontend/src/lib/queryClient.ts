@@ -19,20 +19,48 @@ export const queryKeys = {
   sites: {
     all: ['sites'] as const,
     detail: (id: number) => ['sites', id] as const,
+    loginProfiles: (id: number) => ['sites', id, 'loginProfiles'] as const,
+    requestSettings: (id: number) => ['sites', id, 'requestSettings'] as const,
+    uptime: (id: number, days: number) => ['sites', id, 'uptime', days] as const,
   },
   // Pages
   pages: {
     list: (siteId: number) => ['pages', 'list', siteId] as const,
     detail: (id: number) => ['pages', id] as const,
     captureStatus: (id: number) => ['pages', id, 'captureStatus'] as const,
+    captureJobsAll: (id: number) => ['pages', id, 'captureJobs'] as const,
+    captureJobs: (id: number, status: string | null, offset: number) =>
+      ['pages', id, 'captureJobs', status ?? 'all', offset] as const,
+    baselines: (id: number) => ['pages', id, 'baselines'] as const,
+    metrics: (id: number, viewport: string | null, variant: string | null) =>
+      ['pages', id, 'metrics', viewport ?? 'all', variant ?? 'all'] as const,
+    uptime: (id: number, days: number) => ['pages', id, 'uptime', days] as const,
+    requestSettings: (id: number) => ['pages', id, 'requestSettings'] as const,
   },
   // Screenshots
   screenshots: {
-    list: (pageId: number, viewport?: string | null) =>
-      ['screenshots', 'list', pageId, viewport ?? 'all'] as const,
+    list: (pageId: number, viewport?: string | null, variant?: string | null) =>
+      ['screenshots', 'list', pageId, viewport ?? 'all', variant ?? 'all'] as const,
     detail: (id: number) => ['screenshots', id] as const,
     errors: (id: number) => ['screenshots', id, 'errors'] as const,
     testResults: (id: number) => ['screenshots', id, 'testResults'] as const,
+    snapshotDiff: (id: number, otherId: number, mode: string) =>
+      ['screenshots', id, 'snapshotDiff', otherId, mode] as const,
+  },
+  // Ignore regions
+  ignoreRegions: {
+    list: (pageId: number) => ['ignore-regions', pageId] as const,
+  },
+  // Components (element screenshots)
+  components: {
+    list: (pageId: number) => ['components', pageId] as const,
+    screenshots: (componentId: number, viewport?: string | null, variant?: string | null) =>
+      ['components', 'screenshots', componentId, viewport ?? 'all', variant ?? 'all'] as const,
+  },
+  // Text watches
+  textWatches: {
+    list: (pageId: number) => ['text-watches', pageId] as const,
+    results: (watchId: number, triggered: boolean) => ['text-watches', 'results', watchId, triggered] as const,
   },
   // Instructions
   instructions: {
@@ -44,7 +72,39 @@ export const queryKeys = {
   },
   // Settings
   settings: {
-    user: ['settings'] as const,
+    organization: ['settings'] as const,
+    schedulePreview: (data: unknown) => ['settings', 'schedulePreview', data] as const,
+  },
+  // Device profiles
+  deviceProfiles: {
+    all: ['device-profiles'] as const,
+  },
+  // Webhooks
+  webhooks: {
+    all: ['webhooks'] as const,
+    deliveries: (id: number) => ['webhooks', id, 'deliveries'] as const,
+  },
+  // Share links
+  shareLinks: {
+    all: ['share-links'] as const,
+    list: (filter: unknown) => ['share-links', filter] as const,
+  },
+  // API keys
+  apiKeys: {
+    all: ['api-keys'] as const,
+  },
+  // Organizations
+  organizations: {
+    all: ['organizations'] as const,
+    members: (id: number) => ['organizations', id, 'members'] as const,
+    invites: (id: number) => ['organizations', id, 'invites'] as const,
+    invite: (token: string) => ['organizations', 'invite', token] as const,
+  },
+  // Public shares (by token)
+  shares: {
+    detail: (token: string) => ['shares', token] as const,
+    screenshots: (token: string, viewport: string | null, offset: number) =>
+      ['shares', token, 'screenshots', viewport ?? 'all', offset] as const,
   },
   // AI Sessions
   aiSessions: {
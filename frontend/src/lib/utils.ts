@@ -1,5 +1,7 @@
 import { type ClassValue, clsx } from "clsx"
 import { twMerge } from "tailwind-merge"
+import type { PerformanceBudget } from "./api"
+import { BUDGET_METRICS } from "./constants"
 
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
@@ -27,3 +29,11 @@ export function formatFileSize(bytes: number | null | undefined): string {
   if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
   return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
 }
+
+// Format a performance budget as "LCP ≤ 2500 ms" (byte budgets are shown in KB)
+export function formatBudget(budget: PerformanceBudget): string {
+  const metric = BUDGET_METRICS.find(m => m.value === budget.metric)
+  if (!metric) return `${budget.metric} ≤ ${budget.max}`
+  const max = metric.unit === 'KB' ? Math.round(budget.max / 1024) : budget.max
+  return `${metric.short} ≤ ${max}${metric.unit ? ` ${metric.unit}` : ''}`
+}
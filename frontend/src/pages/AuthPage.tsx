@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { useNavigate, Navigate } from 'react-router-dom'
+import { useNavigate, Navigate, useLocation } from 'react-router-dom'
 import { useAuth } from '@/hooks/useAuth'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -12,6 +12,8 @@ import { toast } from 'sonner'
 export function AuthPage() {
   const { isAuthenticated, login, register, isLoading: authLoading } = useAuth()
   const navigate = useNavigate()
+  const location = useLocation()
+  const redirectTo = (location.state as { from?: string } | null)?.from || '/'
   const [isLoading, setIsLoading] = useState(false)
 
   // Login form state
@@ -32,7 +34,7 @@ export function AuthPage() {
   }
 
   if (isAuthenticated) {
-    return <Navigate to="/" replace />
+    return <Navigate to={redirectTo} replace />
   }
 
   const handleLogin = async (e: React.FormEvent) => {
@@ -41,7 +43,7 @@ export function AuthPage() {
 
     try {
       await login(loginEmail, loginPassword)
-      navigate('/')
+      navigate(redirectTo)
     } catch (error) {
       toast.error(error instanceof Error ? error.message : 'Login failed')
     } finally {
@@ -66,7 +68,7 @@ export function AuthPage() {
 
     try {
       await register(registerEmail, registerPassword)
-      navigate('/')
+      navigate(redirectTo)
     } catch (error) {
       toast.error(error instanceof Error ? error.message : 'Registration failed')
     } finally {
@@ -0,0 +1,78 @@
+import { useNavigate, useParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import { formatDate } from '@/lib/utils'
+import { useAuth } from '@/hooks/useAuth'
+import { useInvite, useAcceptInvite, useSwitchOrganization } from '@/hooks/useQueries'
+import { toast } from 'sonner'
+
+// Accept an invite to an organization (opened from the invite link)
+export function InvitePage() {
+  const { token } = useParams<{ token: string }>()
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const { data: invite, isLoading, error } = useInvite(token)
+  const acceptInvite = useAcceptInvite()
+  const switchOrganization = useSwitchOrganization()
+
+  const handleAccept = () => {
+    if (!token) return
+
+    acceptInvite.mutate(token, {
+      onSuccess: (organization) => {
+        switchOrganization(organization.id)
+        toast.success(`You joined "${organization.name}"`)
+        navigate('/')
+      },
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to accept invite')
+      },
+    })
+  }
+
+  const isForOtherEmail = invite && user && invite.email.toLowerCase() !== user.email.toLowerCase()
+
+  return (
+    <div className="max-w-lg mx-auto">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="group_add" size="sm" />
+            Organization invite
+          </CardTitle>
+          {invite && (
+            <CardDescription>
+              {invite.invited_by_email || 'Someone'} invited {invite.email} to join{' '}
+              <span className="font-medium text-foreground">{invite.organization_name}</span> as{' '}
+              <span className="capitalize">{invite.role}</span>.
+            </CardDescription>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {isLoading ? (
+            <Skeleton className="h-10 w-full" />
+          ) : error || !invite ? (
+            <p className="text-sm text-muted-foreground">
+              This invite does not exist anymore. It may have been accepted or revoked.
+            </p>
+          ) : invite.is_expired ? (
+            <p className="text-sm text-muted-foreground">
+              This invite expired on {formatDate(invite.expires_at)}. Ask for a new one.
+            </p>
+          ) : isForOtherEmail ? (
+            <p className="text-sm text-muted-foreground">
+              You are logged in as {user.email}. Log in as {invite.email} to accept this invite.
+            </p>
+          ) : (
+            <Button onClick={handleAccept} disabled={acceptInvite.isPending}>
+              <Icon name="check" size="sm" />
+              Join {invite.organization_name}
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -6,20 +6,37 @@ import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import { Icon } from '@/components/ui/icon'
 import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
 import { ScreenshotCard, ScreenshotCardSkeleton } from '@/components/screenshots/ScreenshotCard'
 import { ScreenshotGroup } from '@/components/screenshots/ScreenshotGroup'
 import { ScreenshotViewer } from '@/components/screenshots/ScreenshotViewer'
 import { ComparisonViewer } from '@/components/screenshots/ComparisonViewer'
 import { EditPageDialog } from '@/components/pages/EditPageDialog'
 import { DeletePageDialog } from '@/components/pages/DeletePageDialog'
+import { ShareDialog } from '@/components/share/ShareDialog'
 import { InstructionsList } from '@/components/instructions/InstructionsList'
 import { TestsList } from '@/components/tests/TestsList'
+import { IgnoreRegionsList } from '@/components/ignore-regions/IgnoreRegionsList'
+import { ComponentsList } from '@/components/page-components/ComponentsList'
+import { TextWatchesList } from '@/components/text-watches/TextWatchesList'
+import { ComponentTimeline } from '@/components/page-components/ComponentTimeline'
+import { CaptureLog } from '@/components/capture-jobs/CaptureLog'
+import { PerformanceChart } from '@/components/metrics/PerformanceChart'
+import { UptimePanel } from '@/components/uptime/UptimePanel'
 import { DeleteScreenshotsDialog } from '@/components/screenshots/DeleteScreenshotsDialog'
-import { usePage, useScreenshots, useInstructions, useTests, useTriggerCapture } from '@/hooks/useQueries'
+import { usePage, useScreenshots, useInstructions, useTests, useTriggerCapture, useResumePage, useBaselines, useIgnoreRegions, useComponents, useTextWatches } from '@/hooks/useQueries'
+import { formatDateTime } from '@/lib/utils'
 import { queryKeys } from '@/lib/queryClient'
 import { toast } from 'sonner'
 
 type ViewportFilter = 'all' | 'desktop' | 'tablet' | 'mobile'
+type PageTab = 'screenshots' | 'log' | 'performance' | 'uptime'
 
 interface ScreenshotGroupData {
   timestamp: string
@@ -32,16 +49,28 @@ export function ScreenshotsPage() {
   const queryClient = useQueryClient()
   const parsedPageId = pageId ? parseInt(pageId, 10) : undefined
 
+  const [activeTab, setActiveTab] = useState<PageTab>('screenshots')
   const [viewportFilter, setViewportFilter] = useState<ViewportFilter>('all')
+  // 'all', 'default' (no variant) or a capture variant name
+  const [variantFilter, setVariantFilter] = useState<string>('all')
+  const isFiltered = viewportFilter !== 'all' || variantFilter !== 'all'
+  // 'page' (full-page screenshots) or a component ID for its element screenshot timeline
+  const [timeline, setTimeline] = useState<string>('page')
 
   // TanStack Query for data fetching
   const { data: page, isLoading: pageLoading, error: pageError } = usePage(parsedPageId)
   const { data: screenshotsData } = useScreenshots(parsedPageId, {
     viewport: viewportFilter === 'all' ? null : viewportFilter,
+    variant: variantFilter === 'all' ? null : variantFilter,
     enabled: !!page,
   })
   const { data: instructions = [] } = useInstructions(parsedPageId)
   const { data: tests = [] } = useTests(parsedPageId)
+  const { data: baselines = [] } = useBaselines(parsedPageId)
+  const { data: ignoreRegions = [] } = useIgnoreRegions(parsedPageId)
+  const { data: components = [] } = useComponents(parsedPageId)
+  const { data: textWatches = [] } = useTextWatches(parsedPageId)
+  const timelineComponent = components.find(component => String(component.id) === timeline)
   
   const screenshots = screenshotsData?.screenshots ?? []
   const isLoading = pageLoading
@@ -63,6 +92,7 @@ export function ScreenshotsPage() {
 
   // Dialogs
   const [editDialogOpen, setEditDialogOpen] = useState(false)
+  const [shareDialogOpen, setShareDialogOpen] = useState(false)
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false)
   const [viewerId, setViewerId] = useState<number | null>(null)
   const [comparisonOpen, setComparisonOpen] = useState(false)
@@ -72,6 +102,7 @@ export function ScreenshotsPage() {
   const [captureJob, setCaptureJob] = useState<CaptureJob | null>(null)
   const capturePollingRef = useRef<NodeJS.Timeout | null>(null)
   const triggerCapture = useTriggerCapture()
+  const resumePage = useResumePage()
 
   // Group screenshots by timestamp
   const groupedScreenshots = useMemo((): ScreenshotGroupData[] => {
@@ -103,11 +134,23 @@ export function ScreenshotsPage() {
       const { job } = await api.getCaptureStatus(parsedPageId)
       setCaptureJob(job)
       
-      // If job completed or failed, invalidate screenshots and stop polling
-      if (job && (job.status === 'completed' || job.status === 'failed')) {
-        if (job.status === 'completed') {
+      // If job finished, invalidate screenshots and the page (suspension state, capture log)
+      // and stop polling
+      if (job && (job.status === 'completed' || job.status === 'partial' || job.status === 'failed')) {
+        queryClient.invalidateQueries({ queryKey: queryKeys.pages.detail(parsedPageId) })
+        if (job.status === 'partial') {
+          const failed = (job.viewports ?? []).filter(v => v.status === 'failed')
+          toast.warning(`Capture partially failed: ${failed.map(v => v.label).join(', ') || job.error_message}`)
+        } else if (job.status === 'failed') {
+          toast.error(`Capture failed${job.error_message ? `: ${job.error_message}` : ''}`)
+        }
+        if (job.status === 'completed' || job.status === 'partial') {
           queryClient.invalidateQueries({ 
-            queryKey: queryKeys.screenshots.list(parsedPageId, viewportFilter === 'all' ? null : viewportFilter) 
+            queryKey: queryKeys.screenshots.list(
+              parsedPageId,
+              viewportFilter === 'all' ? null : viewportFilter,
+              variantFilter === 'all' ? null : variantFilter
+            )
           })
         }
         // Stop polling
@@ -119,7 +162,7 @@ export function ScreenshotsPage() {
     } catch (error) {
       // Ignore polling errors
     }
-  }, [parsedPageId, queryClient, viewportFilter])
+  }, [parsedPageId, queryClient, viewportFilter, variantFilter])
 
   // Start/stop capture status polling based on active job
   useEffect(() => {
@@ -166,6 +209,7 @@ export function ScreenshotsPage() {
           viewports_completed: 0,
           viewports_total: 0,
           error_message: null,
+          worker_id: null,
           started_at: null,
           completed_at: null,
           created_at: new Date().toISOString(),
@@ -180,6 +224,17 @@ export function ScreenshotsPage() {
     })
   }
 
+  const handleResume = () => {
+    if (!page) return
+
+    resumePage.mutate({ pageId: page.id, siteId: page.site_id }, {
+      onSuccess: () => toast.success('Monitoring resumed'),
+      onError: (error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to resume page')
+      },
+    })
+  }
+
   const isCapturing = captureJob && (captureJob.status === 'pending' || captureJob.status === 'capturing')
 
   const handleSelectForCompare = (id: number) => {
@@ -330,6 +385,10 @@ export function ScreenshotsPage() {
               Capture Now
             </Button>
           )}
+          <Button variant="secondary" onClick={() => setShareDialogOpen(true)}>
+            <Icon name="share" size="sm" />
+            Share
+          </Button>
           <Button variant="secondary" onClick={() => setEditDialogOpen(true)}>
             <Icon name="edit" size="sm" />
             Edit
@@ -341,6 +400,24 @@ export function ScreenshotsPage() {
         </div>
       </div>
 
+      {/* Suspended after too many consecutive capture failures */}
+      {page.suspended_at && (
+        <div className="flex flex-wrap items-center gap-3 p-4 mb-6 rounded-lg border border-destructive/50 bg-destructive/10 text-sm">
+          <Icon name="pause_circle" size="sm" className="text-destructive" />
+          <div className="flex-1 min-w-0">
+            <span className="font-medium">Scheduled captures suspended</span>
+            <span className="text-muted-foreground">
+              {' '}· {page.suspended_reason || 'Too many consecutive failures'} since {formatDateTime(page.suspended_at)}.
+              Check the capture log, then resume monitoring.
+            </span>
+          </div>
+          <Button variant="outline" size="sm" onClick={handleResume} disabled={resumePage.isPending}>
+            <Icon name="play_arrow" size="sm" />
+            Resume monitoring
+          </Button>
+        </div>
+      )}
+
       {/* Instructions Section */}
       <InstructionsList
         pageId={page.id}
@@ -353,131 +430,250 @@ export function ScreenshotsPage() {
         tests={tests}
       />
 
-      {/* Viewport Filter & Mode Controls */}
-      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
-        <Tabs value={viewportFilter} onValueChange={(v) => setViewportFilter(v as ViewportFilter)}>
-          <TabsList>
-            <TabsTrigger value="all">All</TabsTrigger>
-            <TabsTrigger value="desktop">
-              <Icon name="desktop_windows" size="sm" className="mr-1" />
-              Desktop
-            </TabsTrigger>
-            <TabsTrigger value="tablet">
-              <Icon name="tablet" size="sm" className="mr-1" />
-              Tablet
-            </TabsTrigger>
-            <TabsTrigger value="mobile">
-              <Icon name="smartphone" size="sm" className="mr-1" />
-              Mobile
-            </TabsTrigger>
-          </TabsList>
-        </Tabs>
-
-        <div className="flex gap-2">
-          {/* Compare Mode Controls */}
-          <Button
-            variant={compareMode ? 'default' : 'secondary'}
-            onClick={toggleCompareMode}
-          >
-            {compareMode ? (
-              <>
-                <Icon name="close" size="sm" />
-                Cancel
-              </>
-            ) : (
-              <>
-                <Icon name="compare" size="sm" />
-                Compare
-              </>
-            )}
-          </Button>
-          {compareMode && selectedIds.size === 2 && (
-            <Button onClick={handleCompare}>
-              Compare Selected
-            </Button>
+      {/* Ignore Regions Section */}
+      <IgnoreRegionsList
+        pageId={page.id}
+        regions={ignoreRegions}
+      />
+
+      {/* Components Section */}
+      <ComponentsList
+        pageId={page.id}
+        components={components}
+      />
+
+      {/* Text Watches Section */}
+      <TextWatchesList
+        pageId={page.id}
+        watches={textWatches}
+      />
+
+      {/* Screenshots / Capture log / Performance / Uptime */}
+      <Tabs value={activeTab} onValueChange={(v) => setActiveTab(v as PageTab)} className="mb-6">
+        <TabsList>
+          <TabsTrigger value="screenshots">
+            <Icon name="photo_library" size="sm" className="mr-1" />
+            Screenshots
+          </TabsTrigger>
+          <TabsTrigger value="log">
+            <Icon name="history" size="sm" className="mr-1" />
+            Capture log
+          </TabsTrigger>
+          <TabsTrigger value="performance">
+            <Icon name="speed" size="sm" className="mr-1" />
+            Performance
+          </TabsTrigger>
+          <TabsTrigger value="uptime">
+            <Icon name="monitor_heart" size="sm" className="mr-1" />
+            Uptime
+          </TabsTrigger>
+        </TabsList>
+      </Tabs>
+
+      {activeTab === 'log' ? (
+        <CaptureLog pageId={page.id} />
+      ) : activeTab === 'performance' ? (
+        <PerformanceChart pageId={page.id} />
+      ) : activeTab === 'uptime' ? (
+        <UptimePanel pageId={page.id} />
+      ) : (
+        <>
+          {/* Approved Baselines */}
+          {baselines.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-muted-foreground">
+              <Icon name="verified" size="sm" className="text-blue-500" />
+              <span>Baselines:</span>
+              {baselines.map(baseline => (
+                <Badge
+                  key={baseline.id}
+                  variant="outline"
+                  className="gap-1 cursor-pointer capitalize"
+                  onClick={() => setViewerId(baseline.screenshot_id)}
+                >
+                  {baseline.device_name || baseline.viewport}
+                  {baseline.variant && <span className="normal-case">· {baseline.variant}</span>}
+                  {baseline.screenshot_created_at && (
+                    <span className="normal-case text-muted-foreground">
+                      · {formatDateTime(baseline.screenshot_created_at)}
+                    </span>
+                  )}
+                </Badge>
+              ))}
+            </div>
           )}
 
-          {/* Delete Mode Controls (only in 'all' view where groups are shown) */}
-          {viewportFilter === 'all' && !compareMode && (
-            <>
-              <Button
-                variant={deleteMode ? 'default' : 'secondary'}
-                onClick={toggleDeleteMode}
-              >
-                {deleteMode ? (
-                  <>
-                    <Icon name="close" size="sm" />
-                    Cancel
-                  </>
-                ) : (
+          {/* Viewport & Variant Filters & Mode Controls */}
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <div className="flex flex-wrap items-center gap-2">
+              <Tabs value={viewportFilter} onValueChange={(v) => setViewportFilter(v as ViewportFilter)}>
+                <TabsList>
+                  <TabsTrigger value="all">All</TabsTrigger>
+                  <TabsTrigger value="desktop">
+                    <Icon name="desktop_windows" size="sm" className="mr-1" />
+                    Desktop
+                  </TabsTrigger>
+                  <TabsTrigger value="tablet">
+                    <Icon name="tablet" size="sm" className="mr-1" />
+                    Tablet
+                  </TabsTrigger>
+                  <TabsTrigger value="mobile">
+                    <Icon name="smartphone" size="sm" className="mr-1" />
+                    Mobile
+                  </TabsTrigger>
+                </TabsList>
+              </Tabs>
+
+              {((page.capture_variants && page.capture_variants.length > 0) || variantFilter !== 'all') && (
+                <Select value={variantFilter} onValueChange={setVariantFilter}>
+                  <SelectTrigger className="w-44">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All variants</SelectItem>
+                    <SelectItem value="default">Default</SelectItem>
+                    {page.capture_variants?.map(variant => (
+                      <SelectItem key={variant.name} value={variant.name}>
+                        {variant.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+
+              {components.length > 0 && (
+                <Select value={timelineComponent ? timeline : 'page'} onValueChange={setTimeline}>
+                  <SelectTrigger className="w-44">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="page">Full page</SelectItem>
+                    {components.map(component => (
+                      <SelectItem key={component.id} value={String(component.id)}>
+                        {component.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+
+            {/* Compare and delete modes only apply to full-page screenshots */}
+            {!timelineComponent && (
+              <div className="flex gap-2">
+                {/* Compare Mode Controls */}
+                <Button
+                  variant={compareMode ? 'default' : 'secondary'}
+                  onClick={toggleCompareMode}
+                >
+                  {compareMode ? (
+                    <>
+                      <Icon name="close" size="sm" />
+                      Cancel
+                    </>
+                  ) : (
+                    <>
+                      <Icon name="compare" size="sm" />
+                      Compare
+                    </>
+                  )}
+                </Button>
+                {compareMode && selectedIds.size === 2 && (
+                  <Button onClick={handleCompare}>
+                    Compare Selected
+                  </Button>
+                )}
+
+                {/* Delete Mode Controls (only in 'all' view where groups are shown) */}
+                {!isFiltered && !compareMode && (
                   <>
-                    <Icon name="check_box" size="sm" />
-                    Select Groups
+                    <Button
+                      variant={deleteMode ? 'default' : 'secondary'}
+                      onClick={toggleDeleteMode}
+                    >
+                      {deleteMode ? (
+                        <>
+                          <Icon name="close" size="sm" />
+                          Cancel
+                        </>
+                      ) : (
+                        <>
+                          <Icon name="check_box" size="sm" />
+                          Select Groups
+                        </>
+                      )}
+                    </Button>
+                    {deleteMode && (
+                      <>
+                        <Button variant="outline" onClick={handleSelectAllGroups}>
+                          All
+                        </Button>
+                        <Button variant="outline" onClick={handleSelectNoGroups}>
+                          None
+                        </Button>
+                        {selectedGroups.size > 0 && (
+                          <Button variant="destructive" onClick={handleDeleteSelectedGroups}>
+                            <Icon name="delete" size="sm" />
+                            Delete {selectedGroups.size} Group{selectedGroups.size !== 1 ? 's' : ''}
+                          </Button>
+                        )}
+                      </>
+                    )}
                   </>
                 )}
-              </Button>
-              {deleteMode && (
-                <>
-                  <Button variant="outline" onClick={handleSelectAllGroups}>
-                    All
-                  </Button>
-                  <Button variant="outline" onClick={handleSelectNoGroups}>
-                    None
-                  </Button>
-                  {selectedGroups.size > 0 && (
-                    <Button variant="destructive" onClick={handleDeleteSelectedGroups}>
-                      <Icon name="delete" size="sm" />
-                      Delete {selectedGroups.size} Group{selectedGroups.size !== 1 ? 's' : ''}
-                    </Button>
-                  )}
-                </>
-              )}
-            </>
-          )}
-        </div>
-      </div>
+              </div>
+            )}
+          </div>
 
-      {/* Screenshots */}
-      {screenshots.length === 0 ? (
-        <div className="text-center py-16 border border-dashed border-border rounded-lg">
-          <Icon name="image" size="xl" className="text-muted-foreground mb-4" />
-          <h2 className="text-xl font-semibold mb-2">No screenshots yet</h2>
-          <p className="text-muted-foreground">Screenshots will appear here once captured</p>
-        </div>
-      ) : viewportFilter !== 'all' ? (
-        // Single viewport view - show as grid
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-          {screenshots.map(screenshot => (
-            <ScreenshotCard
-              key={screenshot.id}
-              screenshot={screenshot}
-              compareMode={compareMode}
-              isSelected={selectedIds.has(screenshot.id)}
-              onSelect={handleSelectForCompare}
-              onClick={() => setViewerId(screenshot.id)}
+          {/* Screenshots */}
+          {timelineComponent ? (
+            <ComponentTimeline
+              pageId={page.id}
+              component={timelineComponent}
+              viewport={viewportFilter === 'all' ? null : viewportFilter}
+              variant={variantFilter === 'all' ? null : variantFilter}
             />
-          ))}
-        </div>
-      ) : (
-        // All viewports - group by capture time
-        <div className="space-y-6">
-          {groupedScreenshots.map(group => (
-            <div key={group.timestamp} className="group">
-              <ScreenshotGroup
-                timestamp={group.timestamp}
-                screenshots={group.screenshots}
-                compareMode={compareMode}
-                selectedIds={selectedIds}
-                onSelect={handleSelectForCompare}
-                onView={setViewerId}
-                onDeleteSet={handleDeleteScreenshotSet}
-                deleteMode={deleteMode}
-                isGroupSelected={selectedGroups.has(group.timestamp)}
-                onSelectGroup={() => handleSelectGroup(group.timestamp)}
-              />
+          ) : screenshots.length === 0 ? (
+            <div className="text-center py-16 border border-dashed border-border rounded-lg">
+              <Icon name="image" size="xl" className="text-muted-foreground mb-4" />
+              <h2 className="text-xl font-semibold mb-2">No screenshots yet</h2>
+              <p className="text-muted-foreground">Screenshots will appear here once captured</p>
             </div>
-          ))}
-        </div>
+          ) : isFiltered ? (
+            // Single viewport or variant view - show as grid
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+              {screenshots.map(screenshot => (
+                <ScreenshotCard
+                  key={screenshot.id}
+                  screenshot={screenshot}
+                  compareMode={compareMode}
+                  isSelected={selectedIds.has(screenshot.id)}
+                  onSelect={handleSelectForCompare}
+                  onClick={() => setViewerId(screenshot.id)}
+                />
+              ))}
+            </div>
+          ) : (
+            // All viewports - group by capture time
+            <div className="space-y-6">
+              {groupedScreenshots.map(group => (
+                <div key={group.timestamp} className="group">
+                  <ScreenshotGroup
+                    timestamp={group.timestamp}
+                    screenshots={group.screenshots}
+                    compareMode={compareMode}
+                    selectedIds={selectedIds}
+                    onSelect={handleSelectForCompare}
+                    onView={setViewerId}
+                    onDeleteSet={handleDeleteScreenshotSet}
+                    deleteMode={deleteMode}
+                    isGroupSelected={selectedGroups.has(group.timestamp)}
+                    onSelectGroup={() => handleSelectGroup(group.timestamp)}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </>
       )}
 
       {/* Dialogs & Viewers */}
@@ -495,6 +691,13 @@ export function ScreenshotsPage() {
             page={page}
             siteId={parseInt(siteId!, 10)}
           />
+
+          <ShareDialog
+            open={shareDialogOpen}
+            onOpenChange={setShareDialogOpen}
+            target={{ scope: 'page', page_id: page.id }}
+            description="Anyone with the link can browse every screenshot of this page without logging in."
+          />
         </>
       )}
 
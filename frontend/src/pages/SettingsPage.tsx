@@ -1,24 +1,33 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
-import { UserSettings } from '@/lib/api'
+import { OrganizationSettings } from '@/lib/api'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Icon } from '@/components/ui/icon'
 import { Skeleton } from '@/components/ui/skeleton'
-import { CaptureSettingsForm } from '@/components/settings/CaptureSettingsForm'
+import { CaptureSettingsForm, CaptureSettings } from '@/components/settings/CaptureSettingsForm'
 import { RetentionSettingsForm, RetentionSettings } from '@/components/settings/RetentionSettingsForm'
-import { useSettings, useUpdateSettings } from '@/hooks/useQueries'
+import { ChangeDetectionSettingsForm, ChangeDetectionSettings } from '@/components/settings/ChangeDetectionSettingsForm'
+import { DigestSettingsForm, DigestSettings } from '@/components/settings/DigestSettingsForm'
+import { SuspensionSettingsForm, SuspensionSettings } from '@/components/settings/SuspensionSettingsForm'
+import { WebhooksSettings } from '@/components/settings/WebhooksSettings'
+import { ApiKeysSettings } from '@/components/settings/ApiKeysSettings'
+import { OrganizationMembersSettings } from '@/components/settings/OrganizationMembersSettings'
+import { DeviceProfilesSettings } from '@/components/settings/DeviceProfilesSettings'
+import { useSettings, useUpdateSettings, useCurrentOrganization } from '@/hooks/useQueries'
 import { toast } from 'sonner'
 
 export function SettingsPage() {
   // Fetch settings with TanStack Query
   const { data: fetchedSettings, isLoading, error, refetch } = useSettings()
   const updateSettings = useUpdateSettings()
+  const { organization } = useCurrentOrganization()
+  const canEdit = organization?.role !== 'viewer'
   
   // Local state for editing
-  const [settings, setSettings] = useState<UserSettings | null>(null)
+  const [settings, setSettings] = useState<OrganizationSettings | null>(null)
   const [hasChanges, setHasChanges] = useState(false)
-  const [originalSettings, setOriginalSettings] = useState<UserSettings | null>(null)
+  const [originalSettings, setOriginalSettings] = useState<OrganizationSettings | null>(null)
 
   // Initialize local state from fetched data
   useEffect(() => {
@@ -36,13 +45,17 @@ export function SettingsPage() {
     }
   }, [error])
 
-  const handleCaptureChange = (newSettings: { intervalMinutes: number; viewports: number[] }) => {
+  const handleCaptureChange = (newSettings: CaptureSettings) => {
     if (!settings) return
 
-    const updated: UserSettings = {
+    const updated: OrganizationSettings = {
       ...settings,
       default_interval_minutes: newSettings.intervalMinutes,
       default_viewports: newSettings.viewports,
+      default_device_profiles: newSettings.deviceProfiles.length > 0 ? newSettings.deviceProfiles : null,
+      default_schedule_cron: newSettings.scheduleCron,
+      default_schedule_timezone: newSettings.scheduleTimezone,
+      default_blackout_windows: newSettings.blackoutWindows.length > 0 ? newSettings.blackoutWindows : null,
     }
     setSettings(updated)
     checkForChanges(updated)
@@ -51,7 +64,7 @@ export function SettingsPage() {
   const handleRetentionChange = (retentionSettings: RetentionSettings) => {
     if (!settings) return
 
-    const updated: UserSettings = {
+    const updated: OrganizationSettings = {
       ...settings,
       ...retentionSettings,
     }
@@ -59,7 +72,40 @@ export function SettingsPage() {
     checkForChanges(updated)
   }
 
-  const checkForChanges = (updated: UserSettings) => {
+  const handleChangeDetectionChange = (changeDetectionSettings: ChangeDetectionSettings) => {
+    if (!settings) return
+
+    const updated: OrganizationSettings = {
+      ...settings,
+      ...changeDetectionSettings,
+    }
+    setSettings(updated)
+    checkForChanges(updated)
+  }
+
+  const handleSuspensionChange = (suspensionSettings: SuspensionSettings) => {
+    if (!settings) return
+
+    const updated: OrganizationSettings = {
+      ...settings,
+      ...suspensionSettings,
+    }
+    setSettings(updated)
+    checkForChanges(updated)
+  }
+
+  const handleDigestChange = (digestSettings: DigestSettings) => {
+    if (!settings) return
+
+    const updated: OrganizationSettings = {
+      ...settings,
+      ...digestSettings,
+    }
+    setSettings(updated)
+    checkForChanges(updated)
+  }
+
+  const checkForChanges = (updated: OrganizationSettings) => {
     if (!originalSettings) {
       setHasChanges(false)
       return
@@ -68,20 +114,38 @@ export function SettingsPage() {
     const changed =
       updated.default_interval_minutes !== originalSettings.default_interval_minutes ||
       JSON.stringify(updated.default_viewports) !== JSON.stringify(originalSettings.default_viewports) ||
+      JSON.stringify(updated.default_device_profiles) !== JSON.stringify(originalSettings.default_device_profiles) ||
+      updated.default_schedule_cron !== originalSettings.default_schedule_cron ||
+      updated.default_schedule_timezone !== originalSettings.default_schedule_timezone ||
+      JSON.stringify(updated.default_blackout_windows) !== JSON.stringify(originalSettings.default_blackout_windows) ||
       updated.retention_enabled !== originalSettings.retention_enabled ||
       updated.max_screenshots_per_page !== originalSettings.max_screenshots_per_page ||
       updated.keep_per_day !== originalSettings.keep_per_day ||
       updated.keep_per_week !== originalSettings.keep_per_week ||
       updated.keep_per_month !== originalSettings.keep_per_month ||
       updated.keep_per_year !== originalSettings.keep_per_year ||
-      updated.max_age_days !== originalSettings.max_age_days
+      updated.max_age_days !== originalSettings.max_age_days ||
+      updated.change_threshold_percent !== originalSettings.change_threshold_percent ||
+      updated.digest_frequency !== originalSettings.digest_frequency ||
+      updated.digest_email !== originalSettings.digest_email ||
+      updated.digest_hour !== originalSettings.digest_hour ||
+      updated.suspension_auto_resume_hours !== originalSettings.suspension_auto_resume_hours
     setHasChanges(changed)
   }
 
   const handleSave = async () => {
     if (!settings) return
 
-    updateSettings.mutate(settings, {
+    // Viewers can only change their own digest settings
+    const data: Partial<OrganizationSettings> = canEdit
+      ? settings
+      : {
+          digest_frequency: settings.digest_frequency,
+          digest_email: settings.digest_email,
+          digest_hour: settings.digest_hour,
+        }
+
+    updateSettings.mutate(data, {
       onSuccess: (updated) => {
         setSettings(updated)
         setOriginalSettings(updated)
@@ -166,7 +230,15 @@ export function SettingsPage() {
               Back
             </Button>
           </Link>
-          <h1 className="text-2xl font-bold">Settings</h1>
+          <div>
+            <h1 className="text-2xl font-bold">Settings</h1>
+            {organization && (
+              <p className="text-sm text-muted-foreground">
+                Defaults of {organization.name}
+                {!canEdit && ' (viewers cannot change them)'}
+              </p>
+            )}
+          </div>
         </div>
 
         {hasChanges && (
@@ -191,6 +263,23 @@ export function SettingsPage() {
         )}
       </div>
 
+      {/* Organization (saved independently of the settings below) */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="groups" size="sm" />
+            Organization
+          </CardTitle>
+          <CardDescription>
+            Sites, default settings, device profiles and webhooks belong to the organization and are
+            shared with its members. Switch organizations from the menu at the top.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <OrganizationMembersSettings />
+        </CardContent>
+      </Card>
+
       {/* Default Capture Settings */}
       <Card>
         <CardHeader>
@@ -206,8 +295,56 @@ export function SettingsPage() {
           <CaptureSettingsForm
             intervalMinutes={settings.default_interval_minutes}
             viewports={settings.default_viewports}
+            deviceProfiles={settings.default_device_profiles}
+            scheduleCron={settings.default_schedule_cron}
+            scheduleTimezone={settings.default_schedule_timezone}
+            blackoutWindows={settings.default_blackout_windows}
             onChange={handleCaptureChange}
-            disabled={updateSettings.isPending}
+            disabled={updateSettings.isPending || !canEdit}
+          />
+        </CardContent>
+      </Card>
+
+      {/* Change Detection Settings */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="difference" size="sm" />
+            Change Detection
+          </CardTitle>
+          <CardDescription>
+            Automatically compare each new capture with the previous one and flag visual changes.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ChangeDetectionSettingsForm
+            settings={{
+              change_threshold_percent: settings.change_threshold_percent,
+            }}
+            onChange={handleChangeDetectionChange}
+            disabled={updateSettings.isPending || !canEdit}
+          />
+        </CardContent>
+      </Card>
+
+      {/* Suspended Pages Settings */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="pause_circle" size="sm" />
+            Suspended Pages
+          </CardTitle>
+          <CardDescription>
+            Pages that keep failing stop being captured on schedule instead of retrying forever.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <SuspensionSettingsForm
+            settings={{
+              suspension_auto_resume_hours: settings.suspension_auto_resume_hours,
+            }}
+            onChange={handleSuspensionChange}
+            disabled={updateSettings.isPending || !canEdit}
           />
         </CardContent>
       </Card>
@@ -236,11 +373,89 @@ export function SettingsPage() {
               max_age_days: settings.max_age_days,
             }}
             onChange={handleRetentionChange}
+            disabled={updateSettings.isPending || !canEdit}
+          />
+        </CardContent>
+      </Card>
+
+      {/* Email Digest Settings */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="mail" size="sm" />
+            Email Digest
+          </CardTitle>
+          <CardDescription>
+            Receive a daily or weekly summary of captures, failed capture jobs, failing tests and
+            pages with errors, including thumbnails of the latest captures. The digest is personal and
+            covers the sites of all your organizations.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <DigestSettingsForm
+            settings={{
+              digest_frequency: settings.digest_frequency,
+              digest_email: settings.digest_email,
+              digest_hour: settings.digest_hour,
+            }}
+            lastSentAt={settings.digest_last_sent_at}
+            onChange={handleDigestChange}
             disabled={updateSettings.isPending}
+            hasUnsavedChanges={hasChanges}
           />
         </CardContent>
       </Card>
 
+      {/* Device Profiles (saved independently of the settings above) */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="devices" size="sm" />
+            Device Profiles
+          </CardTitle>
+          <CardDescription>
+            Named devices with screen size, pixel ratio, touch support and user agent. Pick them in
+            the capture settings above or per site and page instead of plain viewport widths.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <DeviceProfilesSettings />
+        </CardContent>
+      </Card>
+
+      {/* Webhooks (saved independently of the settings above) */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="webhook" size="sm" />
+            Webhooks
+          </CardTitle>
+          <CardDescription>
+            Send signed JSON notifications to your own endpoints when captures fail, tests fail,
+            page errors are captured or visual changes are detected.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <WebhooksSettings />
+        </CardContent>
+      </Card>
+
+      {/* API keys (saved independently of the settings above) */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Icon name="key" size="sm" />
+            API Keys
+          </CardTitle>
+          <CardDescription>
+            Personal keys for scripts and deploy pipelines, so they can use the API without your password.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ApiKeysSettings />
+        </CardContent>
+      </Card>
+
       {/* Info Card */}
       <Card className="border-blue-500/20 bg-blue-500/5">
         <CardContent className="pt-6">
@@ -0,0 +1,224 @@
+import { useState } from 'react'
+import { useParams } from 'react-router-dom'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Icon } from '@/components/ui/icon'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { api, SharedScreenshot } from '@/lib/api'
+import { useSharedContent, useSharedScreenshots } from '@/hooks/useQueries'
+import { cn, formatDateTime } from '@/lib/utils'
+
+const PAGE_SIZE = 24
+
+function describeScreenshot(screenshot: SharedScreenshot) {
+  const device = screenshot.device_name || `${screenshot.viewport} (${screenshot.viewport_width}px)`
+  return screenshot.variant ? `${device} · ${screenshot.variant}` : device
+}
+
+// Read-only view of a share link: one screenshot, a comparison or a page timeline (no login)
+export function SharePage() {
+  const { token } = useParams<{ token: string }>()
+  const { data: shared, isLoading, isError } = useSharedContent(token)
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="border-b border-border/50">
+        <div className="container mx-auto px-4 max-w-7xl flex h-16 items-center gap-2">
+          <Icon name="screenshot_monitor" className="text-primary" size="lg" filled />
+          <span className="text-xl font-bold bg-gradient-to-r from-foreground to-primary bg-clip-text text-transparent">
+            VibeShot
+          </span>
+          <Badge variant="secondary" className="ml-2">Shared</Badge>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-8 max-w-7xl">
+        {isLoading ? (
+          <div className="space-y-4">
+            <Skeleton className="h-8 w-1/3" />
+            <Skeleton className="h-96 w-full" />
+          </div>
+        ) : isError || !shared || !token ? (
+          <div className="text-center py-24">
+            <Icon name="link_off" size="xl" className="text-muted-foreground mb-4" />
+            <h1 className="text-2xl font-semibold mb-2">This link is not available</h1>
+            <p className="text-muted-foreground">It may have expired or been revoked by its owner.</p>
+          </div>
+        ) : (
+          <>
+            <div className="mb-6">
+              <h1 className="text-2xl font-bold">{shared.name || shared.page.name}</h1>
+              <p className="text-sm text-muted-foreground">
+                {shared.site.name} · <span className="font-mono">{shared.page.url}</span>
+                {shared.expires_at && ` · link expires ${formatDateTime(shared.expires_at)}`}
+              </p>
+            </div>
+
+            {shared.scope === 'page' ? (
+              <SharedTimeline token={token} />
+            ) : shared.scope === 'comparison' && shared.screenshots.length === 2 ? (
+              <SharedComparison token={token} before={shared.screenshots[0]} after={shared.screenshots[1]} />
+            ) : shared.screenshots[0] ? (
+              <SharedScreenshotView token={token} screenshot={shared.screenshots[0]} />
+            ) : null}
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
+
+function SharedScreenshotView({ token, screenshot }: { token: string; screenshot: SharedScreenshot }) {
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-muted-foreground">
+        <span>{formatDateTime(screenshot.created_at)}</span>
+        <span>{describeScreenshot(screenshot)}</span>
+        <span>{screenshot.width}×{screenshot.height}</span>
+      </div>
+      <div className="rounded-lg border border-border overflow-hidden bg-muted/30">
+        <img
+          src={api.getSharedScreenshotUrl(token, screenshot.id)}
+          alt={`Screenshot from ${formatDateTime(screenshot.created_at)}`}
+          className="w-full h-auto"
+        />
+      </div>
+    </div>
+  )
+}
+
+function SharedComparison({ token, before, after }: { token: string; before: SharedScreenshot; after: SharedScreenshot }) {
+  const [view, setView] = useState<'side' | 'diff'>('side')
+
+  return (
+    <div className="space-y-4">
+      <Tabs value={view} onValueChange={(v) => setView(v as 'side' | 'diff')}>
+        <TabsList>
+          <TabsTrigger value="side">
+            <Icon name="view_column" size="sm" className="mr-1" />
+            Side by side
+          </TabsTrigger>
+          <TabsTrigger value="diff">
+            <Icon name="difference" size="sm" className="mr-1" />
+            Differences
+          </TabsTrigger>
+        </TabsList>
+      </Tabs>
+
+      {view === 'side' ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[{ label: 'Before', screenshot: before }, { label: 'After', screenshot: after }].map(({ label, screenshot }) => (
+            <div key={screenshot.id} className="space-y-2">
+              <div className="text-sm">
+                <span className="font-medium">{label}</span>
+                <span className="text-muted-foreground"> · {formatDateTime(screenshot.created_at)} · {describeScreenshot(screenshot)}</span>
+              </div>
+              <div className="rounded-lg border border-border overflow-hidden bg-muted/30">
+                <img src={api.getSharedScreenshotUrl(token, screenshot.id)} alt={label} className="w-full h-auto" />
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="rounded-lg border border-border overflow-hidden bg-muted/30">
+          <img src={api.getSharedComparisonUrl(token)} alt="Differences" className="w-full h-auto" />
+        </div>
+      )}
+    </div>
+  )
+}
+
+function SharedTimeline({ token }: { token: string }) {
+  const [viewport, setViewport] = useState('all')
+  const [offset, setOffset] = useState(0)
+  const [selected, setSelected] = useState<SharedScreenshot | null>(null)
+  const { data, isLoading } = useSharedScreenshots(token, {
+    viewport: viewport === 'all' ? null : viewport,
+    offset,
+    limit: PAGE_SIZE,
+  })
+  const screenshots = data?.screenshots ?? []
+  const total = data?.total ?? 0
+
+  if (selected) {
+    return (
+      <div className="space-y-3">
+        <Button variant="ghost" size="sm" onClick={() => setSelected(null)}>
+          <Icon name="arrow_back" size="sm" />
+          Back to timeline
+        </Button>
+        <SharedScreenshotView token={token} screenshot={selected} />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <Tabs
+        value={viewport}
+        onValueChange={(v) => {
+          setViewport(v)
+          setOffset(0)
+        }}
+      >
+        <TabsList>
+          <TabsTrigger value="all">All</TabsTrigger>
+          <TabsTrigger value="desktop">Desktop</TabsTrigger>
+          <TabsTrigger value="tablet">Tablet</TabsTrigger>
+          <TabsTrigger value="mobile">Mobile</TabsTrigger>
+        </TabsList>
+      </Tabs>
+
+      {isLoading ? (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {Array.from({ length: 8 }).map((_, i) => <Skeleton key={i} className="aspect-[3/4]" />)}
+        </div>
+      ) : screenshots.length === 0 ? (
+        <p className="text-center py-16 text-muted-foreground">No screenshots yet</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {screenshots.map(screenshot => (
+            <button
+              key={screenshot.id}
+              type="button"
+              onClick={() => setSelected(screenshot)}
+              className="text-left rounded-lg border border-border overflow-hidden hover:border-primary transition-colors"
+            >
+              <div className="aspect-[3/4] bg-muted/30 overflow-hidden">
+                <img
+                  src={api.getSharedScreenshotUrl(token, screenshot.id, 'thumbnail')}
+                  alt={`Screenshot from ${formatDateTime(screenshot.created_at)}`}
+                  className="w-full object-cover object-top"
+                  loading="lazy"
+                />
+              </div>
+              <div className="p-2 text-xs">
+                <div className="font-medium">{formatDateTime(screenshot.created_at)}</div>
+                <div className={cn('text-muted-foreground', Boolean(screenshot.has_changes) && 'text-amber-500')}>
+                  {describeScreenshot(screenshot)}
+                  {Boolean(screenshot.has_changes) && screenshot.diff_percentage != null &&
+                    ` · ${Number(screenshot.diff_percentage).toFixed(1)}% changed`}
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-center gap-3 text-sm">
+          <Button variant="outline" size="sm" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}>
+            Newer
+          </Button>
+          <span className="text-muted-foreground">
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <Button variant="outline" size="sm" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+            Older
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
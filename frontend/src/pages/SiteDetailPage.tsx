@@ -10,10 +10,14 @@ import { DeleteSiteDialog } from '@/components/sites/DeleteSiteDialog'
 import { DeletePagesDialog } from '@/components/pages/DeletePagesDialog'
 import { DiscoverPagesDialog } from '@/components/sites/DiscoverPagesDialog'
 import { EditSiteDialog } from '@/components/sites/EditSiteDialog'
-import { useSite, usePages } from '@/hooks/useQueries'
+import { LoginProfilesDialog } from '@/components/sites/LoginProfilesDialog'
+import { useSite, usePages, useSiteUptime } from '@/hooks/useQueries'
 import { queryKeys } from '@/lib/queryClient'
 import { toast } from 'sonner'
 
+// Period of the uptime shown next to the site name
+const UPTIME_SUMMARY_DAYS = 30
+
 export function SiteDetailPage() {
   const { siteId } = useParams<{ siteId: string }>()
   const navigate = useNavigate()
@@ -23,6 +27,7 @@ export function SiteDetailPage() {
   // TanStack Query for data fetching
   const { data: site, isLoading: siteLoading, error: siteError } = useSite(parsedSiteId)
   const { data: pages = [], isLoading: pagesLoading } = usePages(parsedSiteId)
+  const { data: siteUptime } = useSiteUptime(parsedSiteId, UPTIME_SUMMARY_DAYS)
   const isLoading = siteLoading || pagesLoading
 
   // Show error toast on initial load error
@@ -37,6 +42,7 @@ export function SiteDetailPage() {
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false)
   const [discoverDialogOpen, setDiscoverDialogOpen] = useState(false)
   const [editDialogOpen, setEditDialogOpen] = useState(false)
+  const [loginProfilesDialogOpen, setLoginProfilesDialogOpen] = useState(false)
 
   // Select mode for batch delete
   const [selectMode, setSelectMode] = useState(false)
@@ -83,7 +89,7 @@ export function SiteDetailPage() {
     for (const result of results) {
       if (result.status === 'fulfilled' && result.value.job) {
         const { job, pageId } = result.value
-        if (job.status === 'completed' || job.status === 'failed') {
+        if (job.status === 'completed' || job.status === 'partial' || job.status === 'failed') {
           completedJobs.push(pageId)
         }
       }
@@ -244,6 +250,20 @@ export function SiteDetailPage() {
         <div className="flex-1 min-w-0">
           <h1 className="text-3xl font-bold truncate">{site.name}</h1>
           <p className="text-muted-foreground font-mono">{site.domain}</p>
+          {siteUptime && siteUptime.uptime_percentage !== null && (
+            <p
+              className="flex items-center gap-1.5 text-sm text-muted-foreground mt-1"
+              title={siteUptime.pages.map(p => `${p.name}: ${p.uptime_percentage ?? '–'}%`).join('\n')}
+            >
+              <Icon name="monitor_heart" size="xs" />
+              {siteUptime.uptime_percentage}% uptime over {UPTIME_SUMMARY_DAYS} days
+              {siteUptime.pages_down > 0 && (
+                <span className="text-destructive">
+                  · {siteUptime.pages_down} page{siteUptime.pages_down !== 1 ? 's' : ''} down
+                </span>
+              )}
+            </p>
+          )}
         </div>
 
         <div className="flex gap-2">
@@ -255,6 +275,10 @@ export function SiteDetailPage() {
             <Icon name="add" size="sm" />
             Add Page
           </Button>
+          <Button variant="outline" onClick={() => setLoginProfilesDialogOpen(true)}>
+            <Icon name="key" size="sm" />
+            Login Profiles
+          </Button>
           <Button variant="outline" onClick={() => setEditDialogOpen(true)}>
             <Icon name="settings" size="sm" />
             Settings
@@ -366,6 +390,12 @@ export function SiteDetailPage() {
         site={site}
       />
 
+      <LoginProfilesDialog
+        open={loginProfilesDialogOpen}
+        onOpenChange={setLoginProfilesDialogOpen}
+        site={site}
+      />
+
       <DeletePagesDialog
         open={deletePagesDialogOpen}
         onOpenChange={setDeletePagesDialogOpen}
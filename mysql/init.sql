@@ -9,12 +9,55 @@ CREATE TABLE IF NOT EXISTS users (
     INDEX idx_email (email)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
--- User settings table (default capture settings and retention policy)
-CREATE TABLE IF NOT EXISTS user_settings (
+-- Organizations (own sites, settings, webhooks and custom device profiles; every user
+-- gets a personal organization on registration)
+CREATE TABLE IF NOT EXISTS organizations (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    user_id INT NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Organization members: viewers can see everything, editors can also change it,
+-- owners can also manage members, invites and the organization itself
+CREATE TABLE IF NOT EXISTS organization_members (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    organization_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'viewer',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_member (organization_id, user_id),
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Pending invites (accepted by a logged-in user with the invited email via /invite/:token)
+CREATE TABLE IF NOT EXISTS organization_invites (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    organization_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'viewer',
+    token VARCHAR(64) NOT NULL,
+    invited_by INT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_token (token),
+    UNIQUE KEY unique_invite (organization_id, email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Organization settings (defaults for the organization's sites: capture settings, retention policy)
+CREATE TABLE IF NOT EXISTS organization_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    organization_id INT NOT NULL UNIQUE,
     default_interval_minutes INT NOT NULL DEFAULT 1440,
     default_viewports JSON DEFAULT (JSON_ARRAY(1920, 768, 375)),
+    default_device_profiles JSON NULL,           -- Device profile IDs; used instead of viewports when set
+    -- Cron schedule (NULL = use default_interval_minutes) and blackout windows
+    default_schedule_cron VARCHAR(100) NULL,
+    default_schedule_timezone VARCHAR(64) NULL,
+    default_blackout_windows JSON NULL,
     -- Retention policy settings (GFS-style backup rotation)
     retention_enabled BOOLEAN DEFAULT FALSE,
     max_screenshots_per_page INT NULL,           -- Hard limit per page (NULL = unlimited)
@@ -23,22 +66,90 @@ CREATE TABLE IF NOT EXISTS user_settings (
     keep_per_month INT DEFAULT 1,                -- Keep 1 per month for first year
     keep_per_year INT DEFAULT 1,                 -- Keep 1 per year for older
     max_age_days INT NULL,                       -- Delete after X days (NULL = unlimited)
+    -- Visual change detection
+    change_threshold_percent DECIMAL(6,3) DEFAULT 1.000,  -- Flag capture as changed above this diff %
+    -- Pages suspended after too many consecutive capture failures
+    suspension_auto_resume_hours INT NULL,       -- Resume them automatically after this many hours (NULL = never)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Personal settings (email digest opt-in; a member's digest covers the sites of all their organizations)
+CREATE TABLE IF NOT EXISTS user_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,
+    digest_frequency ENUM('off', 'daily', 'weekly') NOT NULL DEFAULT 'off',
+    digest_email VARCHAR(255) NULL,              -- Recipient (NULL = account email)
+    digest_hour TINYINT NOT NULL DEFAULT 8,      -- Hour of day (server time) to send; weekly digests go out on Mondays
+    digest_last_sent_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Device profiles (device emulation: size, pixel ratio, touch, user agent)
+-- Built-in profiles (organization_id NULL) are seeded by the worker from Puppeteer's known devices.
+CREATE TABLE IF NOT EXISTS device_profiles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    organization_id INT NULL,                    -- NULL = built-in profile available to everyone
+    builtin_key VARCHAR(100) NULL UNIQUE,        -- Puppeteer device name of built-in profiles
+    name VARCHAR(100) NOT NULL,
+    width INT NOT NULL,
+    height INT NOT NULL,
+    device_scale_factor DECIMAL(4,2) NOT NULL DEFAULT 1.00,
+    is_mobile BOOLEAN NOT NULL DEFAULT FALSE,
+    has_touch BOOLEAN NOT NULL DEFAULT FALSE,
+    is_landscape BOOLEAN NOT NULL DEFAULT FALSE,
+    user_agent TEXT NULL,                        -- NULL = the browser's default user agent
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    INDEX idx_organization_id (organization_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Sites table
 CREATE TABLE IF NOT EXISTS sites (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    user_id INT NOT NULL,
+    organization_id INT NOT NULL,
     name VARCHAR(255) NOT NULL,
     domain VARCHAR(255) NOT NULL,
     interval_minutes INT NULL,
+    schedule_cron VARCHAR(100) NULL,             -- Cron expression (overrides interval set at a less specific level)
+    schedule_timezone VARCHAR(64) NULL,          -- IANA time zone for cron and blackout windows
+    blackout_windows JSON NULL,                  -- [{days: [0-6], start: 'HH:MM', end: 'HH:MM'}]
     viewports JSON NULL,
+    device_profiles JSON NULL,                   -- Device profile IDs (NULL = inherit, [] = use viewports)
+    max_concurrent_captures INT NULL,            -- Pages captured at the same time across all workers (NULL = default)
+    capture_delay_seconds INT NULL,              -- Pause between page loads in each capture slot (NULL = default)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    INDEX idx_user_id (user_id)
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    INDEX idx_organization_id (organization_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Login profiles (credentials and login steps for capturing pages behind a login)
+-- Credentials and the cached session are AES-256-GCM encrypted with CREDENTIALS_KEY.
+-- steps is an action DSL sequence run on login_url; {{username}} and {{password}}
+-- placeholders are filled in by the worker right before it runs the steps.
+CREATE TABLE IF NOT EXISTS login_profiles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    login_url VARCHAR(2048) NOT NULL,
+    username_encrypted TEXT NULL,
+    password_encrypted TEXT NULL,
+    steps JSON NOT NULL,                         -- {steps: [{action: 'type', selector: '#user', text: '{{username}}'}, ...]}
+    logged_in_selector VARCHAR(512) NULL,        -- Element only present while logged in
+    logged_out_url_pattern VARCHAR(512) NULL,    -- Regex; landing on a matching URL means the session ended (default: login URL)
+    session_ttl_minutes INT NOT NULL DEFAULT 720,
+    is_default BOOLEAN DEFAULT FALSE,            -- Used by pages of the site without their own profile
+    session_state_encrypted MEDIUMTEXT NULL,     -- Cached cookies and localStorage from the last login
+    session_expires_at TIMESTAMP NULL,
+    last_login_at TIMESTAMP NULL,
+    last_login_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+    INDEX idx_site_id (site_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Pages table
@@ -48,32 +159,212 @@ CREATE TABLE IF NOT EXISTS pages (
     url VARCHAR(2048) NOT NULL,
     name VARCHAR(255) NOT NULL,
     interval_minutes INT NULL,
+    schedule_cron VARCHAR(100) NULL,
+    schedule_timezone VARCHAR(64) NULL,
+    blackout_windows JSON NULL,
     viewports JSON NULL,
+    device_profiles JSON NULL,
+    -- Capture variants taken in addition to the default capture of each viewport:
+    -- [{name, color_scheme: 'light'|'dark', reduced_motion, locale, timezone}]
+    capture_variants JSON NULL,
+    login_profile_id INT NULL,                   -- NULL = the site's default login profile (if any)
+    priority TINYINT NOT NULL DEFAULT 0,         -- -2 (lowest) .. 2 (highest); higher priorities are captured first
+    record_har BOOLEAN NOT NULL DEFAULT FALSE,   -- Store a HAR file of the network traffic with each screenshot
+    archive_mhtml BOOLEAN NOT NULL DEFAULT FALSE, -- Store an MHTML archive with each screenshot's DOM snapshot
     last_screenshot_at TIMESTAMP NULL,
     is_active BOOLEAN DEFAULT TRUE,
+    -- Set by the worker after MAX_CONSECUTIVE_FAILURES; scheduled captures stop until resumed
+    suspended_at TIMESTAMP NULL,
+    suspended_reason VARCHAR(255) NULL,
+    resumed_at TIMESTAMP NULL,                   -- Failures of jobs created before this no longer count
+    -- Uptime probes: plain HTTP checks between captures (NULL interval = no probes)
+    probe_interval_minutes INT NULL,
+    probe_status ENUM('up', 'down') NULL,        -- Result of the latest probe
+    probe_status_changed_at TIMESTAMP NULL,
+    last_probe_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+    FOREIGN KEY (login_profile_id) REFERENCES login_profiles(id) ON DELETE SET NULL,
     INDEX idx_site_id (site_id),
     INDEX idx_is_active (is_active),
+    INDEX idx_suspended_at (suspended_at),
+    INDEX idx_last_probe (last_probe_at),
     INDEX idx_last_screenshot (last_screenshot_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Request settings (extra headers, cookies and HTTP basic auth sent when loading a page)
+-- One row per site or per page. Each field cascades page -> site like viewports do;
+-- NULL inherits, an empty object/array at page level turns the site's value off.
+-- The basic-auth password is AES-256-GCM encrypted with CREDENTIALS_KEY.
+CREATE TABLE IF NOT EXISTS request_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    site_id INT NULL,
+    page_id INT NULL,
+    headers JSON NULL,                           -- {"X-Bypass-Token": "..."}
+    cookies JSON NULL,                           -- [{name, value, domain?, path?}] (default: the page's URL)
+    basic_auth_username VARCHAR(255) NULL,       -- Username and password cascade together; '' = no basic auth
+    basic_auth_password_encrypted TEXT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id) ON DELETE CASCADE,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_site (site_id),
+    UNIQUE KEY unique_page (page_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Screenshots table
 CREATE TABLE IF NOT EXISTS screenshots (
     id INT AUTO_INCREMENT PRIMARY KEY,
     page_id INT NOT NULL,
     viewport VARCHAR(20) NOT NULL DEFAULT 'desktop',
     viewport_width INT NOT NULL DEFAULT 1920,
+    device_profile_id INT NULL,                  -- Device profile used (NULL = plain viewport width)
+    device_name VARCHAR(100) NULL,               -- Profile name at capture time (kept if the profile is deleted)
+    variant VARCHAR(50) NULL,                    -- Capture variant name (NULL = default capture)
     file_path VARCHAR(512) NOT NULL,
     thumbnail_path VARCHAR(512),
     file_size INT,
     width INT,
     height INT,
+    -- Visual change detection (diff against the approved baseline, or the previous capture if none)
+    compared_to_id INT NULL,
+    compared_to_baseline BOOLEAN NOT NULL DEFAULT FALSE,
+    diff_pixels INT NULL,
+    diff_percentage DECIMAL(7,3) NULL,
+    diff_path VARCHAR(512) NULL,
+    has_changes BOOLEAN NULL,                    -- NULL = not compared (first capture or diff failed)
+    har_path VARCHAR(512) NULL,                  -- Network log of the capture (pages with record_har)
+    -- DOM snapshot taken with the screenshot: serialized HTML, text/outline summary (JSON)
+    -- and MHTML archive (pages with archive_mhtml)
+    html_path VARCHAR(512) NULL,
+    dom_path VARCHAR(512) NULL,
+    mhtml_path VARCHAR(512) NULL,
+    -- Selector-based ignore regions resolved at capture time: [{x, y, width, height}] in screenshot pixels
+    ignore_rects JSON NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    FOREIGN KEY (compared_to_id) REFERENCES screenshots(id) ON DELETE SET NULL,
+    FOREIGN KEY (device_profile_id) REFERENCES device_profiles(id) ON DELETE SET NULL,
     INDEX idx_page_id (page_id),
     INDEX idx_created_at (created_at),
-    INDEX idx_viewport (viewport)
+    INDEX idx_viewport (viewport),
+    INDEX idx_variant (variant),
+    INDEX idx_has_changes (has_changes)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Approved baselines (one screenshot per page + viewport that later captures are compared against)
+CREATE TABLE IF NOT EXISTS page_baselines (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_id INT NOT NULL,
+    viewport VARCHAR(20) NOT NULL,
+    device_profile_id INT NOT NULL DEFAULT 0,    -- Device profile of the baseline (0 = plain viewport width; no FK so it can be part of the unique key)
+    variant VARCHAR(50) NOT NULL DEFAULT '',     -- Capture variant of the baseline ('' = default capture)
+    screenshot_id INT NOT NULL,
+    approved_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    FOREIGN KEY (screenshot_id) REFERENCES screenshots(id) ON DELETE CASCADE,
+    FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_page_viewport (page_id, viewport, device_profile_id, variant),
+    INDEX idx_screenshot_id (screenshot_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ignore regions (areas blanked out in both images before visual diffs)
+-- type 'selector': CSS selector, resolved to rectangles by the worker at capture time
+-- type 'rect': rectangle in screenshot pixels, drawn in the comparison viewer
+CREATE TABLE IF NOT EXISTS ignore_regions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_id INT NOT NULL,
+    type ENUM('selector', 'rect') NOT NULL,
+    name VARCHAR(255) NULL,
+    selector VARCHAR(512) NULL,
+    x INT NULL,
+    y INT NULL,
+    width INT NULL,
+    height INT NULL,
+    viewport VARCHAR(20) NULL,                   -- NULL = all viewports
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    INDEX idx_page_id (page_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Page components (named elements captured as their own element screenshots)
+CREATE TABLE IF NOT EXISTS page_components (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    selector VARCHAR(512) NOT NULL,              -- First matching element is captured
+    padding INT NOT NULL DEFAULT 0,              -- Extra CSS pixels captured around the element
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_page_component (page_id, name),
+    INDEX idx_page_id (page_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Component screenshots (one per component for each full-page screenshot; the viewport,
+-- device and variant come from the full-page screenshot they were taken with)
+CREATE TABLE IF NOT EXISTS component_screenshots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    component_id INT NOT NULL,
+    screenshot_id INT NOT NULL,
+    file_path VARCHAR(512) NULL,                 -- NULL when the element was not found
+    thumbnail_path VARCHAR(512) NULL,
+    file_size INT NULL,
+    width INT NULL,
+    height INT NULL,
+    error_message VARCHAR(255) NULL,
+    ignore_rects JSON NULL,                      -- Ignore regions inside the element (screenshot pixels)
+    compared_to_id INT NULL,                     -- Previous component screenshot of the same viewport
+    diff_pixels INT NULL,
+    diff_percentage DECIMAL(7,3) NULL,
+    diff_path VARCHAR(512) NULL,
+    has_changes BOOLEAN NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (component_id) REFERENCES page_components(id) ON DELETE CASCADE,
+    FOREIGN KEY (screenshot_id) REFERENCES screenshots(id) ON DELETE CASCADE,
+    FOREIGN KEY (compared_to_id) REFERENCES component_screenshots(id) ON DELETE SET NULL,
+    INDEX idx_component_id (component_id),
+    INDEX idx_screenshot_id (screenshot_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Text watches (visible text of the page or of an element, checked after instructions run)
+CREATE TABLE IF NOT EXISTS text_watches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    selector VARCHAR(512) NULL,                  -- NULL = whole page; otherwise all matching elements
+    watch_condition ENUM('changed', 'appears', 'disappears') NOT NULL DEFAULT 'changed',
+    pattern VARCHAR(512) NULL,                   -- Keyword or regex for appears/disappears
+    is_regex BOOLEAN DEFAULT FALSE,
+    viewport VARCHAR(20) NULL,                   -- NULL = all viewports
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_page_watch (page_id, name),
+    INDEX idx_page_id (page_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Text watch results (one per watch for each full-page screenshot, compared with the
+-- previous result of the same viewport, device and variant)
+CREATE TABLE IF NOT EXISTS text_watch_results (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    watch_id INT NOT NULL,
+    screenshot_id INT NOT NULL,
+    text_content MEDIUMTEXT NULL,                -- NULL when the selector matched nothing
+    matched BOOLEAN NULL,                        -- Whether the pattern was found (NULL without pattern)
+    triggered BOOLEAN DEFAULT FALSE,             -- The watch condition was met by this capture
+    compared_to_id INT NULL,                     -- Previous result of the same viewport
+    diff JSON NULL,                              -- { added, removed, changes } against compared_to_id
+    error_message VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (watch_id) REFERENCES text_watches(id) ON DELETE CASCADE,
+    FOREIGN KEY (screenshot_id) REFERENCES screenshots(id) ON DELETE CASCADE,
+    FOREIGN KEY (compared_to_id) REFERENCES text_watch_results(id) ON DELETE SET NULL,
+    INDEX idx_watch_id (watch_id),
+    INDEX idx_screenshot_id (screenshot_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Instructions table (AI-generated page interaction scripts)
@@ -102,19 +393,100 @@ CREATE TABLE IF NOT EXISTS instructions (
 CREATE TABLE IF NOT EXISTS capture_jobs (
     id INT AUTO_INCREMENT PRIMARY KEY,
     page_id INT NOT NULL,
-    status ENUM('pending', 'capturing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
-    current_viewport VARCHAR(20) NULL,
+    -- partial = some viewports failed (see capture_job_viewports); failed = no viewport was captured
+    status ENUM('pending', 'capturing', 'completed', 'partial', 'failed') NOT NULL DEFAULT 'pending',
+    current_viewport VARCHAR(100) NULL,          -- Viewport or device profile being captured
     viewports_completed INT NOT NULL DEFAULT 0,
     viewports_total INT NOT NULL DEFAULT 0,
     error_message TEXT NULL,
+    worker_id VARCHAR(100) NULL,                 -- Worker that claimed the job
+    lease_expires_at TIMESTAMP NULL,             -- Extended by the worker's heartbeat; expired jobs are failed
     started_at TIMESTAMP NULL,
     completed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Set while the job is pending or capturing, so a page has at most one active job
+    active_page_id INT AS (IF(status IN ('pending', 'capturing'), page_id, NULL)) STORED,
     FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_active_page (active_page_id),
     INDEX idx_page_status (page_id, status),
+    INDEX idx_status_lease (status, lease_expires_at),
+    INDEX idx_worker (worker_id),
     INDEX idx_created_at (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Page performance data recorded with each screenshot
+CREATE TABLE IF NOT EXISTS screenshot_metrics (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    screenshot_id INT NOT NULL UNIQUE,
+    -- Navigation timing and web vitals (ms since navigation start)
+    ttfb_ms INT NULL,
+    dom_content_loaded_ms INT NULL,
+    load_ms INT NULL,
+    lcp_ms INT NULL,
+    cls DECIMAL(8,4) NULL,
+    -- Network traffic of the capture session
+    transfer_bytes BIGINT NULL,
+    request_count INT NULL,
+    requests_by_type JSON NULL,                  -- {"document": 1, "script": 24, "image": 40, ...}
+    bytes_by_type JSON NULL,                     -- Transferred bytes per resource type, same keys
+    -- Time spent in each capture stage: {"navigate", "consent", "instructions", "tests", "scroll", "screenshot"} in ms
+    stage_timings JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (screenshot_id) REFERENCES screenshots(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Uptime probe results (kept for PROBE_SETTINGS.RETENTION_DAYS)
+CREATE TABLE IF NOT EXISTS page_probes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    page_id INT NOT NULL,
+    is_up BOOLEAN NOT NULL,                      -- Final response below 400 (after following redirects)
+    status_code SMALLINT NULL,                   -- NULL = no response (DNS, connection, TLS or timeout error)
+    response_time_ms INT NULL,                   -- Until the final response's headers, including redirects
+    redirects JSON NULL,                         -- [{url, status_code}] of each redirect hop
+    final_url VARCHAR(2048) NULL,
+    tls_expires_at TIMESTAMP NULL,               -- Certificate expiry of the final HTTPS response (also when rejected)
+    tls_error VARCHAR(100) NULL,                 -- Why the certificate was rejected (e.g. CERT_HAS_EXPIRED); NULL = valid
+    error_message VARCHAR(512) NULL,
+    worker_id VARCHAR(100) NULL,
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    INDEX idx_page_checked (page_id, checked_at),
+    INDEX idx_checked_at (checked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Outcome of each viewport (and device/variant) of a capture job
+CREATE TABLE IF NOT EXISTS capture_job_viewports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_id INT NOT NULL,
+    viewport_key VARCHAR(150) NOT NULL,          -- e.g. desktop, mobile_dark, mobile-d12
+    label VARCHAR(255) NOT NULL,                 -- Shown in progress and the capture log, e.g. "iPhone 14 · dark"
+    viewport VARCHAR(50) NOT NULL,               -- desktop, tablet, mobile
+    viewport_width INT NULL,
+    device_name VARCHAR(100) NULL,
+    variant VARCHAR(100) NULL,
+    status ENUM('completed', 'failed') NOT NULL,
+    stage ENUM('navigation', 'instructions', 'screenshot', 'thumbnail', 'artifacts') NULL,  -- Where a failed viewport stopped
+    error_message TEXT NULL,
+    screenshot_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES capture_jobs(id) ON DELETE CASCADE,
+    FOREIGN KEY (screenshot_id) REFERENCES screenshots(id) ON DELETE SET NULL,
+    INDEX idx_job_id (job_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Capture workers (each worker process registers itself and sends heartbeats)
+CREATE TABLE IF NOT EXISTS workers (
+    id VARCHAR(100) PRIMARY KEY,                 -- WORKER_ID, or <hostname>-<pid>
+    hostname VARCHAR(255) NOT NULL,
+    capacity INT NOT NULL,                       -- Max pages captured at the same time
+    active_jobs INT NOT NULL DEFAULT 0,
+    status ENUM('online', 'stopped') NOT NULL DEFAULT 'online',
+    started_at TIMESTAMP NULL,
+    last_heartbeat_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_last_heartbeat (last_heartbeat_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Screenshot errors table (JS console errors and network failures captured during screenshot)
 CREATE TABLE IF NOT EXISTS screenshot_errors (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -139,17 +511,19 @@ CREATE TABLE IF NOT EXISTS screenshot_errors (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Tests table (AI-generated page test scripts with assertions)
--- script_type: 'eval' (default) for page.evaluate() scripts, 'actions' for Puppeteer action DSL
+-- script_type: 'eval' (default) for page.evaluate() scripts, 'actions' for Puppeteer action DSL,
+-- 'budget' for performance budgets (no script, checked against the capture's screenshot_metrics)
 CREATE TABLE IF NOT EXISTS tests (
     id INT AUTO_INCREMENT PRIMARY KEY,
     page_id INT NOT NULL,
     name VARCHAR(255) NOT NULL,
     prompt TEXT NOT NULL,
     script TEXT,
-    script_type ENUM('eval', 'actions') DEFAULT 'eval',
+    script_type ENUM('eval', 'actions', 'budget') DEFAULT 'eval',
     is_active BOOLEAN DEFAULT TRUE,
     execution_order INT DEFAULT 0,
     viewports JSON DEFAULT NULL,  -- NULL = all viewports, or array like ["desktop", "mobile"]
+    budget JSON DEFAULT NULL,     -- Performance budget: {"metric": "lcp_ms", "max": 2500}
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
@@ -172,6 +546,79 @@ CREATE TABLE IF NOT EXISTS test_results (
     INDEX idx_screenshot_id (screenshot_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Webhooks (signed JSON notifications sent by the worker)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    organization_id INT NOT NULL,
+    name VARCHAR(255) NULL,
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(255) NOT NULL,                -- HMAC-SHA256 key for the X-VibeShot-Signature header
+    events JSON NOT NULL,                        -- Subscribed event types, e.g. ["capture.failed", "visual.changed"]
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+    INDEX idx_organization_active (organization_id, is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Webhook delivery log (one row per event per webhook, retried with backoff while pending)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id INT NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'success', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,
+    response_status INT NULL,
+    response_body TEXT NULL,
+    error_message TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+    INDEX idx_webhook_created (webhook_id, created_at),
+    INDEX idx_status_next_attempt (status, next_attempt_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Share links (public read-only access to a screenshot, a comparison pair or a page timeline
+-- without logging in; deleted to revoke)
+CREATE TABLE IF NOT EXISTS share_links (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,                        -- Member who created the link
+    token VARCHAR(64) NOT NULL,                  -- Random URL-safe token in /share/:token
+    scope ENUM('screenshot', 'comparison', 'page') NOT NULL,
+    page_id INT NOT NULL,                        -- Page of the shared screenshots
+    screenshot_id INT NULL,                      -- screenshot and comparison scopes
+    other_screenshot_id INT NULL,                -- Newer screenshot of a comparison
+    name VARCHAR(255) NULL,
+    expires_at TIMESTAMP NULL,                   -- NULL = never expires
+    view_count INT NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE CASCADE,
+    FOREIGN KEY (screenshot_id) REFERENCES screenshots(id) ON DELETE CASCADE,
+    FOREIGN KEY (other_screenshot_id) REFERENCES screenshots(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token (token),
+    INDEX idx_user_page (user_id, page_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- API keys (personal tokens for scripts and CI pipelines; only a SHA-256 hash of the key is stored,
+-- deleted to revoke)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,             -- Start of the key, shown to tell keys apart
+    key_hash CHAR(64) NOT NULL,                  -- SHA-256 of the full key (hex)
+    scopes JSON NOT NULL,                        -- Array of "read", "capture", "manage"
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_key_hash (key_hash),
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- AI generation sessions (tracks instruction/test script generation)
 CREATE TABLE IF NOT EXISTS ai_sessions (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -550,17 +550,19 @@ async function executeAction(page, action, context = {}) {
  * @param {Page} page - Puppeteer page instance
  * @param {Object} actionSequence - The action sequence to execute
  * @param {Object} options - Execution options
+ * @param {Function} options.redact - Masks secrets in logged and returned messages
+ *   (e.g. credentials filled into login steps)
  * @returns {Object} Execution results
  */
 async function executeActionSequence(page, actionSequence, options = {}) {
-  const { stopOnError = true, logPrefix = 'ActionExecutor' } = options;
+  const { stopOnError = true, logPrefix = 'ActionExecutor', redact = message => message } = options;
   
   // Validate the sequence first
   const validation = validateActionSequence(actionSequence);
   if (!validation.valid) {
     return {
       success: false,
-      error: `Invalid action sequence: ${validation.errors.join('; ')}`,
+      error: redact(`Invalid action sequence: ${validation.errors.join('; ')}`),
       results: []
     };
   }
@@ -575,9 +577,13 @@ async function executeActionSequence(page, actionSequence, options = {}) {
     const step = actionSequence.steps[i];
     const stepLabel = step.label || `Step ${i + 1}`;
     
-    console.log(`${logPrefix}: [${stepLabel}] ${step.action}${step.selector ? ` on "${step.selector}"` : ''}`);
+    console.log(redact(`${logPrefix}: [${stepLabel}] ${step.action}${step.selector ? ` on "${step.selector}"` : ''}`));
     
     const result = await executeAction(page, step, context);
+    if (result.error) result.error = redact(result.error);
+    if (result.result && typeof result.result.message === 'string') {
+      result.result = { ...result.result, message: redact(result.result.message) };
+    }
     results.push({
       ...result,
       stepIndex: i,
@@ -1,6 +1,6 @@
 const { generateActionScript } = require('./gemini');
 const { validateActionSequence, parseActionSequence, executeActionSequence } = require('./action-executor');
-const { preparePage } = require('./browser-helpers');
+const { openPage, preparePage } = require('./browser-helpers');
 
 /**
  * Action Script Generator - Orchestrates the generation of page interaction scripts
@@ -19,10 +19,11 @@ class ActionScriptGenerator {
    * @param {string} prompt - User's instruction in natural language
    * @param {object} options - Additional options
    * @param {number} options.sessionId - AI session ID for logging
+   * @param {object} options.requestSettings - Extra headers, cookies and basic auth of the page
    * @returns {object} Generated script and metadata including scriptType
    */
   async generate(pageUrl, prompt, options = {}) {
-    const { viewport, sessionId = null } = options;
+    const { viewport, sessionId = null, requestSettings = null } = options;
     
     console.log(`ActionScriptGenerator: Generating script for ${pageUrl}`);
     console.log(`ActionScriptGenerator: Prompt: "${prompt}"`);
@@ -35,13 +36,14 @@ class ActionScriptGenerator {
       browser = await this.browserPool.acquire();
       
       // Create new page
-      page = await browser.newPage();
+      page = await openPage(browser, requestSettings);
 
       // Prepare page with viewport, navigation, and cookie consent handling
       // Uses same setup as screenshot capture for consistent page state
       await preparePage(page, pageUrl, { 
         viewport, 
         timeout: 60000,
+        requestSettings,
         logPrefix: 'ActionScriptGenerator'
       });
 
@@ -1,6 +1,6 @@
 const { generateActionTestScript } = require('./gemini');
 const { validateActionSequence, parseActionSequence, executeActionSequence, collectAssertionResults } = require('./action-executor');
-const { preparePage } = require('./browser-helpers');
+const { openPage, preparePage } = require('./browser-helpers');
 
 /**
  * Action Test Generator - Orchestrates the generation of page test scripts
@@ -19,10 +19,11 @@ class ActionTestGenerator {
    * @param {string} prompt - User's test description in natural language
    * @param {object} options - Additional options
    * @param {number} options.sessionId - AI session ID for logging
+   * @param {object} options.requestSettings - Extra headers, cookies and basic auth of the page
    * @returns {object} Generated test script and metadata including scriptType
    */
   async generate(pageUrl, prompt, options = {}) {
-    const { viewport, sessionId = null } = options;
+    const { viewport, sessionId = null, requestSettings = null } = options;
     
     console.log(`ActionTestGenerator: Generating test for ${pageUrl}`);
     console.log(`ActionTestGenerator: Prompt: "${prompt}"`);
@@ -35,13 +36,14 @@ class ActionTestGenerator {
       browser = await this.browserPool.acquire();
       
       // Create new page
-      page = await browser.newPage();
+      page = await openPage(browser, requestSettings);
 
       // Prepare page with viewport, navigation, and cookie consent handling
       // Uses same setup as screenshot capture for consistent page state
       await preparePage(page, pageUrl, { 
         viewport, 
         timeout: 60000,
+        requestSettings,
         logPrefix: 'ActionTestGenerator'
       });
 
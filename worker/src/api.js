@@ -4,7 +4,8 @@ const TestGenerator = require('./test-generator');
 const ActionScriptGenerator = require('./action-script-generator');
 const ActionTestGenerator = require('./action-test-generator');
 const PageDiscovery = require('./page-discovery');
-const { preparePage } = require('./browser-helpers');
+const { openPage, preparePage } = require('./browser-helpers');
+const { getRequestSettings } = require('./request-settings');
 
 /**
  * Worker HTTP API - Provides endpoints for script generation, test generation, and page discovery
@@ -47,7 +48,7 @@ class WorkerApi {
 
     // Generate script endpoint (for instructions/actions - simple eval mode)
     this.app.post('/generate-script', async (req, res) => {
-      const { pageUrl, prompt, viewport, sessionId } = req.body;
+      const { pageUrl, pageId, prompt, viewport, sessionId } = req.body;
 
       if (!pageUrl || !prompt) {
         return res.status(400).json({ 
@@ -56,7 +57,8 @@ class WorkerApi {
       }
 
       try {
-        const result = await this.scriptGenerator.generate(pageUrl, prompt, { viewport, sessionId });
+        const requestSettings = pageId ? await getRequestSettings({ pageId }) : null;
+        const result = await this.scriptGenerator.generate(pageUrl, prompt, { viewport, sessionId, requestSettings });
         
         if (result.success) {
           res.json({
@@ -83,7 +85,7 @@ class WorkerApi {
 
     // Generate test endpoint (for assertions/tests)
     this.app.post('/generate-test', async (req, res) => {
-      const { pageUrl, prompt, viewport, sessionId } = req.body;
+      const { pageUrl, pageId, prompt, viewport, sessionId } = req.body;
 
       if (!pageUrl || !prompt) {
         return res.status(400).json({ 
@@ -92,7 +94,8 @@ class WorkerApi {
       }
 
       try {
-        const result = await this.testGenerator.generate(pageUrl, prompt, { viewport, sessionId });
+        const requestSettings = pageId ? await getRequestSettings({ pageId }) : null;
+        const result = await this.testGenerator.generate(pageUrl, prompt, { viewport, sessionId, requestSettings });
         
         if (result.success) {
           res.json({
@@ -121,7 +124,7 @@ class WorkerApi {
     // Generate action script endpoint (supports both eval and action DSL modes)
     // AI decides which mode to use based on instruction complexity
     this.app.post('/generate-action-script', async (req, res) => {
-      const { pageUrl, prompt, viewport, sessionId } = req.body;
+      const { pageUrl, pageId, prompt, viewport, sessionId } = req.body;
 
       if (!pageUrl || !prompt) {
         return res.status(400).json({ 
@@ -130,7 +133,8 @@ class WorkerApi {
       }
 
       try {
-        const result = await this.actionScriptGenerator.generate(pageUrl, prompt, { viewport, sessionId });
+        const requestSettings = pageId ? await getRequestSettings({ pageId }) : null;
+        const result = await this.actionScriptGenerator.generate(pageUrl, prompt, { viewport, sessionId, requestSettings });
         
         if (result.success) {
           res.json({
@@ -158,7 +162,7 @@ class WorkerApi {
     // Generate action test endpoint (supports both eval and action DSL modes)
     // AI decides which mode to use based on test complexity
     this.app.post('/generate-action-test', async (req, res) => {
-      const { pageUrl, prompt, viewport, sessionId } = req.body;
+      const { pageUrl, pageId, prompt, viewport, sessionId } = req.body;
 
       if (!pageUrl || !prompt) {
         return res.status(400).json({ 
@@ -167,7 +171,8 @@ class WorkerApi {
       }
 
       try {
-        const result = await this.actionTestGenerator.generate(pageUrl, prompt, { viewport, sessionId });
+        const requestSettings = pageId ? await getRequestSettings({ pageId }) : null;
+        const result = await this.actionTestGenerator.generate(pageUrl, prompt, { viewport, sessionId, requestSettings });
         
         if (result.success) {
           res.json({
@@ -195,7 +200,7 @@ class WorkerApi {
 
     // Discover pages endpoint
     this.app.post('/discover-pages', async (req, res) => {
-      const { domain, maxPages } = req.body;
+      const { domain, siteId, maxPages } = req.body;
 
       if (!domain) {
         return res.status(400).json({ 
@@ -204,8 +209,10 @@ class WorkerApi {
       }
 
       try {
+        const requestSettings = siteId ? await getRequestSettings({ siteId }) : null;
         const result = await this.pageDiscovery.discover(domain, { 
-          maxPages: maxPages || 10 
+          maxPages: maxPages || 10,
+          requestSettings
         });
         
         if (result.success) {
@@ -231,7 +238,7 @@ class WorkerApi {
 
     // Test script endpoint (validates without generating)
     this.app.post('/test-script', async (req, res) => {
-      const { pageUrl, script, viewport } = req.body;
+      const { pageUrl, pageId, script, viewport } = req.body;
 
       if (!pageUrl || !script) {
         return res.status(400).json({ 
@@ -243,14 +250,16 @@ class WorkerApi {
       let page = null;
 
       try {
+        const requestSettings = pageId ? await getRequestSettings({ pageId }) : null;
         browser = await this.browserPool.acquire();
-        page = await browser.newPage();
+        page = await openPage(browser, requestSettings);
 
         // Prepare page with viewport, navigation, and cookie consent handling
         // Uses same setup as screenshot capture for consistent page state
         await preparePage(page, pageUrl, { 
           viewport, 
           timeout: 60000,
+          requestSettings,
           logPrefix: 'WorkerAPI[test-script]'
         });
 
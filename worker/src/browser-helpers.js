@@ -19,15 +19,106 @@ function sleep(ms) {
 }
 
 /**
- * Set up a Puppeteer page with viewport and timeouts
+ * Apply extra headers, cookies and basic auth to a page before it navigates
+ * Cookies without a domain are set for the given URL.
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} requestSettings - { headers, cookies, basicAuth } (see request-settings.js)
+ * @param {string} url - URL the page will navigate to
+ * @returns {Promise<void>}
+ */
+async function applyRequestSettings(page, requestSettings, url) {
+  const { headers = {}, cookies = [], basicAuth = null } = requestSettings;
+
+  if (basicAuth) {
+    await page.authenticate({ username: basicAuth.username, password: basicAuth.password });
+  }
+
+  if (Object.keys(headers).length > 0) {
+    await page.setExtraHTTPHeaders(
+      Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, String(value)]))
+    );
+  }
+
+  if (cookies.length > 0) {
+    await page.setCookie(...cookies.map(({ name, value, domain, path }) => (domain
+      ? { name, value: String(value), domain, path: path || '/' }
+      : { name, value: String(value), url, ...(path ? { path } : {}) })));
+  }
+}
+
+/**
+ * Emulate a capture variant (color scheme, reduced motion, locale, time zone)
+ * The Accept-Language header is merged into the extra headers already set.
+ * @param {Page} page - Puppeteer page instance
+ * @param {Object} variant - { color_scheme, reduced_motion, locale, timezone } (all optional)
+ * @param {Object} headers - Extra headers applied from request settings
+ * @returns {Promise<void>}
+ */
+async function applyCaptureVariant(page, variant, headers = {}) {
+  const mediaFeatures = [];
+  if (variant.color_scheme) {
+    mediaFeatures.push({ name: 'prefers-color-scheme', value: variant.color_scheme });
+  }
+  if (variant.reduced_motion) {
+    mediaFeatures.push({ name: 'prefers-reduced-motion', value: 'reduce' });
+  }
+  if (mediaFeatures.length > 0) {
+    await page.emulateMediaFeatures(mediaFeatures);
+  }
+
+  if (variant.timezone) {
+    await page.emulateTimezone(variant.timezone);
+  }
+
+  if (variant.locale) {
+    await page.setExtraHTTPHeaders({ ...headers, 'Accept-Language': variant.locale });
+
+    // Intl formatting follows the ICU locale, navigator.language needs an override
+    const session = await page.target().createCDPSession();
+    await session.send('Emulation.setLocaleOverride', { locale: variant.locale.replace(/-/g, '_') });
+    await page.evaluateOnNewDocument((locale) => {
+      Object.defineProperty(navigator, 'language', { get: () => locale });
+      Object.defineProperty(navigator, 'languages', { get: () => [locale] });
+    }, variant.locale);
+  }
+}
+
+/**
+ * Open a new page with request settings in mind
+ * Pages that set cookies get their own browser context so the cookies don't
+ * leak into other pages of the pooled browser; the context closes with the page.
+ * @param {Browser} browser - Puppeteer browser instance
+ * @param {Object} requestSettings - Extra headers, cookies and basic auth (optional)
+ * @returns {Promise<Page>}
+ */
+async function openPage(browser, requestSettings = null) {
+  if (!requestSettings || requestSettings.cookies.length === 0) {
+    return browser.newPage();
+  }
+
+  const context = await browser.createIncognitoBrowserContext();
+  const page = await context.newPage();
+  page.once('close', () => {
+    context.close().catch(() => {});
+  });
+  return page;
+}
+
+/**
+ * Set up a Puppeteer page with viewport, timeouts and request settings
  * @param {Page} page - Puppeteer page instance
  * @param {Object} options - Setup options
  * @param {string|Object} options.viewport - Viewport name ('mobile', 'tablet', 'desktop') or custom {width, height}
+ *   (custom viewports may also set deviceScaleFactor, isMobile, hasTouch and isLandscape)
+ * @param {string} options.userAgent - User agent to emulate (optional)
+ * @param {Object} options.variant - Capture variant to emulate (optional, see applyCaptureVariant)
  * @param {number} options.timeout - Navigation/default timeout in ms (default: 60000)
+ * @param {Object} options.requestSettings - Extra headers, cookies and basic auth (optional)
+ * @param {string} options.url - URL the page will navigate to (required for cookies without a domain)
  * @returns {Promise<void>}
  */
 async function setupPage(page, options = {}) {
-  const { viewport = 'desktop', timeout = 60000 } = options;
+  const { viewport = 'desktop', userAgent = null, variant = null, timeout = 60000, requestSettings = null, url } = options;
   
   // Determine viewport dimensions
   let viewportConfig;
@@ -43,12 +134,27 @@ async function setupPage(page, options = {}) {
   await page.setViewport({
     width: viewportConfig.width,
     height: viewportConfig.height,
-    deviceScaleFactor: 1
+    deviceScaleFactor: viewportConfig.deviceScaleFactor || 1,
+    isMobile: Boolean(viewportConfig.isMobile),
+    hasTouch: Boolean(viewportConfig.hasTouch),
+    isLandscape: Boolean(viewportConfig.isLandscape)
   });
   
+  if (userAgent) {
+    await page.setUserAgent(userAgent);
+  }
+  
   // Set timeouts
   page.setDefaultNavigationTimeout(timeout);
   page.setDefaultTimeout(timeout);
+
+  if (requestSettings) {
+    await applyRequestSettings(page, requestSettings, url);
+  }
+
+  if (variant) {
+    await applyCaptureVariant(page, variant, requestSettings ? requestSettings.headers : {});
+  }
 }
 
 /**
@@ -402,6 +508,7 @@ async function dismissCookieConsent(page) {
  * @param {string|Object} options.viewport - Viewport name or custom {width, height}
  * @param {number} options.timeout - Timeout in ms (default: 60000)
  * @param {boolean} options.dismissCookies - Whether to dismiss cookie dialogs (default: true)
+ * @param {Object} options.requestSettings - Extra headers, cookies and basic auth (optional)
  * @param {string} options.logPrefix - Prefix for log messages (default: 'BrowserHelpers')
  * @returns {Promise<void>}
  */
@@ -410,11 +517,12 @@ async function preparePage(page, url, options = {}) {
     viewport,
     timeout = 60000,
     dismissCookies = true,
+    requestSettings = null,
     logPrefix = 'BrowserHelpers'
   } = options;
   
-  // Setup viewport and timeouts
-  await setupPage(page, { viewport, timeout });
+  // Setup viewport, timeouts and request settings
+  await setupPage(page, { viewport, timeout, requestSettings, url });
   
   // Navigate to page
   console.log(`${logPrefix}: Navigating to ${url}`);
@@ -479,6 +587,7 @@ async function autoScroll(page, maxDuration = 30000) {
 module.exports = {
   VIEWPORT_SIZES,
   sleep,
+  openPage,
   setupPage,
   navigateToPage,
   dismissCookieConsent,
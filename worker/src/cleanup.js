@@ -185,10 +185,43 @@ async function deleteScreenshotFiles(screenshot) {
       }
     }
   }
+
+  if (screenshot.diff_path) {
+    const diffPath = path.join(SCREENSHOTS_DIR, screenshot.diff_path);
+    try {
+      await fs.unlink(diffPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Cleanup: Could not delete diff file: ${err.message}`);
+      }
+    }
+  }
+
+  if (screenshot.har_path) {
+    const harPath = path.join(SCREENSHOTS_DIR, screenshot.har_path);
+    try {
+      await fs.unlink(harPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Cleanup: Could not delete HAR file: ${err.message}`);
+      }
+    }
+  }
+
+  for (const snapshotPath of [screenshot.html_path, screenshot.dom_path, screenshot.mhtml_path]) {
+    if (!snapshotPath) continue;
+    try {
+      await fs.unlink(path.join(SCREENSHOTS_DIR, snapshotPath));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Cleanup: Could not delete DOM snapshot file: ${err.message}`);
+      }
+    }
+  }
 }
 
 /**
- * Run cleanup for all users with retention enabled
+ * Run cleanup for all organizations with retention enabled
  */
 async function runCleanup() {
   console.log('Cleanup: Starting retention cleanup job...');
@@ -197,29 +230,28 @@ async function runCleanup() {
   let pagesProcessed = 0;
 
   try {
-    // Get all users with retention enabled
-    const [usersWithRetention] = await db.query(`
-      SELECT us.*, u.email 
-      FROM user_settings us
-      JOIN users u ON us.user_id = u.id
-      WHERE us.retention_enabled = TRUE
+    // Get all organizations with retention enabled
+    const [organizationsWithRetention] = await db.query(`
+      SELECT os.*
+      FROM organization_settings os
+      WHERE os.retention_enabled = TRUE
     `);
 
-    if (usersWithRetention.length === 0) {
-      console.log('Cleanup: No users have retention enabled, skipping');
+    if (organizationsWithRetention.length === 0) {
+      console.log('Cleanup: No organizations have retention enabled, skipping');
       return { pagesProcessed: 0, screenshotsDeleted: 0 };
     }
 
-    console.log(`Cleanup: Found ${usersWithRetention.length} users with retention enabled`);
+    console.log(`Cleanup: Found ${organizationsWithRetention.length} organizations with retention enabled`);
 
-    for (const userSettings of usersWithRetention) {
-      // Get all pages for this user
+    for (const organizationSettings of organizationsWithRetention) {
+      // Get all pages of this organization
       const [pages] = await db.query(`
         SELECT p.id, p.name, s.name as site_name
         FROM pages p
         JOIN sites s ON p.site_id = s.id
-        WHERE s.user_id = ?
-      `, [userSettings.user_id]);
+        WHERE s.organization_id = ?
+      `, [organizationSettings.organization_id]);
 
       for (const page of pages) {
         // Get all screenshots for this page, ordered by created_at DESC
@@ -235,7 +267,7 @@ async function runCleanup() {
         }
 
         // Apply retention policy
-        const toDeleteIds = applyRetentionPolicy(screenshots, userSettings, now);
+        const toDeleteIds = applyRetentionPolicy(screenshots, organizationSettings, now);
 
         if (toDeleteIds.length === 0) {
           continue;
@@ -245,13 +277,20 @@ async function runCleanup() {
 
         // Get full screenshot data for file deletion
         const [screenshotsToDelete] = await db.query(`
-          SELECT id, file_path, thumbnail_path
+          SELECT id, file_path, thumbnail_path, diff_path, har_path, html_path, dom_path, mhtml_path
           FROM screenshots
           WHERE id IN (${toDeleteIds.map(() => '?').join(',')})
         `, toDeleteIds);
 
+        // Component screenshots are removed with their full-page screenshot (FK cascade)
+        const [componentScreenshots] = await db.query(`
+          SELECT id, file_path, thumbnail_path, diff_path
+          FROM component_screenshots
+          WHERE screenshot_id IN (${toDeleteIds.map(() => '?').join(',')}) AND file_path IS NOT NULL
+        `, toDeleteIds);
+
         // Delete files
-        for (const screenshot of screenshotsToDelete) {
+        for (const screenshot of [...screenshotsToDelete, ...componentScreenshots]) {
           await deleteScreenshotFiles(screenshot);
         }
 
@@ -6,7 +6,7 @@
  * Cascade order (highest to lowest priority):
  *   1. Page settings (if set)
  *   2. Site settings (if set)
- *   3. User settings (if set)
+ *   3. Organization settings (if set)
  *   4. System defaults (this file)
  */
 
@@ -16,6 +16,9 @@ const DEFAULT_INTERVAL_MINUTES = 1440;
 // Default viewport widths for screenshot capture [desktop, tablet, mobile]
 const DEFAULT_VIEWPORTS = [1920, 768, 375];
 
+// Time zone for cron schedules and blackout windows when none is set
+const DEFAULT_SCHEDULE_TIMEZONE = 'UTC';
+
 // Standard viewport size configurations (width x height)
 const VIEWPORT_SIZES = {
   mobile: { width: 375, height: 812 },
@@ -23,16 +26,75 @@ const VIEWPORT_SIZES = {
   desktop: { width: 1920, height: 1080 }
 };
 
+// Default diff percentage above which a capture is flagged as "changed"
+const DEFAULT_CHANGE_THRESHOLD_PERCENT = 1;
+
 // Retry settings for failed captures
 const RETRY_SETTINGS = {
   BASE_RETRY_DELAY_MINUTES: 5,      // Initial retry delay after first failure
+  MAX_RETRY_DELAY_MINUTES: 1440,    // Backoff doubles per failure up to this
   MAX_CONSECUTIVE_FAILURES: 5,       // Stop retrying after this many consecutive failures
-  STALE_JOB_TIMEOUT_MINUTES: 10     // Consider "capturing" jobs stale after this long
+  STALE_JOB_TIMEOUT_MINUTES: 10     // Consider "capturing" jobs without a lease stale after this long
+};
+
+// Per-site capture limits so captures don't overload one server (or trip its WAF);
+// sites can override them
+const SITE_CAPTURE_LIMITS = {
+  DEFAULT_MAX_CONCURRENT_CAPTURES: 2,  // Pages of one site captured at the same time (across all workers)
+  DEFAULT_CAPTURE_DELAY_SECONDS: 0     // Pause between page loads in each of a site's capture slots
+};
+
+// Worker fleet settings (several workers can share the capture_jobs queue)
+const WORKER_SETTINGS = {
+  HEARTBEAT_INTERVAL_SECONDS: 15,    // Workers refresh their row and job leases this often
+  JOB_LEASE_SECONDS: 120            // A claimed job is failed if its worker misses heartbeats this long
 };
 
+// Webhook event types (users subscribe to a subset per webhook)
+const WEBHOOK_EVENTS = [
+  'capture.failed',       // Capture job ended with status 'failed'
+  'test.failed',          // A test result was recorded with passed = 0
+  'screenshot.errors',    // JS/network errors were captured for a screenshot
+  'visual.changed',       // Visual diff exceeded the change threshold
+  'page.suspended',       // Scheduled captures stopped after too many consecutive failures
+  'page.down',            // An uptime probe failed after the page was up (triggers a capture)
+  'page.up',              // An uptime probe succeeded after the page was down
+  'watch.triggered'       // A text watch saw its text change or its keyword appear/disappear
+];
+
+// Uptime probes (plain HTTP requests between captures)
+const PROBE_SETTINGS = {
+  POLL_INTERVAL_SECONDS: 30,         // How often workers look for pages due for a probe
+  MAX_CONCURRENT_PROBES: 10,         // Probes one worker runs at the same time
+  REQUEST_TIMEOUT_MS: 15000,         // A probe without a response in time counts as down
+  MAX_REDIRECTS: 10,
+  RETRY_DELAY_MS: 5000,              // A failed probe is repeated once before the page counts as down
+  RETENTION_DAYS: 90                 // Probe results older than this are deleted by the cleanup job
+};
+
+// Webhook delivery settings
+const WEBHOOK_SETTINGS = {
+  MAX_ATTEMPTS: 5,                   // Give up on a delivery after this many attempts
+  BASE_RETRY_DELAY_SECONDS: 30,      // Backoff doubles after each failed attempt
+  REQUEST_TIMEOUT_MS: 10000,         // Abort requests to slow endpoints
+  MAX_RESPONSE_BODY_LENGTH: 2000,    // Truncate stored response bodies
+  CLAIM_TIMEOUT_SECONDS: 60          // Other workers skip a delivery being sent for this long
+};
+
+// Time a user-supplied regex (text watches, logged-out URL patterns) gets to match before it is stopped
+const REGEX_TIMEOUT_MS = 1000;
+
 module.exports = {
   DEFAULT_INTERVAL_MINUTES,
   DEFAULT_VIEWPORTS,
+  DEFAULT_SCHEDULE_TIMEZONE,
   VIEWPORT_SIZES,
-  RETRY_SETTINGS
+  DEFAULT_CHANGE_THRESHOLD_PERCENT,
+  RETRY_SETTINGS,
+  SITE_CAPTURE_LIMITS,
+  WORKER_SETTINGS,
+  WEBHOOK_EVENTS,
+  WEBHOOK_SETTINGS,
+  PROBE_SETTINGS,
+  REGEX_TIMEOUT_MS
 };
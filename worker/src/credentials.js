@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+/**
+ * Credentials - Encryption of secrets stored in the database
+ *
+ * Login profile credentials and cached sessions are encrypted with AES-256-GCM
+ * using a key derived from the CREDENTIALS_KEY environment variable. The API
+ * and the worker must use the same key (mirrored in api/src/services/credentials.js).
+ *
+ * Stored format: "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+function getKey() {
+  if (!process.env.CREDENTIALS_KEY) {
+    throw new Error('CREDENTIALS_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.CREDENTIALS_KEY).digest();
+}
+
+/**
+ * Check whether a credentials key is configured
+ * @returns {boolean}
+ */
+function isEncryptionConfigured() {
+  return Boolean(process.env.CREDENTIALS_KEY);
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} Encrypted payload
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Plaintext
+ */
+function decryptSecret(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,98 @@
+const { KnownDevices } = require('puppeteer-core');
+const db = require('./config/database');
+
+/**
+ * Device Profiles - Named device emulation settings (size, DPR, touch, user agent)
+ *
+ * Built-in profiles (organization_id NULL) are seeded from Puppeteer's known devices
+ * on worker start; organizations can add their own. Sites and pages pick profiles by
+ * ID (cascading page -> site -> organization default like viewports); when none are
+ * picked, captures fall back to the plain viewport widths.
+ */
+
+// Puppeteer device names seeded as built-in profiles
+const KNOWN_DEVICE_NAMES = [
+  'iPhone SE',
+  'iPhone 13',
+  'iPhone 13 Pro Max',
+  'Pixel 5',
+  'Galaxy S9+',
+  'iPad Mini',
+  'iPad Pro 11',
+  'iPhone 13 landscape',
+  'iPad Mini landscape'
+];
+
+// Desktop profiles (not part of Puppeteer's list)
+const DESKTOP_DEVICES = [
+  { name: 'Desktop 1920', viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true } },
+  { name: 'Laptop 1440', viewport: { width: 1440, height: 900, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true } },
+  { name: 'MacBook Retina', viewport: { width: 1440, height: 900, deviceScaleFactor: 2, isMobile: false, hasTouch: false, isLandscape: true } }
+];
+
+/**
+ * Insert or refresh the built-in device profiles
+ * @returns {Promise<void>}
+ */
+async function seedDeviceProfiles() {
+  const devices = [
+    ...DESKTOP_DEVICES,
+    ...KNOWN_DEVICE_NAMES.filter(name => KnownDevices[name]).map(name => KnownDevices[name])
+  ];
+
+  for (const device of devices) {
+    const { viewport } = device;
+    await db.query(
+      `INSERT INTO device_profiles
+         (builtin_key, name, width, height, device_scale_factor, is_mobile, has_touch, is_landscape, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         width = VALUES(width), height = VALUES(height), device_scale_factor = VALUES(device_scale_factor),
+         is_mobile = VALUES(is_mobile), has_touch = VALUES(has_touch), is_landscape = VALUES(is_landscape),
+         user_agent = VALUES(user_agent)`,
+      [
+        device.name, device.name, viewport.width, viewport.height, viewport.deviceScaleFactor,
+        viewport.isMobile, viewport.hasTouch, viewport.isLandscape, device.userAgent || null
+      ]
+    );
+  }
+
+  console.log(`DeviceProfiles: Seeded ${devices.length} built-in device profiles`);
+}
+
+/**
+ * Load device profiles available to an organization, in the given order
+ * Profiles that were deleted or belong to another organization are skipped.
+ * @param {number[]} profileIds - Device profile IDs
+ * @param {number} organizationId - Organization that owns the page
+ * @returns {Promise<Object[]>} Profiles as viewport configs for setupPage
+ */
+async function getDeviceProfiles(profileIds, organizationId) {
+  if (!Array.isArray(profileIds) || profileIds.length === 0) return [];
+
+  const [rows] = await db.query(
+    `SELECT * FROM device_profiles
+     WHERE id IN (?) AND (organization_id IS NULL OR organization_id = ?)`,
+    [profileIds, organizationId]
+  );
+
+  return profileIds
+    .map(id => rows.find(row => row.id === id))
+    .filter(Boolean)
+    .map(row => ({
+      deviceProfileId: row.id,
+      deviceName: row.name,
+      width: row.width,
+      height: row.height,
+      deviceScaleFactor: Number(row.device_scale_factor),
+      isMobile: Boolean(row.is_mobile),
+      hasTouch: Boolean(row.has_touch),
+      isLandscape: Boolean(row.is_landscape),
+      userAgent: row.user_agent
+    }));
+}
+
+module.exports = {
+  seedDeviceProfiles,
+  getDeviceProfiles
+};
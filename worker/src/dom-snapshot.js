@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * DOM Snapshot - Archive of the page as it was captured
+ *
+ * Taken after instructions ran and lazy content was scrolled in, so it matches
+ * the screenshot. Every capture stores the serialized HTML and a JSON summary
+ * (visible text and an element outline) that the API diffs between captures;
+ * pages with archive_mhtml enabled also get a self-contained MHTML archive.
+ * The API never serves these files statically (they can contain session
+ * content of pages behind a login), only through its authenticated routes.
+ */
+
+// Elements whose content is not part of the rendered page structure
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'link', 'meta'];
+const MAX_OUTLINE_LINES = 5000;
+const MAX_TEXT_LENGTH = 500000;
+
+/**
+ * Save the DOM snapshot of a page next to its screenshot
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Object} options - { dirPath, relativeDir, baseName, mhtml }
+ * @returns {Promise<Object>} Relative htmlPath, domPath and mhtmlPath (null when not saved)
+ */
+async function captureDomSnapshot(browserPage, { dirPath, relativeDir, baseName, mhtml = false }) {
+  const result = { htmlPath: null, domPath: null, mhtmlPath: null };
+
+  try {
+    const html = await browserPage.content();
+    await fs.writeFile(path.join(dirPath, `${baseName}.html`), html);
+    result.htmlPath = path.join(relativeDir, `${baseName}.html`);
+  } catch (error) {
+    console.warn('DOM Snapshot: Failed to save HTML:', error.message);
+  }
+
+  try {
+    const summary = await browserPage.evaluate(summarizeDom, SKIPPED_TAGS, MAX_OUTLINE_LINES, MAX_TEXT_LENGTH);
+    await fs.writeFile(path.join(dirPath, `${baseName}.dom.json`), JSON.stringify(summary));
+    result.domPath = path.join(relativeDir, `${baseName}.dom.json`);
+  } catch (error) {
+    console.warn('DOM Snapshot: Failed to save DOM summary:', error.message);
+  }
+
+  if (mhtml) {
+    let session = null;
+    try {
+      session = await browserPage.target().createCDPSession();
+      const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+      await fs.writeFile(path.join(dirPath, `${baseName}.mhtml`), data);
+      result.mhtmlPath = path.join(relativeDir, `${baseName}.mhtml`);
+    } catch (error) {
+      console.warn('DOM Snapshot: Failed to save MHTML archive:', error.message);
+    } finally {
+      if (session) session.detach().catch(() => {});
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Summarize the rendered DOM (runs in the browser)
+ * @returns {Object} { text: visible text lines, outline: indented "tag#id.class" lines, truncated }
+ */
+function summarizeDom(skippedTags, maxOutlineLines, maxTextLength) {
+  const outline = [];
+  let truncated = false;
+
+  const walk = (element, depth) => {
+    if (outline.length >= maxOutlineLines) {
+      truncated = true;
+      return;
+    }
+    const tag = element.tagName.toLowerCase();
+    if (skippedTags.includes(tag)) return;
+
+    let line = '  '.repeat(depth) + tag;
+    if (element.id) line += `#${element.id}`;
+    const classes = typeof element.className === 'string'
+      ? element.className.trim().split(/\s+/).filter(Boolean)
+      : [];
+    if (classes.length > 0) line += `.${classes.join('.')}`;
+    outline.push(line);
+
+    // SVG internals are drawing instructions rather than page structure
+    if (tag === 'svg') return;
+    for (const child of element.children) {
+      walk(child, depth + 1);
+    }
+  };
+
+  if (document.body) walk(document.body, 0);
+
+  let text = document.body ? document.body.innerText : '';
+  if (text.length > maxTextLength) {
+    text = text.slice(0, maxTextLength);
+    truncated = true;
+  }
+
+  return {
+    title: document.title,
+    text: text.split('\n').map(line => line.trim()).filter(Boolean),
+    outline,
+    truncated
+  };
+}
+
+module.exports = {
+  captureDomSnapshot
+};
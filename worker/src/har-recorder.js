@@ -0,0 +1,273 @@
+const fs = require('fs').promises;
+const { version: WORKER_VERSION } = require('../package.json');
+
+/**
+ * HAR Recorder - Full network log of a capture session in HAR 1.2 format
+ *
+ * Recorded from DevTools protocol Network events when a page has record_har
+ * enabled and stored next to the screenshot. Response bodies are not
+ * included, and credential headers are redacted since pages behind a login or
+ * with request settings send them on every request (as are request bodies of
+ * pages with a login profile, which carry the submitted login form). Besides
+ * the standard credential headers, every header configured in the page's
+ * request settings is redacted, as is any header carrying its basic-auth
+ * credentials. The API only serves HAR files through the authenticated
+ * download route, never from the public screenshots directory.
+ */
+
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Start recording the network traffic of a page (before it navigates)
+ * @param {Page} browserPage - Puppeteer page instance
+ * @returns {Promise<{save: Function}>} save(filePath, pageInfo) writes the HAR
+ *   file and resolves to true, or false when nothing could be recorded
+ */
+async function startHarRecording(browserPage) {
+  const pending = new Map(); // requestId -> entry in progress
+  const entries = [];
+  let session = null;
+
+  const finish = (requestId, update) => {
+    const entry = pending.get(requestId);
+    if (!entry) return;
+    pending.delete(requestId);
+    Object.assign(entry, update);
+    entries.push(entry);
+  };
+
+  try {
+    session = await browserPage.target().createCDPSession();
+
+    session.on('Network.requestWillBeSent', (event) => {
+      // A redirect reuses the request ID: the previous hop ends with the redirect response
+      if (event.redirectResponse) {
+        finish(event.requestId, {
+          response: event.redirectResponse,
+          endTimestamp: event.timestamp
+        });
+      }
+      pending.set(event.requestId, {
+        request: event.request,
+        type: event.type || 'Other',
+        wallTime: event.wallTime,
+        timestamp: event.timestamp,
+        response: null
+      });
+    });
+    session.on('Network.responseReceived', (event) => {
+      const entry = pending.get(event.requestId);
+      if (entry) {
+        entry.response = event.response;
+      }
+    });
+    session.on('Network.loadingFinished', (event) => {
+      finish(event.requestId, {
+        endTimestamp: event.timestamp,
+        encodedDataLength: event.encodedDataLength
+      });
+    });
+    session.on('Network.loadingFailed', (event) => {
+      finish(event.requestId, {
+        endTimestamp: event.timestamp,
+        error: event.canceled ? 'canceled' : event.errorText
+      });
+    });
+
+    await session.send('Network.enable');
+  } catch (error) {
+    console.warn('HAR: Failed to start recording:', error.message);
+    session = null;
+  }
+
+  const save = async (filePath, pageInfo) => {
+    if (!session) return false;
+
+    try {
+      // Requests still in flight when the screenshot was taken are kept without an end time
+      for (const entry of pending.values()) {
+        entries.push(entry);
+      }
+      pending.clear();
+
+      const har = buildHar(entries, pageInfo);
+      await fs.writeFile(filePath, JSON.stringify(har));
+      return true;
+    } catch (error) {
+      console.warn('HAR: Failed to save recording:', error.message);
+      return false;
+    } finally {
+      session.detach().catch(() => {});
+    }
+  };
+
+  return { save };
+}
+
+/**
+ * Build a HAR 1.2 log from recorded entries
+ * @param {Array} entries - Recorded requests in completion order
+ * @param {Object} pageInfo - { url, title, viewportLabel, redactPostData, requestSettings }
+ * @returns {Object} HAR document
+ */
+function buildHar(entries, pageInfo) {
+  const redactions = getRedactions(pageInfo.requestSettings);
+  const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+  const first = sorted[0];
+  const pageStartedAt = first && first.wallTime ? new Date(first.wallTime * 1000) : new Date();
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'VibeShot', version: WORKER_VERSION },
+      pages: [{
+        startedDateTime: pageStartedAt.toISOString(),
+        id: 'page_1',
+        title: pageInfo.title || pageInfo.url,
+        pageTimings: {},
+        comment: pageInfo.viewportLabel
+      }],
+      entries: sorted.map(entry => formatEntry(entry, first, pageInfo.redactPostData, redactions))
+    }
+  };
+}
+
+function formatEntry(entry, first, redactPostData, redactions) {
+  const { request, response } = entry;
+  // wallTime is only sent for the first hop of a request; derive the rest from the monotonic timestamp
+  const startedAt = entry.wallTime
+    ? entry.wallTime * 1000
+    : first.wallTime * 1000 + (entry.timestamp - first.timestamp) * 1000;
+  const totalMs = entry.endTimestamp ? (entry.endTimestamp - entry.timestamp) * 1000 : -1;
+  let queryString = [];
+  try {
+    queryString = [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    // Not a parseable URL (e.g. truncated data: URLs)
+  }
+
+  const harEntry = {
+    pageref: 'page_1',
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: round(Math.max(totalMs, 0)),
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: response && response.protocol ? response.protocol : 'unknown',
+      cookies: [],
+      headers: formatHeaders(request.headers, redactions),
+      queryString,
+      headersSize: -1,
+      bodySize: request.postData ? Buffer.byteLength(request.postData) : 0
+    },
+    response: {
+      status: response ? response.status : 0,
+      statusText: response ? response.statusText || '' : '',
+      httpVersion: response && response.protocol ? response.protocol : 'unknown',
+      cookies: [],
+      headers: response ? formatHeaders(response.headers, redactions) : [],
+      content: {
+        size: -1,
+        mimeType: response ? response.mimeType || '' : ''
+      },
+      redirectURL: response && response.headers ? findHeader(response.headers, 'location') || '' : '',
+      headersSize: -1,
+      bodySize: entry.encodedDataLength !== undefined ? round(entry.encodedDataLength) : -1
+    },
+    cache: {},
+    timings: formatTimings(entry, totalMs),
+    _resourceType: entry.type.toLowerCase()
+  };
+
+  if (request.postData) {
+    harEntry.request.postData = {
+      mimeType: findHeader(request.headers, 'content-type') || '',
+      text: redactPostData ? '[redacted]' : request.postData
+    };
+  }
+  if (response && response.remoteIPAddress) {
+    harEntry.serverIPAddress = response.remoteIPAddress;
+  }
+  if (entry.error) {
+    harEntry._error = entry.error;
+  }
+
+  return harEntry;
+}
+
+// Convert DevTools ResourceTiming (ms offsets from requestTime) into HAR phases
+function formatTimings(entry, totalMs) {
+  const timing = entry.response && entry.response.timing;
+  if (!timing) {
+    return { send: 0, wait: round(Math.max(totalMs, 0)), receive: 0 };
+  }
+
+  const phase = (start, end) => (start >= 0 && end >= 0 ? round(end - start) : -1);
+  // Queued in the browser until DNS, connect or send starts (-1 = phase skipped)
+  const firstPhaseStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0) || 0;
+  const blocked = round(Math.max((timing.requestTime - entry.timestamp) * 1000, 0) + firstPhaseStart);
+  const receive = entry.endTimestamp
+    ? round(Math.max((entry.endTimestamp - timing.requestTime) * 1000 - timing.receiveHeadersEnd, 0))
+    : 0;
+
+  return {
+    blocked,
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    ssl: phase(timing.sslStart, timing.sslEnd),
+    send: Math.max(phase(timing.sendStart, timing.sendEnd), 0),
+    wait: Math.max(phase(timing.sendEnd, timing.receiveHeadersEnd), 0),
+    receive
+  };
+}
+
+/**
+ * Collect the header names and secret values to redact for a page
+ * @param {Object|null} requestSettings - { headers, cookies, basicAuth } (see request-settings.js)
+ * @returns {{names: Set<string>, secrets: Array<string>}} Lower-case header names, and
+ *   values that redact any header containing them
+ */
+function getRedactions(requestSettings) {
+  const names = new Set(REDACTED_HEADERS);
+  const secrets = [];
+
+  if (requestSettings) {
+    for (const name of Object.keys(requestSettings.headers || {})) {
+      names.add(name.toLowerCase());
+    }
+
+    const { basicAuth } = requestSettings;
+    if (basicAuth) {
+      // Sent as "Basic <base64>" once the server asks, and echoed by some proxies
+      secrets.push(Buffer.from(`${basicAuth.username}:${basicAuth.password}`).toString('base64'));
+      if (basicAuth.password) {
+        secrets.push(basicAuth.password);
+      }
+    }
+  }
+
+  return { names, secrets };
+}
+
+function formatHeaders(headers, redactions) {
+  return Object.entries(headers || {}).map(([name, value]) => {
+    const text = String(value);
+    const redacted = redactions.names.has(name.toLowerCase()) ||
+      redactions.secrets.some(secret => text.includes(secret));
+    return { name, value: redacted ? '[redacted]' : text };
+  });
+}
+
+function findHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  startHarRecording,
+  buildHar
+};
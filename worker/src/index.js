@@ -1,26 +1,35 @@
 const Scheduler = require('./scheduler');
 const BrowserPool = require('./browser-pool');
 const WorkerApi = require('./api');
+const { seedDeviceProfiles } = require('./device-profiles');
 
 const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 4;
+const CAPACITY = parseInt(process.env.WORKER_CAPACITY) || POOL_SIZE;
 const API_PORT = parseInt(process.env.WORKER_API_PORT) || 3001;
 
 async function main() {
   console.log('VibeShot Worker starting...');
-  console.log(`Browser pool size: ${POOL_SIZE}`);
+  console.log(`Browser pool size: ${POOL_SIZE}, capture capacity: ${CAPACITY}`);
 
   // Initialize browser pool
   const browserPool = new BrowserPool(POOL_SIZE);
   await browserPool.initialize();
   console.log('Browser pool initialized');
 
+  // Refresh built-in device profiles (captures still work with plain viewports if this fails)
+  try {
+    await seedDeviceProfiles();
+  } catch (error) {
+    console.error('DeviceProfiles: Failed to seed built-in device profiles:', error.message);
+  }
+
   // Initialize and start Worker API
   const workerApi = new WorkerApi(browserPool);
   await workerApi.start(API_PORT);
   console.log(`Worker API started on port ${API_PORT}`);
 
   // Initialize scheduler
-  const scheduler = new Scheduler(browserPool);
+  const scheduler = new Scheduler(browserPool, CAPACITY);
   
   // Start the scheduling loop
   scheduler.start();
@@ -29,7 +38,7 @@ async function main() {
   // Graceful shutdown
   const shutdown = async (signal) => {
     console.log(`\nReceived ${signal}, shutting down gracefully...`);
-    scheduler.stop();
+    await scheduler.stop();
     await workerApi.stop();
     await browserPool.shutdown();
     console.log('Worker shutdown complete');
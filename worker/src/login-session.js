@@ -0,0 +1,323 @@
+const vm = require('vm');
+const db = require('./config/database');
+const { REGEX_TIMEOUT_MS } = require('./config/constants');
+const { executeActionSequence, parseActionSequence } = require('./action-executor');
+const { navigateToPage, sleep } = require('./browser-helpers');
+const { encryptSecret, decryptSecret } = require('./credentials');
+
+/**
+ * Login Session - Logs in with a site's login profile before capturing pages behind a login
+ *
+ * The login sequence is an action DSL sequence (see action-executor.js) run on
+ * the profile's login URL. Credentials are referenced by placeholders
+ * ({{username}}, {{password}}) and only filled in right before execution, so
+ * they never appear in stored sequences, action logs or error messages.
+ *
+ * After a successful login the cookies and localStorage are cached encrypted in
+ * the database (shared by all viewports, captures and workers) until the
+ * profile's session TTL passes, a logout is detected or the user ends the
+ * session from the API.
+ */
+
+const CREDENTIAL_FIELDS = ['text', 'value'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(username|password)\s*\}\}/g;
+
+/**
+ * Load a login profile with its credentials decrypted
+ * @param {number} profileId - Login profile ID
+ * @returns {Promise<Object|null>} Profile, or null if it doesn't exist
+ */
+async function getLoginProfile(profileId) {
+  const [profiles] = await db.query(
+    `SELECT id, site_id, name, login_url, username_encrypted, password_encrypted, steps,
+            logged_in_selector, logged_out_url_pattern, session_ttl_minutes
+     FROM login_profiles WHERE id = ?`,
+    [profileId]
+  );
+
+  if (profiles.length === 0) return null;
+
+  const profile = profiles[0];
+  return {
+    id: profile.id,
+    siteId: profile.site_id,
+    name: profile.name,
+    loginUrl: profile.login_url,
+    steps: typeof profile.steps === 'string' ? JSON.parse(profile.steps) : profile.steps,
+    loggedInSelector: profile.logged_in_selector,
+    loggedOutUrlPattern: profile.logged_out_url_pattern,
+    sessionTtlMinutes: profile.session_ttl_minutes,
+    credentials: {
+      username: profile.username_encrypted ? decryptSecret(profile.username_encrypted) : '',
+      password: profile.password_encrypted ? decryptSecret(profile.password_encrypted) : ''
+    }
+  };
+}
+
+/**
+ * Replace credential values in a message with asterisks
+ * @param {string} message - Message that may contain secrets
+ * @param {Object} credentials - { username, password }
+ * @returns {string}
+ */
+function redactSecrets(message, credentials) {
+  let redacted = String(message || '');
+  for (const secret of [credentials.password, credentials.username]) {
+    if (secret) {
+      redacted = redacted.split(secret).join('***');
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Fill credential placeholders into a copy of the login steps
+ * @param {Object} sequence - Action sequence { steps: [...] }
+ * @param {Object} credentials - { username, password }
+ * @returns {Object} Action sequence ready to execute
+ */
+function fillCredentials(sequence, credentials) {
+  return {
+    ...sequence,
+    steps: sequence.steps.map(step => {
+      const filled = { ...step };
+      for (const field of CREDENTIAL_FIELDS) {
+        if (typeof filled[field] === 'string') {
+          filled[field] = filled[field].replace(PLACEHOLDER_PATTERN, (_, name) => credentials[name]);
+        }
+      }
+      return filled;
+    })
+  };
+}
+
+/**
+ * Get the cached session of a profile
+ * @param {number} profileId - Login profile ID
+ * @returns {Promise<Object|null>} Session state { cookies, localStorage }, or null if none is valid
+ */
+async function getCachedSession(profileId) {
+  const [rows] = await db.query(
+    `SELECT session_state_encrypted FROM login_profiles
+     WHERE id = ? AND session_state_encrypted IS NOT NULL AND session_expires_at > NOW()`,
+    [profileId]
+  );
+
+  if (rows.length === 0) return null;
+
+  return JSON.parse(decryptSecret(rows[0].session_state_encrypted));
+}
+
+/**
+ * Drop the cached session of a profile (e.g. after a detected logout)
+ * @param {number} profileId - Login profile ID
+ */
+async function invalidateLoginSession(profileId) {
+  await db.query(
+    'UPDATE login_profiles SET session_state_encrypted = NULL, session_expires_at = NULL WHERE id = ?',
+    [profileId]
+  );
+}
+
+/**
+ * Restore a cached session into a browser page
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Object} state - Session state { cookies, localStorage }
+ * @returns {Promise<boolean>} False if no cookie is still valid
+ */
+async function restoreSession(browserPage, state) {
+  const now = Date.now() / 1000;
+  const cookies = (state.cookies || []).filter(cookie => !(cookie.expires > 0 && cookie.expires < now));
+
+  if (cookies.length === 0 && Object.keys(state.localStorage || {}).length === 0) {
+    return false;
+  }
+
+  if (cookies.length > 0) {
+    await browserPage.setCookie(...cookies);
+  }
+
+  // localStorage is per origin, so seed it before the page's own scripts run
+  const { identifier } = await browserPage.evaluateOnNewDocument((storage) => {
+    const items = storage[location.origin];
+    if (!items) return;
+    for (const [key, value] of Object.entries(items)) {
+      if (localStorage.getItem(key) === null) {
+        localStorage.setItem(key, value);
+      }
+    }
+  }, state.localStorage || {});
+  browserPage._loginStorageScript = identifier;
+
+  return true;
+}
+
+/**
+ * Run the login sequence of a profile and cache the resulting session
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Object} profile - Login profile from getLoginProfile
+ * @param {string} targetUrl - Page that will be captured (its cookies are cached too)
+ * @param {string[]} keepCookies - Names of configured cookies that survive the cleanup
+ * @returns {Promise<void>}
+ */
+async function logIn(browserPage, profile, targetUrl, keepCookies = []) {
+  const { credentials } = profile;
+
+  // Start from a clean session so stale tokens don't interfere with the login form
+  if (browserPage._loginStorageScript) {
+    await browserPage.removeScriptToEvaluateOnNewDocument(browserPage._loginStorageScript);
+    browserPage._loginStorageScript = null;
+  }
+  const staleCookies = (await browserPage.cookies(profile.loginUrl, targetUrl))
+    .filter(cookie => !keepCookies.includes(cookie.name));
+  if (staleCookies.length > 0) {
+    await browserPage.deleteCookie(...staleCookies);
+  }
+
+  console.log(`LoginSession: Logging in with profile "${profile.name}"`);
+
+  try {
+    await navigateToPage(browserPage, profile.loginUrl, { timeout: 60000 });
+    await browserPage.evaluate(() => localStorage.clear());
+
+    const parseResult = parseActionSequence(profile.steps);
+    if (!parseResult.success) {
+      throw new Error(parseResult.error);
+    }
+
+    const execResult = await executeActionSequence(browserPage, fillCredentials(parseResult.sequence, credentials), {
+      stopOnError: true,
+      logPrefix: `LoginSession[${profile.name}]`,
+      redact: message => redactSecrets(message, credentials)
+    });
+
+    if (!execResult.success) {
+      const failedStep = execResult.results.find(r => !r.success);
+      throw new Error(failedStep
+        ? `Step ${failedStep.stepIndex + 1} (${failedStep.label}) failed: ${failedStep.error}`
+        : execResult.error);
+    }
+
+    // Give redirects and token storage a moment to settle
+    await sleep(1000);
+
+    const cookies = await browserPage.cookies(profile.loginUrl, browserPage.url(), targetUrl);
+    const origin = new URL(browserPage.url()).origin;
+    const localStorageItems = await browserPage.evaluate(() => Object.fromEntries(Object.entries(localStorage)));
+    const state = {
+      cookies,
+      localStorage: Object.keys(localStorageItems).length > 0 ? { [origin]: localStorageItems } : {}
+    };
+
+    const expiresAt = new Date(Date.now() + profile.sessionTtlMinutes * 60 * 1000);
+    await db.query(
+      `UPDATE login_profiles
+       SET session_state_encrypted = ?, session_expires_at = ?, last_login_at = NOW(), last_login_error = NULL
+       WHERE id = ?`,
+      [encryptSecret(JSON.stringify(state)), expiresAt, profile.id]
+    );
+
+    console.log(`LoginSession: Logged in with profile "${profile.name}" (${cookies.length} cookies cached)`);
+  } catch (error) {
+    const message = redactSecrets(error.message, credentials);
+    await db.query(
+      'UPDATE login_profiles SET last_login_error = ? WHERE id = ?',
+      [message, profile.id]
+    );
+    throw new Error(`Login with profile "${profile.name}" failed: ${message}`);
+  }
+}
+
+/**
+ * Test a URL against a user-supplied pattern in its own VM context, whose
+ * timeout interrupts a regex that backtracks for too long
+ * @param {string} pattern - Regex source; not a valid regex = substring match
+ * @param {string} url - URL to test
+ * @returns {boolean} False as well when the regex timed out
+ */
+function matchesUrlPattern(pattern, url) {
+  try {
+    return vm.runInContext('new RegExp(pattern).test(url)', vm.createContext({ pattern, url }), {
+      timeout: REGEX_TIMEOUT_MS
+    });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      console.warn(`LoginSession: Logged-out URL pattern took longer than ${REGEX_TIMEOUT_MS}ms to match`);
+      return false;
+    }
+    return url.includes(pattern);
+  }
+}
+
+/**
+ * Check whether the page shows a logged-out state
+ * Logged out if the URL matches the profile's logged-out pattern (default: the
+ * login URL) or the logged-in selector is missing.
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Object} profile - Login profile
+ * @returns {Promise<boolean>}
+ */
+async function isLoggedOut(browserPage, profile) {
+  const currentUrl = browserPage.url();
+
+  if (profile.loggedOutUrlPattern) {
+    if (matchesUrlPattern(profile.loggedOutUrlPattern, currentUrl)) return true;
+  } else {
+    const loginUrl = new URL(profile.loginUrl);
+    const current = new URL(currentUrl);
+    if (current.origin === loginUrl.origin && current.pathname === loginUrl.pathname) return true;
+  }
+
+  if (profile.loggedInSelector) {
+    const element = await browserPage.$(profile.loggedInSelector);
+    if (!element) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Navigate to a page behind a login
+ * Reuses the cached session when there is one, otherwise logs in first. If the
+ * page turns out to be logged out, the session is dropped and the login runs again once.
+ * @param {Page} browserPage - Puppeteer page instance (ideally in its own browser context)
+ * @param {Object} profile - Login profile from getLoginProfile
+ * @param {string} url - URL to navigate to
+ * @param {Object} options - Options passed to navigateToPage
+ * @param {string[]} options.keepCookies - Names of cookies set by request settings (kept when logging in again)
+ * @returns {Promise<void>}
+ */
+async function navigateWithLogin(browserPage, profile, url, options = {}) {
+  const { keepCookies = [], ...navigateOptions } = options;
+  const state = await getCachedSession(profile.id);
+  const restored = state ? await restoreSession(browserPage, state) : false;
+
+  if (!restored) {
+    await logIn(browserPage, profile, url, keepCookies);
+  }
+
+  await navigateToPage(browserPage, url, navigateOptions);
+
+  if (await isLoggedOut(browserPage, profile)) {
+    if (restored) {
+      console.log(`LoginSession: Session of profile "${profile.name}" has ended, logging in again`);
+      await invalidateLoginSession(profile.id);
+      await logIn(browserPage, profile, url, keepCookies);
+      await navigateToPage(browserPage, url, navigateOptions);
+    }
+
+    if (!restored || await isLoggedOut(browserPage, profile)) {
+      // Don't keep a session that doesn't work
+      const message = 'Page is still logged out after running the login steps';
+      await invalidateLoginSession(profile.id);
+      await db.query('UPDATE login_profiles SET last_login_error = ? WHERE id = ?', [message, profile.id]);
+      throw new Error(`Login with profile "${profile.name}" failed: ${message}`);
+    }
+  }
+}
+
+module.exports = {
+  getLoginProfile,
+  navigateWithLogin,
+  invalidateLoginSession
+};
@@ -1,5 +1,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+const { openPage, setupPage } = require('./browser-helpers');
+
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
 
@@ -36,10 +38,11 @@ class PageDiscovery {
    * @param {string} domain - Domain to discover pages on
    * @param {object} options - Discovery options
    * @param {number} options.maxPages - Maximum number of pages to return (default: 10)
+   * @param {object} options.requestSettings - Extra headers, cookies and basic auth of the site
    * @returns {Promise<object>} Discovery result with pages array
    */
   async discover(domain, options = {}) {
-    const { maxPages = 10 } = options;
+    const { maxPages = 10, requestSettings = null } = options;
     
     if (!genAI) {
       return { success: false, error: 'Gemini API key not configured' };
@@ -58,10 +61,15 @@ class PageDiscovery {
       console.log(`PageDiscovery: Starting discovery for ${baseUrl}`);
       
       browser = await this.browserPool.acquire();
-      page = await browser.newPage();
+      page = await openPage(browser, requestSettings);
       
-      // Set viewport and user agent
-      await page.setViewport({ width: 1920, height: 1080 });
+      // Set viewport, request settings and user agent
+      await setupPage(page, {
+        viewport: { width: 1920, height: 1080 },
+        timeout: 30000,
+        requestSettings,
+        url: baseUrl
+      });
       await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
       
       // Navigate to the homepage
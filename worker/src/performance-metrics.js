@@ -0,0 +1,155 @@
+/**
+ * Performance Metrics - Page performance data recorded with each screenshot
+ *
+ * Navigation timing (TTFB, DOMContentLoaded, load) and LCP/CLS come from the
+ * page's Performance API, transferred bytes and request counts per resource
+ * type from the DevTools protocol, and the capture stage timings from
+ * screenshot.js. Collecting metrics never fails a capture.
+ *
+ * Performance budgets are tests with script_type 'budget' that compare one
+ * metric against a maximum after the capture (see evaluateBudgets in screenshot.js).
+ */
+
+// Metrics a budget can limit: label, unit and how to read it from collected metrics
+const BUDGET_METRICS = {
+  lcp_ms: { label: 'LCP', unit: 'ms', read: (m) => m.lcpMs },
+  ttfb_ms: { label: 'TTFB', unit: 'ms', read: (m) => m.ttfbMs },
+  load_ms: { label: 'Load', unit: 'ms', read: (m) => m.loadMs },
+  cls: { label: 'CLS', unit: '', read: (m) => m.cls },
+  transfer_bytes: { label: 'Page weight', unit: 'bytes', read: (m) => m.transferBytes },
+  script_bytes: { label: 'JavaScript', unit: 'bytes', read: (m) => (m.bytesByType ? m.bytesByType.script || 0 : null) },
+  request_count: { label: 'Requests', unit: '', read: (m) => m.requestCount }
+};
+
+/**
+ * Start recording network traffic and LCP/CLS on a page (before it navigates)
+ * @param {Page} browserPage - Puppeteer page instance
+ * @returns {Promise<{collect: Function}>} collect(stageTimings) resolves to the metrics, or null
+ */
+async function startPerformanceTracking(browserPage) {
+  const requestsByType = {};
+  const bytesByType = {};
+  const requestTypes = new Map(); // requestId -> resource type
+  let requestCount = 0;
+  let transferBytes = 0;
+  let session = null;
+
+  try {
+    session = await browserPage.target().createCDPSession();
+    session.on('Network.requestWillBeSent', (event) => {
+      const type = (event.type || 'Other').toLowerCase();
+      requestsByType[type] = (requestsByType[type] || 0) + 1;
+      requestTypes.set(event.requestId, type);
+      requestCount++;
+    });
+    session.on('Network.loadingFinished', (event) => {
+      const type = requestTypes.get(event.requestId) || 'other';
+      bytesByType[type] = (bytesByType[type] || 0) + (event.encodedDataLength || 0);
+      transferBytes += event.encodedDataLength || 0;
+    });
+    await session.send('Network.enable');
+
+    // Buffered observers also see entries from before the script ran
+    await browserPage.evaluateOnNewDocument(() => {
+      window.__vibeshotPerf = { lcp: null, cls: 0 };
+      try {
+        new PerformanceObserver((list) => {
+          const entries = list.getEntries();
+          const last = entries[entries.length - 1];
+          window.__vibeshotPerf.lcp = last.renderTime || last.startTime;
+        }).observe({ type: 'largest-contentful-paint', buffered: true });
+        new PerformanceObserver((list) => {
+          for (const entry of list.getEntries()) {
+            if (!entry.hadRecentInput) {
+              window.__vibeshotPerf.cls += entry.value;
+            }
+          }
+        }).observe({ type: 'layout-shift', buffered: true });
+      } catch (e) {
+        // Entry types not supported
+      }
+    });
+  } catch (error) {
+    console.warn('Performance: Failed to start tracking:', error.message);
+  }
+
+  const collect = async (stageTimings) => {
+    try {
+      const timing = await browserPage.evaluate(() => {
+        const navigation = performance.getEntriesByType('navigation')[0];
+        const perf = window.__vibeshotPerf || {};
+        return {
+          ttfb: navigation ? navigation.responseStart : null,
+          domContentLoaded: navigation && navigation.domContentLoadedEventEnd > 0 ? navigation.domContentLoadedEventEnd : null,
+          load: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd : null,
+          lcp: perf.lcp ?? null,
+          cls: perf.cls ?? null
+        };
+      });
+
+      return {
+        ttfbMs: roundOrNull(timing.ttfb),
+        domContentLoadedMs: roundOrNull(timing.domContentLoaded),
+        loadMs: roundOrNull(timing.load),
+        lcpMs: roundOrNull(timing.lcp),
+        cls: timing.cls !== null ? Math.round(timing.cls * 10000) / 10000 : null,
+        transferBytes: session ? Math.round(transferBytes) : null,
+        requestCount: session ? requestCount : null,
+        requestsByType: session ? requestsByType : null,
+        bytesByType: session ? roundValues(bytesByType) : null,
+        stageTimings
+      };
+    } catch (error) {
+      console.warn('Performance: Failed to collect metrics:', error.message);
+      return null;
+    } finally {
+      if (session) {
+        session.detach().catch(() => {});
+      }
+    }
+  };
+
+  return { collect };
+}
+
+/**
+ * Check collected metrics against a performance budget
+ * @param {Object} budget - { metric, max } (metric is a key of BUDGET_METRICS)
+ * @param {Object|null} metrics - Metrics from collect()
+ * @returns {{passed: boolean, message: string}|null} null when the metric was not recorded
+ */
+function checkBudget(budget, metrics) {
+  const definition = budget && BUDGET_METRICS[budget.metric];
+  if (!definition || !metrics) return null;
+
+  const value = definition.read(metrics);
+  if (value === null || value === undefined) return null;
+
+  const passed = value <= budget.max;
+  const actual = `${definition.label} ${formatBudgetValue(value, definition.unit)}`;
+  const limit = formatBudgetValue(budget.max, definition.unit);
+  return {
+    passed,
+    message: passed ? `${actual} is within the budget of ${limit}` : `${actual} exceeds the budget of ${limit}`
+  };
+}
+
+function formatBudgetValue(value, unit) {
+  if (unit === 'ms') return `${Math.round(value)} ms`;
+  if (unit === 'bytes') return value < 1024 * 1024 ? `${(value / 1024).toFixed(1)} KB` : `${(value / (1024 * 1024)).toFixed(2)} MB`;
+  return String(value);
+}
+
+function roundOrNull(value) {
+  return typeof value === 'number' && isFinite(value) ? Math.round(value) : null;
+}
+
+function roundValues(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, Math.round(value)]));
+}
+
+module.exports = {
+  BUDGET_METRICS,
+  startPerformanceTracking,
+  checkBudget
+};
@@ -0,0 +1,50 @@
+const db = require('./config/database');
+const { decryptSecret } = require('./credentials');
+
+/**
+ * Request Settings - Extra headers, cookies and HTTP basic auth for loading pages
+ *
+ * Settings are stored per site and per page (request_settings table) and
+ * cascade page -> site field by field, like viewports do. NULL inherits; an
+ * empty value at page level turns the site's value off. Basic-auth username
+ * and password cascade together.
+ */
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Get the effective request settings of a page, or of a site when no page is given
+ * @param {Object} target - { pageId } or { siteId }
+ * @returns {Promise<Object>} { headers, cookies, basicAuth: {username, password}|null }
+ */
+async function getRequestSettings({ pageId = null, siteId = null }) {
+  const [rows] = pageId
+    ? await db.query(
+      `SELECT rs.* FROM request_settings rs
+       WHERE rs.page_id = ? OR rs.site_id = (SELECT site_id FROM pages WHERE id = ?)`,
+      [pageId, pageId]
+    )
+    : await db.query('SELECT * FROM request_settings WHERE site_id = ?', [siteId]);
+
+  const pageRow = rows.find(row => row.page_id !== null) || {};
+  const siteRow = rows.find(row => row.site_id !== null) || {};
+
+  const headers = parseJson(pageRow.headers ?? siteRow.headers ?? null) || {};
+  const cookies = parseJson(pageRow.cookies ?? siteRow.cookies ?? null) || [];
+
+  const authRow = pageRow.basic_auth_username != null ? pageRow : siteRow;
+  const basicAuth = authRow.basic_auth_username
+    ? {
+      username: authRow.basic_auth_username,
+      password: authRow.basic_auth_password_encrypted ? decryptSecret(authRow.basic_auth_password_encrypted) : ''
+    }
+    : null;
+
+  return { headers, cookies, basicAuth };
+}
+
+module.exports = {
+  getRequestSettings
+};
@@ -0,0 +1,192 @@
+const cronParser = require('cron-parser');
+const { DEFAULT_SCHEDULE_TIMEZONE, RETRY_SETTINGS } = require('./config/constants');
+
+/**
+ * Schedule - Decides when a page is due for a scheduled capture
+ *
+ * A page is scheduled either by a fixed interval (minutes since the last
+ * capture) or by a cron expression evaluated in the schedule's time zone.
+ * Blackout windows block scheduled captures; a capture that becomes due
+ * inside a window runs once the window ends. Manual captures ignore both.
+ * Failed captures are retried with a backoff that doubles per failure.
+ *
+ * Blackout window format: { days: [0-6] (0 = Sunday, omitted = every day),
+ * start: 'HH:MM', end: 'HH:MM' } in the schedule's time zone. A window whose
+ * end is before its start runs past midnight into the next day.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+function parseTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get weekday and minute of day of a date in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timezone - IANA time zone name
+ * @returns {{weekday: number, minutes: number}}
+ */
+function getLocalTime(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = {};
+  for (const part of formatters.get(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Get minutes until the blackout window covering a local time ends
+ * @param {Object} window - Blackout window
+ * @param {{weekday: number, minutes: number}} local - Local time
+ * @returns {number|null} Minutes remaining, or null if the window doesn't cover this time
+ */
+function getMinutesUntilWindowEnd(window, local) {
+  const days = Array.isArray(window.days) && window.days.length > 0 ? window.days : null;
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  const { weekday, minutes } = local;
+
+  if (start < end) {
+    if ((!days || days.includes(weekday)) && minutes >= start && minutes < end) {
+      return end - minutes;
+    }
+    return null;
+  }
+
+  // Window runs past midnight: evening part belongs to the start day,
+  // the early-morning part to the day before
+  if ((!days || days.includes(weekday)) && minutes >= start) {
+    return 24 * 60 - minutes + end;
+  }
+  if ((!days || days.includes((weekday + 6) % 7)) && minutes < end) {
+    return end - minutes;
+  }
+  return null;
+}
+
+/**
+ * Find the end of the blackout covering a point in time
+ * @param {Object[]|null} blackoutWindows - Blackout windows
+ * @param {string} timezone - IANA time zone name
+ * @param {Date} date - Point in time
+ * @returns {Date|null} When the blackout ends, or null if the date is not blacked out
+ */
+function getBlackoutEnd(blackoutWindows, timezone, date) {
+  if (!Array.isArray(blackoutWindows) || blackoutWindows.length === 0) return null;
+
+  let current = date;
+  let blackedOut = false;
+
+  // Follow adjacent/overlapping windows (bounded to avoid looping on full-week blackouts)
+  for (let i = 0; i < 20; i++) {
+    const local = getLocalTime(current, timezone);
+    const remaining = blackoutWindows
+      .map(window => getMinutesUntilWindowEnd(window, local))
+      .filter(minutes => minutes !== null);
+
+    if (remaining.length === 0) break;
+
+    blackedOut = true;
+    current = new Date(current.getTime() + Math.max(...remaining) * 60 * 1000);
+  }
+
+  return blackedOut ? current : null;
+}
+
+/**
+ * Check whether a point in time falls into a blackout window
+ * @param {Object[]|null} blackoutWindows - Blackout windows
+ * @param {string} timezone - IANA time zone name
+ * @param {Date} [date] - Point in time (default: now)
+ * @returns {boolean}
+ */
+function isInBlackout(blackoutWindows, timezone, date = new Date()) {
+  return getBlackoutEnd(blackoutWindows, timezone, date) !== null;
+}
+
+/**
+ * Get the time the schedule wants the next capture, ignoring blackouts
+ * @param {Object} schedule - { cron, intervalMinutes, timezone }
+ * @param {Date|null} lastCaptureAt - Time of the last capture
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getScheduledTime(schedule, lastCaptureAt, now) {
+  if (!lastCaptureAt) return now;
+
+  if (schedule.cron) {
+    // Due if a cron occurrence passed since the last capture, otherwise the next occurrence
+    const previous = cronParser.parseExpression(schedule.cron, {
+      currentDate: now,
+      tz: schedule.timezone || DEFAULT_SCHEDULE_TIMEZONE
+    }).prev().toDate();
+
+    if (previous > lastCaptureAt) return now;
+
+    return cronParser.parseExpression(schedule.cron, {
+      currentDate: now,
+      tz: schedule.timezone || DEFAULT_SCHEDULE_TIMEZONE
+    }).next().toDate();
+  }
+
+  const next = new Date(lastCaptureAt.getTime() + schedule.intervalMinutes * 60 * 1000);
+  return next > now ? next : now;
+}
+
+/**
+ * Get the next planned scheduled capture time (respecting blackout windows)
+ * @param {Object} schedule - { cron, intervalMinutes, timezone, blackoutWindows }
+ * @param {Date|null} lastCaptureAt - Time of the last capture
+ * @param {Date} [now] - Current time
+ * @returns {Date}
+ */
+function getNextCaptureTime(schedule, lastCaptureAt, now = new Date()) {
+  const scheduled = getScheduledTime(schedule, lastCaptureAt, now);
+  const timezone = schedule.timezone || DEFAULT_SCHEDULE_TIMEZONE;
+  return getBlackoutEnd(schedule.blackoutWindows, timezone, scheduled) || scheduled;
+}
+
+/**
+ * Check whether a scheduled capture is due now
+ * @param {Object} schedule - { cron, intervalMinutes, timezone, blackoutWindows }
+ * @param {Date|null} lastCaptureAt - Time of the last capture
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function isCaptureDue(schedule, lastCaptureAt, now = new Date()) {
+  return getNextCaptureTime(schedule, lastCaptureAt, now) <= now;
+}
+
+/**
+ * Get how long a page waits after a failed capture before it is retried
+ * @param {number} consecutiveFailures - Failed captures in a row (at least 1)
+ * @returns {number} Minutes after the last failure
+ */
+function getRetryDelayMinutes(consecutiveFailures) {
+  const { BASE_RETRY_DELAY_MINUTES, MAX_RETRY_DELAY_MINUTES } = RETRY_SETTINGS;
+  return Math.min(BASE_RETRY_DELAY_MINUTES * Math.pow(2, consecutiveFailures - 1), MAX_RETRY_DELAY_MINUTES);
+}
+
+module.exports = {
+  isInBlackout,
+  getNextCaptureTime,
+  isCaptureDue,
+  getRetryDelayMinutes
+};
@@ -2,17 +2,42 @@ const db = require('./config/database');
 const { 
   DEFAULT_INTERVAL_MINUTES, 
   DEFAULT_VIEWPORTS, 
-  RETRY_SETTINGS 
+  DEFAULT_SCHEDULE_TIMEZONE,
+  DEFAULT_CHANGE_THRESHOLD_PERCENT,
+  RETRY_SETTINGS,
+  SITE_CAPTURE_LIMITS,
+  WORKER_SETTINGS,
+  PROBE_SETTINGS
 } = require('./config/constants');
 const { captureScreenshotsWithProgress } = require('./screenshot');
 const { runCleanup } = require('./cleanup');
+const { getDiffPath, compareScreenshotFiles } = require('./visual-diff');
+const { dispatchEvent, processPendingDeliveries } = require('./webhooks');
+const { processDueProbes, pruneProbeHistory } = require('./uptime-probes');
+const { evaluateWatch } = require('./text-watches');
+const { isCaptureDue, getRetryDelayMinutes } = require('./schedule');
+const { getLoginProfile } = require('./login-session');
+const { getRequestSettings } = require('./request-settings');
+const { getDeviceProfiles } = require('./device-profiles');
+const {
+  WORKER_ID,
+  JOB_LEASE_SECONDS,
+  registerWorker,
+  sendHeartbeat,
+  markWorkerStopped,
+  withLock
+} = require('./worker-registry');
 
 const POLL_INTERVAL = 10000; // 10 seconds
+const WEBHOOK_DELIVERY_INTERVAL = 15000; // 15 seconds
 const CLEANUP_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const HEARTBEAT_INTERVAL = WORKER_SETTINGS.HEARTBEAT_INTERVAL_SECONDS * 1000;
+const PROBE_INTERVAL = PROBE_SETTINGS.POLL_INTERVAL_SECONDS * 1000;
 
 // Destructure retry settings
 const { 
   BASE_RETRY_DELAY_MINUTES, 
+  MAX_RETRY_DELAY_MINUTES, 
   MAX_CONSECUTIVE_FAILURES, 
   STALE_JOB_TIMEOUT_MINUTES 
 } = RETRY_SETTINGS;
@@ -20,24 +45,43 @@ const {
 // Default viewports as JSON string for SQL queries
 const DEFAULT_VIEWPORTS_JSON = JSON.stringify(DEFAULT_VIEWPORTS);
 
+// MariaDB returns JSON columns as strings
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
 class Scheduler {
-  constructor(browserPool) {
+  constructor(browserPool, capacity) {
     this.browserPool = browserPool;
+    this.capacity = capacity;
     this.isRunning = false;
     this.intervalId = null;
     this.firstCleanupInterval = null;
     this.cleanupIntervalId = null;
     this.activeJobs = new Set();
     this.isCleanupRunning = false;
+    this.webhookIntervalId = null;
+    this.isWebhookRunning = false;
+    this.heartbeatIntervalId = null;
+    this.probeIntervalId = null;
+    this.isProbeRunning = false;
   }
 
   async start() {
     if (this.isRunning) return;
     
     this.isRunning = true;
-    console.log('Scheduler: Starting polling loop');
+    console.log(`Scheduler: Starting polling loop as worker ${WORKER_ID} (capacity ${this.capacity})`);
     
-    // Reset any stale "capturing" jobs from previous runs
+    // Register in the workers table and keep our row and job leases fresh
+    try {
+      await registerWorker(this.capacity);
+    } catch (error) {
+      console.error('Scheduler: Failed to register worker:', error.message);
+    }
+    this.heartbeatIntervalId = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+    
+    // Fail "capturing" jobs of workers that crashed or were restarted
     await this.resetStaleJobs();
     
     // Run capture check immediately, then on interval
@@ -47,9 +91,15 @@ class Scheduler {
     // Run cleanup after a short delay, then every 6 hours
     this.firstCleanupInterval = setTimeout(() => this.runCleanupJob(), 60000); // Wait 1 minute before first cleanup
     this.cleanupIntervalId = setInterval(() => this.runCleanupJob(), CLEANUP_INTERVAL);
+    
+    // Send queued webhook deliveries (new events, retries and test deliveries from the API)
+    this.webhookIntervalId = setInterval(() => this.runWebhookDeliveries(), WEBHOOK_DELIVERY_INTERVAL);
+    
+    // Uptime probes of pages that have them, between their captures
+    this.probeIntervalId = setInterval(() => this.runProbes(), PROBE_INTERVAL);
   }
 
-  stop() {
+  async stop() {
     if (!this.isRunning) return;
     
     this.isRunning = false;
@@ -65,24 +115,53 @@ class Scheduler {
       clearInterval(this.cleanupIntervalId);
       this.cleanupIntervalId = null;
     }
+    if (this.webhookIntervalId) {
+      clearInterval(this.webhookIntervalId);
+      this.webhookIntervalId = null;
+    }
+    if (this.heartbeatIntervalId) {
+      clearInterval(this.heartbeatIntervalId);
+      this.heartbeatIntervalId = null;
+    }
+    if (this.probeIntervalId) {
+      clearInterval(this.probeIntervalId);
+      this.probeIntervalId = null;
+    }
+    try {
+      await markWorkerStopped();
+    } catch (error) {
+      console.error('Scheduler: Failed to mark worker as stopped:', error.message);
+    }
     console.log('Scheduler: Stopped');
   }
 
+  async heartbeat() {
+    try {
+      await sendHeartbeat(this.activeJobs.size);
+    } catch (error) {
+      console.error('Scheduler: Failed to send heartbeat:', error.message);
+    }
+  }
+
   async resetStaleJobs() {
     try {
-      // Find and reset jobs that have been "capturing" for too long (worker crashed/restarted)
+      // Fail "capturing" jobs whose worker stopped renewing the lease (crashed/restarted);
+      // jobs claimed before leases existed fall back to the started_at timeout
       const [result] = await db.query(
         `UPDATE capture_jobs 
          SET status = 'failed', 
              error_message = 'Job timed out (worker restarted or crashed)',
              completed_at = NOW()
          WHERE status = 'capturing' 
-         AND started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+         AND (
+           lease_expires_at < NOW()
+           OR (lease_expires_at IS NULL AND started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+         )`,
         [STALE_JOB_TIMEOUT_MINUTES]
       );
       
       if (result.affectedRows > 0) {
-        console.log(`Scheduler: Reset ${result.affectedRows} stale capturing job(s) from previous run`);
+        console.log(`Scheduler: Failed ${result.affectedRows} capturing job(s) whose lease expired`);
       }
     } catch (error) {
       console.error('Scheduler: Failed to reset stale jobs:', error.message);
@@ -94,11 +173,42 @@ class Scheduler {
     
     this.isCleanupRunning = true;
     try {
-      await runCleanup();
+      // Only one worker of the fleet runs the retention cleanup at a time
+      await withLock('cleanup', runCleanup);
     } catch (error) {
       console.error('Scheduler: Cleanup job failed:', error.message);
+    }
+    try {
+      await pruneProbeHistory();
+    } catch (error) {
+      console.error('Scheduler: Failed to prune uptime probe history:', error.message);
+    }
+    this.isCleanupRunning = false;
+  }
+
+  async runWebhookDeliveries() {
+    if (!this.isRunning || this.isWebhookRunning) return;
+    
+    this.isWebhookRunning = true;
+    try {
+      await processPendingDeliveries();
+    } catch (error) {
+      console.error('Scheduler: Webhook delivery job failed:', error.message);
+    } finally {
+      this.isWebhookRunning = false;
+    }
+  }
+
+  async runProbes() {
+    if (!this.isRunning || this.isProbeRunning) return;
+    
+    this.isProbeRunning = true;
+    try {
+      await processDueProbes();
+    } catch (error) {
+      console.error('Scheduler: Uptime probe job failed:', error.message);
     } finally {
-      this.isCleanupRunning = false;
+      this.isProbeRunning = false;
     }
   }
 
@@ -109,6 +219,14 @@ class Scheduler {
       // Periodically check for and reset stale jobs
       await this.resetStaleJobs();
       
+      // Bring back suspended pages whose auto-resume cooldown has passed
+      await this.resumeSuspendedPages();
+      
+      // Only pick up as many pages as this worker has free capacity for
+      const freeSlots = this.capacity - this.activeJobs.size;
+      if (freeSlots <= 0) return;
+      
+      // Due pages come in priority order: manual captures first, then by page priority
       const pages = await this.getPagesNeedingCapture();
       
       if (pages.length === 0) {
@@ -116,10 +234,32 @@ class Scheduler {
         return;
       }
 
-      console.log(`Scheduler: Found ${pages.length} pages needing capture`);
+      // Claim jobs in that order until our capacity is used up; pages whose site is
+      // at its concurrency limit or within its capture delay wait for a later poll
+      const claimedPages = [];
+      for (const page of pages) {
+        if (claimedPages.length >= freeSlots) break;
+        
+        try {
+          page.job_id = await this.claimJob(page);
+        } catch (error) {
+          console.error(`Scheduler: Failed to claim a job for page ${page.id}:`, error.message);
+          continue;
+        }
+        
+        if (page.job_id) {
+          // Mark as active to prevent duplicate processing
+          this.activeJobs.add(page.id);
+          claimedPages.push(page);
+        }
+      }
+      
+      if (claimedPages.length === 0) return;
+
+      console.log(`Scheduler: Claimed ${claimedPages.length} of ${pages.length} pages needing capture`);
 
-      // Process pages in parallel (limited by browser pool)
-      const capturePromises = pages.map(page => this.processPage(page));
+      // Process claimed pages in parallel (limited by capacity and browser pool)
+      const capturePromises = claimedPages.map(page => this.processPage(page));
       await Promise.allSettled(capturePromises);
 
     } catch (error) {
@@ -128,132 +268,277 @@ class Scheduler {
   }
 
   async getPagesNeedingCapture() {
-    // Get pages that need capture based on interval OR have a pending capture job
+    // Get pages with a pending capture job or not in retry cooldown; whether a
+    // scheduled capture is due (interval or cron, blackout windows) is decided below.
     // Also get info about the most recent job for retry logic
     const [pages] = await db.query(`
-      SELECT p.id, p.url, p.name, p.last_screenshot_at,
-             s.name as site_name, s.domain as site_domain,
-             COALESCE(p.interval_minutes, s.interval_minutes, us.default_interval_minutes, ?) as effective_interval,
-             COALESCE(p.viewports, s.viewports, us.default_viewports, ?) as effective_viewports,
+      SELECT p.id, p.url, p.name, p.last_screenshot_at, p.capture_variants, p.priority, p.suspended_at, p.record_har, p.archive_mhtml,
+             s.id as site_id, s.organization_id, s.name as site_name, s.domain as site_domain,
+             COALESCE(s.max_concurrent_captures, ?) as max_concurrent_captures,
+             COALESCE(s.capture_delay_seconds, ?) as capture_delay_seconds,
+             COALESCE(p.interval_minutes, s.interval_minutes, os.default_interval_minutes, ?) as effective_interval,
+             -- The most specific level that sets an interval or a cron expression decides the schedule
+             CASE
+               WHEN p.schedule_cron IS NOT NULL OR p.interval_minutes IS NOT NULL THEN p.schedule_cron
+               WHEN s.schedule_cron IS NOT NULL OR s.interval_minutes IS NOT NULL THEN s.schedule_cron
+               ELSE os.default_schedule_cron
+             END as effective_schedule_cron,
+             COALESCE(p.schedule_timezone, s.schedule_timezone, os.default_schedule_timezone, ?) as effective_schedule_timezone,
+             COALESCE(p.blackout_windows, s.blackout_windows, os.default_blackout_windows) as effective_blackout_windows,
+             COALESCE(p.viewports, s.viewports, os.default_viewports, ?) as effective_viewports,
+             COALESCE(p.device_profiles, s.device_profiles, os.default_device_profiles) as effective_device_profiles,
+             COALESCE(os.change_threshold_percent, ?) as change_threshold_percent,
+             -- Pages without their own login profile use the site's default profile
+             COALESCE(p.login_profile_id, (
+               SELECT lp.id FROM login_profiles lp WHERE lp.site_id = s.id AND lp.is_default = TRUE LIMIT 1
+             )) as login_profile_id,
              pending_job.id as pending_job_id,
              latest_job.status as latest_job_status,
              latest_job.completed_at as latest_job_completed_at,
              latest_job.consecutive_failures
       FROM pages p
       JOIN sites s ON p.site_id = s.id
-      LEFT JOIN user_settings us ON s.user_id = us.user_id
+      LEFT JOIN organization_settings os ON s.organization_id = os.organization_id
       LEFT JOIN capture_jobs pending_job ON p.id = pending_job.page_id AND pending_job.status = 'pending'
       LEFT JOIN (
         -- Get the most recent job for each page with consecutive failure count
+        -- (failures before the page was last resumed don't count)
         SELECT cj1.page_id, cj1.status, cj1.completed_at,
                (SELECT COUNT(*) FROM capture_jobs cj2 
                 WHERE cj2.page_id = cj1.page_id 
                 AND cj2.status = 'failed'
                 AND cj2.id >= COALESCE(
                   (SELECT MAX(cj3.id) FROM capture_jobs cj3 
-                   WHERE cj3.page_id = cj1.page_id AND cj3.status IN ('completed', 'pending', 'capturing')),
+                   WHERE cj3.page_id = cj1.page_id AND cj3.status IN ('completed', 'partial', 'pending', 'capturing')),
                   0
                 )
+                AND (rp.resumed_at IS NULL OR cj2.created_at >= rp.resumed_at)
                ) as consecutive_failures
         FROM capture_jobs cj1
+        JOIN pages rp ON cj1.page_id = rp.id
         WHERE cj1.id = (SELECT MAX(cj4.id) FROM capture_jobs cj4 WHERE cj4.page_id = cj1.page_id)
       ) latest_job ON p.id = latest_job.page_id
       WHERE p.is_active = TRUE
         AND (
           -- Has a pending job (user-triggered capture)
           pending_job.id IS NOT NULL
-          -- OR page needs regular scheduled capture
+          -- OR not suspended and not in retry cooldown (if last job failed)
           OR (
-            (p.last_screenshot_at IS NULL
-             OR TIMESTAMPDIFF(MINUTE, p.last_screenshot_at, NOW()) >= 
-                COALESCE(p.interval_minutes, s.interval_minutes, us.default_interval_minutes, ?))
-            -- AND not in retry cooldown (if last job failed)
-            AND (
+            p.suspended_at IS NULL AND (
               latest_job.status IS NULL
               OR latest_job.status != 'failed'
               OR latest_job.consecutive_failures >= ?
+              -- Same backoff as getRetryDelayMinutes() in schedule.js
               OR TIMESTAMPDIFF(MINUTE, latest_job.completed_at, NOW()) >= 
-                 LEAST(? * POW(2, latest_job.consecutive_failures - 1), 1440)
+                 LEAST(? * POW(2, latest_job.consecutive_failures - 1), ?)
             )
           )
         )
-      ORDER BY pending_job.id DESC, p.last_screenshot_at ASC
-    `, [DEFAULT_INTERVAL_MINUTES, DEFAULT_VIEWPORTS_JSON, DEFAULT_INTERVAL_MINUTES, MAX_CONSECUTIVE_FAILURES, BASE_RETRY_DELAY_MINUTES]);
+      ORDER BY pending_job.id IS NULL, p.priority DESC, pending_job.id ASC, p.last_screenshot_at ASC
+    `, [SITE_CAPTURE_LIMITS.DEFAULT_MAX_CONCURRENT_CAPTURES, SITE_CAPTURE_LIMITS.DEFAULT_CAPTURE_DELAY_SECONDS, DEFAULT_INTERVAL_MINUTES, DEFAULT_SCHEDULE_TIMEZONE, DEFAULT_VIEWPORTS_JSON, DEFAULT_CHANGE_THRESHOLD_PERCENT, MAX_CONSECUTIVE_FAILURES, BASE_RETRY_DELAY_MINUTES, MAX_RETRY_DELAY_MINUTES]);
     
     // Filter out pages already being processed and pages that exceeded max retries
+    const pagesToSuspend = [];
     const filteredPages = pages.filter(page => {
       if (this.activeJobs.has(page.id)) {
         return false;
       }
       
-      // Skip pages that have exceeded max consecutive failures (unless there's a pending job)
-      if (!page.pending_job_id && 
-          page.latest_job_status === 'failed' && 
-          page.consecutive_failures >= MAX_CONSECUTIVE_FAILURES) {
-        console.log(`Scheduler: Skipping page ${page.id} - exceeded max retries (${page.consecutive_failures} consecutive failures)`);
+      // Captured by another worker right now (its job is claimed, not pending)
+      if (!page.pending_job_id && page.latest_job_status === 'capturing') {
         return false;
       }
       
-      return true;
-    });
-    
-    // Fetch instructions and tests for each page and parse viewports
-    for (const page of filteredPages) {
-      const [instructions] = await db.query(`
-        SELECT id, name, script, script_type, is_active
-        FROM instructions
-        WHERE page_id = ? AND is_active = TRUE AND script IS NOT NULL
-        ORDER BY execution_order ASC
-      `, [page.id]);
+      // Manual captures run regardless of schedule and blackout windows
+      if (page.pending_job_id) {
+        return true;
+      }
       
-      const [tests] = await db.query(`
-        SELECT id, name, script, script_type, is_active, viewports
-        FROM tests
-        WHERE page_id = ? AND is_active = TRUE AND script IS NOT NULL
-        ORDER BY execution_order ASC
-      `, [page.id]);
+      // Skip pages that have exceeded max consecutive failures (suspended when their
+      // last capture failed; pages that failed that often before are suspended here)
+      if (page.latest_job_status === 'failed' && 
+          page.consecutive_failures >= MAX_CONSECUTIVE_FAILURES) {
+        pagesToSuspend.push(page);
+        return false;
+      }
       
-      page.instructions = instructions;
-      page.tests = tests;
+      // Failed captures don't move last_screenshot_at, so a missed run stays due
+      // and is retried once the cooldown (checked in SQL) has passed
+      const lastCaptureAt = page.last_screenshot_at ? new Date(page.last_screenshot_at) : null;
       
-      // Parse viewports JSON if it's a string
-      if (typeof page.effective_viewports !== 'string') {
-        console.error(`Scheduler: Effective viewports for page ${page.id} is not a string:`, page.effective_viewports);
-        continue;
+      try {
+        return isCaptureDue({
+          cron: page.effective_schedule_cron,
+          intervalMinutes: page.effective_interval,
+          timezone: page.effective_schedule_timezone,
+          blackoutWindows: parseJson(page.effective_blackout_windows)
+        }, lastCaptureAt);
+      } catch (error) {
+        console.error(`Scheduler: Invalid schedule for page ${page.id}:`, error.message);
+        return false;
       }
-      page.effective_viewports = JSON.parse(page.effective_viewports);
+    });
+    
+    for (const page of pagesToSuspend) {
+      await this.suspendPage(page, page.consecutive_failures);
     }
     
     return filteredPages;
   }
 
-  async processPage(page) {
-    // Mark as active to prevent duplicate processing
-    this.activeJobs.add(page.id);
+  async loadPageDetails(page) {
+    // Fetch instructions, tests, ignore regions, components and text watches and parse viewports
+    const [instructions] = await db.query(`
+      SELECT id, name, script, script_type, is_active
+      FROM instructions
+      WHERE page_id = ? AND is_active = TRUE AND script IS NOT NULL
+      ORDER BY execution_order ASC
+    `, [page.id]);
     
-    // Get or create capture job
-    let jobId = page.pending_job_id;
-    const viewportsTotal = page.effective_viewports.length;
-    const isRetry = page.latest_job_status === 'failed' && page.consecutive_failures > 0;
+    const [tests] = await db.query(`
+      SELECT id, name, script, script_type, is_active, viewports, budget
+      FROM tests
+      WHERE page_id = ? AND is_active = TRUE AND (script IS NOT NULL OR script_type = 'budget')
+      ORDER BY execution_order ASC
+    `, [page.id]);
+    
+    const [ignoreRegions] = await db.query(`
+      SELECT id, type, selector, x, y, width, height, viewport
+      FROM ignore_regions
+      WHERE page_id = ?
+    `, [page.id]);
+    
+    const [components] = await db.query(`
+      SELECT id, name, selector, padding
+      FROM page_components
+      WHERE page_id = ? AND is_active = TRUE
+      ORDER BY name ASC
+    `, [page.id]);
+    
+    const [textWatches] = await db.query(`
+      SELECT id, name, selector, watch_condition, pattern, is_regex, viewport
+      FROM text_watches
+      WHERE page_id = ? AND is_active = TRUE
+      ORDER BY name ASC
+    `, [page.id]);
+    
+    page.instructions = instructions;
+    page.tests = tests.map(test => ({ ...test, budget: parseJson(test.budget) }));
+    page.ignore_regions = ignoreRegions;
+    page.components = components;
+    page.text_watches = textWatches;
+    
+    // Load the login profile (credentials stay out of logs and page data sent to AI)
+    page.login_profile = null;
+    if (page.login_profile_id) {
+      try {
+        page.login_profile = await getLoginProfile(page.login_profile_id);
+      } catch (error) {
+        // Fail the capture rather than silently capturing the logged-out page
+        page.setup_error = `Failed to load login profile: ${error.message}`;
+      }
+    }
+    
+    // Load extra headers, cookies and basic auth (same failure handling as login profiles)
+    page.request_settings = null;
+    try {
+      page.request_settings = await getRequestSettings({ pageId: page.id });
+    } catch (error) {
+      page.setup_error = page.setup_error || `Failed to load request settings: ${error.message}`;
+    }
+    
+    // Capture variants (dark mode, locale, ...) multiply with the viewports
+    page.capture_variants = parseJson(page.capture_variants) || [];
+    
+    // Device profiles replace the viewport widths when any are picked
+    page.device_profiles = [];
+    try {
+      const deviceProfileIds = parseJson(page.effective_device_profiles) || [];
+      if (deviceProfileIds.length > 0) {
+        page.device_profiles = await getDeviceProfiles(deviceProfileIds, page.organization_id);
+      }
+    } catch (error) {
+      page.setup_error = page.setup_error || `Failed to load device profiles: ${error.message}`;
+    }
+    
+    // Parse viewports JSON if it's a string
+    if (typeof page.effective_viewports !== 'string') {
+      console.error(`Scheduler: Effective viewports for page ${page.id} is not a string:`, page.effective_viewports);
+      return;
+    }
+    page.effective_viewports = JSON.parse(page.effective_viewports);
+  }
+
+  async claimJob(page) {
+    // Claims for one site are serialized across workers so its limits hold;
+    // while another worker claims for the same site, the page waits for a later poll
+    let jobId = null;
+    await withLock(`site:${page.site_id}`, async () => {
+      if (await this.isSiteAtLimit(page)) return;
+      jobId = await this.createOrClaimJob(page);
+    });
+    return jobId;
+  }
 
+  async isSiteAtLimit(page) {
+    // A capture slot is busy while its job runs and for the capture delay after it ended,
+    // the same pause screenshot.js makes between the viewports of one capture. Idle slots
+    // start right away, so the delay never reduces how many pages are captured at once.
+    const [rows] = await db.query(
+      `SELECT COUNT(*) as busy_slots
+       FROM capture_jobs cj
+       JOIN pages p ON cj.page_id = p.id
+       WHERE p.site_id = ?
+         AND (cj.status = 'capturing' OR cj.completed_at > DATE_SUB(NOW(), INTERVAL ? SECOND))`,
+      [page.site_id, page.capture_delay_seconds]
+    );
+    
+    return Number(rows[0].busy_slots) >= page.max_concurrent_captures;
+  }
+
+  async createOrClaimJob(page) {
+    // Claim the pending job (user-triggered capture); another worker may have been faster
+    if (page.pending_job_id) {
+      const [result] = await db.query(
+        `UPDATE capture_jobs 
+         SET status = 'capturing', worker_id = ?,
+             lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND), started_at = NOW() 
+         WHERE id = ? AND status = 'pending'`,
+        [WORKER_ID, JOB_LEASE_SECONDS, page.pending_job_id]
+      );
+      return result.affectedRows === 1 ? page.pending_job_id : null;
+    }
+
+    // Create a job for a scheduled capture. The unique active_page_id key rejects it
+    // while another job of the page is active, and the last_screenshot_at check
+    // skips pages another worker captured since we read them.
     try {
-      // Create job if none exists (scheduled capture)
-      if (!jobId) {
-        const [result] = await db.query(
-          `INSERT INTO capture_jobs (page_id, status, viewports_total, started_at) 
-           VALUES (?, 'capturing', ?, NOW())`,
-          [page.id, viewportsTotal]
-        );
-        jobId = result.insertId;
-      } else {
-        // Update existing pending job to capturing
-        await db.query(
-          `UPDATE capture_jobs 
-           SET status = 'capturing', viewports_total = ?, started_at = NOW() 
-           WHERE id = ?`,
-          [viewportsTotal, jobId]
-        );
+      const [result] = await db.query(
+        `INSERT INTO capture_jobs (page_id, status, worker_id, lease_expires_at, started_at) 
+         SELECT id, 'capturing', ?, DATE_ADD(NOW(), INTERVAL ? SECOND), NOW()
+         FROM pages
+         WHERE id = ? AND last_screenshot_at <=> ?`,
+        [WORKER_ID, JOB_LEASE_SECONDS, page.id, page.last_screenshot_at]
+      );
+      return result.affectedRows === 1 ? result.insertId : null;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return null;
       }
+      throw error;
+    }
+  }
+
+  async processPage(page) {
+    const jobId = page.job_id;
+    const isRetry = page.latest_job_status === 'failed' && page.consecutive_failures > 0;
+
+    try {
+      // Scripts, settings and profiles are only loaded for pages this worker claimed
+      await this.loadPageDetails(page);
+      
+      const viewportsTotal = (page.device_profiles.length || page.effective_viewports.length) * (1 + page.capture_variants.length);
+      await db.query('UPDATE capture_jobs SET viewports_total = ? WHERE id = ?', [viewportsTotal, jobId]);
       
       if (isRetry) {
         console.log(`Scheduler: Retrying page ${page.id} - ${page.name} (attempt ${page.consecutive_failures + 1}/${MAX_CONSECUTIVE_FAILURES}) [job ${jobId}]`);
@@ -261,6 +546,10 @@ class Scheduler {
         console.log(`Scheduler: Capturing page ${page.id} - ${page.name} (${page.url}) [job ${jobId}]`);
       }
       
+      if (page.setup_error) {
+        throw new Error(page.setup_error);
+      }
+      
       // Acquire browser from pool
       const browser = await this.browserPool.acquire();
       
@@ -280,26 +569,71 @@ class Scheduler {
         };
         
         // Capture screenshots for all viewports with progress tracking
-        const { screenshots, instructionResults, testResultsByViewport } = await captureScreenshotsWithProgress(
+        const { screenshots, instructionResults, testResultsByViewport, viewportResults } = await captureScreenshotsWithProgress(
           browser, 
           page, 
           onProgress
         );
         
+        // The job fails when no viewport was captured; the outcomes say where each one stopped
+        const failedViewports = viewportResults.filter(r => r.status === 'failed');
+        if (screenshots.length === 0) {
+          await this.saveViewportResults(jobId, viewportResults, new Map());
+          const [first] = failedViewports;
+          throw new Error(first
+            ? `All ${failedViewports.length} viewports failed (${first.label} at ${first.stage}: ${first.error})`
+            : 'No viewports to capture');
+        }
+        
         // Save all screenshots to database (including errors) and save test results per viewport
+        const screenshotIds = new Map();
         for (const result of screenshots) {
           const screenshotId = await this.saveScreenshot(page.id, result);
+          screenshotIds.set(result.viewportKey, screenshotId);
+          
+          // Save page performance data of this capture
+          await this.saveScreenshotMetrics(screenshotId, result.metrics);
           
           // Save any captured errors
           if (result.errors && result.errors.length > 0) {
             await this.saveScreenshotErrors(screenshotId, result.errors);
+            
+            await dispatchEvent(page.organization_id, 'screenshot.errors', {
+              ...this.getEventContext(page),
+              screenshot: { id: screenshotId, viewport: result.viewport, deviceName: result.deviceName, variant: result.variant },
+              jsErrorCount: result.errors.filter(e => e.type === 'js').length,
+              networkErrorCount: result.errors.filter(e => e.type === 'network').length,
+              errors: result.errors.slice(0, 20).map(e => ({
+                type: e.type,
+                message: e.message,
+                source: e.source || e.requestUrl || null
+              }))
+            });
           }
           
           // Save test results for this viewport's screenshot
-          const viewportTestResults = testResultsByViewport[result.viewport];
+          const viewportTestResults = testResultsByViewport[result.viewportKey];
           if (viewportTestResults && viewportTestResults.length > 0) {
             await this.saveTestResults(viewportTestResults, screenshotId);
+            
+            for (const testResult of viewportTestResults.filter(r => !r.passed)) {
+              await dispatchEvent(page.organization_id, 'test.failed', {
+                ...this.getEventContext(page),
+                screenshot: { id: screenshotId, viewport: result.viewport, deviceName: result.deviceName, variant: result.variant },
+                test: { id: testResult.testId, name: testResult.name },
+                message: testResult.message
+              });
+            }
           }
+          
+          // Compare against the previous capture of this viewport
+          await this.detectVisualChanges(page, screenshotId, result);
+          
+          // Save and compare element screenshots of the page's components
+          await this.saveComponentScreenshots(page, screenshotId, result);
+          
+          // Save and evaluate the text of the page's text watches
+          await this.saveTextWatchResults(page, screenshotId, result);
         }
         
         // Save instruction execution results (errors and successes)
@@ -307,21 +641,38 @@ class Scheduler {
           await this.saveInstructionResults(instructionResults);
         }
         
-        // Update last_screenshot_at
-        await db.query(
-          'UPDATE pages SET last_screenshot_at = NOW() WHERE id = ?',
-          [page.id]
+        await this.saveViewportResults(jobId, viewportResults, screenshotIds);
+        
+        // Mark job as completed, or as partial when some viewports failed. Only while this
+        // worker still holds the lease: a reclaimed job belongs to whoever captures it now.
+        const isPartial = failedViewports.length > 0;
+        const [completion] = await db.query(
+          `UPDATE capture_jobs 
+           SET status = ?, error_message = ?, completed_at = NOW(), current_viewport = NULL 
+           WHERE id = ? AND worker_id = ? AND status = 'capturing'`,
+          [
+            isPartial ? 'partial' : 'completed',
+            isPartial ? `${failedViewports.length} of ${viewportResults.length} viewports failed` : null,
+            jobId,
+            WORKER_ID
+          ]
         );
+        if (completion.affectedRows === 0) {
+          console.warn(`Scheduler: Lost the lease on job ${jobId} of page ${page.id}, not completing it`);
+          return;
+        }
         
-        // Mark job as completed
+        // Update last_screenshot_at; a successful (manual) capture also ends a suspension
         await db.query(
-          `UPDATE capture_jobs 
-           SET status = 'completed', completed_at = NOW(), current_viewport = NULL 
-           WHERE id = ?`,
-          [jobId]
+          'UPDATE pages SET last_screenshot_at = NOW(), suspended_at = NULL, suspended_reason = NULL WHERE id = ?',
+          [page.id]
         );
 
-        console.log(`Scheduler: Successfully captured ${screenshots.length} viewports for page ${page.id} [job ${jobId}]`);
+        if (isPartial) {
+          console.log(`Scheduler: Captured ${screenshots.length} of ${viewportResults.length} viewports for page ${page.id} [job ${jobId}]`);
+        } else {
+          console.log(`Scheduler: Successfully captured ${screenshots.length} viewports for page ${page.id} [job ${jobId}]`);
+        }
         
       } finally {
         // Always release browser back to pool
@@ -331,22 +682,33 @@ class Scheduler {
     } catch (error) {
       console.error(`Scheduler: Failed to capture page ${page.id}:`, error.message);
       
-      // Mark job as failed
+      // Mark job as failed (unless it was reclaimed from this worker meanwhile)
       if (jobId) {
         try {
-          await db.query(
+          const [failure] = await db.query(
             `UPDATE capture_jobs 
              SET status = 'failed', error_message = ?, completed_at = NOW() 
-             WHERE id = ?`,
-            [error.message, jobId]
+             WHERE id = ? AND worker_id = ? AND status = 'capturing'`,
+            [error.message, jobId, WORKER_ID]
           );
+          if (failure.affectedRows === 0) {
+            console.warn(`Scheduler: Lost the lease on job ${jobId} of page ${page.id}, not failing it`);
+            return;
+          }
+          
+          await dispatchEvent(page.organization_id, 'capture.failed', {
+            ...this.getEventContext(page),
+            job: { id: jobId },
+            error: error.message,
+            consecutiveFailures: (page.consecutive_failures || 0) + 1
+          });
           
-          // Log retry info
+          // Suspend the page or log retry info
           const failureCount = (page.consecutive_failures || 0) + 1;
           if (failureCount >= MAX_CONSECUTIVE_FAILURES) {
-            console.log(`Scheduler: Page ${page.id} has failed ${failureCount} times - will not auto-retry (manual capture still possible)`);
+            await this.suspendPage(page, failureCount);
           } else {
-            const retryDelay = Math.min(BASE_RETRY_DELAY_MINUTES * Math.pow(2, failureCount - 1), 1440);
+            const retryDelay = getRetryDelayMinutes(failureCount);
             console.log(`Scheduler: Page ${page.id} will retry in ${retryDelay} minutes (failure ${failureCount}/${MAX_CONSECUTIVE_FAILURES})`);
           }
         } catch (dbErr) {
@@ -361,13 +723,320 @@ class Scheduler {
 
   async saveScreenshot(pageId, result) {
     const [insertResult] = await db.query(
-      `INSERT INTO screenshots (page_id, viewport, viewport_width, file_path, thumbnail_path, file_size, width, height)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [pageId, result.viewport, result.viewportWidth, result.filePath, result.thumbnailPath, result.fileSize, result.width, result.height]
+      `INSERT INTO screenshots (page_id, viewport, viewport_width, device_profile_id, device_name, variant, file_path, thumbnail_path, har_path, html_path, dom_path, mhtml_path,
+                                file_size, width, height, ignore_rects)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        pageId, result.viewport, result.viewportWidth, result.deviceProfileId, result.deviceName, result.variant,
+        result.filePath, result.thumbnailPath, result.harPath, result.htmlPath, result.domPath, result.mhtmlPath,
+        result.fileSize, result.width, result.height,
+        result.ignoreRects && result.ignoreRects.length > 0 ? JSON.stringify(result.ignoreRects) : null
+      ]
     );
     return insertResult.insertId;
   }
 
+  async detectVisualChanges(page, screenshotId, result) {
+    try {
+      // Prefer the approved baseline for this viewport, fall back to the previous capture.
+      // Only captures of the same device profile and capture variant are compared.
+      let [reference] = await db.query(
+        `SELECT sc.id, sc.file_path, sc.ignore_rects FROM page_baselines pb
+         JOIN screenshots sc ON pb.screenshot_id = sc.id
+         WHERE pb.page_id = ? AND pb.viewport = ? AND pb.device_profile_id = ? AND pb.variant = ? AND sc.id != ?`,
+        [page.id, result.viewport, result.deviceProfileId || 0, result.variant || '', screenshotId]
+      );
+      const comparedToBaseline = reference.length > 0;
+
+      if (!comparedToBaseline) {
+        [reference] = await db.query(
+          `SELECT id, file_path, ignore_rects FROM screenshots
+           WHERE page_id = ? AND viewport = ? AND device_profile_id <=> ? AND variant <=> ? AND id < ?
+           ORDER BY created_at DESC, id DESC
+           LIMIT 1`,
+          [page.id, result.viewport, result.deviceProfileId, result.variant, screenshotId]
+        );
+      }
+
+      if (reference.length === 0) {
+        return; // First capture for this viewport, nothing to compare against
+      }
+
+      // Blank out ignore regions: selector rects from both captures plus drawn rects for this viewport
+      let referenceRects = reference[0].ignore_rects || [];
+      if (typeof referenceRects === 'string') {
+        referenceRects = JSON.parse(referenceRects);
+      }
+      const drawnRects = (page.ignore_regions || [])
+        .filter(r => r.type === 'rect' && (!r.viewport || r.viewport === result.viewport))
+        .map(r => ({ x: r.x, y: r.y, width: r.width, height: r.height }));
+      const masks = [...referenceRects, ...(result.ignoreRects || []), ...drawnRects];
+
+      const diffPath = getDiffPath(result.filePath);
+      const { diffPixels, diffPercentage } = await compareScreenshotFiles(
+        reference[0].file_path,
+        result.filePath,
+        diffPath,
+        masks
+      );
+
+      const threshold = parseFloat(page.change_threshold_percent);
+      const hasChanges = diffPercentage > threshold;
+
+      await db.query(
+        `UPDATE screenshots 
+         SET compared_to_id = ?, compared_to_baseline = ?, diff_pixels = ?, diff_percentage = ?, diff_path = ?, has_changes = ?
+         WHERE id = ?`,
+        [reference[0].id, comparedToBaseline, diffPixels, diffPercentage, diffPath, hasChanges, screenshotId]
+      );
+
+      if (hasChanges) {
+        const against = comparedToBaseline ? 'baseline' : 'previous';
+        console.log(`Scheduler: Visual change detected for page ${page.id} (${result.viewportKey}): ${diffPercentage}% differs from ${against} screenshot ${reference[0].id} (threshold ${threshold}%)`);
+        
+        await dispatchEvent(page.organization_id, 'visual.changed', {
+          ...this.getEventContext(page),
+          screenshot: { id: screenshotId, viewport: result.viewport, deviceName: result.deviceName, variant: result.variant },
+          comparedTo: { id: reference[0].id, isBaseline: comparedToBaseline },
+          diffPixels,
+          diffPercentage,
+          threshold
+        });
+      }
+    } catch (error) {
+      // Change detection must never fail the capture itself
+      console.error(`Scheduler: Failed to detect visual changes for screenshot ${screenshotId}:`, error.message);
+    }
+  }
+
+  async saveComponentScreenshots(page, screenshotId, result) {
+    for (const component of result.components || []) {
+      try {
+        const [insertResult] = await db.query(
+          `INSERT INTO component_screenshots
+             (component_id, screenshot_id, file_path, thumbnail_path, file_size, width, height, error_message, ignore_rects)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            component.componentId, screenshotId, component.filePath || null, component.thumbnailPath || null,
+            component.fileSize || null, component.width || null, component.height || null, component.error || null,
+            component.ignoreRects && component.ignoreRects.length > 0 ? JSON.stringify(component.ignoreRects) : null
+          ]
+        );
+        if (component.filePath) {
+          await this.detectComponentChanges(page, screenshotId, insertResult.insertId, component, result);
+        }
+      } catch (error) {
+        console.error(`Scheduler: Failed to save component ${component.componentId} for screenshot ${screenshotId}:`, error.message);
+      }
+    }
+  }
+
+  async detectComponentChanges(page, screenshotId, componentScreenshotId, component, result) {
+    try {
+      // Compare against the previous capture of this component in the same viewport, device and variant
+      const [reference] = await db.query(
+        `SELECT cs.id, cs.file_path, cs.ignore_rects FROM component_screenshots cs
+         JOIN screenshots sc ON cs.screenshot_id = sc.id
+         WHERE cs.component_id = ? AND cs.file_path IS NOT NULL AND cs.id < ?
+           AND sc.viewport = ? AND sc.device_profile_id <=> ? AND sc.variant <=> ?
+         ORDER BY cs.id DESC
+         LIMIT 1`,
+        [component.componentId, componentScreenshotId, result.viewport, result.deviceProfileId, result.variant]
+      );
+
+      if (reference.length === 0) {
+        return; // First capture of this component, nothing to compare against
+      }
+
+      const referenceRects = parseJson(reference[0].ignore_rects) || [];
+      const masks = [...referenceRects, ...(component.ignoreRects || [])];
+
+      const diffPath = getDiffPath(component.filePath);
+      const { diffPixels, diffPercentage } = await compareScreenshotFiles(
+        reference[0].file_path,
+        component.filePath,
+        diffPath,
+        masks
+      );
+
+      const threshold = parseFloat(page.change_threshold_percent);
+      const hasChanges = diffPercentage > threshold;
+
+      await db.query(
+        `UPDATE component_screenshots
+         SET compared_to_id = ?, diff_pixels = ?, diff_percentage = ?, diff_path = ?, has_changes = ?
+         WHERE id = ?`,
+        [reference[0].id, diffPixels, diffPercentage, diffPath, hasChanges, componentScreenshotId]
+      );
+
+      if (hasChanges) {
+        console.log(`Scheduler: Visual change detected for component "${component.name}" of page ${page.id} (${result.viewportKey}): ${diffPercentage}% differs from previous (threshold ${threshold}%)`);
+
+        await dispatchEvent(page.organization_id, 'visual.changed', {
+          ...this.getEventContext(page),
+          screenshot: { id: screenshotId, viewport: result.viewport, deviceName: result.deviceName, variant: result.variant },
+          component: { id: component.componentId, name: component.name, componentScreenshotId },
+          comparedTo: { componentScreenshotId: reference[0].id, isBaseline: false },
+          diffPixels,
+          diffPercentage,
+          threshold
+        });
+      }
+    } catch (error) {
+      // Change detection must never fail the capture itself
+      console.error(`Scheduler: Failed to detect changes for component screenshot ${componentScreenshotId}:`, error.message);
+    }
+  }
+
+  async saveTextWatchResults(page, screenshotId, result) {
+    for (const watchText of result.watchTexts || []) {
+      const watch = page.text_watches.find(w => w.id === watchText.watchId);
+      try {
+        // Compare with the previous text of this watch in the same viewport, device and variant
+        let previous = null;
+        let evaluation = { lines: [], matched: null, triggered: false, diff: null };
+        let errorMessage = watchText.error;
+        if (watchText.text !== null) {
+          const [reference] = await db.query(
+            `SELECT twr.id, twr.screenshot_id, twr.text_content FROM text_watch_results twr
+             JOIN screenshots sc ON twr.screenshot_id = sc.id
+             WHERE twr.watch_id = ? AND twr.text_content IS NOT NULL AND sc.id < ?
+               AND sc.viewport = ? AND sc.device_profile_id <=> ? AND sc.variant <=> ?
+             ORDER BY twr.id DESC
+             LIMIT 1`,
+            [watch.id, screenshotId, result.viewport, result.deviceProfileId, result.variant]
+          );
+          previous = reference[0] || null;
+          try {
+            evaluation = evaluateWatch(watch, watchText.text, previous ? previous.text_content : null);
+          } catch (error) {
+            // A regex that timed out: the text is stored, but not compared
+            errorMessage = error.message.slice(0, 255);
+            previous = null;
+          }
+        }
+
+        const [insertResult] = await db.query(
+          `INSERT INTO text_watch_results
+             (watch_id, screenshot_id, text_content, matched, triggered, compared_to_id, diff, error_message)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            watch.id, screenshotId, watchText.text, evaluation.matched, evaluation.triggered,
+            previous ? previous.id : null, evaluation.diff ? JSON.stringify(evaluation.diff) : null, errorMessage
+          ]
+        );
+
+        if (evaluation.triggered) {
+          console.log(`Scheduler: Text watch "${watch.name}" of page ${page.id} triggered (${watch.watch_condition}, ${result.viewportKey})`);
+          
+          const changes = evaluation.diff ? evaluation.diff.changes : [];
+          await dispatchEvent(page.organization_id, 'watch.triggered', {
+            ...this.getEventContext(page),
+            screenshot: { id: screenshotId, viewport: result.viewport, deviceName: result.deviceName, variant: result.variant },
+            watch: { id: watch.id, name: watch.name, condition: watch.watch_condition, pattern: watch.pattern, selector: watch.selector },
+            resultId: insertResult.insertId,
+            comparedTo: previous ? { resultId: previous.id, screenshotId: previous.screenshot_id } : null,
+            added: changes.filter(c => c.type === 'added').flatMap(c => c.lines).slice(0, 20),
+            removed: changes.filter(c => c.type === 'removed').flatMap(c => c.lines).slice(0, 20),
+            matches: watch.pattern ? evaluation.lines.slice(0, 20) : []
+          });
+        }
+      } catch (error) {
+        // Text watches must never fail the capture itself
+        console.error(`Scheduler: Failed to save text watch ${watchText.watchId} for screenshot ${screenshotId}:`, error.message);
+      }
+    }
+  }
+
+  async saveViewportResults(jobId, viewportResults, screenshotIds) {
+    for (const result of viewportResults) {
+      try {
+        await db.query(
+          `INSERT INTO capture_job_viewports
+           (job_id, viewport_key, label, viewport, viewport_width, device_name, variant, status, stage, error_message, screenshot_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            jobId, result.viewportKey, String(result.label).slice(0, 255), result.viewport, result.viewportWidth,
+            result.deviceName, result.variant, result.status, result.stage, result.error,
+            screenshotIds.get(result.viewportKey) || null
+          ]
+        );
+      } catch (error) {
+        console.error(`Scheduler: Failed to save viewport outcome (${result.viewportKey}) [job ${jobId}]:`, error.message);
+      }
+    }
+  }
+
+  async suspendPage(page, failureCount) {
+    // Persist the suspension so it shows up in the UI; only the first worker to
+    // suspend the page (or a manual capture failing again) sends the event
+    try {
+      const [result] = await db.query(
+        `UPDATE pages SET suspended_at = NOW(), suspended_reason = ?
+         WHERE id = ? AND suspended_at IS NULL`,
+        [`Too many consecutive failures (${failureCount})`, page.id]
+      );
+      if (result.affectedRows === 0) return;
+      
+      console.log(`Scheduler: Suspended page ${page.id} after ${failureCount} consecutive failures - resume it or capture manually`);
+      await dispatchEvent(page.organization_id, 'page.suspended', {
+        ...this.getEventContext(page),
+        consecutiveFailures: failureCount
+      });
+    } catch (error) {
+      console.error(`Scheduler: Failed to suspend page ${page.id}:`, error.message);
+    }
+  }
+
+  async resumeSuspendedPages() {
+    // Users can opt into resuming suspended pages after a cooldown; resumed_at
+    // resets the failure count so the page gets a full set of retries again
+    try {
+      const [result] = await db.query(`
+        UPDATE pages p
+        JOIN sites s ON p.site_id = s.id
+        JOIN organization_settings os ON s.organization_id = os.organization_id
+        SET p.suspended_at = NULL, p.suspended_reason = NULL, p.resumed_at = NOW()
+        WHERE p.suspended_at IS NOT NULL
+          AND os.suspension_auto_resume_hours IS NOT NULL
+          AND p.suspended_at <= DATE_SUB(NOW(), INTERVAL os.suspension_auto_resume_hours HOUR)
+      `);
+      if (result.affectedRows > 0) {
+        console.log(`Scheduler: Auto-resumed ${result.affectedRows} suspended page(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduler: Failed to auto-resume suspended pages:', error.message);
+    }
+  }
+
+  getEventContext(page) {
+    return {
+      page: { id: page.id, name: page.name, url: page.url },
+      site: { id: page.site_id, name: page.site_name, domain: page.site_domain }
+    };
+  }
+
+  async saveScreenshotMetrics(screenshotId, metrics) {
+    if (!metrics) return;
+    
+    try {
+      await db.query(
+        `INSERT INTO screenshot_metrics 
+         (screenshot_id, ttfb_ms, dom_content_loaded_ms, load_ms, lcp_ms, cls, transfer_bytes, request_count, requests_by_type, bytes_by_type, stage_timings)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          screenshotId, metrics.ttfbMs, metrics.domContentLoadedMs, metrics.loadMs, metrics.lcpMs, metrics.cls,
+          metrics.transferBytes, metrics.requestCount,
+          metrics.requestsByType ? JSON.stringify(metrics.requestsByType) : null,
+          metrics.bytesByType ? JSON.stringify(metrics.bytesByType) : null,
+          JSON.stringify(metrics.stageTimings)
+        ]
+      );
+    } catch (error) {
+      console.error(`Scheduler: Failed to save metrics for screenshot ${screenshotId}:`, error.message);
+    }
+  }
+
   async saveScreenshotErrors(screenshotId, errors) {
     if (!errors || errors.length === 0) return;
     
@@ -9,6 +9,11 @@ const {
   dismissCookieConsent, 
   autoScroll 
 } = require('./browser-helpers');
+const { navigateWithLogin } = require('./login-session');
+const { startPerformanceTracking, checkBudget } = require('./performance-metrics');
+const { startHarRecording } = require('./har-recorder');
+const { captureDomSnapshot } = require('./dom-snapshot');
+const { extractWatchTexts } = require('./text-watches');
 const { DEFAULT_VIEWPORTS } = require('./config/constants');
 
 const SCREENSHOTS_DIR = process.env.SCREENSHOTS_DIR || '/app/screenshots';
@@ -38,6 +43,59 @@ function getViewportHeight(name) {
   }
 }
 
+/**
+ * Build the list of viewports to capture, desktop first
+ * Device profiles keep their category name (desktop/tablet/mobile) for baselines,
+ * ignore regions and test filters, and get a unique key so two devices of the
+ * same category don't overwrite each other's files.
+ * @param {Object} page - Page object (effective_viewports and device_profiles resolved by scheduler)
+ * @returns {Array} Viewport configurations
+ */
+function buildViewports(page) {
+  if (page.device_profiles && page.device_profiles.length > 0) {
+    return [...page.device_profiles]
+      .sort((a, b) => b.width - a.width)
+      .map(device => {
+        const name = getViewportName(device.width);
+        return {
+          ...device,
+          name,
+          key: `${name}-d${device.deviceProfileId}`,
+          label: device.deviceName
+        };
+      });
+  }
+
+  // Sort widths descending (desktop first) for consistent ordering
+  const viewportWidths = page.effective_viewports || DEFAULT_VIEWPORTS;
+  return [...viewportWidths]
+    .sort((a, b) => b - a)
+    .map(width => {
+      const name = getViewportName(width);
+      return { name, key: name, label: name, width, height: getViewportHeight(name) };
+    });
+}
+
+/**
+ * Multiply the viewports with the page's capture variants
+ * The default capture (no variant) comes first for each viewport; variant captures
+ * get the variant name appended to their key and label.
+ * @param {Array} viewports - Viewport configurations from buildViewports
+ * @param {Array} variants - Capture variants of the page ({ name, color_scheme, reduced_motion, locale, timezone })
+ * @returns {Array} Viewport configurations, one per capture
+ */
+function applyVariants(viewports, variants) {
+  return viewports.flatMap(viewport => [
+    { ...viewport, variant: null },
+    ...(variants || []).map(variant => ({
+      ...viewport,
+      variant,
+      key: `${viewport.key}_${variant.name}`,
+      label: `${viewport.label} · ${variant.name}`
+    }))
+  ]);
+}
+
 /**
  * Capture screenshots for all viewports
  * @param {Browser} browser - Puppeteer browser instance
@@ -52,46 +110,45 @@ async function captureScreenshots(browser, page) {
  * Capture screenshots for all viewports with progress callback
  * @param {Browser} browser - Puppeteer browser instance
  * @param {Object} page - Page object from database (includes instructions array, tests array, and effective_viewports)
- * @param {Function|null} onProgress - Callback function(viewportName, completed, total) called after each viewport
- * @returns {Object} Object containing screenshot results, instruction execution results, and test results
+ * @param {Function|null} onProgress - Callback function(viewportLabel, completed, total) called after each viewport
+ * @returns {Object} Object containing screenshot results, instruction execution results, test results, and
+ *   the outcome of every viewport (failed viewports with their error and stage) in capture order
  */
 async function captureScreenshotsWithProgress(browser, page, onProgress) {
   const screenshotResults = [];
   const instructionResults = [];
-  // testResultsByViewport: { 'desktop': [...], 'tablet': [...], 'mobile': [...] }
+  // testResultsByViewport: { 'desktop': [...], 'desktop_dark': [...], 'mobile-d12': [...] } (keyed by viewport.key)
   const testResultsByViewport = {};
+  const viewportResults = [];
   
-  // Get viewports from page settings (effective_viewports is resolved by scheduler)
-  const viewportWidths = page.effective_viewports || DEFAULT_VIEWPORTS;
-  
-  // Sort widths descending (desktop first) for consistent ordering
-  const sortedWidths = [...viewportWidths].sort((a, b) => b - a);
-  const totalViewports = sortedWidths.length;
+  // Device profiles (resolved by scheduler) replace the plain viewport widths when set;
+  // each viewport is captured once per capture variant
+  const viewports = applyVariants(buildViewports(page), page.capture_variants);
+  const totalViewports = viewports.length;
   
   let isFirstViewport = true;
   let completedViewports = 0;
   
-  for (const width of sortedWidths) {
-    const viewportName = getViewportName(width);
-    const viewport = {
-      name: viewportName,
-      width: width,
-      height: getViewportHeight(viewportName)
-    };
+  for (const [index, viewport] of viewports.entries()) {
+    // Space out the page loads of one site (its capture delay, resolved by the scheduler)
+    if (index > 0 && page.capture_delay_seconds > 0) {
+      await sleep(page.capture_delay_seconds * 1000);
+    }
     
     // Report progress at start of viewport capture
     if (onProgress) {
       try {
-        await onProgress(viewportName, completedViewports, totalViewports);
+        await onProgress(viewport.label, completedViewports, totalViewports);
       } catch (e) {
         // Ignore progress callback errors
       }
     }
     
     try {
-      console.log(`Screenshot: Capturing ${viewport.name} viewport (${viewport.width}px) for ${page.url}`);
+      console.log(`Screenshot: Capturing ${viewport.label} viewport (${viewport.width}px) for ${page.url}`);
       const { screenshot, instructions, tests } = await captureScreenshotForViewport(browser, page, viewport);
       screenshotResults.push(screenshot);
+      viewportResults.push({ ...describeViewport(viewport), status: 'completed', stage: null, error: null });
       completedViewports++;
       
       // Collect instruction results (only from first viewport to avoid duplicates)
@@ -101,7 +158,7 @@ async function captureScreenshotsWithProgress(browser, page, onProgress) {
       
       // Collect test results for each viewport (tests can be viewport-specific)
       if (tests && tests.length > 0) {
-        testResultsByViewport[viewportName] = tests;
+        testResultsByViewport[viewport.key] = tests;
       }
       
       isFirstViewport = false;
@@ -109,18 +166,40 @@ async function captureScreenshotsWithProgress(browser, page, onProgress) {
       // Report progress after viewport complete
       if (onProgress) {
         try {
-          await onProgress(viewportName, completedViewports, totalViewports);
+          await onProgress(viewport.label, completedViewports, totalViewports);
         } catch (e) {
           // Ignore progress callback errors
         }
       }
     } catch (error) {
-      console.error(`Screenshot: Failed to capture ${viewport.name} viewport (${width}px):`, error.message);
-      // Continue with other viewports even if one fails
+      console.error(`Screenshot: Failed to capture ${viewport.label} viewport (${viewport.width}px) at ${error.stage || 'navigation'}:`, error.message);
+      // Record the failure and continue with other viewports
+      viewportResults.push({
+        ...describeViewport(viewport),
+        status: 'failed',
+        stage: error.stage || 'navigation',
+        error: error.message
+      });
     }
   }
   
-  return { screenshots: screenshotResults, instructionResults, testResultsByViewport };
+  return { screenshots: screenshotResults, instructionResults, testResultsByViewport, viewportResults };
+}
+
+/**
+ * Identify a viewport in its capture outcome
+ * @param {Object} viewport - Viewport configuration from applyVariants
+ * @returns {Object} Key, label, viewport name and width, device and variant name
+ */
+function describeViewport(viewport) {
+  return {
+    viewportKey: viewport.key,
+    label: viewport.label,
+    viewport: viewport.name,
+    viewportWidth: viewport.width,
+    deviceName: viewport.deviceName || null,
+    variant: viewport.variant ? viewport.variant.name : null
+  };
 }
 
 /**
@@ -445,12 +524,176 @@ async function executeTests(browserPage, tests, viewportName) {
   return results;
 }
 
+/**
+ * Evaluate performance budgets (tests with script_type 'budget') against the
+ * metrics of a capture
+ * @param {Array} tests - Array of test objects with budget and script_type properties
+ * @param {Object|null} metrics - Metrics collected for this viewport
+ * @param {string} viewportName - Current viewport name (for budget filtering)
+ * @returns {Array} Test results in the same shape as executeTests; budgets whose
+ *   metric was not recorded are left out
+ */
+function evaluateBudgets(tests, metrics, viewportName) {
+  const results = [];
+  const budgets = (tests || []).filter(t =>
+    t.is_active &&
+    t.script_type === 'budget' &&
+    shouldRunTestOnViewport(t, viewportName)
+  );
+
+  for (const test of budgets) {
+    const check = checkBudget(test.budget, metrics);
+    if (!check) {
+      console.warn(`Screenshot: Budget "${test.name}" skipped, metric not recorded (${viewportName})`);
+      continue;
+    }
+
+    console.log(`Screenshot: Budget "${test.name}" ${check.passed ? 'PASSED' : 'FAILED'}: ${check.message} (${viewportName})`);
+    results.push({
+      testId: test.id,
+      name: test.name,
+      scriptType: 'budget',
+      passed: check.passed,
+      message: check.message,
+      executionTimeMs: 0
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Resolve selector-based ignore regions to rectangles in screenshot pixel coordinates
+ * Must run with the page scrolled to the top so bounding boxes map to full-page positions.
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Array} ignoreRegions - Ignore region rows for the page (only 'selector' types are resolved)
+ * @param {string} viewportName - Current viewport name (desktop, tablet, mobile)
+ * @param {number} [deviceScaleFactor=1] - Screenshot pixels per CSS pixel
+ * @returns {Promise<Array>} Array of { x, y, width, height } rectangles
+ */
+async function resolveIgnoreRegions(browserPage, ignoreRegions, viewportName, deviceScaleFactor = 1) {
+  const selectors = (ignoreRegions || [])
+    .filter(r => r.type === 'selector' && r.selector && (!r.viewport || r.viewport === viewportName))
+    .map(r => r.selector);
+
+  if (selectors.length === 0) {
+    return [];
+  }
+
+  const rects = await browserPage.evaluate((selectorList, scale) => {
+    const found = [];
+    for (const selector of selectorList) {
+      let elements = [];
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (e) {
+        continue; // Invalid selector, skip it
+      }
+      for (const el of elements) {
+        const box = el.getBoundingClientRect();
+        if (box.width <= 0 || box.height <= 0) continue;
+        found.push({
+          x: Math.floor((box.left + window.scrollX) * scale),
+          y: Math.floor((box.top + window.scrollY) * scale),
+          width: Math.ceil(box.width * scale),
+          height: Math.ceil(box.height * scale)
+        });
+      }
+    }
+    return found;
+  }, selectors, deviceScaleFactor || 1);
+
+  console.log(`Screenshot: Resolved ${selectors.length} ignore selector(s) to ${rects.length} region(s) (${viewportName})`);
+  return rects;
+}
+
+/**
+ * Capture element screenshots of the page's components
+ * Must run with the page scrolled to the top (clips are in document coordinates).
+ * A component whose selector matches nothing is reported with an error instead of a file.
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Array} components - Active component rows for the page ({ id, name, selector, padding })
+ * @param {Object} viewport - Viewport configuration (key, label, deviceScaleFactor)
+ * @param {Object} paths - { dirPath, relativeDir, timestamp } of the full-page screenshot
+ * @param {Array} ignoreRects - Ignore regions of the full-page screenshot (screenshot pixels)
+ * @returns {Promise<Array>} Component results with file paths and metadata
+ */
+async function captureComponents(browserPage, components, viewport, paths, ignoreRects = []) {
+  const results = [];
+  const scale = viewport.deviceScaleFactor || 1;
+
+  for (const component of components || []) {
+    const result = { componentId: component.id, name: component.name };
+    try {
+      const clip = await browserPage.evaluate((selector, padding) => {
+        const el = document.querySelector(selector);
+        if (!el) return null;
+        const box = el.getBoundingClientRect();
+        if (box.width <= 0 || box.height <= 0) return null;
+        const pageWidth = document.documentElement.scrollWidth;
+        const pageHeight = document.documentElement.scrollHeight;
+        const x = Math.max(0, box.left + window.scrollX - padding);
+        const y = Math.max(0, box.top + window.scrollY - padding);
+        return {
+          x,
+          y,
+          width: Math.min(pageWidth, box.right + window.scrollX + padding) - x,
+          height: Math.min(pageHeight, box.bottom + window.scrollY + padding) - y
+        };
+      }, component.selector, component.padding || 0);
+
+      if (!clip || clip.width <= 0 || clip.height <= 0) {
+        results.push({ ...result, error: 'Element not found' });
+        continue;
+      }
+
+      const filename = `${paths.timestamp}_${viewport.key}_c${component.id}.png`;
+      const thumbnailFilename = `${paths.timestamp}_${viewport.key}_c${component.id}_thumb.png`;
+      const buffer = await browserPage.screenshot({ type: 'png', clip, captureBeyondViewport: true });
+      await fs.writeFile(path.join(paths.dirPath, filename), buffer);
+      await sharp(buffer)
+        .resize(THUMBNAIL_WIDTH, null, { fit: 'inside', withoutEnlargement: true })
+        .png({ quality: 80 })
+        .toFile(path.join(paths.dirPath, thumbnailFilename));
+      const metadata = await sharp(buffer).metadata();
+
+      // Move the page's ignore regions into the element's coordinates
+      const offsetX = Math.floor(clip.x * scale);
+      const offsetY = Math.floor(clip.y * scale);
+      const componentRects = ignoreRects
+        .map(rect => ({ ...rect, x: rect.x - offsetX, y: rect.y - offsetY }))
+        .filter(rect => rect.x < metadata.width && rect.y < metadata.height &&
+          rect.x + rect.width > 0 && rect.y + rect.height > 0);
+
+      results.push({
+        ...result,
+        filePath: path.join(paths.relativeDir, filename),
+        thumbnailPath: path.join(paths.relativeDir, thumbnailFilename),
+        fileSize: buffer.length,
+        width: metadata.width,
+        height: metadata.height,
+        ignoreRects: componentRects
+      });
+    } catch (error) {
+      console.warn(`Screenshot: Failed to capture component "${component.name}" (${viewport.label}):`, error.message);
+      results.push({ ...result, error: error.message.slice(0, 255) });
+    }
+  }
+
+  if (results.length > 0) {
+    const found = results.filter(r => !r.error).length;
+    console.log(`Screenshot: Captured ${found} of ${results.length} component(s) (${viewport.label})`);
+  }
+  return results;
+}
+
 /**
  * Capture a single screenshot for a specific viewport
  * @param {Browser} browser - Puppeteer browser instance
  * @param {Object} page - Page object from database
  * @param {Object} viewport - Viewport configuration
  * @returns {Object} Screenshot result with file paths, metadata, and captured errors
+ * @throws {Error} With a stage property: navigation, instructions, screenshot or thumbnail
  */
 async function captureScreenshotForViewport(browser, page, viewport) {
   const timestamp = Date.now();
@@ -465,24 +708,47 @@ async function captureScreenshotForViewport(browser, page, viewport) {
   await fs.mkdir(dirPath, { recursive: true });
 
   // Generate filenames with viewport identifier
-  const filename = `${timestamp}_${viewport.name}.png`;
-  const thumbnailFilename = `${timestamp}_${viewport.name}_thumb.png`;
+  const filename = `${timestamp}_${viewport.key}.png`;
+  const thumbnailFilename = `${timestamp}_${viewport.key}_thumb.png`;
+  const harFilename = `${timestamp}_${viewport.key}.har`;
   const fullPath = path.join(dirPath, filename);
   const thumbnailPath = path.join(dirPath, thumbnailFilename);
   
   // Relative paths for database storage
   const relativeFilePath = path.join(String(pageId), String(year), month, filename);
   const relativeThumbnailPath = path.join(String(pageId), String(year), month, thumbnailFilename);
+  const relativeHarPath = path.join(String(pageId), String(year), month, harFilename);
 
   let browserPage = null;
+  let browserContext = null;
   
   // Collect JS and network errors during page load
   const jsErrors = [];
   const networkErrors = [];
   
+  // Step of the capture, reported with errors so a failed viewport shows where it stopped
+  let stage = 'navigation';
+
+  // Files written so far, removed again if the viewport fails after the screenshot was saved
+  const writtenFiles = [];
+  
+  // Milliseconds spent in each step, recorded with the performance metrics
+  const stageTimings = {};
+  let stageStartedAt = Date.now();
+  const endStage = (name) => {
+    stageTimings[name] = Date.now() - stageStartedAt;
+    stageStartedAt = Date.now();
+  };
+  
   try {
-    // Create new page
-    browserPage = await browser.newPage();
+    // Create new page (pages behind a login or with custom cookies get their own context so cookies stay isolated)
+    const requestCookies = page.request_settings ? page.request_settings.cookies : [];
+    if (page.login_profile || requestCookies.length > 0) {
+      browserContext = await browser.createIncognitoBrowserContext();
+      browserPage = await browserContext.newPage();
+    } else {
+      browserPage = await browser.newPage();
+    }
     
     // Set up JS error listener (console errors and uncaught exceptions)
     browserPage.on('console', msg => {
@@ -541,15 +807,39 @@ async function captureScreenshotForViewport(browser, page, viewport) {
       }
     });
     
-    // Set viewport and timeouts using shared helper
+    // Set viewport (with device emulation), timeouts and extra headers/cookies/basic auth using shared helper
     await setupPage(browserPage, { 
-      viewport: { width: viewport.width, height: viewport.height }, 
-      timeout: 60000 
+      viewport: {
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.deviceScaleFactor,
+        isMobile: viewport.isMobile,
+        hasTouch: viewport.hasTouch,
+        isLandscape: viewport.isLandscape
+      },
+      userAgent: viewport.userAgent, 
+      variant: viewport.variant,
+      timeout: 60000,
+      requestSettings: page.request_settings,
+      url: page.url
     });
 
-    // Navigate to URL using shared helper
+    // Record network traffic, LCP and CLS from here on
+    const performanceTracking = await startPerformanceTracking(browserPage);
+    const harRecording = page.record_har ? await startHarRecording(browserPage) : null;
+
+    // Navigate to URL using shared helper (logging in first if the page has a login profile)
     console.log(`Screenshot: Navigating to ${page.url} (${viewport.name})`);
-    await navigateToPage(browserPage, page.url, { timeout: 60000 });
+    if (page.login_profile) {
+      await navigateWithLogin(browserPage, page.login_profile, page.url, {
+        timeout: 60000,
+        keepCookies: requestCookies.map(cookie => cookie.name)
+      });
+    } else {
+      await navigateToPage(browserPage, page.url, { timeout: 60000 });
+    }
+
+    endStage('navigate');
 
     // Try to dismiss cookie consent dialogs (with retry for delayed dialogs)
     console.log(`Screenshot: Checking for cookie consent dialogs (${viewport.name})`);
@@ -565,20 +855,25 @@ async function captureScreenshotForViewport(browser, page, viewport) {
     
     // Wait after dismissing consent
     await sleep(500);
+    endStage('consent');
 
     // Execute AI-generated instructions (if any)
+    stage = 'instructions';
     let instructionResults = [];
     if (page.instructions && page.instructions.length > 0) {
       instructionResults = await executeInstructions(browserPage, page.instructions, viewport.name);
     }
+    endStage('instructions');
 
     // Execute AI-generated tests (if any)
     let testResults = [];
     if (page.tests && page.tests.length > 0) {
       testResults = await executeTests(browserPage, page.tests, viewport.name);
     }
+    endStage('tests');
 
     // Scroll through entire page to trigger lazy loading
+    stage = 'screenshot';
     console.log(`Screenshot: Scrolling to load lazy content... (${viewport.name})`);
     await autoScroll(browserPage);
 
@@ -591,6 +886,18 @@ async function captureScreenshotForViewport(browser, page, viewport) {
 
     // Wait for any reflow after scroll to top
     await sleep(2000);
+    endStage('scroll');
+
+    // Text of the page's text watches, after instructions ran and lazy content loaded
+    const watchTexts = await extractWatchTexts(browserPage, page.text_watches, viewport.name);
+
+    // Resolve selector-based ignore regions for visual diffs (page is at the top now)
+    let ignoreRects = [];
+    try {
+      ignoreRects = await resolveIgnoreRegions(browserPage, page.ignore_regions, viewport.name, viewport.deviceScaleFactor);
+    } catch (maskError) {
+      console.warn(`Screenshot: Failed to resolve ignore regions (${viewport.name}):`, maskError.message);
+    }
 
     // Take full page screenshot
     console.log(`Screenshot: Capturing full page screenshot (${viewport.name})`);
@@ -601,13 +908,16 @@ async function captureScreenshotForViewport(browser, page, viewport) {
 
     // Save screenshot
     await fs.writeFile(fullPath, screenshotBuffer);
+    writtenFiles.push(fullPath);
     const stats = await fs.stat(fullPath);
 
     // Get image dimensions
     const metadata = await sharp(screenshotBuffer).metadata();
 
     // Generate thumbnail
+    stage = 'thumbnail';
     console.log(`Screenshot: Generating thumbnail (${viewport.name})`);
+    writtenFiles.push(thumbnailPath);
     await sharp(screenshotBuffer)
       .resize(THUMBNAIL_WIDTH, null, {
         fit: 'inside',
@@ -617,28 +927,91 @@ async function captureScreenshotForViewport(browser, page, viewport) {
       .toFile(thumbnailPath);
 
     console.log(`Screenshot: Saved to ${relativeFilePath}`);
+    endStage('screenshot');
+
+    // Metrics, HAR, DOM snapshot and component screenshots of the captured page
+    stage = 'artifacts';
+
+    // Navigation timing, LCP/CLS, transferred bytes and requests of this capture
+    const metrics = await performanceTracking.collect(stageTimings);
+    testResults.push(...evaluateBudgets(page.tests, metrics, viewport.name));
+
+    // Full network log of this capture, stored next to the screenshot
+    let harSaved = false;
+    if (harRecording) {
+      writtenFiles.push(path.join(dirPath, harFilename));
+      harSaved = await harRecording.save(path.join(dirPath, harFilename), {
+        url: page.url,
+        title: page.name,
+        viewportLabel: viewport.label,
+        redactPostData: !!page.login_profile,
+        requestSettings: page.request_settings
+      });
+    }
+
+    // HTML, text/outline summary and optional MHTML archive of the captured DOM
+    const snapshotBaseName = `${timestamp}_${viewport.key}`;
+    writtenFiles.push(...['.html', '.dom.json', '.mhtml'].map(ext => path.join(dirPath, `${snapshotBaseName}${ext}`)));
+    const domSnapshot = await captureDomSnapshot(browserPage, {
+      dirPath,
+      relativeDir: path.join(String(pageId), String(year), month),
+      baseName: snapshotBaseName,
+      mhtml: !!page.archive_mhtml
+    });
+
+    // Element screenshots of the page's components (page is still at the top);
+    // selector and drawn ignore regions are carried over into each element
+    const drawnRects = (page.ignore_regions || [])
+      .filter(r => r.type === 'rect' && (!r.viewport || r.viewport === viewport.name))
+      .map(r => ({ x: r.x, y: r.y, width: r.width, height: r.height }));
+    const components = await captureComponents(browserPage, page.components, viewport, {
+      dirPath,
+      relativeDir: path.join(String(pageId), String(year), month),
+      timestamp
+    }, [...ignoreRects, ...drawnRects]);
     
     // Log error counts if any
     const totalErrors = jsErrors.length + networkErrors.length;
     if (totalErrors > 0) {
-      console.log(`Screenshot: Captured ${jsErrors.length} JS errors and ${networkErrors.length} network errors (${viewport.name})`);
+      console.log(`Screenshot: Captured ${jsErrors.length} JS errors and ${networkErrors.length} network errors (${viewport.label})`);
     }
 
     return {
       screenshot: {
         viewport: viewport.name,
+        viewportKey: viewport.key,
         viewportWidth: viewport.width,
+        variant: viewport.variant ? viewport.variant.name : null,
+        deviceProfileId: viewport.deviceProfileId || null,
+        deviceName: viewport.deviceName || null,
         filePath: relativeFilePath,
         thumbnailPath: relativeThumbnailPath,
+        harPath: harSaved ? relativeHarPath : null,
+        htmlPath: domSnapshot.htmlPath,
+        domPath: domSnapshot.domPath,
+        mhtmlPath: domSnapshot.mhtmlPath,
         fileSize: stats.size,
         width: metadata.width,
         height: metadata.height,
-        errors: [...jsErrors, ...networkErrors]
+        ignoreRects,
+        components,
+        watchTexts,
+        errors: [...jsErrors, ...networkErrors],
+        metrics
       },
       instructions: instructionResults,
       tests: testResults
     };
 
+  } catch (error) {
+    error.stage = stage;
+    // No screenshot row is stored for a failed viewport, so don't leave its files behind
+    for (const filePath of writtenFiles) {
+      await fs.rm(filePath, { force: true }).catch(rmError => {
+        console.warn(`Screenshot: Failed to remove ${filePath}:`, rmError.message);
+      });
+    }
+    throw error;
   } finally {
     // Always close the page
     if (browserPage) {
@@ -648,8 +1021,15 @@ async function captureScreenshotForViewport(browser, page, viewport) {
         console.error('Screenshot: Error closing page:', error.message);
       }
     }
+    if (browserContext) {
+      try {
+        await browserContext.close();
+      } catch (error) {
+        console.error('Screenshot: Error closing browser context:', error.message);
+      }
+    }
   }
 }
 
 // Export functions
-module.exports = { captureScreenshots, captureScreenshotsWithProgress, captureScreenshotForViewport, executeInstructions, executeTests, getViewportName, DEFAULT_VIEWPORTS };
+module.exports = { captureScreenshots, captureScreenshotsWithProgress, captureScreenshotForViewport, executeInstructions, executeTests, evaluateBudgets, getViewportName, DEFAULT_VIEWPORTS };
@@ -1,5 +1,5 @@
 const { generateScript } = require('./gemini');
-const { preparePage } = require('./browser-helpers');
+const { openPage, preparePage } = require('./browser-helpers');
 
 /**
  * Script Generator - Orchestrates the generation of page interaction scripts
@@ -17,10 +17,11 @@ class ScriptGenerator {
    * @param {object} options - Additional options
    * @param {number} options.pageId - Page ID for logging context
    * @param {number} options.sessionId - AI session ID for logging
+   * @param {object} options.requestSettings - Extra headers, cookies and basic auth of the page
    * @returns {object} Generated script and metadata
    */
   async generate(pageUrl, prompt, options = {}) {
-    const { viewport = 'desktop', pageId = null, sessionId = null } = options;
+    const { viewport = 'desktop', pageId = null, sessionId = null, requestSettings = null } = options;
     
     console.log(`ScriptGenerator: Generating script for ${pageUrl}`);
     console.log(`ScriptGenerator: Prompt: "${prompt}"`);
@@ -33,13 +34,14 @@ class ScriptGenerator {
       browser = await this.browserPool.acquire();
       
       // Create new page
-      page = await browser.newPage();
+      page = await openPage(browser, requestSettings);
 
       // Prepare page with viewport, navigation, and cookie consent handling
       // Uses same setup as screenshot capture for consistent page state
       await preparePage(page, pageUrl, { 
         viewport, 
         timeout: 60000,
+        requestSettings,
         logPrefix: 'ScriptGenerator'
       });
 
@@ -1,5 +1,5 @@
 const { generateTestScript } = require('./gemini');
-const { preparePage } = require('./browser-helpers');
+const { openPage, preparePage } = require('./browser-helpers');
 
 /**
  * Test Generator - Orchestrates the generation of page test scripts
@@ -17,10 +17,11 @@ class TestGenerator {
    * @param {object} options - Additional options
    * @param {number} options.pageId - Page ID for logging context
    * @param {number} options.sessionId - AI session ID for logging
+   * @param {object} options.requestSettings - Extra headers, cookies and basic auth of the page
    * @returns {object} Generated test script and metadata
    */
   async generate(pageUrl, prompt, options = {}) {
-    const { viewport = 'desktop', pageId = null, sessionId = null } = options;
+    const { viewport = 'desktop', pageId = null, sessionId = null, requestSettings = null } = options;
     
     console.log(`TestGenerator: Generating test for ${pageUrl}`);
     console.log(`TestGenerator: Prompt: "${prompt}"`);
@@ -33,13 +34,14 @@ class TestGenerator {
       browser = await this.browserPool.acquire();
       
       // Create new page
-      page = await browser.newPage();
+      page = await openPage(browser, requestSettings);
 
       // Prepare page with viewport, navigation, and cookie consent handling
       // Uses same setup as screenshot capture for consistent page state
       await preparePage(page, pageUrl, { 
         viewport, 
         timeout: 60000,
+        requestSettings,
         logPrefix: 'TestGenerator'
       });
 
@@ -0,0 +1,238 @@
+/**
+ * Text Watches - Visible text of a page (or of the elements matching a selector)
+ * extracted with every capture after instructions ran
+ *
+ * The scheduler compares each result with the previous one of the same viewport,
+ * device and variant. A watch without pattern looks at all of its text; a pattern
+ * (keyword or regex) narrows it to the lines containing a match, so a watch on
+ * /\$\d+/ triggers when a price changes from $49 to $59 and an "appears" watch on
+ * "out of stock" when such a line shows up.
+ */
+
+const vm = require('vm');
+const { REGEX_TIMEOUT_MS } = require('./config/constants');
+
+// Text kept per watch and capture; longer text is cut off
+const MAX_TEXT_LENGTH = 100000;
+// Largest changed region (lines before x lines after) diffed line by line
+const MAX_DIFF_CELLS = 4000000;
+// Unchanged lines kept around each change; longer unchanged runs are collapsed
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Extract the text of the watches that apply to a viewport
+ * @param {Page} browserPage - Puppeteer page instance
+ * @param {Array} watches - Active watch rows for the page ({ id, name, selector, viewport })
+ * @param {string} viewportName - desktop, tablet or mobile
+ * @returns {Promise<Array>} [{ watchId, text, error }]; text is null when the selector matched nothing
+ */
+async function extractWatchTexts(browserPage, watches, viewportName) {
+  const results = [];
+
+  for (const watch of (watches || []).filter(w => !w.viewport || w.viewport === viewportName)) {
+    try {
+      const text = await browserPage.evaluate((selector, maxLength) => {
+        const elements = selector ? Array.from(document.querySelectorAll(selector)) : [document.body];
+        if (elements.length === 0 || !elements[0]) return null;
+        const lines = elements
+          .map(el => el.innerText || el.textContent || '')
+          .join('\n')
+          .split('\n')
+          .map(line => line.replace(/\s+/g, ' ').trim())
+          .filter(Boolean);
+        return lines.join('\n').slice(0, maxLength);
+      }, watch.selector || null, MAX_TEXT_LENGTH);
+
+      results.push({
+        watchId: watch.id,
+        text,
+        error: text === null ? 'Element not found' : null
+      });
+    } catch (error) {
+      console.warn(`Screenshot: Failed to extract text of watch "${watch.name}" (${viewportName}):`, error.message);
+      results.push({ watchId: watch.id, text: null, error: error.message.slice(0, 255) });
+    }
+  }
+
+  if (results.length > 0) {
+    console.log(`Screenshot: Extracted text of ${results.filter(r => r.text !== null).length} of ${results.length} watch(es) (${viewportName})`);
+  }
+  return results;
+}
+
+/**
+ * Lines of a text a watch looks at: all of them, or those matching its pattern
+ * @param {Object} watch - Watch row ({ pattern, is_regex })
+ * @param {string} text - Extracted text
+ * @returns {string[]} Watched lines
+ * @throws {Error} When a regex takes longer than REGEX_TIMEOUT_MS
+ */
+function getWatchedLines(watch, text) {
+  const lines = text ? text.split('\n') : [];
+  if (!watch.pattern) return lines;
+
+  if (watch.is_regex) {
+    return filterLinesByRegex(watch.pattern, lines);
+  }
+  const keyword = watch.pattern.toLowerCase();
+  return lines.filter(line => line.toLowerCase().includes(keyword));
+}
+
+/**
+ * Filter lines by a user-supplied regex in its own VM context, whose timeout
+ * interrupts the regex engine (a plain RegExp.test cannot be stopped)
+ * @param {string} pattern - Regex source (matched case-insensitively)
+ * @param {string[]} lines - Lines to filter
+ * @returns {string[]} Matching lines
+ */
+function filterLinesByRegex(pattern, lines) {
+  const context = vm.createContext({ pattern, lines });
+  try {
+    return vm.runInContext(
+      `const regex = new RegExp(pattern, 'i');
+       lines.filter(line => regex.test(line));`,
+      context,
+      { timeout: REGEX_TIMEOUT_MS }
+    );
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Regex took longer than ${REGEX_TIMEOUT_MS}ms to match`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Evaluate a watch against the previous result of the same viewport
+ * @param {Object} watch - Watch row ({ watch_condition, pattern, is_regex })
+ * @param {string} text - Text of this capture
+ * @param {string|null} previousText - Text of the previous capture, null for the first one
+ * @returns {Object} { lines, matched, triggered, diff } (diff is null without changes or previous text)
+ * @throws {Error} When the watch's regex takes too long to match
+ */
+function evaluateWatch(watch, text, previousText) {
+  const lines = getWatchedLines(watch, text);
+  const matched = watch.pattern ? lines.length > 0 : null;
+
+  if (previousText === null) {
+    // A keyword present on the first capture counts as appeared
+    return { lines, matched, triggered: watch.watch_condition === 'appears' && !!matched, diff: null };
+  }
+
+  const previousLines = getWatchedLines(watch, previousText);
+  const previousMatched = previousLines.length > 0;
+  const diff = diffLines(previousLines, lines);
+  const hasChanges = diff.added > 0 || diff.removed > 0;
+
+  let triggered = false;
+  if (watch.watch_condition === 'changed') {
+    triggered = hasChanges;
+  } else if (watch.watch_condition === 'appears') {
+    triggered = !!matched && !previousMatched;
+  } else if (watch.watch_condition === 'disappears') {
+    triggered = !matched && previousMatched;
+  }
+
+  return { lines, matched, triggered, diff: hasChanges ? diff : null };
+}
+
+/**
+ * Line diff (longest common subsequence) with unchanged runs collapsed to context
+ * Same output as the DOM snapshot diff of the API (api/src/services/dom-snapshots.js).
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Object} { added, removed, changes: [{ type, lines, skipped?, skippedAt? }] }
+ */
+function diffLines(a, b) {
+  // Lines shared at the start and end don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push(['equal', a[i]]);
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  for (let i = endA; i < a.length; i++) ops.push(['equal', a[i]]);
+
+  return {
+    added: ops.filter(([type]) => type === 'added').length,
+    removed: ops.filter(([type]) => type === 'removed').length,
+    changes: groupChanges(ops)
+  };
+}
+
+function diffMiddle(a, b) {
+  // Too large to compare line by line: report the whole region as replaced
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map(line => ['removed', line]), ...b.map(line => ['added', line])];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push(['equal', a[i]]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push(['removed', a[i++]]);
+    } else {
+      ops.push(['added', b[j++]]);
+    }
+  }
+  while (i < a.length) ops.push(['removed', a[i++]]);
+  while (j < b.length) ops.push(['added', b[j++]]);
+
+  return ops;
+}
+
+// Merge consecutive lines of the same type and collapse unchanged runs to context lines
+function groupChanges(ops) {
+  const groups = [];
+  for (const [type, line] of ops) {
+    const last = groups[groups.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      groups.push({ type, lines: [line] });
+    }
+  }
+
+  return groups.map((group, index) => {
+    if (group.type !== 'equal') return group;
+
+    const keepBefore = index > 0 ? DIFF_CONTEXT_LINES : 0;
+    const keepAfter = index < groups.length - 1 ? DIFF_CONTEXT_LINES : 0;
+    if (group.lines.length <= keepBefore + keepAfter) return group;
+
+    return {
+      type: 'equal',
+      lines: [...group.lines.slice(0, keepBefore), ...group.lines.slice(group.lines.length - keepAfter)],
+      skipped: group.lines.length - keepBefore - keepAfter,
+      // Skipped lines sit after this many kept lines
+      skippedAt: keepBefore
+    };
+  });
+}
+
+module.exports = {
+  extractWatchTexts,
+  evaluateWatch,
+  diffLines
+};
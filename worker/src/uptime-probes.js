@@ -0,0 +1,305 @@
+const http = require('http');
+const https = require('https');
+const db = require('./config/database');
+const { PROBE_SETTINGS } = require('./config/constants');
+const { dispatchEvent } = require('./webhooks');
+const { getRequestSettings } = require('./request-settings');
+const { WORKER_ID } = require('./worker-registry');
+
+/**
+ * Uptime Probes - Plain HTTP checks of pages between screenshot captures
+ *
+ * Pages with a probe_interval_minutes are requested without a browser, much
+ * more often than they are captured. Each probe records the status code,
+ * response time, redirects and TLS certificate expiry in page_probes, and why
+ * the certificate was rejected when it was (the expiry is recorded either way). When a
+ * page goes down a full capture is queued right away and page.down is sent;
+ * page.up follows once it responds again.
+ */
+
+const {
+  MAX_CONCURRENT_PROBES,
+  REQUEST_TIMEOUT_MS,
+  MAX_REDIRECTS,
+  RETRY_DELAY_MS,
+  RETENTION_DAYS
+} = PROBE_SETTINGS;
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const MAX_ERROR_MESSAGE_LENGTH = 512;
+
+/**
+ * Read the peer certificate of a TLS socket
+ * @param {TLSSocket} socket - Connected socket
+ * @returns {Object} { expiresAt, error } - error is the verification failure code, or null
+ */
+function getTlsInfo(socket) {
+  const certificate = socket.getPeerCertificate();
+  return {
+    expiresAt: certificate && certificate.valid_to ? new Date(certificate.valid_to) : null,
+    error: socket.authorized ? null : String(socket.authorizationError || 'UNKNOWN')
+  };
+}
+
+/**
+ * Send a single GET request and resolve with its response headers
+ * (the body is not downloaded)
+ * @param {URL} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { statusCode, location, tls: {expiresAt, error}|null }
+ * @throws {Error} On connection, TLS or timeout errors; a rejected certificate
+ *   is attached as error.tls
+ */
+function requestOnce(url, headers) {
+  const isHttps = url.protocol === 'https:';
+  const client = isHttps ? https : http;
+  // Certificates are verified below instead of by Node, so a rejected one is still recorded
+  const options = { method: 'GET', headers, timeout: REQUEST_TIMEOUT_MS, ...(isHttps && { rejectUnauthorized: false }) };
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, options, (response) => {
+      resolve({
+        statusCode: response.statusCode,
+        location: response.headers.location || null,
+        tls: isHttps ? getTlsInfo(response.socket) : null
+      });
+      response.destroy();
+    });
+
+    if (isHttps) {
+      request.on('socket', (socket) => {
+        // Right after the handshake, where Node itself rejects unverified certificates:
+        // the request (with its credentials) has not been sent yet
+        socket.once('secureConnect', () => {
+          if (socket.authorized) return;
+          const tls = getTlsInfo(socket);
+          const error = new Error(`TLS certificate rejected (${tls.error})`);
+          error.tls = tls;
+          socket.destroy(error);
+        });
+      });
+    }
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`No response within ${REQUEST_TIMEOUT_MS}ms`));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Probe a URL, following redirects
+ * @param {string} pageUrl - Page URL
+ * @param {Object} requestSettings - { headers, cookies, basicAuth } of the page; only
+ *   sent to the page's own host so credentials don't follow redirects to other sites
+ * @returns {Promise<Object>} { isUp, statusCode, responseTimeMs, redirects, finalUrl, tlsExpiresAt, tlsError, error }
+ */
+async function probeUrl(pageUrl, requestSettings) {
+  const startedAt = Date.now();
+  const redirects = [];
+  let url = new URL(pageUrl);
+  const pageHost = url.host;
+
+  try {
+    for (;;) {
+      const headers = { 'User-Agent': 'VibeShot-Uptime/1.0', 'Accept': 'text/html,*/*' };
+      if (requestSettings && url.host === pageHost) {
+        Object.assign(headers, requestSettings.headers);
+        if (requestSettings.cookies.length > 0) {
+          headers['Cookie'] = requestSettings.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+        }
+        if (requestSettings.basicAuth) {
+          const { username, password } = requestSettings.basicAuth;
+          headers['Authorization'] = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+        }
+      }
+
+      const response = await requestOnce(url, headers);
+
+      if (REDIRECT_STATUS_CODES.includes(response.statusCode) && response.location) {
+        if (redirects.length >= MAX_REDIRECTS) {
+          throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+        }
+        redirects.push({ url: url.href, status_code: response.statusCode });
+        url = new URL(response.location, url);
+        continue;
+      }
+
+      return {
+        isUp: response.statusCode < 400,
+        statusCode: response.statusCode,
+        responseTimeMs: Date.now() - startedAt,
+        redirects,
+        finalUrl: url.href,
+        tlsExpiresAt: response.tls ? response.tls.expiresAt : null,
+        tlsError: null,
+        error: response.statusCode < 400 ? null : `HTTP ${response.statusCode}`
+      };
+    }
+  } catch (error) {
+    return {
+      isUp: false,
+      statusCode: null,
+      responseTimeMs: null,
+      redirects,
+      finalUrl: url.href,
+      tlsExpiresAt: error.tls ? error.tls.expiresAt : null,
+      tlsError: error.tls ? error.tls.error : null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Probe all pages whose probe is due (claimed atomically, so each page is
+ * probed by one worker of the fleet)
+ * @returns {Promise<number>} Number of pages probed
+ */
+async function processDueProbes() {
+  const [pages] = await db.query(
+    `SELECT p.id, p.url, p.name, p.probe_status, p.probe_status_changed_at, p.last_probe_at,
+            s.id as site_id, s.organization_id, s.name as site_name, s.domain as site_domain
+     FROM pages p
+     JOIN sites s ON p.site_id = s.id
+     WHERE p.is_active = TRUE
+       AND p.probe_interval_minutes IS NOT NULL
+       AND (p.last_probe_at IS NULL OR p.last_probe_at <= DATE_SUB(NOW(), INTERVAL p.probe_interval_minutes MINUTE))
+     ORDER BY p.last_probe_at IS NOT NULL, p.last_probe_at ASC
+     LIMIT ?`,
+    [MAX_CONCURRENT_PROBES]
+  );
+
+  const claimed = [];
+  for (const page of pages) {
+    const [result] = await db.query(
+      'UPDATE pages SET last_probe_at = NOW() WHERE id = ? AND last_probe_at <=> ?',
+      [page.id, page.last_probe_at]
+    );
+    if (result.affectedRows === 1) {
+      claimed.push(page);
+    }
+  }
+
+  await Promise.allSettled(claimed.map(page => probePage(page).catch(error => {
+    console.error(`Uptime: Failed to probe page ${page.id}:`, error.message);
+  })));
+
+  return claimed.length;
+}
+
+async function probePage(page) {
+  // Probes send the same headers, cookies and basic auth as captures
+  let requestSettings = null;
+  try {
+    requestSettings = await getRequestSettings({ pageId: page.id });
+  } catch (error) {
+    console.warn(`Uptime: Failed to load request settings of page ${page.id}:`, error.message);
+  }
+
+  let result = await probeUrl(page.url, requestSettings);
+  if (!result.isUp) {
+    // Ride out single dropped connections before calling the page down
+    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    result = await probeUrl(page.url, requestSettings);
+  }
+
+  await db.query(
+    `INSERT INTO page_probes
+     (page_id, is_up, status_code, response_time_ms, redirects, final_url, tls_expires_at, tls_error, error_message, worker_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      page.id, result.isUp, result.statusCode, result.responseTimeMs,
+      result.redirects.length > 0 ? JSON.stringify(result.redirects) : null,
+      result.finalUrl.slice(0, 2048), result.tlsExpiresAt, result.tlsError,
+      result.error ? result.error.slice(0, MAX_ERROR_MESSAGE_LENGTH) : null, WORKER_ID
+    ]
+  );
+
+  const status = result.isUp ? 'up' : 'down';
+  // probe_status_changed_at is assigned first so it compares against the previous status
+  await db.query(
+    `UPDATE pages
+     SET probe_status_changed_at = IF(probe_status <=> ?, probe_status_changed_at, NOW()),
+         probe_status = ?
+     WHERE id = ?`,
+    [status, status, page.id]
+  );
+
+  // Pages probed for the first time only alert when they are down
+  if (status === 'down' && page.probe_status !== 'down') {
+    await handlePageDown(page, result);
+  } else if (status === 'up' && page.probe_status === 'down') {
+    console.log(`Uptime: Page ${page.id} is up again (HTTP ${result.statusCode})`);
+    await dispatchEvent(page.organization_id, 'page.up', {
+      ...getEventContext(page),
+      probe: formatProbe(result),
+      downSince: page.probe_status_changed_at
+    });
+  }
+}
+
+async function handlePageDown(page, result) {
+  console.log(`Uptime: Page ${page.id} is down (${result.error}) - queueing a capture`);
+
+  // Capture the page right away so the screenshot and captured errors show what broke
+  // (a page has at most one active job; an active one covers this)
+  let captureJobId = null;
+  try {
+    const [jobResult] = await db.query(
+      `INSERT INTO capture_jobs (page_id, status) VALUES (?, 'pending')`,
+      [page.id]
+    );
+    captureJobId = jobResult.insertId;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      console.error(`Uptime: Failed to queue a capture of page ${page.id}:`, error.message);
+    }
+  }
+
+  await dispatchEvent(page.organization_id, 'page.down', {
+    ...getEventContext(page),
+    probe: formatProbe(result),
+    captureJobId
+  });
+}
+
+function formatProbe(result) {
+  return {
+    statusCode: result.statusCode,
+    responseTimeMs: result.responseTimeMs,
+    redirects: result.redirects,
+    finalUrl: result.finalUrl,
+    tlsExpiresAt: result.tlsExpiresAt,
+    tlsError: result.tlsError,
+    error: result.error
+  };
+}
+
+function getEventContext(page) {
+  return {
+    page: { id: page.id, name: page.name, url: page.url },
+    site: { id: page.site_id, name: page.site_name, domain: page.site_domain }
+  };
+}
+
+/**
+ * Delete probe results older than RETENTION_DAYS
+ * @returns {Promise<number>} Number of deleted probe results
+ */
+async function pruneProbeHistory() {
+  const [result] = await db.query(
+    'DELETE FROM page_probes WHERE checked_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [RETENTION_DAYS]
+  );
+  if (result.affectedRows > 0) {
+    console.log(`Uptime: Deleted ${result.affectedRows} probe results older than ${RETENTION_DAYS} days`);
+  }
+  return result.affectedRows;
+}
+
+module.exports = {
+  probeUrl,
+  processDueProbes,
+  pruneProbeHistory
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const pixelmatch = require('pixelmatch');
+
+/**
+ * Visual Diff - Pixel comparison between two stored screenshots
+ *
+ * Uses the same normalization and pixelmatch options as the on-demand compare
+ * endpoint in api/src/routes/screenshots.js, so stored diff percentages match
+ * what users see in the ComparisonViewer.
+ */
+
+const SCREENSHOTS_DIR = process.env.SCREENSHOTS_DIR || '/app/screenshots';
+
+// Ignore regions are filled with the same color in both images before diffing
+const MASK_COLOR = [0, 0, 0, 255];
+const MASK_DIFF_COLOR = [96, 96, 160, 255];
+
+/**
+ * Get the relative diff image path for a screenshot
+ * @param {string} filePath - Relative screenshot path (e.g. "12/2024/05/1715000000000_desktop.png")
+ * @returns {string} Relative diff image path stored next to the screenshot
+ */
+function getDiffPath(filePath) {
+  return filePath.replace(/\.png$/, '_diff.png');
+}
+
+/**
+ * Fill ignore regions with a solid color in a raw RGBA buffer (in place)
+ * @param {Buffer} raw - Raw RGBA pixel data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array} rects - Array of { x, y, width, height } rectangles
+ * @param {Array<number>} color - RGBA fill color
+ */
+function fillRects(raw, width, height, rects, color) {
+  for (const rect of rects) {
+    const x0 = Math.max(0, Math.floor(rect.x));
+    const y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(width, Math.floor(rect.x + rect.width));
+    const y1 = Math.min(height, Math.floor(rect.y + rect.height));
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const idx = (y * width + x) * 4;
+        raw[idx] = color[0];
+        raw[idx + 1] = color[1];
+        raw[idx + 2] = color[2];
+        raw[idx + 3] = color[3];
+      }
+    }
+  }
+}
+
+/**
+ * Compare two screenshots and write the diff image to disk
+ * @param {string} beforePath - Relative path of the older screenshot
+ * @param {string} afterPath - Relative path of the newer screenshot
+ * @param {string} diffPath - Relative path where the diff PNG should be written
+ * @param {Array} masks - Ignore regions ({ x, y, width, height }) blanked out in both images
+ * @returns {Promise<Object>} { diffPixels, diffPercentage, width, height }
+ */
+async function compareScreenshotFiles(beforePath, afterPath, diffPath, masks = []) {
+  const img1Buffer = await fs.readFile(path.join(SCREENSHOTS_DIR, beforePath));
+  const img2Buffer = await fs.readFile(path.join(SCREENSHOTS_DIR, afterPath));
+
+  const img1Meta = await sharp(img1Buffer).metadata();
+  const img2Meta = await sharp(img2Buffer).metadata();
+
+  // Use the smaller of each dimension (full-page heights often differ slightly)
+  const targetWidth = Math.min(img1Meta.width, img2Meta.width);
+  const targetHeight = Math.min(img1Meta.height, img2Meta.height);
+
+  const img1Raw = await sharp(img1Buffer)
+    .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+
+  const img2Raw = await sharp(img2Buffer)
+    .resize(targetWidth, targetHeight, { fit: 'cover', position: 'top' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+
+  if (masks.length > 0) {
+    fillRects(img1Raw, targetWidth, targetHeight, masks, MASK_COLOR);
+    fillRects(img2Raw, targetWidth, targetHeight, masks, MASK_COLOR);
+  }
+
+  const diffBuffer = Buffer.alloc(targetWidth * targetHeight * 4);
+
+  const diffPixels = pixelmatch(
+    img1Raw,
+    img2Raw,
+    diffBuffer,
+    targetWidth,
+    targetHeight,
+    {
+      threshold: 0.1,
+      includeAA: true,
+      alpha: 0.1,
+      diffColor: [255, 0, 128], // Magenta for differences
+      diffColorAlt: [0, 255, 128] // Cyan for anti-aliased
+    }
+  );
+
+  // Mark ignored areas in the diff so they are distinguishable from unchanged content
+  if (masks.length > 0) {
+    fillRects(diffBuffer, targetWidth, targetHeight, masks, MASK_DIFF_COLOR);
+  }
+
+  await sharp(diffBuffer, {
+    raw: {
+      width: targetWidth,
+      height: targetHeight,
+      channels: 4
+    }
+  }).png().toFile(path.join(SCREENSHOTS_DIR, diffPath));
+
+  const totalPixels = targetWidth * targetHeight;
+  const diffPercentage = parseFloat(((diffPixels / totalPixels) * 100).toFixed(3));
+
+  return {
+    diffPixels,
+    diffPercentage,
+    width: targetWidth,
+    height: targetHeight
+  };
+}
+
+module.exports = {
+  getDiffPath,
+  compareScreenshotFiles
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const db = require('./config/database');
+const { WEBHOOK_SETTINGS } = require('./config/constants');
+
+/**
+ * Webhooks - Signed JSON notifications for capture failures, test failures,
+ * captured page errors and visual changes
+ *
+ * Events are queued as rows in webhook_deliveries, so a slow endpoint never
+ * holds up the capture or probe that raised them. processPendingDeliveries(),
+ * which the scheduler runs on its own interval, sends them and retries failed
+ * deliveries with exponential backoff.
+ */
+
+const {
+  MAX_ATTEMPTS,
+  BASE_RETRY_DELAY_SECONDS,
+  REQUEST_TIMEOUT_MS,
+  MAX_RESPONSE_BODY_LENGTH,
+  CLAIM_TIMEOUT_SECONDS
+} = WEBHOOK_SETTINGS;
+
+/**
+ * Sign a payload body with the webhook secret
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Queue an event for all active webhooks of an organization subscribed to it
+ * Never throws - webhook problems must not affect captures.
+ * @param {number} organizationId - Organization that owns the page/site the event belongs to
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {Object} data - Event-specific payload data
+ * @returns {Promise<void>}
+ */
+async function dispatchEvent(organizationId, event, data) {
+  try {
+    const [webhooks] = await db.query(
+      'SELECT id, events FROM webhooks WHERE organization_id = ? AND is_active = TRUE',
+      [organizationId]
+    );
+
+    const subscribed = webhooks.filter(webhook => {
+      let events = webhook.events;
+      if (typeof events === 'string') {
+        events = JSON.parse(events);
+      }
+      return Array.isArray(events) && events.includes(event);
+    });
+
+    if (subscribed.length === 0) return;
+
+    const payload = {
+      event,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    // Sent (and retried) by processPendingDeliveries()
+    for (const webhook of subscribed) {
+      await db.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, next_attempt_at)
+         VALUES (?, ?, ?, 'pending', NOW())`,
+        [webhook.id, event, JSON.stringify(payload)]
+      );
+    }
+  } catch (error) {
+    console.error(`Webhooks: Failed to dispatch ${event} event:`, error.message);
+  }
+}
+
+/**
+ * Read the start of a response body without downloading the rest
+ * @param {Response} response - fetch response
+ * @param {number} maxLength - Characters to keep
+ * @returns {Promise<string>} At most maxLength characters of the body
+ */
+async function readResponseBody(response, maxLength) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    while (text.length < maxLength) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return text.slice(0, maxLength);
+}
+
+/**
+ * Attempt to send a single queued delivery and record the outcome
+ * @param {number} deliveryId - webhook_deliveries row ID
+ * @returns {Promise<boolean>} Whether the delivery succeeded
+ */
+async function attemptDelivery(deliveryId) {
+  // Claim the delivery by pushing its retry time out, so other workers
+  // (or the next retry pass) don't send it at the same time
+  const [claim] = await db.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+    [CLAIM_TIMEOUT_SECONDS, deliveryId]
+  );
+
+  if (claim.affectedRows === 0) return false;
+
+  const [rows] = await db.query(
+    `SELECT d.*, w.url, w.secret
+     FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhook_id = w.id
+     WHERE d.id = ? AND d.status = 'pending'`,
+    [deliveryId]
+  );
+
+  if (rows.length === 0) return false;
+
+  const delivery = rows[0];
+  const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    // Redirects are not followed: a webhook URL redirecting to an internal service
+    // would otherwise get that service's response stored in the delivery log
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'VibeShot-Webhooks/1.0',
+        'X-VibeShot-Event': delivery.event,
+        'X-VibeShot-Delivery': String(delivery.id),
+        'X-VibeShot-Signature': signPayload(delivery.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: controller.signal
+    });
+
+    responseStatus = response.status;
+    responseBody = await readResponseBody(response, MAX_RESPONSE_BODY_LENGTH);
+
+    if (response.status >= 300 && response.status < 400) {
+      errorMessage = `HTTP ${response.status} redirect (redirects are not followed; use the final URL)`;
+    } else if (!response.ok) {
+      errorMessage = `HTTP ${response.status} ${response.statusText}`;
+    }
+  } catch (error) {
+    errorMessage = error.name === 'AbortError'
+      ? `Request timed out after ${REQUEST_TIMEOUT_MS}ms`
+      : error.message;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!errorMessage) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'success', attempts = ?, response_status = ?, response_body = ?,
+           error_message = NULL, next_attempt_at = NULL, delivered_at = NOW()
+       WHERE id = ?`,
+      [attempts, responseStatus, responseBody, delivery.id]
+    );
+    return true;
+  }
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'failed', attempts = ?, response_status = ?, response_body = ?,
+           error_message = ?, next_attempt_at = NULL
+       WHERE id = ?`,
+      [attempts, responseStatus, responseBody, errorMessage, delivery.id]
+    );
+    console.error(`Webhooks: Delivery ${delivery.id} (${delivery.event}) failed permanently after ${attempts} attempts: ${errorMessage}`);
+    return false;
+  }
+
+  // Exponential backoff: 30s, 60s, 120s, ...
+  const retryDelaySeconds = BASE_RETRY_DELAY_SECONDS * Math.pow(2, attempts - 1);
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET attempts = ?, response_status = ?, response_body = ?, error_message = ?,
+         next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE id = ?`,
+    [attempts, responseStatus, responseBody, errorMessage, retryDelaySeconds, delivery.id]
+  );
+  console.warn(`Webhooks: Delivery ${delivery.id} (${delivery.event}) failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${retryDelaySeconds}s: ${errorMessage}`);
+  return false;
+}
+
+/**
+ * Send all pending deliveries whose time has come: new events, retries
+ * and test deliveries queued by the API
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function processPendingDeliveries() {
+  const [due] = await db.query(
+    `SELECT id FROM webhook_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC
+     LIMIT 50`
+  );
+
+  for (const delivery of due) {
+    try {
+      await attemptDelivery(delivery.id);
+    } catch (error) {
+      console.error(`Webhooks: Failed to process delivery ${delivery.id}:`, error.message);
+    }
+  }
+
+  return due.length;
+}
+
+module.exports = {
+  signPayload,
+  dispatchEvent,
+  processPendingDeliveries
+};
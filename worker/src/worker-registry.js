@@ -0,0 +1,105 @@
+const os = require('os');
+const db = require('./config/database');
+const { WORKER_SETTINGS } = require('./config/constants');
+
+/**
+ * Worker Registry - Lets several worker processes share the capture_jobs queue
+ *
+ * Each worker registers itself in the workers table (ID, capacity) and sends a
+ * heartbeat that also extends the lease of the jobs it is capturing. Jobs are
+ * claimed with conditional UPDATEs (see Scheduler.claimJob), so only one worker
+ * wins a job; jobs whose lease runs out (worker crashed) are failed by any
+ * other worker. Fleet-wide chores (retention cleanup) run under a named lock.
+ */
+
+const { JOB_LEASE_SECONDS } = WORKER_SETTINGS;
+
+// Stable across restarts when set; otherwise unique per process
+const WORKER_ID = (process.env.WORKER_ID || `${os.hostname()}-${process.pid}`).slice(0, 100);
+
+/**
+ * Register this worker (or bring its row back online after a restart)
+ * Jobs still claimed under the same ID died with the previous process and
+ * are failed right away instead of waiting for their lease to run out.
+ * @param {number} capacity - Max pages captured at the same time
+ * @returns {Promise<void>}
+ */
+async function registerWorker(capacity) {
+  await db.query(
+    `INSERT INTO workers (id, hostname, capacity, active_jobs, status, started_at, last_heartbeat_at)
+     VALUES (?, ?, ?, 0, 'online', NOW(), NOW())
+     ON DUPLICATE KEY UPDATE hostname = VALUES(hostname), capacity = VALUES(capacity), active_jobs = 0,
+       status = 'online', started_at = NOW(), last_heartbeat_at = NOW()`,
+    [WORKER_ID, os.hostname(), capacity]
+  );
+  await db.query(
+    `UPDATE capture_jobs
+     SET status = 'failed', error_message = 'Job timed out (worker restarted or crashed)', completed_at = NOW()
+     WHERE worker_id = ? AND status = 'capturing'`,
+    [WORKER_ID]
+  );
+}
+
+/**
+ * Record a heartbeat and extend the leases of the jobs this worker is capturing
+ * @param {number} activeJobs - Pages currently being captured
+ * @returns {Promise<void>}
+ */
+async function sendHeartbeat(activeJobs) {
+  await db.query(
+    `UPDATE workers SET last_heartbeat_at = NOW(), active_jobs = ?, status = 'online' WHERE id = ?`,
+    [activeJobs, WORKER_ID]
+  );
+  await db.query(
+    `UPDATE capture_jobs SET lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE worker_id = ? AND status = 'capturing'`,
+    [JOB_LEASE_SECONDS, WORKER_ID]
+  );
+}
+
+/**
+ * Mark this worker as stopped (on graceful shutdown)
+ * @returns {Promise<void>}
+ */
+async function markWorkerStopped() {
+  await db.query(
+    `UPDATE workers SET status = 'stopped', active_jobs = 0, last_heartbeat_at = NOW() WHERE id = ?`,
+    [WORKER_ID]
+  );
+}
+
+/**
+ * Run a function only if no other worker holds the named lock
+ * Uses a MySQL named lock on a dedicated connection, which is released
+ * automatically if the worker dies.
+ * @param {string} name - Lock name
+ * @param {Function} fn - Async function to run while holding the lock
+ * @returns {Promise<boolean>} Whether the lock was acquired and fn ran
+ */
+async function withLock(name, fn) {
+  const connection = await db.getConnection();
+  try {
+    const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [`vibeshot:${name}`]);
+    if (rows[0].acquired !== 1) {
+      return false;
+    }
+
+    try {
+      await fn();
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [`vibeshot:${name}`]);
+    }
+    return true;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  WORKER_ID,
+  JOB_LEASE_SECONDS,
+  registerWorker,
+  sendHeartbeat,
+  markWorkerStopped,
+  withLock
+};
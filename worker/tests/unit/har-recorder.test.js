@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHar } = require('../../src/har-recorder');
+
+function recordedRequest(requestHeaders, responseHeaders = {}) {
+  return {
+    request: { method: 'GET', url: 'https://example.com/', headers: requestHeaders },
+    response: { status: 200, statusText: 'OK', protocol: 'h2', mimeType: 'text/html', headers: responseHeaders },
+    type: 'Document',
+    wallTime: 1760000000,
+    timestamp: 100,
+    endTimestamp: 100.5
+  };
+}
+
+function headerValues(headers) {
+  return Object.fromEntries(headers.map(header => [header.name, header.value]));
+}
+
+describe('buildHar header redaction', () => {
+  it('redacts credential headers', () => {
+    const har = buildHar(
+      [recordedRequest({ Authorization: 'Bearer abc', Cookie: 'session=1', Accept: 'text/html' }, { 'Set-Cookie': 'session=2' })],
+      { url: 'https://example.com/' }
+    );
+    const [entry] = har.log.entries;
+
+    assert.deepEqual(headerValues(entry.request.headers), {
+      Authorization: '[redacted]',
+      Cookie: '[redacted]',
+      Accept: 'text/html'
+    });
+    assert.deepEqual(headerValues(entry.response.headers), { 'Set-Cookie': '[redacted]' });
+  });
+
+  it('redacts the headers configured in the request settings', () => {
+    const har = buildHar(
+      [recordedRequest({ 'X-Api-Key': 'secret', 'x-tenant': 'acme', Accept: '*/*' })],
+      {
+        url: 'https://example.com/',
+        requestSettings: { headers: { 'x-api-key': 'secret', 'X-Tenant': 'acme' }, cookies: [], basicAuth: null }
+      }
+    );
+
+    assert.deepEqual(headerValues(har.log.entries[0].request.headers), {
+      'X-Api-Key': '[redacted]',
+      'x-tenant': '[redacted]',
+      Accept: '*/*'
+    });
+  });
+
+  it('redacts any header carrying the basic-auth credentials', () => {
+    const token = Buffer.from('admin:hunter2').toString('base64');
+    const har = buildHar(
+      [recordedRequest({ 'X-Forwarded-Authorization': `Basic ${token}`, 'X-Debug': 'password=hunter2', Accept: '*/*' })],
+      {
+        url: 'https://example.com/',
+        requestSettings: { headers: {}, cookies: [], basicAuth: { username: 'admin', password: 'hunter2' } }
+      }
+    );
+
+    assert.deepEqual(headerValues(har.log.entries[0].request.headers), {
+      'X-Forwarded-Authorization': '[redacted]',
+      'X-Debug': '[redacted]',
+      Accept: '*/*'
+    });
+  });
+
+  it('redacts request bodies of pages with a login profile', () => {
+    const entry = recordedRequest({ 'Content-Type': 'application/x-www-form-urlencoded' });
+    entry.request.method = 'POST';
+    entry.request.postData = 'user=admin&password=hunter2';
+
+    const har = buildHar([entry], { url: 'https://example.com/', redactPostData: true });
+    assert.equal(har.log.entries[0].request.postData.text, '[redacted]');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isCaptureDue, getNextCaptureTime, getRetryDelayMinutes } = require('../../src/schedule');
+
+// 2026-10-19 is a Monday (weekday 1)
+const at = (time) => new Date(`2026-10-19T${time}:00Z`);
+const hoursBefore = (date, hours) => new Date(date.getTime() - hours * 60 * 60 * 1000);
+
+describe('isCaptureDue', () => {
+  const nightly = { days: [], start: '22:00', end: '06:00' };
+
+  it('is due once the interval has passed', () => {
+    const schedule = { intervalMinutes: 60, timezone: 'UTC', blackoutWindows: [] };
+    assert.equal(isCaptureDue(schedule, hoursBefore(at('12:00'), 2), at('12:00')), true);
+    assert.equal(isCaptureDue(schedule, hoursBefore(at('12:00'), 0.5), at('12:00')), false);
+  });
+
+  it('is due for a page that was never captured', () => {
+    const schedule = { intervalMinutes: 60, timezone: 'UTC', blackoutWindows: [] };
+    assert.equal(isCaptureDue(schedule, null, at('12:00')), true);
+  });
+
+  it('waits for a blackout window running past midnight to end', () => {
+    const schedule = { intervalMinutes: 60, timezone: 'UTC', blackoutWindows: [nightly] };
+    const lastCaptureAt = hoursBefore(at('23:00'), 2);
+
+    assert.equal(isCaptureDue(schedule, lastCaptureAt, at('23:00')), false);
+    assert.equal(isCaptureDue(schedule, lastCaptureAt, at('05:59')), false);
+    assert.deepEqual(getNextCaptureTime(schedule, lastCaptureAt, at('23:00')), new Date('2026-10-20T06:00:00Z'));
+    assert.equal(isCaptureDue(schedule, hoursBefore(at('06:00'), 2), at('06:00')), true);
+  });
+
+  it('only applies a window on its days', () => {
+    // Sundays only: Monday morning is the early part of Sunday's window, Monday evening is free
+    const schedule = {
+      intervalMinutes: 60,
+      timezone: 'UTC',
+      blackoutWindows: [{ days: [0], start: '22:00', end: '06:00' }]
+    };
+
+    assert.equal(isCaptureDue(schedule, hoursBefore(at('03:00'), 2), at('03:00')), false);
+    assert.equal(isCaptureDue(schedule, hoursBefore(at('23:00'), 2), at('23:00')), true);
+  });
+
+  it('evaluates windows in the schedule time zone', () => {
+    // 12:00 UTC is 14:00 in Berlin (CEST)
+    const schedule = {
+      intervalMinutes: 60,
+      timezone: 'Europe/Berlin',
+      blackoutWindows: [{ start: '13:30', end: '15:00' }]
+    };
+
+    assert.equal(isCaptureDue(schedule, hoursBefore(at('12:00'), 2), at('12:00')), false);
+    assert.deepEqual(getNextCaptureTime(schedule, hoursBefore(at('12:00'), 2), at('12:00')), at('13:00'));
+  });
+
+  it('follows adjacent windows to the end of the last one', () => {
+    const schedule = {
+      intervalMinutes: 60,
+      timezone: 'UTC',
+      blackoutWindows: [{ start: '09:00', end: '12:00' }, { start: '12:00', end: '13:00' }]
+    };
+
+    assert.deepEqual(getNextCaptureTime(schedule, hoursBefore(at('10:00'), 2), at('10:00')), at('13:00'));
+  });
+
+  it('holds a cron occurrence inside a window until the window ends', () => {
+    const schedule = { cron: '0 * * * *', timezone: 'UTC', blackoutWindows: [nightly] };
+
+    assert.equal(isCaptureDue(schedule, at('22:30'), at('23:05')), false);
+    assert.equal(isCaptureDue(schedule, at('12:30'), at('13:05')), true);
+  });
+});
+
+describe('getRetryDelayMinutes', () => {
+  it('doubles the delay per consecutive failure', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(getRetryDelayMinutes), [5, 10, 20, 40, 80]);
+  });
+
+  it('caps the delay at a day', () => {
+    assert.equal(getRetryDelayMinutes(9), 1280);
+    assert.equal(getRetryDelayMinutes(10), 1440);
+    assert.equal(getRetryDelayMinutes(20), 1440);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateWatch, diffLines } = require('../../src/text-watches');
+
+const watch = (fields) => ({ watch_condition: 'changed', pattern: null, is_regex: false, ...fields });
+
+describe('diffLines', () => {
+  it('reports no changes for equal lines', () => {
+    const diff = diffLines(['a', 'b'], ['a', 'b']);
+    assert.equal(diff.added, 0);
+    assert.equal(diff.removed, 0);
+  });
+
+  it('reports a replaced line as removed and added', () => {
+    const diff = diffLines(['a', 'b', 'c'], ['a', 'x', 'c']);
+    assert.equal(diff.added, 1);
+    assert.equal(diff.removed, 1);
+    assert.deepEqual(
+      diff.changes.filter(change => change.type !== 'equal'),
+      [{ type: 'removed', lines: ['b'] }, { type: 'added', lines: ['x'] }]
+    );
+  });
+
+  it('collapses unchanged runs to context lines', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+    const after = [...before.slice(0, 9), 'ten'];
+    const [context] = diffLines(before, after).changes;
+
+    assert.deepEqual(context, { type: 'equal', lines: ['7', '8', '9'], skipped: 6, skippedAt: 0 });
+  });
+});
+
+describe('evaluateWatch', () => {
+  it('triggers a changed watch when its text changes', () => {
+    const result = evaluateWatch(watch(), 'Hello\nWorld', 'Hello\nThere');
+    assert.equal(result.triggered, true);
+    assert.equal(result.matched, null);
+    assert.equal(result.diff.added, 1);
+  });
+
+  it('does not compare the first capture of a changed watch', () => {
+    const result = evaluateWatch(watch(), 'Hello', null);
+    assert.equal(result.triggered, false);
+    assert.equal(result.diff, null);
+  });
+
+  it('only compares the lines matching the pattern', () => {
+    const priceWatch = watch({ pattern: '\\$\\d+', is_regex: true });
+
+    assert.equal(evaluateWatch(priceWatch, 'Shoes\nNow $59', 'Boots\nNow $59').triggered, false);
+    const changed = evaluateWatch(priceWatch, 'Shoes\nNow $59', 'Shoes\nNow $49');
+    assert.equal(changed.triggered, true);
+    assert.deepEqual(changed.lines, ['Now $59']);
+  });
+
+  it('triggers an appears watch when a keyword shows up', () => {
+    const stockWatch = watch({ watch_condition: 'appears', pattern: 'Out of Stock' });
+
+    assert.equal(evaluateWatch(stockWatch, 'Item\nout of stock', 'Item\nIn stock').triggered, true);
+    assert.equal(evaluateWatch(stockWatch, 'Item\nout of stock', 'Item\nOUT OF STOCK').triggered, false);
+    assert.equal(evaluateWatch(stockWatch, 'Item\nout of stock', null).triggered, true);
+  });
+
+  it('triggers a disappears watch when the last match is gone', () => {
+    const saleWatch = watch({ watch_condition: 'disappears', pattern: 'sale' });
+
+    const result = evaluateWatch(saleWatch, 'Item', 'Item\nSale ends today');
+    assert.equal(result.triggered, true);
+    assert.equal(result.matched, false);
+  });
+
+  it('stops a regex that backtracks for too long', () => {
+    const slowWatch = watch({ pattern: '(a+)+$', is_regex: true });
+    assert.throws(() => evaluateWatch(slowWatch, 'a'.repeat(40) + '!', null), /Regex took longer than/);
+  });
+});